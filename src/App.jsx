@@ -7,6 +7,7 @@ import { PersistGate } from "redux-persist/integration/react";
 import Modal from "react-modal";
 import { persistor, store } from "@/store/index";
 import Layout from "@/components/organisms/Layout";
+import RequireAuth from "@/components/organisms/RequireAuth";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import PayrollManagement from "@/components/pages/PayrollManagement";
@@ -22,6 +23,7 @@ import Checkout from "@/components/pages/Checkout";
 import FinancialDashboard from "@/components/pages/FinancialDashboard";
 import Home from "@/components/pages/Home";
 import { fileCleanupService } from "@/services/api/fileCleanupService";
+import { authService } from "@/services/api/authService";
 // Lazy load components for better performance (only for components not already imported)
 const Category = React.lazy(() => import('@/components/pages/Category'))
 const Orders = React.lazy(() => import('@/components/pages/Orders'))
@@ -30,6 +32,13 @@ const Account = React.lazy(() => import('@/components/pages/Account'))
 const ManageProducts = React.lazy(() => import('@/components/pages/ManageProducts'))
 const AddProduct = React.lazy(() => import('@/components/pages/AddProduct'))
 const EditProduct = React.lazy(() => import('@/components/pages/EditProduct'))
+const DeliveryPricing = React.lazy(() => import('@/components/pages/DeliveryPricing'))
+const PurchaseOrders = React.lazy(() => import('@/components/pages/PurchaseOrders'))
+const DeliveryDashboard = React.lazy(() => import('@/components/pages/DeliveryDashboard'))
+const RiderDeliveries = React.lazy(() => import('@/components/pages/RiderDeliveries'))
+const Login = React.lazy(() => import('@/components/pages/Login'))
+const ManageUsers = React.lazy(() => import('@/components/pages/ManageUsers'))
+const ReturnsQueue = React.lazy(() => import('@/components/pages/ReturnsQueue'))
 
 // Error boundary component for better error handling
 function LazyErrorBoundary({ children, fallback }) {
@@ -83,24 +92,19 @@ function App() {
     }
   }, []); // Empty dependency array since this function doesn't depend on any props or state
 
-  // Token refresh functionality
+  // Session refresh - rotates the signed-in user's token and extends its expiry
   const refreshAuthToken = useCallback(async () => {
     try {
       setTokenStatus(prev => ({ ...prev, isRefreshing: true }));
       
-      // Simulate token refresh - in real implementation, call auth service
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const now = new Date();
-      const nextRefresh = new Date(now.getTime() + 50 * 60 * 1000); // 50 minutes
+      const session = await authService.refreshSession();
       
       setTokenStatus({
-        lastRefresh: now.toISOString(),
-        nextRefresh: nextRefresh.toISOString(),
+        lastRefresh: session ? new Date().toISOString() : null,
+        nextRefresh: session ? new Date(Date.now() + 50 * 60 * 1000).toISOString() : null,
+        expiresAt: session?.expiresAt || null,
         isRefreshing: false
       });
-      
-      console.log('Auth token refreshed successfully at:', now.toISOString());
     } catch (error) {
       console.error('Token refresh failed:', error);
       setTokenStatus(prev => ({ ...prev, isRefreshing: false }));
@@ -297,7 +301,11 @@ function App() {
                   <Route index element={<Home />} />
                   <Route path="product/:productId" element={<ProductDetail />} />
                   <Route path="cart" element={<Cart />} />
-                  <Route path="checkout" element={<Checkout />} />
+                  <Route path="checkout" element={
+                    <RequireAuth>
+                      <Checkout />
+                    </RequireAuth>
+                  } />
                   
                   {/* Lazy loaded routes */}
                   <Route path="category/:categoryName" element={
@@ -305,80 +313,156 @@ function App() {
                       <Category />
                     </Suspense>
                   } />
-                  <Route path="orders" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <Orders />
-                    </Suspense>
-                  } />
-                  <Route path="orders/:orderId" element={
+                  <Route path="login" element={
                     <Suspense fallback={<Loading type="page" />}>
-                      <OrderTracking />
+                      <Login />
                     </Suspense>
                   } />
-                  <Route path="account" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <Account />
-                    </Suspense>
+                  {/* Signed-in customers and staff */}
+                  <Route element={<RequireAuth />}>
+                    <Route path="orders" element={
+                      <Suspense fallback={<Loading type="page" />}>
+                        <Orders />
+                      </Suspense>
+                    } />
+                    <Route path="orders/:orderId" element={
+                      <Suspense fallback={<Loading type="page" />}>
+                        <OrderTracking />
+                      </Suspense>
+                    } />
+                    <Route path="account" element={
+                      <Suspense fallback={<Loading type="page" />}>
+                        <Account />
+                      </Suspense>
+                    } />
+                  </Route>
+                  {/* Riders */}
+                  <Route path="rider" element={
+                    <RequireAuth permission="rider_app:use">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <RiderDeliveries />
+                      </Suspense>
+                    </RequireAuth>
                   } />
-<Route path="admin" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <AdminDashboard />
-                    </Suspense>
+                  {/* Admin area - each page guarded by its permission in the role matrix */}
+                  <Route path="admin" element={
+                    <RequireAuth permission="dashboard:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <AdminDashboard />
+                      </Suspense>
+                    </RequireAuth>
                   } />
                   <Route path="admin/dashboard" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <AdminDashboard />
-                    </Suspense>
+                    <RequireAuth permission="dashboard:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <AdminDashboard />
+                      </Suspense>
+                    </RequireAuth>
                   } />
                   <Route path="admin/pos" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <POS />
-                    </Suspense>
+                    <RequireAuth permission="pos:use">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <POS />
+                      </Suspense>
+                    </RequireAuth>
+                  } />
+                  <Route path="admin/financial-dashboard" element={
+                    <RequireAuth permission="financial_dashboard:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <FinancialDashboard />
+                      </Suspense>
+                    </RequireAuth>
+                  } />
+                  <Route path="admin/payments" element={
+                    <RequireAuth permission="payments:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <PaymentManagement />
+                      </Suspense>
+                    </RequireAuth>
+                  } />
+                  <Route path="admin/returns" element={
+                    <RequireAuth permission="returns:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <ReturnsQueue />
+                      </Suspense>
+                    </RequireAuth>
+                  } />
+                  <Route path="admin/payroll" element={
+                    <RequireAuth permission="payroll:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <PayrollManagement />
+                      </Suspense>
+                    </RequireAuth>
                   } />
                   <Route path="admin/delivery-dashboard" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <DeliveryTracking />
-                    </Suspense>
+                    <RequireAuth permission="deliveries:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <DeliveryTracking />
+                      </Suspense>
+                    </RequireAuth>
                   } />
-                  <Route path="admin/analytics" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <Analytics />
-                    </Suspense>
+                  <Route path="admin/delivery-planning" element={
+                    <RequireAuth permission="deliveries:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <DeliveryDashboard />
+                      </Suspense>
+                    </RequireAuth>
                   } />
-                  <Route path="admin/financial-dashboard" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <FinancialDashboard />
-                    </Suspense>
+                  <Route path="admin/delivery-pricing" element={
+                    <RequireAuth permission="delivery_pricing:edit">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <DeliveryPricing />
+                      </Suspense>
+                    </RequireAuth>
                   } />
-                  <Route path="admin/payments" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <PaymentManagement />
-                    </Suspense>
+                  <Route path="admin/purchase-orders" element={
+                    <RequireAuth permission="purchase_orders:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <PurchaseOrders />
+                      </Suspense>
+                    </RequireAuth>
                   } />
-                  <Route path="admin/ai-generate" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <AIGenerate />
-                    </Suspense>
+                  <Route path="admin/analytics" element={
+                    <RequireAuth permission="analytics:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <Analytics />
+                      </Suspense>
+                    </RequireAuth>
                   } />
-<Route path="admin/payroll" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <PayrollManagement />
-                    </Suspense>
+                  <Route path="admin/ai-generate" element={
+                    <RequireAuth permission="ai_generate:use">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <AIGenerate />
+                      </Suspense>
+                    </RequireAuth>
                   } />
                   <Route path="admin/products" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <ManageProducts />
-                    </Suspense>
+                    <RequireAuth permission="products:view">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <ManageProducts />
+                      </Suspense>
+                    </RequireAuth>
                   } />
                   <Route path="admin/products/add" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <AddProduct />
-                    </Suspense>
+                    <RequireAuth permission="products:edit">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <AddProduct />
+                      </Suspense>
+                    </RequireAuth>
                   } />
                   <Route path="admin/products/edit/:id" element={
-                    <Suspense fallback={<Loading type="page" />}>
-                      <EditProduct />
-                    </Suspense>
+                    <RequireAuth permission="products:edit">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <EditProduct />
+                      </Suspense>
+                    </RequireAuth>
+                  } />
+                  <Route path="admin/users" element={
+                    <RequireAuth permission="users:manage">
+                      <Suspense fallback={<Loading type="page" />}>
+                        <ManageUsers />
+                      </Suspense>
+                    </RequireAuth>
                   } />
                 </Route>
               </Routes>
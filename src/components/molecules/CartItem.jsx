@@ -3,23 +3,28 @@ import { useDispatch } from 'react-redux';
 import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
-import { updateQuantity, removeFromCart, updateQuantityWithValidation } from '@/store/cartSlice';
+import { updateQuantity, removeFromCart, updateQuantityWithValidation, getCartLineKey } from '@/store/cartSlice';
+import { formatQuantity, getQuantityRules, roundQuantity } from '@/services/api/productService';
 
 const CartItem = ({ item }) => {
   const dispatch = useDispatch();
 
+  const lineKey = item.lineKey || getCartLineKey(item.id, item.variantId);
+  const { step, min, isWeighed } = getQuantityRules(item);
+
 const handleQuantityChange = async (newQuantity) => {
     if (newQuantity === 0) {
-      dispatch(removeFromCart(item.id));
+      dispatch(removeFromCart(lineKey));
       toast.success(`${item.name} removed from cart`);
     } else if (newQuantity > 0) {
       // Use validation thunk for real-time stock checking
       try {
         await dispatch(updateQuantityWithValidation({ 
           productId: item.id, 
+          variantId: item.variantId || null,
           quantity: newQuantity 
         })).unwrap();
-        toast.info(`${item.name} quantity updated to ${newQuantity}`);
+        toast.info(`${item.name} quantity updated to ${formatQuantity(newQuantity, isWeighed ? item.unit : '')}`);
       } catch (error) {
         // Error already handled by the thunk with toast notification
       }
@@ -27,7 +32,7 @@ const handleQuantityChange = async (newQuantity) => {
   };
 
 const handleRemove = () => {
-    dispatch(removeFromCart(item.id));
+    dispatch(removeFromCart(lineKey));
     toast.success(`${item.name} removed from cart`);
   };
 
@@ -51,6 +56,9 @@ return (
 
       <div className="flex-1 min-w-0">
         <h4 className="font-medium text-gray-900 truncate">{item.name}</h4>
+        {item.variantName && (
+          <p className="text-xs text-gray-600">{item.variantName}</p>
+        )}
         <p className="text-sm text-gray-500">Rs. {item.price.toLocaleString()}/{item.unit}</p>
         {item.stock <= 10 && item.stock > 0 && (
           <p className="text-xs text-orange-600 flex items-center mt-1">
@@ -68,11 +76,11 @@ return (
       
 <div className="flex items-center space-x-1 sm:space-x-2">
         <button
-          onClick={() => handleQuantityChange(item.quantity - 1)}
-          disabled={item.quantity <= 1}
+          onClick={() => handleQuantityChange(roundQuantity(item.quantity - step))}
+          disabled={item.quantity <= min}
           className={`
             w-9 h-9 rounded-lg border-2 shadow-sm transition-all duration-200 flex items-center justify-center
-            ${item.quantity <= 1 
+            ${item.quantity <= min 
               ? 'bg-gray-100 border-gray-200 text-gray-400 cursor-not-allowed' 
               : 'bg-red-50 border-red-200 text-red-600 hover:bg-red-100 hover:border-red-300 hover:scale-110 hover:shadow-md active:scale-95'
             }
@@ -81,16 +89,16 @@ return (
           <ApperIcon name="Minus" size={16} />
         </button>
         
-        <span className={`w-10 text-center font-semibold text-lg transition-all duration-300 ${item.isUpdating ? 'scale-110 text-primary' : ''}`}>
-          {item.quantity}
+        <span className={`${isWeighed ? 'w-16' : 'w-10'} text-center font-semibold text-lg transition-all duration-300 ${item.isUpdating ? 'scale-110 text-primary' : ''}`}>
+          {formatQuantity(item.quantity, isWeighed ? item.unit : '')}
         </span>
         
         <button
-          onClick={() => handleQuantityChange(item.quantity + 1)}
-          disabled={item.quantity >= item.stock || item.stock === 0}
+          onClick={() => handleQuantityChange(roundQuantity(item.quantity + step))}
+          disabled={item.quantity + step > item.stock || item.stock === 0}
           className={`
             w-9 h-9 rounded-lg border-2 shadow-sm transition-all duration-200 flex items-center justify-center
-            ${item.quantity >= item.stock || item.stock === 0
+            ${item.quantity + step > item.stock || item.stock === 0
               ? 'bg-gray-100 border-gray-200 text-gray-400 cursor-not-allowed' 
               : 'bg-green-50 border-green-200 text-green-600 hover:bg-green-100 hover:border-green-300 hover:scale-110 hover:shadow-md active:scale-95'
             }
@@ -102,7 +110,7 @@ return (
       
       <div className="text-right min-w-0">
         <p className={`font-semibold text-lg gradient-text transition-all duration-300 ${item.isUpdating ? 'scale-105' : ''}`}>
-          Rs. {(item.price * item.quantity).toLocaleString()}
+          Rs. {(Math.round(item.price * item.quantity * 100) / 100).toLocaleString()}
         </p>
         
         <Button
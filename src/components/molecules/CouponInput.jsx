@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+
+const CouponInput = ({ appliedCode, error, onApply, onRemove, className = '' }) => {
+  const [code, setCode] = useState('');
+
+  const handleApply = () => {
+    if (!code.trim()) return;
+    onApply(code.trim().toUpperCase());
+    setCode('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleApply();
+    }
+  };
+
+  if (appliedCode && !error) {
+    return (
+      <div className={`flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-3 py-2 ${className}`}>
+        <div className="flex items-center space-x-2 text-green-700">
+          <ApperIcon name="Tag" size={16} />
+          <span className="text-sm font-medium">{appliedCode} applied</span>
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-sm text-gray-500 hover:text-red-600 transition-colors"
+        >
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Coupon code"
+          className="input-field flex-1 uppercase"
+        />
+        <Button type="button" variant="outline" size="small" onClick={handleApply} disabled={!code.trim()}>
+          Apply
+        </Button>
+      </div>
+      {appliedCode && error && (
+        <p className="text-sm text-red-600 flex items-center">
+          <ApperIcon name="AlertCircle" size={16} className="mr-1" />
+          {appliedCode}: {error}
+          <button type="button" onClick={onRemove} className="ml-2 underline">
+            Clear
+          </button>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CouponInput;
@@ -0,0 +1,61 @@
+import React from 'react';
+import ApperIcon from '@/components/ApperIcon';
+import { deliverySlotService } from '@/services/api/deliverySlotService';
+
+const DeliverySlotPicker = ({ slots, selected, onSelect, loading = false, error, className = '' }) => {
+  if (loading) {
+    return (
+      <div className={`flex items-center space-x-2 text-gray-600 ${className}`}>
+        <ApperIcon name="Loader2" size={16} className="animate-spin" />
+        <span className="text-sm">Loading delivery slots...</span>
+      </div>
+    );
+  }
+
+  if (slots.length === 0) {
+    return (
+      <div className={`bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800 ${className}`}>
+        All delivery slots are fully booked right now. Please check back later.
+      </div>
+    );
+  }
+
+  const slotsByDate = slots.reduce((groups, slot) => {
+    (groups[slot.date] = groups[slot.date] || []).push(slot);
+    return groups;
+  }, {});
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {Object.entries(slotsByDate).map(([date, daySlots]) => (
+        <div key={date}>
+          <p className="text-sm font-medium text-gray-700 mb-2">{deliverySlotService.formatDate(date)}</p>
+          <div className="grid grid-cols-2 gap-2">
+            {daySlots.map(slot => {
+              const isSelected = selected?.slotId === slot.slotId && selected?.date === slot.date;
+              return (
+                <button
+                  key={`${slot.date}-${slot.slotId}`}
+                  type="button"
+                  onClick={() => onSelect(slot)}
+                  className={`text-left p-3 rounded-lg border-2 transition-colors ${
+                    isSelected ? 'border-primary bg-primary/5' : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  <p className="font-medium text-gray-900">{slot.label}</p>
+                  <p className="text-sm text-gray-600">{slot.startTime} – {slot.endTime}</p>
+                  {slot.remaining <= 3 && (
+                    <p className="text-xs text-orange-600 mt-1">Only {slot.remaining} left</p>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default DeliverySlotPicker;
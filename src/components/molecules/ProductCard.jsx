@@ -35,6 +35,9 @@ const ProductCard = memo(({ product }) => {
     return null;
   }, [product.price, product.previousPrice]);
 
+  // Stock held in other shoppers' checkouts isn't available to add
+  const availableStock = product.availableStock ?? product.stock;
+
 return (
     <div
     className="card p-4 cursor-pointer hover:shadow-premium transform hover:scale-102 transition-all duration-300"
@@ -53,9 +56,9 @@ return (
                     backgroundColor: "#f3f4f6"
                 }} />
         </picture>
-        {product.stock <= 10 && product.stock > 0 && <Badge variant="warning" size="small" className="absolute top-2 left-2">Low Stock
+        {availableStock <= 10 && availableStock > 0 && <Badge variant="warning" size="small" className="absolute top-2 left-2">Low Stock
                       </Badge>}
-        {product.stock === 0 && <Badge variant="danger" size="small" className="absolute top-2 left-2">Out of Stock
+        {availableStock <= 0 && <Badge variant="danger" size="small" className="absolute top-2 left-2">Out of Stock
                       </Badge>}
         {priceChange && <Badge
             variant={priceChange > 0 ? "danger" : "success"}
@@ -84,14 +87,14 @@ return (
         <div className="flex items-center justify-between pt-1">
             <div className="flex items-center space-x-1 text-sm text-gray-600">
                 <ApperIcon name="Package" size={16} />
-                <span>{product.stock} in stock</span>
+                <span>{Math.max(0, availableStock)} available</span>
             </div>
             <Button
                 variant="primary"
                 size="small"
                 icon="Plus"
                 onClick={handleAddToCart}
-                disabled={product.stock === 0 || isLoading}
+                disabled={availableStock <= 0 || isLoading}
                 loading={isLoading}>Add
             </Button>
         </div>
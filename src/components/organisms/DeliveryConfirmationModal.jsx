@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import { orderService } from '@/services/api/orderService';
+import { authService } from '@/services/api/authService';
+import useAuth from '@/hooks/useAuth';
+
+const AUDIT_LABELS = {
+  issued: 'Code issued',
+  reissued: 'New code issued',
+  verified: 'Code verified',
+  failed_attempt: 'Incorrect code',
+  expired_attempt: 'Expired code used',
+  locked: 'Locked after too many attempts',
+  overridden: 'Admin override'
+};
+
+const DeliveryConfirmationModal = ({ order, onClose, onConfirmed }) => {
+  const { can } = useAuth();
+  const canManage = can('deliveries', 'manage');
+  const [otp, setOtp] = useState('');
+  const [overrideReason, setOverrideReason] = useState('');
+  const [showOverride, setShowOverride] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [auditLog, setAuditLog] = useState([]);
+
+  const otpStatus = orderService.getDeliveryOtpStatus(order.id);
+
+  useEffect(() => {
+    loadAudit();
+  }, [order.id]);
+
+  const loadAudit = async () => {
+    try {
+      setAuditLog(await orderService.getDeliveryOtpAudit(order.id));
+    } catch (err) {
+      setAuditLog([]);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await orderService.updateDeliveryStatus(order.id, 'delivered', null, { otp, verifiedBy: authService.getActorName() });
+      toast.success(`Order #${order.id} delivered`);
+      onConfirmed();
+    } catch (err) {
+      toast.error(err.message);
+      loadAudit();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleOverride = async () => {
+    try {
+      setSubmitting(true);
+      await orderService.overrideDeliveryOtp(order.id, overrideReason);
+      await orderService.updateDeliveryStatus(order.id, 'delivered');
+      toast.success(`Order #${order.id} delivered with admin override`);
+      onConfirmed();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReissue = async () => {
+    try {
+      setSubmitting(true);
+      await orderService.reissueDeliveryOtp(order.id, { requestedBy: authService.getActorName() });
+      toast.success('New code sent to the customer');
+      setOtp('');
+      loadAudit();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Confirm Delivery · #{order.id}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        {otpStatus ? (
+          <p className="text-sm text-gray-600 mb-4">
+            Code status: <span className="font-medium capitalize">{otpStatus.status}</span>
+            {otpStatus.status === 'active' && ` · ${otpStatus.attemptsRemaining} attempts left`}
+          </p>
+        ) : (
+          <p className="text-sm text-yellow-700 mb-4">
+            No code has been issued yet. Mark the order out for delivery first, or override below.
+          </p>
+        )}
+
+        {otpStatus && otpStatus.status !== 'locked' && otpStatus.status !== 'expired' && (
+          <form onSubmit={handleConfirm} className="space-y-3 mb-4">
+            <Input
+              label="Customer's Delivery Code"
+              value={otp}
+              onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+              maxLength={4}
+              inputMode="numeric"
+              required
+            />
+            <Button type="submit" className="w-full" icon="CheckCircle" loading={submitting}>
+              Confirm Delivery
+            </Button>
+          </form>
+        )}
+
+        {canManage && otpStatus && ['locked', 'expired'].includes(otpStatus.status) && (
+          <Button variant="outline" className="w-full mb-4" icon="RefreshCw" loading={submitting} onClick={handleReissue}>
+            Issue New Code
+          </Button>
+        )}
+
+        {canManage && (
+          <div className="border-t border-gray-200 pt-4">
+            {showOverride ? (
+              <div className="space-y-3">
+                <Input
+                  label="Override reason"
+                  value={overrideReason}
+                  onChange={(e) => setOverrideReason(e.target.value)}
+                  placeholder="e.g. Customer verified by phone call"
+                  required
+                />
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  icon="ShieldAlert"
+                  loading={submitting}
+                  disabled={!overrideReason.trim()}
+                  onClick={handleOverride}
+                >
+                  Override and Mark Delivered
+                </Button>
+              </div>
+            ) : (
+              <button onClick={() => setShowOverride(true)} className="text-sm text-red-600 hover:underline">
+                Customer can't provide the code? Override as admin
+              </button>
+            )}
+          </div>
+        )}
+
+        {auditLog.length > 0 && (
+          <div className="mt-4">
+            <p className="text-sm font-medium text-gray-700 mb-2">Code history</p>
+            <div className="space-y-1 max-h-40 overflow-y-auto">
+              {auditLog.map(entry => (
+                <div key={entry.id} className="flex justify-between text-xs text-gray-600">
+                  <span>
+                    {AUDIT_LABELS[entry.action] || entry.action}
+                    {entry.by && ` · ${entry.by}`}
+                    {entry.reason && ` · ${entry.reason}`}
+                  </span>
+                  <span>{format(new Date(entry.at), 'hh:mm a')}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryConfirmationModal;
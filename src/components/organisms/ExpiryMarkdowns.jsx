@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import PriceApprovalModal from '@/components/organisms/PriceApprovalModal';
+import productService from '@/services/api/productService';
+import { inventoryService } from '@/services/api/inventoryService';
+import { authService } from '@/services/api/authService';
+import useAuth from '@/hooks/useAuth';
+
+const rowKey = (row) => `${row.productId}:${row.variantId || ''}`;
+const formatExpiry = (expiryDate) => format(new Date(`${expiryDate}T00:00:00`), 'MMM dd');
+
+const ExpiryMarkdowns = ({ onChanged }) => {
+  const { can } = useAuth();
+  const canEdit = can('products', 'edit');
+  const [nearExpiryDays, setNearExpiryDays] = useState(3);
+  const [suggestions, setSuggestions] = useState([]);
+  const [expired, setExpired] = useState([]);
+  const [prices, setPrices] = useState({});
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+  const [pricingApproval, setPricingApproval] = useState(null);
+
+  useEffect(() => {
+    loadReport();
+  }, [nearExpiryDays]);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      const response = await productService.getMarkdownSuggestions({ nearExpiryDays });
+      setSuggestions(response.data);
+      setExpired(response.expired);
+      setPrices(Object.fromEntries(response.data.map(row => [rowKey(row), String(row.suggestedPrice)])));
+      setSelected(Object.fromEntries(response.data.map(row => [rowKey(row), true])));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = async (approval = null) => {
+    const updates = suggestions
+      .filter(row => selected[rowKey(row)])
+      .map(row => ({ productId: row.productId, variantId: row.variantId, price: prices[rowKey(row)] }));
+    if (updates.length === 0) {
+      toast.error('Select at least one markdown to apply');
+      return;
+    }
+    try {
+      setApplying(true);
+      const result = await productService.bulkUpdatePrices({ updates, reason: 'Near-expiry markdown', approval });
+      setPricingApproval(null);
+      toast.success(`Marked down ${result.updatedCount} product${result.updatedCount === 1 ? '' : 's'}`);
+      loadReport();
+      onChanged?.();
+    } catch (err) {
+      if (err.code === 'PRICE_APPROVAL_REQUIRED') {
+        if (approval) toast.error(err.message);
+        setPricingApproval(err.pricing);
+        return;
+      }
+      toast.error(err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleWriteOff = async () => {
+    try {
+      const posted = await inventoryService.writeOffExpired({ user: authService.getActorName() });
+      toast.success(`Wrote off ${posted.length} expired lot${posted.length === 1 ? '' : 's'}`);
+      loadReport();
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-4">
+        <label className="text-sm text-gray-700">Expiring within</label>
+        <select
+          value={nearExpiryDays}
+          onChange={(e) => setNearExpiryDays(parseInt(e.target.value))}
+          className="input-field"
+        >
+          {[1, 2, 3, 5, 7].map(days => (
+            <option key={days} value={days}>{days} day{days === 1 ? '' : 's'}</option>
+          ))}
+        </select>
+        {loading && <ApperIcon name="Loader2" size={16} className="animate-spin text-gray-500" />}
+      </div>
+
+      {expired.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="font-medium text-red-800">
+              {expired.length} expired lot{expired.length === 1 ? '' : 's'} blocked from sale
+            </span>
+            {canEdit && (
+              <Button size="small" variant="danger" icon="Trash2" onClick={handleWriteOff}>
+                Write Off All
+              </Button>
+            )}
+          </div>
+          <div className="text-sm text-red-700 space-y-1">
+            {expired.map(batch => (
+              <div key={batch.id}>
+                {batch.name}{batch.variantId && ` (${batch.variantId})`} · lot {batch.lotNumber} · {batch.remaining} left · expired {formatExpiry(batch.expiryDate)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {suggestions.length === 0 ? (
+        <p className="text-center text-gray-500 py-6">No stock expiring in the next {nearExpiryDays} day{nearExpiryDays === 1 ? '' : 's'}</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2" />
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Lots</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Markdown</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">New Price</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {suggestions.map(row => (
+                  <tr key={rowKey(row)}>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(selected[rowKey(row)])}
+                        onChange={(e) => setSelected(prev => ({ ...prev, [rowKey(row)]: e.target.checked }))}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900">{row.name}</div>
+                      {row.variantName && <div className="text-xs text-gray-500">{row.variantName}</div>}
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">
+                      {row.batches.map(batch => `${batch.lotNumber} (exp ${formatExpiry(batch.expiryDate)})`).join(', ')}
+                    </td>
+                    <td className="px-3 py-2 text-right">{row.nearExpiryQuantity} {row.unit}</td>
+                    <td className="px-3 py-2 text-right">Rs. {row.price.toLocaleString()}</td>
+                    <td className="px-3 py-2 text-right text-orange-600">
+                      {row.daysToExpiry === 0 ? 'Today' : `${row.daysToExpiry}d`} · {row.markdownPercent}%
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        value={prices[rowKey(row)] ?? ''}
+                        onChange={(e) => setPrices(prev => ({ ...prev, [rowKey(row)]: e.target.value }))}
+                        className="input-field w-24 text-right"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {canEdit && (
+            <div className="flex justify-end mt-4">
+              <Button size="small" icon="Tag" onClick={() => handleApply()} loading={applying}>
+                Apply Markdowns
+              </Button>
+            </div>
+          )}
+        </>
+      )}
+
+      {pricingApproval && (
+        <PriceApprovalModal
+          flagged={pricingApproval}
+          onApprove={handleApply}
+          onClose={() => setPricingApproval(null)}
+          loading={applying}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ExpiryMarkdowns;
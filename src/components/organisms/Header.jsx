@@ -4,11 +4,13 @@ import { useSelector } from 'react-redux';
 import ApperIcon from '@/components/ApperIcon';
 import SearchBar from '@/components/molecules/SearchBar';
 import { selectCartItemCount } from '@/store/cartSlice';
+import useAuth from '@/hooks/useAuth';
 
 const Header = ({ isMobileMenuOpen, setIsMobileMenuOpen }) => {
   const navigate = useNavigate();
   const cartCount = useSelector(selectCartItemCount);
   const [searchResults, setSearchResults] = useState([]);
+  const { user, can, logout } = useAuth();
 
   const handleSearch = (searchTerm) => {
     if (searchTerm.trim()) {
@@ -16,6 +18,12 @@ const Header = ({ isMobileMenuOpen, setIsMobileMenuOpen }) => {
     }
 };
 
+  const handleLogout = async () => {
+    await logout();
+    setIsMobileMenuOpen(false);
+    navigate('/');
+  };
+
   return (
     <header className="bg-white shadow-sm border-b border-gray-200 sticky top-0 z-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -39,9 +47,16 @@ const Header = ({ isMobileMenuOpen, setIsMobileMenuOpen }) => {
             <Link to="/orders" className="text-gray-700 hover:text-primary transition-colors">
               Orders
             </Link>
-<Link to="/admin/dashboard" className="text-gray-700 hover:text-primary transition-colors">
-              Admin
-            </Link>
+            {can('rider_app', 'use') && (
+              <Link to="/rider" className="text-gray-700 hover:text-primary transition-colors">
+                Deliveries
+              </Link>
+            )}
+            {can('dashboard', 'view') && (
+              <Link to="/admin/dashboard" className="text-gray-700 hover:text-primary transition-colors">
+                Admin
+              </Link>
+            )}
           </nav>
 
           {/* Search Bar - Desktop */}
@@ -65,12 +80,33 @@ const Header = ({ isMobileMenuOpen, setIsMobileMenuOpen }) => {
             </Link>
 
             {/* Account */}
-            <Link 
-              to="/account" 
-              className="p-2 text-gray-700 hover:text-primary transition-colors"
-            >
-              <ApperIcon name="User" size={24} />
-            </Link>
+            {user ? (
+              <>
+                <Link 
+                  to="/account" 
+                  className="flex items-center space-x-2 p-2 text-gray-700 hover:text-primary transition-colors"
+                  title={`${user.name} (${user.roleLabel})`}
+                >
+                  <ApperIcon name="User" size={24} />
+                  <span className="hidden lg:inline text-sm font-medium">{user.name.split(' ')[0]}</span>
+                </Link>
+                <button
+                  onClick={handleLogout}
+                  className="hidden md:block p-2 text-gray-700 hover:text-primary transition-colors"
+                  title="Sign out"
+                >
+                  <ApperIcon name="LogOut" size={22} />
+                </button>
+              </>
+            ) : (
+              <Link 
+                to="/login" 
+                className="flex items-center space-x-1 p-2 text-gray-700 hover:text-primary transition-colors"
+              >
+                <ApperIcon name="User" size={24} />
+                <span className="hidden md:inline text-sm font-medium">Sign In</span>
+              </Link>
+            )}
 
             {/* Mobile Menu Button */}
             <button
@@ -113,13 +149,40 @@ const Header = ({ isMobileMenuOpen, setIsMobileMenuOpen }) => {
             >
               Orders
             </Link>
-<Link 
-              to="/admin/dashboard" 
-              className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
-              onClick={() => setIsMobileMenuOpen(false)}
-            >
-              Admin
-            </Link>
+            {can('rider_app', 'use') && (
+              <Link 
+                to="/rider" 
+                className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Deliveries
+              </Link>
+            )}
+            {can('dashboard', 'view') && (
+              <Link 
+                to="/admin/dashboard" 
+                className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Admin
+              </Link>
+            )}
+            {user ? (
+              <button
+                onClick={handleLogout}
+                className="block w-full text-left px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
+              >
+                Sign Out ({user.name})
+              </button>
+            ) : (
+              <Link 
+                to="/login" 
+                className="block px-3 py-2 text-gray-700 hover:text-primary hover:bg-gray-50 rounded-lg transition-colors"
+                onClick={() => setIsMobileMenuOpen(false)}
+              >
+                Sign In
+              </Link>
+            )}
           </nav>
         </div>
       )}
@@ -0,0 +1,284 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import { orderService } from '@/services/api/orderService';
+import { idempotencyService } from '@/services/api/idempotencyService';
+
+// Line-item refunds: look up an order, pick quantities per line and whether each goes back on
+// the shelf, optionally add the delivery charge, then pay back to the original method or wallet
+const OrderRefunds = ({ onRefund }) => {
+  const [orderId, setOrderId] = useState('');
+  const [order, setOrder] = useState(null);
+  const [lines, setLines] = useState({});
+  const [refundDeliveryCharge, setRefundDeliveryCharge] = useState(false);
+  const [destination, setDestination] = useState('original');
+  const [reason, setReason] = useState('');
+  const [history, setHistory] = useState([]);
+  const [loadingOrder, setLoadingOrder] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  // One key per refund being prepared, so a double click pays out once
+  const refundKeyRef = useRef(idempotencyService.createKey('refund'));
+
+  useEffect(() => {
+    loadHistory();
+  }, []);
+
+  const loadHistory = async () => {
+    try {
+      setHistory(await orderService.getRefundHistory({ limit: 20 }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const resetForm = (nextOrder) => {
+    setOrder(nextOrder);
+    setLines({});
+    setRefundDeliveryCharge(false);
+    setDestination(nextOrder?.paymentMethod === 'wallet' ? 'wallet' : 'original');
+    setReason('');
+    refundKeyRef.current = idempotencyService.createKey('refund');
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    try {
+      setLoadingOrder(true);
+      resetForm(await orderService.getById(parseInt(orderId)));
+    } catch (err) {
+      resetForm(null);
+      toast.error(err.message);
+    } finally {
+      setLoadingOrder(false);
+    }
+  };
+
+  const refundedQuantities = useMemo(() => (order ? orderService.getRefundedQuantities(order) : {}), [order]);
+
+  const request = {
+    items: Object.entries(lines).map(([index, line]) => ({ index: parseInt(index), quantity: parseFloat(line.quantity) || 0, restock: line.restock })),
+    refundDeliveryCharge
+  };
+
+  let preview = null;
+  let previewError = null;
+  if (order) {
+    try {
+      preview = orderService.calculateRefund(order, request);
+    } catch (err) {
+      previewError = err.message;
+    }
+  }
+
+  const updateLine = (index, changes) => {
+    setLines(prev => ({ ...prev, [index]: { quantity: '', restock: true, ...prev[index], ...changes } }));
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setProcessing(true);
+      const updated = await orderService.processRefund(
+        order.id,
+        { ...request, destination, reason },
+        refundKeyRef.current
+      );
+      const latest = updated.refunds[updated.refunds.length - 1];
+      toast.success(`Refunded Rs. ${latest.amount.toLocaleString()} to ${latest.destination === 'wallet' ? 'wallet' : latest.paymentMethod}`);
+      resetForm(updated);
+      loadHistory();
+      onRefund?.();
+    } catch (err) {
+      toast.error(err.message || 'Failed to process refund');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const deliveryRefunded = (order?.refunds || []).some(refund => refund.deliveryRefund > 0);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="card p-6 lg:col-span-2">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Process Refund</h3>
+        <form onSubmit={handleLookup} className="flex items-end gap-3 mb-6">
+          <div className="flex-1">
+            <Input
+              label="Order ID"
+              type="number"
+              value={orderId}
+              onChange={(e) => setOrderId(e.target.value)}
+              placeholder="Enter order ID"
+              required
+            />
+          </div>
+          <Button type="submit" variant="outline" icon="Search" loading={loadingOrder}>
+            Find Order
+          </Button>
+        </form>
+
+        {order && (
+          <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+              <div>
+                <span className="font-semibold text-gray-900">Order #{order.id}</span>
+                <span className="text-gray-500 ml-2">{order.deliveryAddress?.name} · paid by {order.paymentMethod}</span>
+              </div>
+              <div className="text-gray-600">
+                Total Rs. {(order.total || 0).toLocaleString()}
+                {order.refundedTotal > 0 && (
+                  <span className="ml-2 text-orange-600">(Rs. {order.refundedTotal.toLocaleString()} refunded)</span>
+                )}
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Refundable</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Refund Qty</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stock</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {order.items.map((item, index) => {
+                    const remaining = item.quantity - (refundedQuantities[index] || 0);
+                    return (
+                      <tr key={index} className={remaining <= 0 ? 'opacity-50' : ''}>
+                        <td className="px-4 py-2 text-sm">
+                          <div className="font-medium text-gray-900">{item.name}</div>
+                          <div className="text-xs text-gray-500">Rs. {item.price.toLocaleString()} / {item.unit || 'unit'}</div>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-700">{remaining} of {item.quantity}</td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={remaining}
+                            step="any"
+                            value={lines[index]?.quantity ?? ''}
+                            onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                            disabled={remaining <= 0}
+                            className="input-field w-24"
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <select
+                            value={lines[index]?.restock === false ? 'write_off' : 'restock'}
+                            onChange={(e) => updateLine(index, { restock: e.target.value === 'restock' })}
+                            disabled={remaining <= 0}
+                            className="input-field"
+                          >
+                            <option value="restock">Return to stock</option>
+                            <option value="write_off">Write off</option>
+                          </select>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={refundDeliveryCharge}
+                  onChange={(e) => setRefundDeliveryCharge(e.target.checked)}
+                  disabled={deliveryRefunded || !order.deliveryCharge}
+                  className="w-4 h-4 text-primary border-gray-300 rounded focus:ring-primary"
+                />
+                <span>
+                  Refund delivery charge (Rs. {(order.deliveryCharge || 0).toLocaleString()})
+                  {deliveryRefunded && <span className="text-gray-500"> - already refunded</span>}
+                </span>
+              </label>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Refund to</label>
+                <select
+                  value={destination}
+                  onChange={(e) => setDestination(e.target.value)}
+                  disabled={order.paymentMethod === 'wallet'}
+                  className="input-field w-full"
+                >
+                  <option value="original">Original payment method ({order.paymentMethod})</option>
+                  <option value="wallet">Wallet</option>
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <textarea
+                className="input-field w-full"
+                rows="2"
+                placeholder="Why is this being refunded?"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+            </div>
+
+            <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+              <div className="text-sm">
+                {previewError ? (
+                  <span className="text-red-600">{previewError}</span>
+                ) : (
+                  <>
+                    <div className="text-gray-600">
+                      Items Rs. {(preview?.itemsAmount || 0).toLocaleString()}
+                      {preview?.deliveryRefund > 0 && ` + delivery Rs. ${preview.deliveryRefund.toLocaleString()}`}
+                    </div>
+                    <div className="text-lg font-semibold text-gray-900">Refund Rs. {(preview?.amount || 0).toLocaleString()}</div>
+                  </>
+                )}
+              </div>
+              <Button
+                icon="RefreshCw"
+                onClick={handleSubmit}
+                loading={processing}
+                disabled={!!previewError || !(preview?.amount > 0) || !reason.trim()}
+              >
+                Process Refund
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Refunds</h3>
+        {history.length === 0 ? (
+          <div className="text-center py-8">
+            <ApperIcon name="CheckCircle" size={48} className="text-green-400 mx-auto mb-4" />
+            <p className="text-gray-600">No refunds processed yet</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {history.map(refund => (
+              <div key={refund.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-900">Order #{refund.orderId}</span>
+                  <span className="font-semibold text-orange-600">Rs. {refund.amount.toLocaleString()}</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {refund.items.map(line => `${line.quantity} × ${line.name}`).join(', ')}
+                  {refund.deliveryRefund > 0 && `${refund.items.length ? ', ' : ''}delivery`}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {refund.destination === 'wallet' ? 'To wallet' : `To ${refund.paymentMethod}`} · {refund.processedBy} · {format(new Date(refund.processedAt), 'MMM dd, HH:mm')}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrderRefunds;
@@ -0,0 +1,378 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import { reconciliationService } from '@/services/api/reconciliationService';
+import useAuth from '@/hooks/useAuth';
+
+const STATUS_STYLES = {
+  matched: 'bg-green-100 text-green-800',
+  amount_mismatch: 'bg-red-100 text-red-800',
+  status_mismatch: 'bg-orange-100 text-orange-800',
+  duplicate: 'bg-gray-100 text-gray-700',
+  unknown: 'bg-yellow-100 text-yellow-800',
+  invalid: 'bg-red-100 text-red-800'
+};
+
+const downloadCsv = (content, fileName) => {
+  const blob = new Blob([content], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const formatMoney = (amount) => `Rs. ${(amount || 0).toLocaleString()}`;
+
+// Settlement reconciliation: upload a gateway's settlement CSV, map its columns, match it against
+// our transactions and order payments, and review or download the resulting report
+const PaymentReconciliation = () => {
+  const gateways = reconciliationService.getGateways();
+  const fields = reconciliationService.getFields();
+  const statusLabels = reconciliationService.getMatchStatuses();
+  const { can } = useAuth();
+  const [gatewayId, setGatewayId] = useState(gateways[0].id);
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [running, setRunning] = useState(false);
+
+  const canRun = can('payments', 'verify');
+
+  useEffect(() => {
+    loadReports();
+  }, []);
+
+  const loadReports = async () => {
+    try {
+      setReports(await reconciliationService.getReports());
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = await reconciliationService.parseFile(file);
+      setTable(parsed);
+      setMapping(parsed.mapping);
+    } catch (err) {
+      setTable(null);
+      toast.error(err.message);
+    }
+  };
+
+  const handleMappingChange = (key, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[key];
+      } else {
+        next[key] = parseInt(value);
+      }
+      return next;
+    });
+  };
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      const result = await reconciliationService.reconcile(gatewayId, table, mapping);
+      setReport(result);
+      setStatusFilter('');
+      setTable(null);
+      if (result.summary.discrepancies === 0) {
+        toast.success(`${result.fileName} fully reconciled`);
+      } else {
+        toast.warning(`${result.summary.discrepancies} discrepanc${result.summary.discrepancies === 1 ? 'y' : 'ies'} found`);
+      }
+      loadReports();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleOpenReport = async (reportId) => {
+    try {
+      setReport(await reconciliationService.getReport(reportId));
+      setStatusFilter('');
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    downloadCsv(
+      reconciliationService.buildReportCsv(report),
+      `reconciliation-${report.gatewayId}-${report.period.from}-to-${report.period.to}.csv`
+    );
+  };
+
+  const missingRequired = fields.filter(field => field.required && mapping[field.key] === undefined);
+  const visibleRows = report ? report.rows.filter(row => !statusFilter || row.status === statusFilter) : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Import */}
+      {canRun && (
+        <div className="card p-6">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-lg font-semibold text-gray-900">Import Settlement File</h3>
+            <Button
+              size="sm"
+              variant="ghost"
+              icon="Download"
+              onClick={() => downloadCsv(reconciliationService.getTemplate(), 'settlement-template.csv')}
+            >
+              Template
+            </Button>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Rows are matched to our payments by transaction ID, or by order ID and amount when we never received the gateway's ID.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Gateway</label>
+              <select value={gatewayId} onChange={(e) => setGatewayId(e.target.value)} className="input-field w-full">
+                {gateways.map(gateway => (
+                  <option key={gateway.id} value={gateway.id}>{gateway.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Settlement CSV</label>
+              <label className="input-field w-full flex items-center space-x-2 cursor-pointer text-gray-600">
+                <ApperIcon name="Upload" size={16} />
+                <span className="truncate">{table ? `${table.fileName} · ${table.rows.length} rows` : 'Choose file'}</span>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+              </label>
+            </div>
+          </div>
+
+          {table && (
+            <div className="mt-6">
+              <p className="text-sm font-medium text-gray-700 mb-2">Columns</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {fields.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      {field.label}{field.required && <span className="text-red-500"> *</span>}
+                    </label>
+                    <select
+                      value={mapping[field.key] ?? ''}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                      className="input-field w-full"
+                    >
+                      <option value="">Not in file</option>
+                      {table.headers.map((header, index) => (
+                        <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <div className="flex items-center justify-between mt-4">
+                <span className="text-sm text-red-600">
+                  {missingRequired.length > 0 && `Map ${missingRequired.map(field => field.label).join(', ')}`}
+                </span>
+                <Button icon="Scale" onClick={handleRun} loading={running} disabled={missingRequired.length > 0}>
+                  Run Reconciliation
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Report */}
+      {report && (
+        <div className="card overflow-hidden">
+          <div className="p-6 flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {report.gatewayName} · {report.period.from} to {report.period.to}
+              </h3>
+              <p className="text-sm text-gray-500">
+                {report.fileName} · run by {report.runBy} on {format(new Date(report.runAt), 'MMM dd, HH:mm')}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <Button size="sm" variant="outline" icon="Download" onClick={handleDownloadReport}>
+                Download Report
+              </Button>
+              <Button size="sm" variant="ghost" icon="X" onClick={() => setReport(null)}>
+                Close
+              </Button>
+            </div>
+          </div>
+
+          <div className="px-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Settled Gross</p>
+              <p className="text-lg font-semibold text-gray-900">{formatMoney(report.summary.settledGross)}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Fees (expected {formatMoney(report.summary.expectedFees)})</p>
+              <p className="text-lg font-semibold text-gray-900">{formatMoney(report.summary.settledFees)}</p>
+              {report.summary.feeVariance !== 0 && (
+                <p className="text-xs text-orange-600">Variance {formatMoney(report.summary.feeVariance)}</p>
+              )}
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Net Settled</p>
+              <p className="text-lg font-semibold text-gray-900">{formatMoney(report.summary.netSettled)}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Missing from Settlement</p>
+              <p className={`text-lg font-semibold ${report.summary.missing > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {report.summary.missing} · {formatMoney(report.summary.missingAmount)}
+              </p>
+            </div>
+          </div>
+
+          <div className="px-6 pt-4 flex flex-wrap gap-2">
+            <button
+              onClick={() => setStatusFilter('')}
+              className={`px-3 py-1 rounded-full text-xs font-medium ${statusFilter === '' ? 'bg-primary text-white' : 'bg-gray-100 text-gray-700'}`}
+            >
+              All {report.summary.rowCount}
+            </button>
+            {Object.entries(statusLabels).filter(([status]) => report.summary[status] > 0).map(([status, label]) => (
+              <button
+                key={status}
+                onClick={() => setStatusFilter(status)}
+                className={`px-3 py-1 rounded-full text-xs font-medium ${statusFilter === status ? 'bg-primary text-white' : STATUS_STYLES[status]}`}
+              >
+                {label} {report.summary[status]}
+              </button>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto mt-4">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transaction</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Settled</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Fee</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Our Record</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleRows.map(row => (
+                  <tr key={row.rowNumber}>
+                    <td className="px-6 py-4 text-sm text-gray-500">{row.rowNumber}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-mono text-gray-900">{row.transactionId || '—'}</div>
+                      <div className="text-xs text-gray-500">
+                        {row.date ? format(new Date(row.date), 'MMM dd, yyyy') : '—'}
+                        {row.orderId && ` · order ${row.orderId}`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-900">{row.amount !== null ? formatMoney(row.amount) : '—'}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">
+                      {row.fee !== null ? formatMoney(row.fee) : '—'}
+                      {row.expectedFee !== undefined && <div className="text-xs text-gray-500">exp. {formatMoney(row.expectedFee)}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {row.match ? (
+                        <>
+                          <div>{row.match.orderId ? `Order #${row.match.orderId}` : row.match.source} · {formatMoney(row.match.amount)}</div>
+                          <div className="text-xs text-gray-500">{row.match.source} {row.match.status}</div>
+                        </>
+                      ) : '—'}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[row.status]}`}>
+                        {statusLabels[row.status]}
+                      </span>
+                      {row.issues.map((issue, index) => (
+                        <div key={index} className="text-xs text-gray-500 mt-1">{issue}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {visibleRows.length === 0 && (
+            <p className="text-center text-gray-500 py-8">No rows with this result</p>
+          )}
+
+          {report.missing.length > 0 && (
+            <div className="p-6 border-t border-gray-200">
+              <h4 className="font-medium text-gray-900 mb-3 flex items-center space-x-2">
+                <ApperIcon name="AlertTriangle" size={16} className="text-red-600" />
+                <span>Paid but not in this settlement</span>
+              </h4>
+              <div className="space-y-2">
+                {report.missing.map((record, index) => (
+                  <div key={index} className="flex items-center justify-between text-sm border border-red-100 bg-red-50 rounded-lg px-4 py-2">
+                    <div>
+                      <span className="font-medium text-gray-900">{record.orderId ? `Order #${record.orderId}` : record.source}</span>
+                      <span className="text-gray-500 ml-2 font-mono">{record.transactionId || 'no transaction ID'}</span>
+                      <span className="text-gray-500 ml-2">{format(new Date(record.date), 'MMM dd, yyyy')}</span>
+                    </div>
+                    <span className="font-semibold text-red-700">{formatMoney(record.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* History */}
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Past Reconciliations</h3>
+          <Button size="sm" variant="ghost" icon="RefreshCw" onClick={loadReports}>
+            Refresh
+          </Button>
+        </div>
+        {reports.length === 0 ? (
+          <div className="text-center py-8">
+            <ApperIcon name="FileCheck" size={48} className="text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-600">No settlement files reconciled yet</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {reports.map(item => (
+              <button
+                key={item.Id}
+                onClick={() => handleOpenReport(item.Id)}
+                className={`w-full text-left border rounded-lg p-3 text-sm hover:border-primary ${report?.Id === item.Id ? 'border-primary' : 'border-gray-200'}`}
+              >
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-900">#{item.Id} {item.gatewayName} · {item.period.from} to {item.period.to}</span>
+                  <span className={item.summary.discrepancies > 0 ? 'text-orange-600 font-medium' : 'text-green-600 font-medium'}>
+                    {item.summary.discrepancies > 0 ? `${item.summary.discrepancies} discrepancies` : 'Reconciled'}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {item.fileName} · {item.summary.matched} of {item.summary.rowCount} matched · {item.runBy} · {format(new Date(item.runAt), 'MMM dd, HH:mm')}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentReconciliation;
@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import { paymentService } from '@/services/api/paymentService';
+import { paymentWebhookService } from '@/services/api/paymentWebhookService';
+
+const STATUS_STYLES = {
+  processed: 'bg-green-100 text-green-800',
+  duplicate: 'bg-gray-100 text-gray-700',
+  ignored: 'bg-yellow-100 text-yellow-800',
+  unmatched: 'bg-orange-100 text-orange-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+// Webhook secrets per wallet gateway, a mock gateway for sending signed test callbacks and the
+// log of every callback received, each of which can be replayed
+const PaymentWebhooks = ({ onPaymentUpdate }) => {
+  const gateways = paymentWebhookService.getGateways();
+  const [walletConfig, setWalletConfig] = useState({});
+  const [secrets, setSecrets] = useState({});
+  const [events, setEvents] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [mockCallback, setMockCallback] = useState({ gatewayId: 'jazzcash', orderId: '', amount: '', status: 'completed', transactionId: '', tamper: false });
+  const [savingGateway, setSavingGateway] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [replayingId, setReplayingId] = useState(null);
+
+  useEffect(() => {
+    loadConfig();
+  }, []);
+
+  useEffect(() => {
+    loadEvents();
+  }, [statusFilter]);
+
+  const loadConfig = async () => {
+    try {
+      const config = await paymentService.getGatewayConfig();
+      setWalletConfig(config.walletGateways);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const loadEvents = async () => {
+    try {
+      setEvents(await paymentWebhookService.getEvents({ status: statusFilter || null }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleSaveSecret = async (gatewayId) => {
+    try {
+      setSavingGateway(gatewayId);
+      await paymentService.updateGatewayConfig(gatewayId, { webhookSecret: secrets[gatewayId] || '' });
+      setSecrets(prev => ({ ...prev, [gatewayId]: '' }));
+      toast.success('Webhook secret saved');
+      loadConfig();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingGateway(null);
+    }
+  };
+
+  const reportResult = (result) => {
+    const message = `${result.httpStatus} ${result.status}${result.event.reason ? ` - ${result.event.reason}` : ''}`;
+    if (result.status === 'processed') {
+      toast.success(`Callback ${message}`);
+      onPaymentUpdate?.();
+    } else if (result.status === 'duplicate') {
+      toast.info(`Callback ${message}`);
+    } else {
+      toast.warning(`Callback ${message}`);
+    }
+    loadEvents();
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    try {
+      setSending(true);
+      const { gatewayId, orderId, amount, status, transactionId, tamper } = mockCallback;
+      const result = await paymentWebhookService.simulateCallback(
+        gatewayId,
+        { orderId: parseInt(orderId), amount: parseFloat(amount), status, transactionId: transactionId.trim() || null },
+        { tamper }
+      );
+      reportResult(result);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleReplay = async (eventId) => {
+    try {
+      setReplayingId(eventId);
+      reportResult(await paymentWebhookService.replayEvent(eventId));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Secrets */}
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Webhook Secrets</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Callbacks are accepted only when their X-Signature header is a valid HMAC-SHA256 of the body with this secret.
+        </p>
+        <div className="space-y-3">
+          {gateways.map(gateway => (
+            <div key={gateway.id} className="flex flex-col sm:flex-row sm:items-center gap-3">
+              <div className="sm:w-40 flex items-center space-x-2">
+                <ApperIcon
+                  name={walletConfig[gateway.id]?.webhookSecretConfigured ? 'ShieldCheck' : 'ShieldAlert'}
+                  size={16}
+                  className={walletConfig[gateway.id]?.webhookSecretConfigured ? 'text-green-600' : 'text-gray-400'}
+                />
+                <span className="font-medium text-gray-900">{gateway.name}</span>
+              </div>
+              <input
+                type="password"
+                value={secrets[gateway.id] || ''}
+                onChange={(e) => setSecrets(prev => ({ ...prev, [gateway.id]: e.target.value }))}
+                placeholder={walletConfig[gateway.id]?.webhookSecretConfigured ? 'Secret set - enter a new one to rotate' : 'At least 16 characters'}
+                className="input-field flex-1"
+                autoComplete="off"
+              />
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => handleSaveSecret(gateway.id)}
+                loading={savingGateway === gateway.id}
+                disabled={!secrets[gateway.id]}
+              >
+                Save
+              </Button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Mock gateway */}
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Mock Gateway</h3>
+        <p className="text-sm text-gray-600 mb-4">Send a signed callback through the same handler the gateways use.</p>
+        <form onSubmit={handleSend} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Gateway</label>
+            <select
+              value={mockCallback.gatewayId}
+              onChange={(e) => setMockCallback(prev => ({ ...prev, gatewayId: e.target.value }))}
+              className="input-field w-full"
+            >
+              {gateways.map(gateway => (
+                <option key={gateway.id} value={gateway.id}>{gateway.name}</option>
+              ))}
+            </select>
+          </div>
+          <Input
+            label="Order ID"
+            type="number"
+            value={mockCallback.orderId}
+            onChange={(e) => setMockCallback(prev => ({ ...prev, orderId: e.target.value }))}
+            required
+          />
+          <Input
+            label="Amount (Rs.)"
+            type="number"
+            step="0.01"
+            value={mockCallback.amount}
+            onChange={(e) => setMockCallback(prev => ({ ...prev, amount: e.target.value }))}
+            required
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Result</label>
+            <select
+              value={mockCallback.status}
+              onChange={(e) => setMockCallback(prev => ({ ...prev, status: e.target.value }))}
+              className="input-field w-full"
+            >
+              <option value="completed">Paid</option>
+              <option value="pending">Pending</option>
+              <option value="failed">Failed</option>
+            </select>
+          </div>
+          <Input
+            label="Gateway Transaction ID"
+            value={mockCallback.transactionId}
+            onChange={(e) => setMockCallback(prev => ({ ...prev, transactionId: e.target.value }))}
+            placeholder="Generated when empty"
+          />
+          <div className="flex items-end justify-between gap-3">
+            <label className="flex items-center space-x-2 text-sm text-gray-700 pb-2">
+              <input
+                type="checkbox"
+                checked={mockCallback.tamper}
+                onChange={(e) => setMockCallback(prev => ({ ...prev, tamper: e.target.checked }))}
+                className="w-4 h-4 text-primary border-gray-300 rounded focus:ring-primary"
+              />
+              <span>Tamper after signing</span>
+            </label>
+            <Button type="submit" icon="Send" loading={sending}>
+              Send Callback
+            </Button>
+          </div>
+        </form>
+      </div>
+
+      {/* Event log */}
+      <div className="card overflow-hidden">
+        <div className="p-6 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900">Received Callbacks</h3>
+          <div className="flex items-center space-x-2">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="input-field"
+            >
+              <option value="">All results</option>
+              {Object.keys(STATUS_STYLES).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+            <Button size="sm" variant="ghost" icon="RefreshCw" onClick={loadEvents}>
+              Refresh
+            </Button>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gateway / Transaction</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {events.map(event => (
+                <tr key={event.Id}>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {event.Id}
+                    {event.replayOf && <div className="text-xs">replay of #{event.replayOf}</div>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">{format(new Date(event.receivedAt), 'MMM dd, HH:mm:ss')}</td>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">{gateways.find(g => g.id === event.gatewayId)?.name || event.gatewayId}</div>
+                    <div className="text-xs text-gray-500 font-mono">{event.transactionId || '—'}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    {event.orderId ? (
+                      <>
+                        <div>#{event.orderId} · Rs. {event.amount?.toLocaleString()}</div>
+                        <div className="text-xs text-gray-500">payment {event.paymentStatus}</div>
+                      </>
+                    ) : '—'}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[event.status]}`}>
+                      {event.httpStatus} {event.status}
+                    </span>
+                    {event.reason && <div className="text-xs text-gray-500 mt-1">{event.reason}</div>}
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      icon="RotateCcw"
+                      onClick={() => handleReplay(event.Id)}
+                      loading={replayingId === event.Id}
+                    >
+                      Replay
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {events.length === 0 && (
+          <p className="text-center text-gray-500 py-8">No callbacks received yet</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentWebhooks;
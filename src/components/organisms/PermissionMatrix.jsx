@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import { USER_ROLES } from '@/services/api/authService';
+import { permissionService } from '@/services/api/permissionService';
+
+const ROLE_ORDER = ['admin', 'finance_manager', 'finance_clerk', 'cashier', 'rider', 'customer'];
+
+// Resource × action grid with one column per role. Admin is always fully granted and
+// admin-only resources (user management) can't be handed to other roles.
+const PermissionMatrix = () => {
+  const [matrix, setMatrix] = useState(() => permissionService.getMatrix());
+  const [savingKey, setSavingKey] = useState(null);
+  const resources = permissionService.getResources();
+  const roles = ROLE_ORDER.filter(role => USER_ROLES[role]);
+
+  useEffect(() => permissionService.subscribe(setMatrix), []);
+
+  const isGranted = (role, resource, action) =>
+    role === 'admin' || (matrix[role]?.[resource] || []).includes(action);
+
+  const handleToggle = async (role, resource, action) => {
+    const key = `${role}:${resource}:${action}`;
+    try {
+      setSavingKey(key);
+      await permissionService.setPermission(role, resource, action, !isGranted(role, resource, action));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const handleReset = async (role) => {
+    if (!confirm(`Reset ${USER_ROLES[role]} permissions to the defaults?`)) return;
+    try {
+      setSavingKey(role);
+      await permissionService.resetRole(role);
+      toast.success(`${USER_ROLES[role]} permissions reset`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div className="card overflow-hidden">
+      <div className="p-4 border-b border-gray-200 flex items-center space-x-2 text-sm text-gray-600">
+        <ApperIcon name="ShieldCheck" size={16} className="text-primary" />
+        <span>Changes apply immediately to navigation, pages and payment actions for every user with that role.</span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Resource</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+              {roles.map(role => (
+                <th key={role} className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <div>{USER_ROLES[role]}</div>
+                  {role !== 'admin' && (
+                    <button
+                      onClick={() => handleReset(role)}
+                      disabled={savingKey === role}
+                      className="mt-1 text-[10px] normal-case text-primary hover:underline disabled:opacity-50"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {resources.map(resource => resource.actions.map((action, index) => (
+              <tr key={`${resource.key}:${action.key}`} className={index === 0 ? 'border-t-2 border-gray-200' : ''}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                  {index === 0 && (
+                    <span>
+                      {resource.label}
+                      {resource.adminOnly && <span className="ml-2 text-xs text-purple-700">(admin only)</span>}
+                    </span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">{action.label}</td>
+                {roles.map(role => {
+                  const locked = role === 'admin' || resource.adminOnly;
+                  const key = `${role}:${resource.key}:${action.key}`;
+                  return (
+                    <td key={role} className="px-4 py-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={isGranted(role, resource.key, action.key)}
+                        onChange={() => handleToggle(role, resource.key, action.key)}
+                        disabled={locked || savingKey === key}
+                        className="w-4 h-4 text-primary border-gray-300 rounded focus:ring-primary disabled:opacity-50"
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PermissionMatrix;
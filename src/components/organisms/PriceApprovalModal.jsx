@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import useAuth from '@/hooks/useAuth';
+
+// Asks a manager to approve prices the pricing policy flagged (error.pricing from a
+// PRICE_APPROVAL_REQUIRED error) and hands the approval back to retry the save. A signed-in
+// user who may approve only gives a reason; anyone else needs a manager to sign in here.
+const PriceApprovalModal = ({ flagged, onApprove, onClose, loading = false }) => {
+  const { user, can } = useAuth();
+  const canApprove = can('pricing', 'approve');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApprove(canApprove ? { reason } : { email, password, reason });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <ApperIcon name="ShieldAlert" size={20} className="text-orange-600" />
+            <h3 className="text-lg font-semibold">Manager Approval Required</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-3 mb-4">
+          {flagged.map(item => (
+            <div key={`${item.productId}:${item.variantId || ''}`} className="bg-orange-50 border border-orange-200 rounded-lg p-3 text-sm">
+              <div className="flex justify-between font-medium text-gray-900">
+                <span>{item.variantName ? `${item.name} (${item.variantName})` : item.name}</span>
+                <span>Rs. {item.effectivePrice.toLocaleString()}</span>
+              </div>
+              <div className="text-xs text-gray-600 mb-1">
+                Floor Rs. {item.floor.toLocaleString()}
+                {item.marginPercent !== null && ` · margin ${item.marginPercent}%`}
+                {item.overrideReason && ` · ${item.overrideReason}`}
+              </div>
+              <ul className="text-orange-800 list-disc list-inside">
+                {item.violations.map(violation => (
+                  <li key={violation.code}>{violation.message}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {canApprove ? (
+            <p className="text-sm text-gray-600">Approving as {user.name}</p>
+          ) : (
+            <>
+              <Input
+                label="Manager Email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="off"
+                autoFocus
+                required
+              />
+              <Input
+                label="Manager Password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="off"
+                required
+              />
+            </>
+          )}
+          <Input
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. Matching competitor price, damaged packaging"
+            required
+          />
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" icon="ShieldCheck" loading={loading}>
+              Approve
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PriceApprovalModal;
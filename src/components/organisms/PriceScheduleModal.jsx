@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import PriceApprovalModal from '@/components/organisms/PriceApprovalModal';
+import productService from '@/services/api/productService';
+
+const SOURCE_STYLES = {
+  opening: 'bg-gray-100 text-gray-700',
+  manual: 'bg-blue-100 text-blue-800',
+  scheduled: 'bg-purple-100 text-purple-800',
+  sale_start: 'bg-green-100 text-green-800',
+  sale_end: 'bg-yellow-100 text-yellow-800'
+};
+
+const emptySchedule = { type: 'sale', price: '', startsAt: '', endsAt: '', reason: '' };
+const formatDateTime = (value) => format(new Date(value), 'MMM dd, yyyy HH:mm');
+
+const PriceScheduleModal = ({ product, onClose, onChanged }) => {
+  const [variantId, setVariantId] = useState(product.variants?.length ? String(productService.getDefaultVariant(product).id) : null);
+  const [history, setHistory] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptySchedule);
+  const [saving, setSaving] = useState(false);
+  const [pricingApproval, setPricingApproval] = useState(null);
+
+  const sellable = productService.resolveVariant(product, variantId);
+
+  useEffect(() => {
+    loadHistory();
+  }, [product.id, variantId]);
+
+  const loadHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await productService.getPriceHistory(product.id, variantId);
+      setHistory(response.data);
+      setSchedules(response.schedules);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await savePrice();
+  };
+
+  const savePrice = async (approval = null) => {
+    try {
+      setSaving(true);
+      const result = await productService.bulkUpdatePrices({
+        updates: [{ productId: product.id, variantId, price: form.price }],
+        effectiveAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+        endsAt: form.type === 'sale' ? (form.endsAt ? new Date(form.endsAt).toISOString() : null) : null,
+        reason: form.reason,
+        approval
+      });
+      setPricingApproval(null);
+      toast.success(result.scheduled.length > 0 ? result.message : 'Price updated');
+      setForm(emptySchedule);
+      loadHistory();
+      onChanged?.();
+    } catch (err) {
+      if (err.code === 'PRICE_APPROVAL_REQUIRED') {
+        if (approval) toast.error(err.message);
+        setPricingApproval(err.pricing);
+        return;
+      }
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (schedule) => {
+    try {
+      const result = await productService.cancelPriceSchedule(schedule.id);
+      toast.success(result.message);
+      loadHistory();
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">Prices</h3>
+            <p className="text-sm text-gray-600">
+              {product.name} · current price Rs. {sellable.price.toLocaleString()}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        {product.variants?.length > 0 && (
+          <select
+            value={variantId}
+            onChange={(e) => setVariantId(e.target.value)}
+            className="input-field w-full mb-4"
+          >
+            {product.variants.map(variant => (
+              <option key={variant.id} value={variant.id}>{variant.name}</option>
+            ))}
+          </select>
+        )}
+
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-3">
+          <p className="text-sm font-medium text-gray-700">Schedule a Price</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <select
+              value={form.type}
+              onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+              className="input-field"
+            >
+              <option value="sale">Sale price (reverts automatically)</option>
+              <option value="change">Permanent price change</option>
+            </select>
+            <Input
+              type="number"
+              step="any"
+              min="0"
+              value={form.price}
+              onChange={(e) => setForm(prev => ({ ...prev, price: e.target.value }))}
+              placeholder="New price (Rs.)"
+              required
+            />
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Starts (empty = now)</label>
+              <input
+                type="datetime-local"
+                value={form.startsAt}
+                onChange={(e) => setForm(prev => ({ ...prev, startsAt: e.target.value }))}
+                className="input-field w-full"
+              />
+            </div>
+            {form.type === 'sale' && (
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Ends</label>
+                <input
+                  type="datetime-local"
+                  value={form.endsAt}
+                  onChange={(e) => setForm(prev => ({ ...prev, endsAt: e.target.value }))}
+                  className="input-field w-full"
+                  required
+                />
+              </div>
+            )}
+          </div>
+          <Input
+            value={form.reason}
+            onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="Reason (e.g. Weekend offer, supplier price increase)"
+          />
+          <Button type="submit" size="small" icon="CalendarClock" loading={saving}>
+            Save
+          </Button>
+        </form>
+
+        {schedules.length > 0 && (
+          <div className="mb-6">
+            <p className="text-sm font-medium text-gray-700 mb-2">Upcoming & Running</p>
+            <div className="space-y-2">
+              {schedules.map(schedule => (
+                <div key={schedule.id} className="flex items-center justify-between text-sm bg-gray-50 rounded px-3 py-2">
+                  <div>
+                    <span className="font-medium text-gray-900">
+                      {schedule.type === 'sale' ? 'Sale' : 'Change'} to Rs. {schedule.price.toLocaleString()}
+                    </span>
+                    <span className="text-gray-600">
+                      {' '}· {formatDateTime(schedule.startsAt)}
+                      {schedule.endsAt && ` – ${formatDateTime(schedule.endsAt)}`}
+                    </span>
+                    <p className="text-xs text-gray-500">{schedule.reason}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {schedule.status === 'active' && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">running</span>
+                    )}
+                    <button
+                      onClick={() => handleCancel(schedule)}
+                      className="text-red-600 hover:text-red-800"
+                      title={schedule.status === 'active' ? 'End sale now' : 'Cancel'}
+                    >
+                      <ApperIcon name="XCircle" size={16} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <ApperIcon name="Loader2" size={20} className="animate-spin mr-2" />
+            Loading price history...
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">From</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">To</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {history.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatDateTime(entry.effectiveAt)}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SOURCE_STYLES[entry.source]}`}>
+                        {entry.label}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-600">
+                      {entry.previousPrice !== null ? `Rs. ${entry.previousPrice.toLocaleString()}` : '—'}
+                    </td>
+                    <td className="px-3 py-2 text-right font-medium text-gray-900">Rs. {entry.price.toLocaleString()}</td>
+                    <td className="px-3 py-2 text-gray-700">{entry.reason}</td>
+                    <td className="px-3 py-2 text-gray-600">{entry.user}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {pricingApproval && (
+        <PriceApprovalModal
+          flagged={pricingApproval}
+          onApprove={savePrice}
+          onClose={() => setPricingApproval(null)}
+          loading={saving}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PriceScheduleModal;
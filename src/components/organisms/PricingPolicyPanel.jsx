@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import { pricingPolicyService } from '@/services/api/pricingPolicyService';
+import useAuth from '@/hooks/useAuth';
+
+const PricingPolicyPanel = () => {
+  const { can } = useAuth();
+  // Anyone who can open the panel sees the policy and log; changing the policy needs pricing:approve
+  const canManage = can('pricing', 'approve');
+  const [policy, setPolicy] = useState(pricingPolicyService.getPolicy());
+  const [overrides, setOverrides] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadOverrides();
+  }, []);
+
+  const loadOverrides = async () => {
+    try {
+      setLoading(true);
+      setOverrides(await pricingPolicyService.getOverrides());
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setPolicy(await pricingPolicyService.updatePolicy(policy));
+      toast.success('Pricing policy updated');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Margin Target (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={policy.minMarginPercent}
+            onChange={(e) => setPolicy(prev => ({ ...prev, minMarginPercent: e.target.value }))}
+            disabled={!canManage}
+            className="input-field w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Below Minimum / Margin</label>
+          <select
+            value={policy.belowFloorAction}
+            onChange={(e) => setPolicy(prev => ({ ...prev, belowFloorAction: e.target.value }))}
+            disabled={!canManage}
+            className="input-field w-full"
+          >
+            <option value="approval">Manager approval</option>
+            <option value="block">Block</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Below Cost</label>
+          <select
+            value={policy.belowCostAction}
+            onChange={(e) => setPolicy(prev => ({ ...prev, belowCostAction: e.target.value }))}
+            disabled={!canManage}
+            className="input-field w-full"
+          >
+            <option value="block">Block</option>
+            <option value="approval">Manager approval</option>
+          </select>
+        </div>
+      </div>
+      {canManage && (
+        <div className="flex justify-end mb-6">
+          <Button size="small" icon="Save" onClick={handleSave} loading={saving}>
+            Save Policy
+          </Button>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-gray-700">Override Log</p>
+        <button onClick={loadOverrides} className="text-gray-500 hover:text-gray-700" title="Refresh">
+          <ApperIcon name="RefreshCw" size={16} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+      {overrides.length === 0 ? (
+        <p className="text-center text-gray-500 py-6">No prices under the floor have been logged</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Where</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Floor</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rule</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Approved</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {overrides.map(override => (
+                <tr key={override.id}>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-600">{format(new Date(override.createdAt), 'MMM dd, HH:mm')}</td>
+                  <td className="px-3 py-2 text-gray-700">
+                    {override.contextLabel}
+                    {override.reference && <div className="text-xs text-gray-500">{override.reference}</div>}
+                  </td>
+                  <td className="px-3 py-2 font-medium text-gray-900">{override.name}</td>
+                  <td className="px-3 py-2 text-right">Rs. {override.effectivePrice.toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">Rs. {override.floor.toLocaleString()}</td>
+                  <td className="px-3 py-2 text-orange-700">{override.violationLabels.join(', ')}</td>
+                  <td className="px-3 py-2 text-gray-700">
+                    {override.approvedBy || <span className="text-red-600">Not approved</span>}
+                    <div className="text-xs text-gray-500">{override.reason}</div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PricingPolicyPanel;
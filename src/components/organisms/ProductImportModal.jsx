@@ -0,0 +1,298 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import PriceApprovalModal from '@/components/organisms/PriceApprovalModal';
+import { productImportService } from '@/services/api/productImportService';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  unchanged: 'bg-gray-100 text-gray-700',
+  error: 'bg-red-100 text-red-800'
+};
+
+const downloadCsv = (content, fileName) => {
+  const blob = new Blob([content], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const formatValue = (value) => (typeof value === 'number' ? value.toLocaleString() : String(value ?? '—'));
+
+// Upload -> map columns -> dry-run preview -> import, with an error report at either end
+const ProductImportModal = ({ onClose, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [pricingApproval, setPricingApproval] = useState(null);
+
+  const fields = productImportService.getFields();
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setWorking(true);
+      const parsed = await productImportService.parseFile(file);
+      setTable(parsed);
+      setMapping(productImportService.guessMapping(parsed.headers));
+      setStep('mapping');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setWorking(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleMappingChange = (key, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[key];
+      } else {
+        next[key] = parseInt(value);
+      }
+      return next;
+    });
+  };
+
+  const handlePreview = async () => {
+    try {
+      setWorking(true);
+      setPreview(await productImportService.preview(table, mapping));
+      setStep('preview');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async (approval = null) => {
+    try {
+      setWorking(true);
+      const imported = await productImportService.commit(table, mapping, { approval });
+      setPricingApproval(null);
+      setResult(imported);
+      setStep('done');
+      toast.success(`Imported ${imported.created} new and ${imported.updated} updated product${imported.created + imported.updated === 1 ? '' : 's'}`);
+      onImported?.();
+    } catch (err) {
+      if (err.code === 'PRICE_APPROVAL_REQUIRED') {
+        if (approval) toast.error(err.message);
+        setPricingApproval(err.pricing);
+        return;
+      }
+      toast.error(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleErrorReport = (rows) => {
+    downloadCsv(
+      productImportService.buildErrorReport(table, rows),
+      `import-errors-${format(new Date(), 'yyyy-MM-dd-HHmm')}.csv`
+    );
+  };
+
+  const importable = preview ? preview.summary.creates + preview.summary.updates : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-4xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">Import Products</h3>
+            {table && <p className="text-sm text-gray-600">{table.fileName} · {table.rows.length} rows</p>}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        {step === 'upload' && (
+          <div className="space-y-4">
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-10 cursor-pointer hover:border-primary">
+              <ApperIcon name={working ? 'Loader2' : 'Upload'} size={32} className={`text-gray-400 mb-2 ${working ? 'animate-spin' : ''}`} />
+              <span className="text-gray-700 font-medium">Choose a CSV or Excel (.xlsx) file</span>
+              <span className="text-sm text-gray-500">The first row must hold the column names</span>
+              <input type="file" accept=".csv,.xlsx" onChange={handleFile} className="hidden" />
+            </label>
+            <p className="text-sm text-gray-600">
+              Rows with a Product ID or an existing barcode update that product (use a pack size's barcode
+              to change its price or stock); other rows create new products.{' '}
+              <button
+                onClick={() => downloadCsv(productImportService.getTemplate(), 'product-import-template.csv')}
+                className="text-primary hover:underline"
+              >
+                Download template
+              </button>
+            </p>
+          </div>
+        )}
+
+        {step === 'mapping' && (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">Match each product field to a column in your file.</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6">
+              {fields.map(field => (
+                <div key={field.key} className="flex items-center gap-3">
+                  <label className="w-40 text-sm text-gray-700">
+                    {field.label}{field.required && <span className="text-red-500"> *</span>}
+                  </label>
+                  <select
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    className="input-field flex-1"
+                  >
+                    <option value="">— Not imported —</option>
+                    {table.headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mb-4">* Required for new products</p>
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setStep('upload')}>
+                Back
+              </Button>
+              <Button icon="Eye" onClick={handlePreview} loading={working}>
+                Preview Import
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && preview && (
+          <div>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-4 text-center">
+              <div className="bg-green-50 rounded-lg p-3">
+                <p className="text-2xl font-bold text-green-700">{preview.summary.creates}</p>
+                <p className="text-xs text-gray-600">New</p>
+              </div>
+              <div className="bg-blue-50 rounded-lg p-3">
+                <p className="text-2xl font-bold text-blue-700">{preview.summary.updates}</p>
+                <p className="text-xs text-gray-600">Updates</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-2xl font-bold text-gray-700">{preview.summary.unchanged}</p>
+                <p className="text-xs text-gray-600">Unchanged</p>
+              </div>
+              <div className="bg-red-50 rounded-lg p-3">
+                <p className="text-2xl font-bold text-red-700">{preview.summary.errors}</p>
+                <p className="text-xs text-gray-600">Errors</p>
+              </div>
+              <div className="bg-orange-50 rounded-lg p-3">
+                <p className="text-2xl font-bold text-orange-700">{preview.summary.needsApproval}</p>
+                <p className="text-xs text-gray-600">Need Approval</p>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto mb-4 max-h-96">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {preview.rows.map(row => (
+                    <tr key={row.index}>
+                      <td className="px-3 py-2 text-gray-600">{row.rowNumber}</td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[row.action]}`}>
+                          {row.action}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 font-medium text-gray-900">{row.name || '—'}</td>
+                      <td className="px-3 py-2 text-gray-700">
+                        {row.errors.map(message => (
+                          <div key={message} className="text-red-600">{message}</div>
+                        ))}
+                        {row.warnings.map(message => (
+                          <div key={message} className="text-orange-600">{message}</div>
+                        ))}
+                        {row.action === 'update' && row.changes.map(change => (
+                          <div key={change.field} className="text-xs">
+                            {fields.find(field => field.key === change.field)?.label}: {formatValue(change.from)} → {formatValue(change.to)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex flex-wrap justify-between gap-3">
+              <div>
+                {preview.summary.errors > 0 && (
+                  <Button variant="outline" icon="FileWarning" onClick={() => handleErrorReport(preview.rows)}>
+                    Download Error Report
+                  </Button>
+                )}
+              </div>
+              <div className="flex space-x-3">
+                <Button variant="outline" onClick={() => setStep('mapping')}>
+                  Back
+                </Button>
+                <Button icon="Upload" onClick={() => handleImport()} loading={working} disabled={importable === 0}>
+                  Import {importable} Row{importable === 1 ? '' : 's'}
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && result && (
+          <div className="text-center py-6">
+            <ApperIcon name="CheckCircle" size={48} className="text-green-600 mx-auto mb-4" />
+            <p className="text-lg font-medium text-gray-900 mb-1">
+              {result.created} created · {result.updated} updated
+            </p>
+            {result.failed > 0 && (
+              <p className="text-sm text-red-600 mb-4">{result.failed} row{result.failed === 1 ? ' was' : 's were'} not imported</p>
+            )}
+            <div className="flex justify-center space-x-3 mt-4">
+              {result.failed > 0 && (
+                <Button variant="outline" icon="FileWarning" onClick={() => handleErrorReport(result.rows)}>
+                  Download Error Report
+                </Button>
+              )}
+              <Button onClick={onClose}>Done</Button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {pricingApproval && (
+        <PriceApprovalModal
+          flagged={pricingApproval}
+          onApprove={handleImport}
+          onClose={() => setPricingApproval(null)}
+          loading={working}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProductImportModal;
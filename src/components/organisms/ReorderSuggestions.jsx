@@ -0,0 +1,233 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import { reorderService } from '@/services/api/reorderService';
+import { financialService } from '@/services/api/financialService';
+
+const rowKey = (row) => `${row.productId}:${row.variantId || ''}`;
+
+// compact shows the most urgent rows with no editing, for the admin dashboard
+const ReorderSuggestions = ({ compact = false, limit = null }) => {
+  const [plan, setPlan] = useState(null);
+  const [vendors, setVendors] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [edits, setEdits] = useState({});
+  const [settings, setSettings] = useState(reorderService.getSettings());
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    loadPlan();
+  }, []);
+
+  const loadPlan = async () => {
+    try {
+      setLoading(true);
+      const [data, vendorList] = await Promise.all([
+        reorderService.getReorderPlan(),
+        financialService.getVendors()
+      ]);
+      setPlan(data);
+      setVendors(vendorList.filter(v => v.category === 'Supplier'));
+      setSelected(Object.fromEntries(data.suggestions.map(row => [rowKey(row), true])));
+      setEdits({});
+    } catch (err) {
+      toast.error('Failed to load reorder suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      setSettings(await reorderService.updateSettings(settings));
+      loadPlan();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const updateEdit = (row, field, value) => {
+    setEdits(prev => ({ ...prev, [rowKey(row)]: { ...prev[rowKey(row)], [field]: value } }));
+  };
+
+  const handleCreateDrafts = async () => {
+    const lines = plan.suggestions
+      .filter(row => selected[rowKey(row)])
+      .map(row => ({ ...row, ...edits[rowKey(row)] }));
+    try {
+      setCreating(true);
+      const created = await reorderService.createDraftPurchaseOrders(lines);
+      toast.success(`Created ${created.map(po => po.poNumber).join(', ')} as draft${created.length === 1 ? '' : 's'}`);
+      loadPlan();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (loading && !plan) {
+    return (
+      <div className="flex items-center justify-center py-8 text-gray-600">
+        <ApperIcon name="Loader2" size={20} className="animate-spin mr-2" />
+        Working out reorder points...
+      </div>
+    );
+  }
+
+  const rows = limit ? plan.suggestions.slice(0, limit) : plan.suggestions;
+  const selectedCount = plan.suggestions.filter(row => selected[rowKey(row)]).length;
+
+  return (
+    <div>
+      {!compact && (
+        <div className="flex flex-wrap items-end gap-3 mb-4">
+          <label className="text-sm text-gray-700">
+            Sales history (days)
+            <input
+              type="number"
+              min="1"
+              value={settings.lookbackDays}
+              onChange={(e) => setSettings({ ...settings, lookbackDays: e.target.value })}
+              className="input-field w-24 block mt-1"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Safety stock (days)
+            <input
+              type="number"
+              min="0"
+              value={settings.safetyDays}
+              onChange={(e) => setSettings({ ...settings, safetyDays: e.target.value })}
+              className="input-field w-24 block mt-1"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Order cover (days)
+            <input
+              type="number"
+              min="0"
+              value={settings.coverDays}
+              onChange={(e) => setSettings({ ...settings, coverDays: e.target.value })}
+              className="input-field w-24 block mt-1"
+            />
+          </label>
+          <Button size="small" variant="outline" onClick={handleSaveSettings}>Recalculate</Button>
+          <p className="text-xs text-gray-500 w-full">
+            Velocity from orders and POS sales {format(new Date(plan.window.since), 'MMM dd')} – {format(new Date(plan.window.asOf), 'MMM dd, yyyy')}.
+            Reorder point = daily sales × vendor lead time + safety stock; stock already on open purchase orders counts towards it.
+          </p>
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="text-center py-8">
+          <ApperIcon name="CheckCircle" size={40} className="text-green-500 mx-auto mb-3" />
+          <p className="text-gray-600">Nothing is below its reorder point</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {!compact && <th className="px-3 py-2" />}
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Stock</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Sold / day</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cover</th>
+                {!compact && <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Reorder Point</th>}
+                {!compact && <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">On Order</th>}
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Order Qty</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Vendor</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map(row => {
+                const edit = edits[rowKey(row)] || {};
+                return (
+                  <tr key={rowKey(row)}>
+                    {!compact && (
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(selected[rowKey(row)])}
+                          onChange={(e) => setSelected(prev => ({ ...prev, [rowKey(row)]: e.target.checked }))}
+                        />
+                      </td>
+                    )}
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900">{row.name}</div>
+                      {row.variantName && <div className="text-xs text-gray-500">{row.variantName}</div>}
+                    </td>
+                    <td className={`px-3 py-2 text-right ${row.stock <= row.safetyStock ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                      {row.stock} {row.unit}
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-900">{row.dailyVelocity}</td>
+                    <td className="px-3 py-2 text-right text-gray-900">{row.daysOfCover} days</td>
+                    {!compact && <td className="px-3 py-2 text-right text-gray-900">{row.reorderPoint}</td>}
+                    {!compact && <td className="px-3 py-2 text-right text-gray-900">{row.onOrder || '—'}</td>}
+                    <td className="px-3 py-2 text-right">
+                      {compact ? (
+                        <span className="font-semibold">{row.suggestedQuantity}</span>
+                      ) : (
+                        <input
+                          type="number"
+                          min="0"
+                          value={edit.quantity ?? row.suggestedQuantity}
+                          onChange={(e) => updateEdit(row, 'quantity', e.target.value)}
+                          className="input-field w-24 text-right"
+                        />
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      {compact ? (
+                        <span className="text-gray-700">{row.vendorName || 'No vendor'}</span>
+                      ) : (
+                        <select
+                          value={edit.vendorId ?? row.vendorId ?? ''}
+                          onChange={(e) => updateEdit(row, 'vendorId', e.target.value)}
+                          className="input-field"
+                        >
+                          <option value="">Choose vendor...</option>
+                          {vendors.map(vendor => (
+                            <option key={vendor.Id} value={vendor.Id}>
+                              {vendor.name}{vendor.leadTimeDays ? ` (${vendor.leadTimeDays}d)` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {plan.suggestions.length > 0 && (
+        <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+          {compact && plan.suggestions.length > rows.length ? (
+            <Link to="/admin/products?reorder=true" className="text-sm text-primary hover:text-primary-dark">
+              {plan.suggestions.length - rows.length} more to review
+            </Link>
+          ) : <span />}
+          <div className="flex gap-2">
+            <Link to="/admin/purchase-orders">
+              <Button size="small" variant="ghost">Purchase Orders</Button>
+            </Link>
+            <Button size="small" icon="ClipboardList" onClick={handleCreateDrafts} loading={creating} disabled={selectedCount === 0}>
+              Create Draft POs ({selectedCount})
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Link, Navigate, Outlet, useLocation } from 'react-router-dom';
+import ApperIcon from '@/components/ApperIcon';
+import useAuth from '@/hooks/useAuth';
+import { USER_ROLES } from '@/services/api/authService';
+import { parsePermission, PERMISSION_RESOURCES, ACTION_LABELS } from '@/services/api/permissionService';
+
+// Route guard: sends signed-out visitors to /login (and back again afterwards) and shows an
+// access-denied screen when the signed-in user lacks `permission` ("resource:action") or isn't
+// one of `roles`. Wraps child routes via <Outlet /> or a single element passed as children.
+const RequireAuth = ({ roles = null, permission = null, children }) => {
+  const { user, can } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  const { resource, action } = permission ? parsePermission(permission) : {};
+  const allowed = (!roles || roles.includes(user.role)) && (!permission || can(resource, action));
+
+  if (!allowed) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <ApperIcon name="ShieldAlert" size={32} className="text-red-600" />
+        </div>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Access Denied</h1>
+        <p className="text-gray-600 mb-6">
+          {permission
+            ? `This page needs the "${ACTION_LABELS[action] || action} ${PERMISSION_RESOURCES[resource]?.label || resource}" permission.`
+            : `This page is for ${roles.map(role => USER_ROLES[role]).join(', ')} accounts.`}
+          {' '}You are signed in as {user.name} ({user.roleLabel}).
+        </p>
+        <Link to="/" className="btn-primary inline-block">
+          Back to Shop
+        </Link>
+      </div>
+    );
+  }
+
+  return children || <Outlet />;
+};
+
+export default RequireAuth;
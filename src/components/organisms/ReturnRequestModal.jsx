@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import { orderService } from '@/services/api/orderService';
+import { paymentService } from '@/services/api/paymentService';
+import { returnService, RETURN_REASONS, MAX_RETURN_PHOTOS } from '@/services/api/returnService';
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read photo'));
+  reader.readAsDataURL(file);
+});
+
+// Customer-side "Report a problem": pick the affected items, attach photos and say whether
+// a refund or a replacement is preferred
+const ReturnRequestModal = ({ order, onClose, onSubmitted }) => {
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('damaged');
+  const [description, setDescription] = useState('');
+  const [preferredResolution, setPreferredResolution] = useState('refund');
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const refunded = orderService.getRefundedQuantities(order);
+
+  const handlePhotoChange = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    for (const file of files.slice(0, MAX_RETURN_PHOTOS - photos.length)) {
+      try {
+        // Quick check before upload; the service validates and scans again on submit
+        const validation = await paymentService.validateImageUpload(file);
+        if (!validation.isValid) {
+          toast.error(validation.error);
+          continue;
+        }
+        const url = await readFileAsDataUrl(file);
+        setPhotos(prev => [...prev, { file, url }]);
+      } catch (err) {
+        toast.error(err.message);
+      }
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const returnRequest = await returnService.createRequest(order.id, {
+        items: Object.entries(quantities).map(([index, quantity]) => ({ index: parseInt(index), quantity })),
+        reason,
+        description,
+        preferredResolution,
+        photos
+      });
+      toast.success(`Return ${returnRequest.rmaNumber} submitted. We'll review it shortly.`);
+      onSubmitted?.(returnRequest);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const hasItems = Object.values(quantities).some(quantity => parseFloat(quantity) > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Report a Problem</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Which items? (Order #{order.id})</p>
+            <div className="space-y-2">
+              {order.items.map((item, index) => {
+                const available = item.quantity - (refunded[index] || 0);
+                return (
+                  <div key={index} className="flex items-center justify-between">
+                    <div>
+                      <p className="text-sm text-gray-900">{item.name}</p>
+                      <p className="text-xs text-gray-500">{available} of {item.quantity} returnable</p>
+                    </div>
+                    <input
+                      type="number"
+                      min="0"
+                      max={available}
+                      step="any"
+                      value={quantities[index] ?? ''}
+                      onChange={(e) => setQuantities(prev => ({ ...prev, [index]: e.target.value }))}
+                      disabled={available <= 0}
+                      className="input-field w-20"
+                      placeholder="0"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">What went wrong?</label>
+            <select value={reason} onChange={(e) => setReason(e.target.value)} className="input-field w-full">
+              {Object.entries(RETURN_REASONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Details</label>
+            <textarea
+              className="input-field w-full"
+              rows="2"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="e.g. Two eggs in the tray were cracked"
+              required={reason === 'other'}
+            />
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Photos ({photos.length}/{MAX_RETURN_PHOTOS})</p>
+            <div className="flex flex-wrap gap-2">
+              {photos.map((photo, index) => (
+                <div key={index} className="relative">
+                  <img src={photo.url} alt={photo.file.name} className="w-20 h-20 object-cover rounded-lg border border-gray-200" />
+                  <button
+                    type="button"
+                    onClick={() => setPhotos(prev => prev.filter((_, i) => i !== index))}
+                    className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-500 hover:text-red-600"
+                  >
+                    <ApperIcon name="X" size={14} />
+                  </button>
+                </div>
+              ))}
+              {photos.length < MAX_RETURN_PHOTOS && (
+                <label className="w-20 h-20 flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg cursor-pointer text-gray-500 hover:border-primary hover:text-primary">
+                  <ApperIcon name="Camera" size={20} />
+                  <span className="text-xs mt-1">Add</span>
+                  <input type="file" accept="image/*" multiple onChange={handlePhotoChange} className="hidden" />
+                </label>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">I'd like</p>
+            <div className="flex space-x-4">
+              {[['refund', 'A refund'], ['replacement', 'A replacement']].map(([value, label]) => (
+                <label key={value} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="preferredResolution"
+                    value={value}
+                    checked={preferredResolution === value}
+                    onChange={() => setPreferredResolution(value)}
+                    className="text-primary focus:ring-primary"
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex space-x-3">
+            <Button type="button" variant="outline" className="flex-1" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" className="flex-1" icon="Send" loading={submitting} disabled={!hasItems || photos.length === 0}>
+              Submit Return
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReturnRequestModal;
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import { dispatchService } from '@/services/api/dispatchService';
+
+const FACTOR_LABELS = {
+  zone: 'Zone',
+  distance: 'Distance',
+  load: 'Load',
+  vehicle: 'Vehicle',
+  rating: 'Rating'
+};
+
+// With a returnRequest the same ranking is used to send a rider to collect returned goods
+const RiderAssignmentModal = ({ order, returnRequest = null, onClose, onAssigned }) => {
+  const [loading, setLoading] = useState(true);
+  const [assigning, setAssigning] = useState(false);
+  const [suggestion, setSuggestion] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [overrideRiderId, setOverrideRiderId] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+
+  useEffect(() => {
+    loadSuggestion();
+  }, [order.id]);
+
+  const loadSuggestion = async () => {
+    try {
+      setLoading(true);
+      const result = returnRequest
+        ? await dispatchService.suggestPickup(returnRequest.Id)
+        : await dispatchService.suggestAssignment(order.id);
+      setSuggestion(result.suggestion);
+      setCandidates(result.candidates);
+    } catch (err) {
+      toast.error('Failed to load rider suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAssign = async (riderId) => {
+    try {
+      setAssigning(true);
+      const options = {
+        suggestion,
+        reason: riderId === suggestion?.riderId ? '' : overrideReason
+      };
+      if (returnRequest) {
+        await dispatchService.assignPickup(returnRequest.Id, riderId, options);
+        toast.success(`Pickup for ${returnRequest.rmaNumber} scheduled`);
+      } else {
+        await dispatchService.assignRider(order.id, riderId, options);
+        toast.success('Delivery personnel assigned successfully');
+      }
+      onAssigned();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const renderBreakdown = (candidate) => (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {Object.entries(candidate.breakdown).map(([factor, points]) => (
+        <span key={factor} className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded">
+          {FACTOR_LABELS[factor]} {points}
+        </span>
+      ))}
+    </div>
+  );
+
+  const alternatives = candidates.filter(c => c.riderId !== suggestion?.riderId);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{returnRequest ? 'Schedule Return Pickup' : 'Assign Delivery Personnel'}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          {returnRequest ? `${returnRequest.rmaNumber} from` : `Order #${order.id} to`} {order.deliveryAddress?.city || 'unknown city'}
+          {order.deliveryZone && ` · ${order.deliveryZone}`}
+        </p>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <ApperIcon name="Loader2" size={20} className="animate-spin mr-2" />
+            Finding the best rider...
+          </div>
+        ) : (
+          <>
+            {suggestion ? (
+              <div className="border-2 border-primary rounded-lg p-4 mb-4 bg-primary/5">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-xs font-medium text-primary uppercase mb-1">Suggested</p>
+                    <p className="font-medium text-gray-900">{suggestion.rider.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {suggestion.rider.zone} · {suggestion.rider.vehicleType}
+                      {suggestion.distanceKm !== null && ` · ${suggestion.distanceKm} km away`}
+                      {` · ${suggestion.activeOrders}/${suggestion.maxActiveOrders} orders`}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-2xl font-bold text-primary">{suggestion.score}</p>
+                    <p className="text-xs text-gray-500">score</p>
+                  </div>
+                </div>
+                {renderBreakdown(suggestion)}
+                <Button
+                  className="w-full mt-4"
+                  icon="Check"
+                  loading={assigning}
+                  onClick={() => handleAssign(suggestion.riderId)}
+                >
+                  Accept Suggestion
+                </Button>
+              </div>
+            ) : (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4 text-sm text-yellow-800">
+                No rider meets every dispatch rule. You can still assign one manually below.
+              </div>
+            )}
+
+            {alternatives.length > 0 && (
+              <>
+                <p className="text-sm font-medium text-gray-700 mb-2">Override with another rider</p>
+                <div className="space-y-2 max-h-60 overflow-y-auto mb-4">
+                  {alternatives.map(candidate => (
+                    <div
+                      key={candidate.riderId}
+                      onClick={() => setOverrideRiderId(candidate.riderId)}
+                      className={`p-3 border rounded-lg cursor-pointer ${
+                        overrideRiderId === candidate.riderId ? 'border-primary bg-primary/5' : 'border-gray-200 hover:bg-gray-50'
+                      }`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{candidate.rider.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {candidate.rider.zone} · {candidate.rider.vehicleType}
+                            {candidate.distanceKm !== null && ` · ${candidate.distanceKm} km`}
+                            {` · ${candidate.activeOrders}/${candidate.maxActiveOrders} orders`}
+                          </p>
+                        </div>
+                        <span className="text-sm font-semibold text-gray-700">{candidate.score}</span>
+                      </div>
+                      {candidate.reasons.length > 0 && (
+                        <p className="text-xs text-red-600 mt-1">{candidate.reasons.join(' · ')}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                {overrideRiderId && (
+                  <div className="space-y-3">
+                    {suggestion && (
+                      <Input
+                        label="Override reason"
+                        value={overrideReason}
+                        onChange={(e) => setOverrideReason(e.target.value)}
+                        placeholder="e.g. Customer requested this rider"
+                        required
+                      />
+                    )}
+                    <Button
+                      variant="outline"
+                      className="w-full"
+                      loading={assigning}
+                      onClick={() => handleAssign(overrideRiderId)}
+                    >
+                      Assign {candidates.find(c => c.riderId === overrideRiderId)?.rider.name}
+                    </Button>
+                  </div>
+                )}
+              </>
+            )}
+
+            {candidates.length === 0 && (
+              <div className="text-center py-8">
+                <ApperIcon name="Users" size={48} className="text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-600">No active personnel on duty</p>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RiderAssignmentModal;
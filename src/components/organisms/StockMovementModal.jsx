@@ -0,0 +1,318 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import productService from '@/services/api/productService';
+import { inventoryService } from '@/services/api/inventoryService';
+import { authService } from '@/services/api/authService';
+import useAuth from '@/hooks/useAuth';
+
+const MANUAL_TYPES = [
+  { value: 'receipt', label: 'Receipt' },
+  { value: 'return', label: 'Customer return' },
+  { value: 'write_off', label: 'Spoilage / write-off' },
+  { value: 'adjustment', label: 'Manual adjustment (+/-)' },
+  { value: 'transfer', label: 'Transfer between locations' }
+];
+
+const TYPE_STYLES = {
+  opening: 'bg-gray-100 text-gray-700',
+  receipt: 'bg-green-100 text-green-800',
+  sale: 'bg-blue-100 text-blue-800',
+  return: 'bg-teal-100 text-teal-800',
+  write_off: 'bg-red-100 text-red-800',
+  adjustment: 'bg-yellow-100 text-yellow-800',
+  transfer_out: 'bg-purple-100 text-purple-800',
+  transfer_in: 'bg-purple-100 text-purple-800'
+};
+
+const emptyMovement = {
+  type: 'receipt',
+  quantity: '',
+  reason: '',
+  locationId: 'main',
+  fromLocation: 'main',
+  toLocation: '',
+  lotNumber: '',
+  expiryDate: ''
+};
+
+const BATCH_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  near_expiry: 'bg-yellow-100 text-yellow-800',
+  expired: 'bg-red-100 text-red-800',
+  depleted: 'bg-gray-100 text-gray-600'
+};
+
+const StockMovementModal = ({ product, onClose, onRecorded }) => {
+  const { can } = useAuth();
+  // Viewers see the history and batches; recording movements and write-offs needs products:edit
+  const canEdit = can('products', 'edit');
+  const [variantId, setVariantId] = useState(product.variants?.length ? String(product.variants[0].id) : null);
+  const [movements, setMovements] = useState([]);
+  const [stockByLocation, setStockByLocation] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyMovement);
+  const [saving, setSaving] = useState(false);
+
+  const typeLabels = Object.fromEntries(inventoryService.getMovementTypes().map(t => [t.type, t.label]));
+  const locations = inventoryService.getLocations();
+  const locationName = (id) => locations.find(l => l.id === id)?.name || id;
+
+  useEffect(() => {
+    loadHistory();
+  }, [product.id, variantId]);
+
+  const loadHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await productService.getStockMovements(product.id, variantId);
+      setMovements(response.data);
+      setStockByLocation(response.stockByLocation);
+      setBatches(response.batches);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await productService.recordStockMovement(product.id, {
+        type: form.type,
+        variantId,
+        quantity: parseFloat(form.quantity),
+        reason: form.reason,
+        user: authService.getActorName(),
+        ...(form.type === 'receipt' && { lotNumber: form.lotNumber, expiryDate: form.expiryDate || null }),
+        ...(form.type === 'transfer'
+          ? { fromLocation: form.fromLocation, toLocation: form.toLocation }
+          : { locationId: form.locationId })
+      });
+      toast.success('Stock movement recorded');
+      setForm(emptyMovement);
+      loadHistory();
+      onRecorded?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWriteOffExpired = async () => {
+    try {
+      const posted = await inventoryService.writeOffExpired({ productId: product.id, variantId, user: authService.getActorName() });
+      toast.success(`Wrote off ${posted.length} expired lot${posted.length === 1 ? '' : 's'}`);
+      loadHistory();
+      onRecorded?.();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">Stock History</h3>
+            <p className="text-sm text-gray-600">{product.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        {product.variants?.length > 0 && (
+          <select
+            value={variantId}
+            onChange={(e) => setVariantId(e.target.value)}
+            className="input-field w-full mb-4"
+          >
+            {product.variants.map(variant => (
+              <option key={variant.id} value={variant.id}>{variant.name}</option>
+            ))}
+          </select>
+        )}
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {stockByLocation.length === 0 ? (
+            <span className="text-sm text-gray-500">No stock on hand</span>
+          ) : stockByLocation.map(location => (
+            <span key={location.id} className="text-sm bg-gray-100 text-gray-800 px-3 py-1 rounded-full">
+              {location.name}: <span className="font-semibold">{location.stock} {product.unit}</span>
+            </span>
+          ))}
+        </div>
+
+        {canEdit && (
+          <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-3">
+            <p className="text-sm font-medium text-gray-700">Record Movement</p>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <select
+                value={form.type}
+                onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                className="input-field"
+              >
+                {MANUAL_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <Input
+                type="number"
+                step="any"
+                value={form.quantity}
+                onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))}
+                placeholder={form.type === 'adjustment' ? 'e.g. -3 or 5' : 'Quantity'}
+                required
+              />
+              {form.type === 'transfer' ? (
+                <div className="flex gap-2">
+                  <select
+                    value={form.fromLocation}
+                    onChange={(e) => setForm(prev => ({ ...prev, fromLocation: e.target.value }))}
+                    className="input-field flex-1"
+                  >
+                    {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                  </select>
+                  <select
+                    value={form.toLocation}
+                    onChange={(e) => setForm(prev => ({ ...prev, toLocation: e.target.value }))}
+                    className="input-field flex-1"
+                    required
+                  >
+                    <option value="">To...</option>
+                    {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                  </select>
+                </div>
+              ) : (
+                <select
+                  value={form.locationId}
+                  onChange={(e) => setForm(prev => ({ ...prev, locationId: e.target.value }))}
+                  className="input-field"
+                >
+                  {locations.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
+              )}
+            </div>
+            {form.type === 'receipt' && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <Input
+                  value={form.lotNumber}
+                  onChange={(e) => setForm(prev => ({ ...prev, lotNumber: e.target.value }))}
+                  placeholder="Lot / batch number (optional)"
+                />
+                <Input
+                  type="date"
+                  value={form.expiryDate}
+                  onChange={(e) => setForm(prev => ({ ...prev, expiryDate: e.target.value }))}
+                  title="Expiry date"
+                />
+              </div>
+            )}
+            <Input
+              value={form.reason}
+              onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="Reason (e.g. Supplier delivery, damaged in storage)"
+              required={['write_off', 'adjustment', 'transfer'].includes(form.type)}
+            />
+            <Button type="submit" size="small" icon="Plus" loading={saving}>
+              Record
+            </Button>
+          </form>
+        )}
+
+        {batches.length > 0 && (
+          <div className="mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-700">Batches (first-expiring sold first)</p>
+              {canEdit && batches.some(batch => batch.status === 'expired') && (
+                <Button size="small" variant="danger" icon="Trash2" onClick={handleWriteOffExpired}>
+                  Write Off Expired
+                </Button>
+              )}
+            </div>
+            <div className="space-y-1">
+              {batches.map(batch => (
+                <div key={batch.id} className="flex items-center justify-between text-sm bg-gray-50 rounded px-3 py-2">
+                  <span className="font-medium text-gray-900">{batch.lotNumber}</span>
+                  <span className="text-gray-600">
+                    Received {format(new Date(batch.receivedAt), 'MMM dd')}
+                    {batch.expiryDate && ` · Expires ${format(new Date(`${batch.expiryDate}T00:00:00`), 'MMM dd, yyyy')}`}
+                  </span>
+                  <span className="text-gray-900">{batch.remaining} / {batch.quantity} {product.unit}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${BATCH_STYLES[batch.status]}`}>
+                    {batch.status.replace('_', ' ')}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8 text-gray-600">
+            <ApperIcon name="Loader2" size={20} className="animate-spin mr-2" />
+            Loading history...
+          </div>
+        ) : movements.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No stock movements yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {movements.map(movement => (
+                  <tr key={movement.id}>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">
+                      {format(new Date(movement.createdAt), 'MMM dd, yyyy HH:mm')}
+                    </td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${TYPE_STYLES[movement.type]}`}>
+                        {typeLabels[movement.type]}
+                      </span>
+                      {movement.locationId !== 'main' && (
+                        <p className="text-xs text-gray-500 mt-1">{locationName(movement.locationId)}</p>
+                      )}
+                    </td>
+                    <td className={`px-3 py-2 text-right font-medium ${movement.quantity < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-900">{movement.balanceAfter}</td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {movement.reason}
+                      {movement.batches?.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {movement.batches.map(b => `${b.lotNumber} × ${b.quantity}`).join(', ')}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">{movement.user}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockMovementModal;
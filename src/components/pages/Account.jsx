@@ -1,14 +1,23 @@
 import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
+import useAuth from '@/hooks/useAuth';
+import { authService } from '@/services/api/authService';
 
 const Account = () => {
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
   const [activeTab, setActiveTab] = useState('profile');
+  const [saving, setSaving] = useState(false);
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [passwordForm, setPasswordForm] = useState({ current: '', next: '', confirm: '' });
   const [formData, setFormData] = useState({
-    name: 'John Doe',
-    email: 'john@example.com',
-    phone: '+92 300 1234567',
+    name: user?.name || '',
+    email: user?.email || '',
+    phone: user?.phone || '',
     address: '123 Main Street, Lahore',
     city: 'Lahore',
     postalCode: '54000'
@@ -22,9 +31,40 @@ const Account = () => {
     }));
   };
 
-  const handleSave = () => {
-    // Handle save logic here
-    console.log('Saving profile:', formData);
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await authService.updateProfile({ name: formData.name, phone: formData.phone });
+      toast.success('Profile updated');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (passwordForm.next !== passwordForm.confirm) {
+      toast.error('New passwords do not match');
+      return;
+    }
+    try {
+      setSaving(true);
+      await authService.changePassword(passwordForm.current, passwordForm.next);
+      toast.success('Password changed. Other devices have been signed out.');
+      setPasswordForm({ current: '', next: '', confirm: '' });
+      setShowPasswordForm(false);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/');
   };
 
   const tabs = [
@@ -35,7 +75,15 @@ const Account = () => {
 
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <h1 className="text-3xl font-bold text-gray-900 mb-8">My Account</h1>
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">My Account</h1>
+          {user && <p className="text-gray-600">Signed in as {user.email} · {user.roleLabel}</p>}
+        </div>
+        <Button variant="outline" icon="LogOut" onClick={handleLogout}>
+          Sign Out
+        </Button>
+      </div>
 
       {/* Tabs */}
       <div className="border-b border-gray-200 mb-8">
@@ -78,8 +126,8 @@ const Account = () => {
               name="email"
               type="email"
               value={formData.email}
-              onChange={handleInputChange}
               icon="Mail"
+              disabled
             />
             
             <Input
@@ -118,7 +166,7 @@ const Account = () => {
           </div>
           
           <div className="mt-6 flex justify-end">
-            <Button variant="primary" onClick={handleSave}>
+            <Button variant="primary" onClick={handleSave} loading={saving}>
               Save Changes
             </Button>
           </div>
@@ -229,9 +277,49 @@ const Account = () => {
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Account Actions</h2>
             
             <div className="space-y-4">
-              <Button variant="outline" className="w-full justify-start" icon="Key">
+              <Button
+                variant="outline"
+                className="w-full justify-start"
+                icon="Key"
+                onClick={() => setShowPasswordForm(!showPasswordForm)}
+              >
                 Change Password
               </Button>
+
+              {showPasswordForm && (
+                <form onSubmit={handleChangePassword} className="space-y-3 border border-gray-200 rounded-lg p-4">
+                  <Input
+                    label="Current Password"
+                    type="password"
+                    value={passwordForm.current}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, current: e.target.value }))}
+                    autoComplete="current-password"
+                    required
+                  />
+                  <Input
+                    label="New Password"
+                    type="password"
+                    value={passwordForm.next}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, next: e.target.value }))}
+                    placeholder="At least 8 characters"
+                    autoComplete="new-password"
+                    required
+                  />
+                  <Input
+                    label="Confirm New Password"
+                    type="password"
+                    value={passwordForm.confirm}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, confirm: e.target.value }))}
+                    autoComplete="new-password"
+                    required
+                  />
+                  <div className="flex justify-end">
+                    <Button type="submit" size="small" loading={saving}>
+                      Update Password
+                    </Button>
+                  </div>
+                </form>
+              )}
               
               <Button variant="outline" className="w-full justify-start" icon="Download">
                 Export Data
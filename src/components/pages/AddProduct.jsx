@@ -5,6 +5,7 @@ import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
 import Loading from '@/components/ui/Loading';
+import PriceApprovalModal from '@/components/organisms/PriceApprovalModal';
 import productService from '@/services/api/productService';
 
 const AddProduct = () => {
@@ -50,6 +51,7 @@ const AddProduct = () => {
 
   // Validation errors
   const [errors, setErrors] = useState({});
+  const [pricingApproval, setPricingApproval] = useState(null);
 
   // Load categories on mount
   useEffect(() => {
@@ -244,6 +246,11 @@ const AddProduct = () => {
       return;
     }
 
+    await saveProduct();
+  };
+
+  // Prices under the pricing policy floor come back asking for a manager's approval
+  const saveProduct = async (approval = null) => {
     try {
       setLoading(true);
       
@@ -258,13 +265,19 @@ const AddProduct = () => {
         minSellingPrice: calculatedValues.minSellingPrice
       };
 
-      await productService.createProduct(productData);
+      await productService.createProduct(productData, { approval });
       
+      setPricingApproval(null);
       toast.success('Product created successfully');
       navigate('/admin/products');
       
     } catch (error) {
       console.error('Error creating product:', error);
+      if (error.code === 'PRICE_APPROVAL_REQUIRED') {
+        if (approval) toast.error(error.message);
+        setPricingApproval(error.pricing);
+        return;
+      }
       toast.error(error.message || 'Failed to create product');
     } finally {
       setLoading(false);
@@ -856,6 +869,15 @@ const AddProduct = () => {
           </Button>
         </div>
       </form>
+
+      {pricingApproval && (
+        <PriceApprovalModal
+          flagged={pricingApproval}
+          onApprove={saveProduct}
+          onClose={() => setPricingApproval(null)}
+          loading={loading}
+        />
+      )}
     </div>
   );
 };
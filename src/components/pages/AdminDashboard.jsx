@@ -7,10 +7,14 @@ import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
+import ReorderSuggestions from "@/components/organisms/ReorderSuggestions";
 import Orders from "@/components/pages/Orders";
 import { orderService } from "@/services/api/orderService";
 import productService, { getAllProducts } from "@/services/api/productService";
 import { paymentService } from "@/services/api/paymentService";
+import { returnService } from "@/services/api/returnService";
+import useAuth from "@/hooks/useAuth";
+import { parsePermission } from "@/services/api/permissionService";
 
 const AdminDashboard = () => {
   const [loading, setLoading] = useState(true);
@@ -20,6 +24,7 @@ const AdminDashboard = () => {
     totalTransactions: 0,
     monthlyRevenue: 0,
     pendingVerifications: 0,
+    pendingReturns: 0,
     todayRevenue: 0
   });
   const [lowStockProducts, setLowStockProducts] = useState([]);
@@ -32,6 +37,7 @@ const AdminDashboard = () => {
   const [recentOrders, setRecentOrders] = useState([]);
 const [revenueBreakdown, setRevenueBreakdown] = useState([]);
   const navigate = useNavigate();
+  const { can } = useAuth();
 
 const loadDashboardData = async () => {
     setLoading(true);
@@ -46,7 +52,8 @@ const loadDashboardData = async () => {
         walletTransactionsData,
         monthlyRevenue,
         pendingVerifications,
-        revenueByMethodData
+        revenueByMethodData,
+        pendingReturns
       ] = await Promise.all([
         getAllProducts(),
         orderService.getAll(),
@@ -54,7 +61,8 @@ const loadDashboardData = async () => {
         paymentService.getWalletTransactions(),
         orderService.getMonthlyRevenue(),
         orderService.getPendingVerifications(),
-        orderService.getRevenueByPaymentMethod()
+        orderService.getRevenueByPaymentMethod(),
+        returnService.getPendingCount()
       ]);
       
       // Extract products array from response and ensure it's an array
@@ -102,6 +110,7 @@ const loadDashboardData = async () => {
         totalTransactions: (walletTransactionsData || []).length,
         monthlyRevenue: monthlyRevenue || 0,
         pendingVerifications: (pendingVerifications || []).length,
+        pendingReturns: pendingReturns || 0,
         todayRevenue: todayRevenueAmount || 0
       });
 
@@ -162,16 +171,24 @@ const handleWalletAction = async (action, amount = 0) => {
   };
 
   const quickActions = [
-    { label: 'Manage Products', path: '/admin/products', icon: 'Package', color: 'from-blue-500 to-cyan-500' },
-    { label: 'POS Terminal', path: '/admin/pos', icon: 'Calculator', color: 'from-green-500 to-emerald-500' },
-    { label: 'View Orders', path: '/orders', icon: 'ShoppingCart', color: 'from-purple-500 to-pink-500' },
-    { label: 'Financial Dashboard', path: '/admin/financial-dashboard', icon: 'DollarSign', color: 'from-emerald-500 to-teal-500' },
-    { label: 'AI Generate', path: '/admin/ai-generate', icon: 'Brain', color: 'from-purple-500 to-indigo-500' },
-{ label: 'Payment Verification', path: '/admin/payments?tab=verification', icon: 'Shield', color: 'from-orange-500 to-red-500', badge: stats?.pendingVerifications || 0 },
-    { label: 'Payment Management', path: '/admin/payments', icon: 'CreditCard', color: 'from-teal-500 to-cyan-500' },
-    { label: 'Delivery Tracking', path: '/admin/delivery-dashboard', icon: 'MapPin', color: 'from-indigo-500 to-purple-500' },
-    { label: 'Analytics', path: '/admin/analytics', icon: 'TrendingUp', color: 'from-amber-500 to-orange-500' }
-  ];
+    { label: 'Manage Products', path: '/admin/products', icon: 'Package', color: 'from-blue-500 to-cyan-500', permission: 'products:view' },
+    { label: 'Purchase Orders', path: '/admin/purchase-orders', icon: 'ClipboardList', color: 'from-lime-500 to-green-500', permission: 'purchase_orders:view' },
+    { label: 'POS Terminal', path: '/admin/pos', icon: 'Calculator', color: 'from-green-500 to-emerald-500', permission: 'pos:use' },
+    { label: 'View Orders', path: '/orders', icon: 'ShoppingCart', color: 'from-purple-500 to-pink-500', permission: 'orders:view' },
+    { label: 'Financial Dashboard', path: '/admin/financial-dashboard', icon: 'DollarSign', color: 'from-emerald-500 to-teal-500', permission: 'financial_dashboard:view' },
+    { label: 'AI Generate', path: '/admin/ai-generate', icon: 'Brain', color: 'from-purple-500 to-indigo-500', permission: 'ai_generate:use' },
+{ label: 'Payment Verification', path: '/admin/payments?tab=verification', icon: 'Shield', color: 'from-orange-500 to-red-500', badge: stats?.pendingVerifications || 0, permission: 'payments:verify' },
+    { label: 'Payment Management', path: '/admin/payments', icon: 'CreditCard', color: 'from-teal-500 to-cyan-500', permission: 'payments:view' },
+    { label: 'Returns', path: '/admin/returns', icon: 'PackageX', color: 'from-rose-500 to-pink-500', badge: stats?.pendingReturns || 0, permission: 'returns:view' },
+    { label: 'Delivery Tracking', path: '/admin/delivery-dashboard', icon: 'MapPin', color: 'from-indigo-500 to-purple-500', permission: 'deliveries:view' },
+    { label: 'Delivery Planning', path: '/admin/delivery-planning', icon: 'CalendarClock', color: 'from-violet-500 to-purple-500', permission: 'deliveries:view' },
+    { label: 'Delivery Pricing', path: '/admin/delivery-pricing', icon: 'Truck', color: 'from-sky-500 to-blue-500', permission: 'delivery_pricing:edit' },
+    { label: 'Analytics', path: '/admin/analytics', icon: 'TrendingUp', color: 'from-amber-500 to-orange-500', permission: 'analytics:view' },
+    { label: 'Users & Permissions', path: '/admin/users', icon: 'Users', color: 'from-slate-500 to-gray-600', permission: 'users:manage' }
+  ].filter(action => {
+    const { resource, action: permittedAction } = parsePermission(action.permission);
+    return can(resource, permittedAction);
+  });
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -312,6 +329,17 @@ const handleWalletAction = async (action, amount = 0) => {
           )}
         </div>
       </div>
+      {/* Reorder Suggestions */}
+      <div className="card p-6 mb-8">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Reorder Suggestions</h2>
+          <Link to="/admin/products?reorder=true" className="text-primary hover:text-primary-dark transition-colors">
+            Review All
+          </Link>
+        </div>
+        <ReorderSuggestions compact limit={5} />
+      </div>
+
 {/* Payment Verification Queue */}
       <div className="card p-6 mb-8">
         <div className="flex items-center justify-between mb-6">
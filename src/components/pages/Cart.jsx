@@ -4,8 +4,20 @@ import { useDispatch, useSelector } from 'react-redux';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import CartItem from '@/components/molecules/CartItem';
+import CouponInput from '@/components/molecules/CouponInput';
 import Empty from '@/components/ui/Empty';
-import { selectCartItems, selectCartTotal, selectCartItemCount, clearCart, validateCartPrices } from '@/store/cartSlice';
+import { promotionService } from '@/services/api/promotionService';
+import {
+  selectCartItems,
+  selectCartTotal,
+  selectCartItemCount,
+  selectCouponCode,
+  clearCart,
+  validateCartPrices,
+  applyCoupon,
+  removeCoupon
+} from '@/store/cartSlice';
+import useAuth from '@/hooks/useAuth';
 
 const Cart = () => {
   const navigate = useNavigate();
@@ -13,6 +25,9 @@ const Cart = () => {
   const cart = useSelector(selectCartItems);
   const cartTotal = useSelector(selectCartTotal);
   const cartCount = useSelector(selectCartItemCount);
+  const couponCode = useSelector(selectCouponCode);
+  const { user } = useAuth();
+  const customerId = user?.id || null;
 
   // Validate cart prices on component mount
   useEffect(() => {
@@ -33,8 +48,9 @@ const Cart = () => {
 
 // Use validated cart total for accurate calculations
   const subtotal = cartTotal;
-  const deliveryCharge = subtotal >= 2000 ? 0 : 150; // Free delivery over Rs. 2000
-  const total = subtotal + deliveryCharge;
+  const promotions = promotionService.calculateDiscounts(cart, { couponCode, customerId, channel: 'online' });
+  // Delivery depends on the address, so it is priced at checkout unless a promotion makes it free
+  const total = promotions.total;
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
 <div className="flex items-center justify-between mb-8">
@@ -55,7 +71,7 @@ const Cart = () => {
         {/* Cart Items */}
         <div className="lg:col-span-2 space-y-4">
           {cart.map((item) => (
-            <CartItem key={item.id} item={item} />
+            <CartItem key={item.lineKey || item.id} item={item} />
           ))}
           
           {/* Continue Shopping */}
@@ -81,30 +97,39 @@ const Cart = () => {
                 <span className="font-medium transition-all duration-300">Rs. {subtotal.toLocaleString()}</span>
               </div>
               
+              {promotions.discounts.filter(discount => discount.amount > 0).map(discount => (
+                <div key={discount.promotionId} className="flex justify-between items-center text-green-600">
+                  <span className="text-sm">{discount.name}</span>
+                  <span className="text-sm font-medium">-Rs. {discount.amount.toLocaleString()}</span>
+                </div>
+              ))}
+              
               <div className="flex justify-between items-center">
                 <span className="text-gray-600">Delivery Charge</span>
                 <span className="font-medium">
-                  {deliveryCharge > 0 ? `Rs. ${deliveryCharge.toLocaleString()}` : 'Free'}
+                  {promotions.freeDelivery ? 'Free' : 'Calculated at checkout'}
                 </span>
               </div>
               
-{subtotal >= 2000 && deliveryCharge === 150 && (
-                <div className="flex justify-between items-center text-green-600">
-                  <span className="text-sm">Free delivery bonus!</span>
-                  <span className="text-sm font-medium">-Rs. 150</span>
-                </div>
-              )}
-              
-              {subtotal >= 2000 && deliveryCharge === 0 && (
+              {promotions.freeDelivery && (
                 <div className="flex justify-between items-center text-green-600">
                   <span className="text-sm">🎉 Free delivery applied!</span>
                   <span className="text-sm font-medium">Rs. 0</span>
                 </div>
               )}
               
+              <CouponInput
+                appliedCode={couponCode}
+                error={promotions.couponError}
+                onApply={(code) => dispatch(applyCoupon(code))}
+                onRemove={() => dispatch(removeCoupon())}
+              />
+              
               <div className="border-t border-gray-200 pt-4">
                 <div className="flex justify-between items-center">
-                  <span className="text-lg font-semibold text-gray-900">Total</span>
+                  <span className="text-lg font-semibold text-gray-900">
+                    Total{!promotions.freeDelivery && <span className="text-sm font-normal text-gray-500"> (excl. delivery)</span>}
+                  </span>
                   <span className="text-2xl font-bold gradient-text transition-all duration-300">
                     Rs. {total.toLocaleString()}
                   </span>
@@ -1,5 +1,6 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
 import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
@@ -8,22 +9,37 @@ import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Account from "@/components/pages/Account";
 import PaymentMethod from "@/components/molecules/PaymentMethod";
+import CouponInput from "@/components/molecules/CouponInput";
+import DeliverySlotPicker from "@/components/molecules/DeliverySlotPicker";
 import useCart from "@/hooks/useCart";
+import { applyCoupon, removeCoupon, selectCouponCode } from "@/store/cartSlice";
 import { orderService } from "@/services/api/orderService";
-import productService, { getProductById } from "@/services/api/productService";
+import productService, { formatQuantity, getProductById } from "@/services/api/productService";
 import { paymentService } from "@/services/api/paymentService";
+import { promotionService } from "@/services/api/promotionService";
+import { deliveryPricingService } from "@/services/api/deliveryPricingService";
+import { deliverySlotService } from "@/services/api/deliverySlotService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { idempotencyService } from "@/services/api/idempotencyService";
+import useAuth from "@/hooks/useAuth";
+
+const newCheckout = () => ({ key: idempotencyService.createKey('checkout'), reference: `CHK-${Date.now()}` })
 
 function Checkout() {
   const navigate = useNavigate()
+  const dispatch = useDispatch()
   const { items: cart, clearCart } = useCart()
+  const couponCode = useSelector(selectCouponCode)
+  const { user } = useAuth()
+  const customerId = user?.id || null
   const [loading, setLoading] = useState(false)
   const [paymentMethod, setPaymentMethod] = useState('cash')
   const [availablePaymentMethods, setAvailablePaymentMethods] = useState([])
   const [gatewayConfig, setGatewayConfig] = useState({})
   const [formData, setFormData] = useState({
-    name: '',
-    phone: '',
-    email: '',
+    name: user?.name || '',
+    phone: user?.phone || '',
+    email: user?.email || '',
     address: '',
     city: '',
     postalCode: '',
@@ -32,17 +48,104 @@ function Checkout() {
   const [paymentProof, setPaymentProof] = useState(null)
   const [transactionId, setTransactionId] = useState('')
   const [errors, setErrors] = useState({})
+  const [deliverySlots, setDeliverySlots] = useState([])
+  const [selectedSlot, setSelectedSlot] = useState(null)
+  const [slotsLoading, setSlotsLoading] = useState(true)
+  const [reservation, setReservation] = useState(null)
+  const [reservationError, setReservationError] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  // Created up front so repeated reserve calls always replace the same hold
+  const reservationRef = useRef(inventoryService.createReservationId())
+  // One idempotency key per checkout, so a double-tapped "Place order" or a retry after a
+  // network error charges and creates the order only once
+  const checkoutRef = useRef(newCheckout())
+  const cartKey = (cart || []).map(item => `${item.id}:${item.variantId || ''}:${item.quantity}`).join('|')
 // Calculate totals with validated pricing - safe cart handling
-  const subtotal = (cart || []).reduce((sum, item) => sum + (item.price * item.quantity), 0)
-  const deliveryCharge = subtotal >= 2000 ? 0 : 150 // Free delivery over Rs. 2000
+  const subtotal = orderService.calculateOrderSubtotal(cart || [])
+  const promotions = promotionService.calculateDiscounts(cart || [], { couponCode, customerId, channel: 'online' })
+  const deliveryQuote = deliveryPricingService.calculateDeliveryFee({
+    items: cart || [],
+    subtotal: promotions.total,
+    deliveryAddress: { city: formData.city, postalCode: formData.postalCode },
+    freeDelivery: promotions.freeDelivery
+  })
+  const deliveryCharge = deliveryQuote.fee
   const gatewayFee = calculateGatewayFee()
-  const total = subtotal + deliveryCharge + gatewayFee
+  const total = promotions.total + deliveryCharge + gatewayFee
 
 // Load available payment methods from admin configuration
   React.useEffect(() => {
     loadPaymentMethods()
+    loadDeliverySlots()
+  }, [])
+
+  // Hold the cart's stock while the shopper is in checkout; re-hold whenever the cart changes
+  useEffect(() => {
+    if (cart?.length) {
+      reserveCartStock()
+    }
+  }, [cartKey])
+
+  // A changed cart, coupon, payment method or delivery area is a different charge, so it gets a new
+  // key rather than being refused as a conflicting repeat of the old one
+  useEffect(() => {
+    checkoutRef.current = newCheckout()
+  }, [cartKey, couponCode, paymentMethod, formData.city, formData.postalCode])
+
+  // Leaving checkout (or closing the tab) abandons the hold
+  useEffect(() => {
+    const releaseHold = () => {
+      if (reservationRef.current) {
+        inventoryService.releaseReservation(reservationRef.current, 'abandoned')
+      }
+    }
+    window.addEventListener('beforeunload', releaseHold)
+    return () => {
+      window.removeEventListener('beforeunload', releaseHold)
+      releaseHold()
+    }
   }, [])
 
+  useEffect(() => {
+    if (!reservation) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [reservation])
+
+  const holdSecondsLeft = reservation
+    ? Math.max(0, Math.floor((new Date(reservation.expiresAt).getTime() - now) / 1000))
+    : 0
+
+  async function reserveCartStock() {
+    try {
+      const held = await inventoryService.reserve(cart, {
+        reservationId: reservationRef.current,
+        holder: customerId
+      })
+      setReservation(held)
+      setReservationError(null)
+    } catch (error) {
+      inventoryService.releaseReservation(reservationRef.current, 'insufficient_stock')
+      setReservation(null)
+      setReservationError(error.message)
+    }
+  }
+
+  async function loadDeliverySlots() {
+    try {
+      setSlotsLoading(true)
+      const slots = await deliverySlotService.getAvailableSlots()
+      setDeliverySlots(slots)
+      // Drop a selection that has since filled up
+      setSelectedSlot(prev => prev && slots.find(s => s.slotId === prev.slotId && s.date === prev.date) || null)
+    } catch (error) {
+      console.error('Failed to load delivery slots:', error)
+      toast.error('Failed to load delivery slots')
+    } finally {
+      setSlotsLoading(false)
+    }
+  }
+
   async function loadPaymentMethods() {
     try {
       const methods = await paymentService.getAvailablePaymentMethods()
@@ -61,14 +164,7 @@ function Checkout() {
   }
 
   function calculateGatewayFee() {
-    const selectedMethod = availablePaymentMethods.find(method => method.id === paymentMethod)
-    if (!selectedMethod || !selectedMethod.fee) return 0
-    
-    const feeAmount = typeof selectedMethod.fee === 'number' 
-      ? selectedMethod.fee * subtotal 
-      : selectedMethod.fee
-    
-    return Math.max(feeAmount, selectedMethod.minimumFee || 0)
+    return paymentService.calculateGatewayFee(paymentMethod, subtotal)
   }
   function handleInputChange(e) {
     const { name, value } = e.target
@@ -105,6 +201,14 @@ function Checkout() {
     if (formData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
       newErrors.email = 'Please enter a valid email address'
     }
+
+    if (formData.city?.trim() && !deliveryQuote.isServiceable) {
+      newErrors.city = deliveryQuote.error
+    }
+
+    if (!selectedSlot) {
+      newErrors.deliverySlot = 'Please choose a delivery slot'
+    }
 // Validate transaction ID for non-cash payments
     if (paymentMethod !== 'cash') {
       if (!transactionId.trim()) {
@@ -121,7 +225,8 @@ function Checkout() {
       setLoading(true)
       const paymentResult = await paymentService.retryPayment(
         'previous_transaction_id',
-        { amount: total, orderId: Date.now() }
+        { amount: total, orderId: checkoutRef.current.reference },
+        checkoutRef.current.key
       )
       return paymentResult
     } catch (error) {
@@ -132,10 +237,10 @@ function Checkout() {
     }
   }
 
-  async function handlePaymentVerification(transactionId) {
+  async function handlePaymentVerification(transactionId, amount) {
     try {
       const verificationResult = await paymentService.verifyPayment(transactionId, {
-        amount: total,
+        amount,
         orderId: Date.now()
       })
       return verificationResult
@@ -182,8 +287,7 @@ function Checkout() {
       // Generate unique filename with OrderID_UserID_Timestamp pattern for S3
       const timestamp = Date.now();
       const randomString = Math.random().toString(36).substring(2, 8);
-      const userId = 'user123'; // In real implementation, get from auth context
-      const uniqueFileName = `${orderId}_${userId}_${timestamp}_${randomString}.${fileExtension}`;
+      const uniqueFileName = `${orderId}_${customerId}_${timestamp}_${randomString}.${fileExtension}`;
       
       // Simulate S3/R2 upload with public-read access
       const s3Bucket = 'freshmart-payment-proofs';
@@ -271,7 +375,102 @@ toast.error('Failed to download payment proof')
     }
   }
 
-  async function completeOrder(paymentResult) {
+  // Checks the cart against current products and gets the server's quote for it; throws when
+  // something is unavailable, so nothing is charged for an order that can't be placed
+  async function prepareOrder() {
+    // Validate cart items before order creation
+    const validatedItems = [];
+    let hasValidationErrors = false;
+    
+    for (const item of cart) {
+      try {
+        const productResponse = await productService.getProductById(item.id, item.variantId || null);
+        const currentProduct = productResponse.data || productResponse;
+        
+        if (!currentProduct) {
+          toast.error(`${item.name || 'Product'} is no longer available`);
+          hasValidationErrors = true;
+          continue;
+        }
+        
+        if (!currentProduct.isActive) {
+          toast.error(`${item.name} is no longer available`);
+          hasValidationErrors = true;
+          continue;
+        }
+        
+        if (currentProduct.stock < item.quantity) {
+          toast.error(`${item.name} has insufficient stock. Available: ${currentProduct.stock}`);
+          hasValidationErrors = true;
+          continue;
+        }
+        
+        // Use current validated price
+        validatedItems.push({
+          id: item.id,
+          productId: item.id,
+          variantId: item.variantId || null,
+          variantName: item.variantName || null,
+          barcode: currentProduct.barcode,
+          unit: currentProduct.unit,
+          category: currentProduct.category,
+          soldByWeight: Boolean(currentProduct.soldByWeight),
+          weightKg: currentProduct.weightKg ?? null,
+          name: item.name,
+          price: currentProduct.price, // Use validated current price
+          quantity: item.quantity,
+          image: item.image,
+          validatedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Product validation error:', error);
+        toast.error(`Failed to validate ${item.name || 'product'}: ${error.message || 'Product unavailable'}`);
+        hasValidationErrors = true;
+      }
+    }
+    
+    if (hasValidationErrors) {
+      throw new Error('Cart validation failed. Please check cart items and try again.');
+    }
+
+    // Price the order the way the server will, so the amount charged is the amount the order is created with
+    const quote = await orderService.quoteOrder({
+      customerId,
+      items: validatedItems,
+      couponCode,
+      paymentMethod,
+      deliveryAddress: { city: formData.city, postalCode: formData.postalCode }
+    });
+
+    return {
+      customerId,
+      items: validatedItems,
+      subtotal: quote.subtotal,
+      couponCode: quote.couponCode,
+      discountTotal: quote.discountTotal,
+      deliveryCharge: quote.deliveryCharge,
+      gatewayFee: quote.gatewayFee,
+      total: quote.total,
+      paymentMethod,
+      paymentStatus: paymentMethod === 'cash' ? 'pending' : 'pending_verification',
+      deliveryAddress: {
+        name: formData.name,
+        phone: formData.phone,
+        email: formData.email,
+        address: formData.address,
+        city: formData.city,
+        postalCode: formData.postalCode,
+        instructions: formData.instructions
+      },
+      deliverySlot: { slotId: selectedSlot.slotId, date: selectedSlot.date },
+      reservationId: reservationRef.current,
+      status: paymentMethod === 'cash' ? 'confirmed' : 'payment_pending',
+      verificationStatus: paymentMethod === 'cash' ? null : 'pending',
+      priceValidatedAt: new Date().toISOString()
+    }
+  }
+
+  async function completeOrder(orderData, paymentResult) {
     try {
       let paymentProofData = null
       
@@ -303,93 +502,42 @@ if (paymentProof) {
         }
       }
 
-      // Validate cart items before order creation
-      const validatedItems = [];
-      let hasValidationErrors = false;
-      
-for (const item of cart) {
-        try {
-          const productResponse = await productService.getProductById(item.id);
-          const currentProduct = productResponse.data || productResponse;
-          
-          if (!currentProduct) {
-            toast.error(`${item.name || 'Product'} is no longer available`);
-            hasValidationErrors = true;
-            continue;
-          }
-          
-          if (!currentProduct.isActive) {
-            toast.error(`${item.name} is no longer available`);
-            hasValidationErrors = true;
-            continue;
-          }
-          
-          if (currentProduct.stock < item.quantity) {
-            toast.error(`${item.name} has insufficient stock. Available: ${currentProduct.stock}`);
-            hasValidationErrors = true;
-            continue;
-          }
-          
-          // Use current validated price
-          validatedItems.push({
-            id: item.id,
-            name: item.name,
-            price: currentProduct.price, // Use validated current price
-            quantity: item.quantity,
-            image: item.image,
-            validatedAt: new Date().toISOString()
-          });
-        } catch (error) {
-          console.error('Product validation error:', error);
-          toast.error(`Failed to validate ${item.name || 'product'}: ${error.message || 'Product unavailable'}`);
-          hasValidationErrors = true;
-        }
-      }
-      
-      if (hasValidationErrors) {
-        throw new Error('Cart validation failed. Please check cart items and try again.');
-      }
-
-      // Recalculate totals with validated prices
-      const validatedSubtotal = validatedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      const validatedDeliveryCharge = validatedSubtotal >= 2000 ? 0 : 150;
-      const validatedTotal = validatedSubtotal + validatedDeliveryCharge + gatewayFee;
-
-      const orderData = {
-        items: validatedItems,
-        subtotal: validatedSubtotal,
-        deliveryCharge: validatedDeliveryCharge,
-        gatewayFee,
-        total: validatedTotal,
-        paymentMethod,
+      const order = await orderService.create({
+        ...orderData,
         paymentResult,
-        paymentStatus: paymentMethod === 'cash' ? 'pending' : 'pending_verification',
         paymentProof: paymentProofData,
-        transactionId: transactionId || paymentResult?.transactionId || null,
-        deliveryAddress: {
-          name: formData.name,
-          phone: formData.phone,
-          email: formData.email,
-          address: formData.address,
-          city: formData.city,
-          postalCode: formData.postalCode,
-          instructions: formData.instructions
-        },
-        status: paymentMethod === 'cash' ? 'confirmed' : 'payment_pending',
-        verificationStatus: paymentMethod === 'cash' ? null : 'pending',
-        priceValidatedAt: new Date().toISOString()
-      }
-
-      const order = await orderService.create(orderData)
+        transactionId: transactionId || paymentResult?.transactionId || null
+      }, checkoutRef.current.key)
+      reservationRef.current = null
+      checkoutRef.current = newCheckout()
       clearCart()
       toast.success('Order placed successfully!')
       navigate('/orders')
       return order
     } catch (error) {
       toast.error('Failed to create order: ' + error.message)
+      loadDeliverySlots()
       throw error
     }
   }
+  // The payment went through but the order couldn't be created: pay it back, and start a new
+  // checkout key since the charge recorded under the old one has been reversed
+  async function refundFailedCharge(amount, chargedTransactionId) {
+    try {
+      await paymentService.refundToOriginalMethod({
+        orderId: checkoutRef.current.reference,
+        amount,
+        paymentMethod,
+        originalTransactionId: chargedTransactionId,
+        reason: 'Order could not be placed'
+      })
+      toast.info(`Your payment of Rs. ${amount.toLocaleString()} has been refunded`)
+    } catch (error) {
+      toast.error(`Your payment could not be refunded automatically. Please contact support with reference ${checkoutRef.current.reference}.`)
+    }
+    checkoutRef.current = newCheckout()
+  }
+
   async function handleSubmit(e, isRetry = false) {
     e.preventDefault()
     
@@ -400,6 +548,13 @@ for (const item of cart) {
 
     try {
       setLoading(true)
+      // Prices, the coupon and the pricing policy are checked before any money is taken, and the
+      // amount charged is the server's quote rather than the total on screen
+      const orderData = await prepareOrder()
+      if (Math.abs(orderData.total - total) > 0.01 &&
+        !window.confirm(`Your order total has changed to Rs. ${orderData.total.toLocaleString()}. Place the order?`)) {
+        return
+      }
       let paymentResult = null
 // Process payment based on admin-managed gateway configuration
       const selectedGateway = availablePaymentMethods.find(method => method.id === paymentMethod)
@@ -416,41 +571,50 @@ if (paymentMethod === 'card') {
             expiryDate: '12/25',
             cardholderName: formData.name 
           },
-          total,
-          Date.now()
+          orderData.total,
+          checkoutRef.current.reference,
+          checkoutRef.current.key
         )
       } else if (paymentMethod === 'jazzcash' || paymentMethod === 'easypaisa') {
         paymentResult = await paymentService.processDigitalWalletPayment(
           paymentMethod,
-          total,
-          Date.now(),
-          formData.phone
+          orderData.total,
+          checkoutRef.current.reference,
+          formData.phone,
+          checkoutRef.current.key
         )
-      } else if (paymentMethod === 'wallet') {
-        paymentResult = await paymentService.processWalletPayment(total, Date.now())
       } else if (paymentMethod === 'bank') {
         paymentResult = await paymentService.processBankTransfer(
-          total,
+          orderData.total,
           Date.now(),
           { accountNumber: '1234567890', bankName: 'Test Bank' }
         )
         
         // Handle verification if required
         if (paymentResult.requiresVerification) {
-          const verificationResult = await handlePaymentVerification(paymentResult.transactionId)
+          const verificationResult = await handlePaymentVerification(paymentResult.transactionId, orderData.total)
           if (!verificationResult.verified) {
             throw new Error('Payment verification failed')
           }
         }
       }
 
+      const chargedTransactionId = paymentResult?.transactionId || null
+
       // Override system-generated transaction ID with user-provided one for non-cash payments
       if (paymentResult && transactionId && paymentMethod !== 'cash') {
         paymentResult.transactionId = transactionId;
       }
 
-      // Complete the order
-      await completeOrder(paymentResult)
+      // Complete the order; the wallet is charged by the order itself once stock and the slot are secured
+      try {
+        await completeOrder(orderData, paymentResult)
+      } catch (error) {
+        if (paymentResult) {
+          await refundFailedCharge(orderData.total, chargedTransactionId)
+        }
+        throw error
+      }
       
     } catch (error) {
       console.error('Order submission error:', error)
@@ -497,9 +661,28 @@ if (paymentMethod === 'card') {
 <div className="order-2 lg:order-1">
             <div className="card p-6 mb-6">
               <h2 className="text-xl font-semibold mb-4">Order Summary</h2>
+              {reservationError ? (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+                  {reservationError}. Please update your cart.
+                </div>
+              ) : reservation && (
+                holdSecondsLeft > 0 ? (
+                  <div className="flex items-center bg-green-50 border border-green-200 rounded-lg p-3 mb-4 text-sm text-green-800">
+                    <ApperIcon name="Timer" size={16} className="mr-2" />
+                    Items reserved for {Math.floor(holdSecondsLeft / 60)}:{String(holdSecondsLeft % 60).padStart(2, '0')}
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm text-yellow-800">
+                    <span>Your reservation expired, so these items may sell out.</span>
+                    <button type="button" onClick={reserveCartStock} className="font-medium underline">
+                      Reserve again
+                    </button>
+                  </div>
+                )
+              )}
               <div className="space-y-4">
                 {cart.map(item => (
-                  <div key={item.id} className="flex items-center justify-between py-2 border-b">
+                  <div key={item.lineKey || item.id} className="flex items-center justify-between py-2 border-b">
                     <div className="flex items-center">
                       <img 
                         src={item.image || item.imageUrl || '/placeholder-image.jpg'} 
@@ -511,11 +694,14 @@ if (paymentMethod === 'card') {
                       />
                       <div>
                         <h3 className="font-medium">{item.name}</h3>
-                        <p className="text-sm text-gray-600">Qty: {item.quantity}</p>
+                        {item.variantName && (
+                          <p className="text-xs text-gray-500">{item.variantName}</p>
+                        )}
+                        <p className="text-sm text-gray-600">Qty: {formatQuantity(item.quantity, item.soldByWeight ? item.unit : '')}</p>
                       </div>
                     </div>
                     <span className="font-semibold">
-                      Rs. {(item.price * item.quantity).toLocaleString()}
+                      Rs. {orderService.calculateOrderSubtotal([item]).toLocaleString()}
                     </span>
                   </div>
                 ))}
@@ -524,10 +710,43 @@ if (paymentMethod === 'card') {
                     <span>Subtotal:</span>
                     <span>Rs. {subtotal.toLocaleString()}</span>
                   </div>
+                  {promotions.discounts.filter(discount => discount.amount > 0).map(discount => (
+                    <div key={discount.promotionId} className="flex justify-between text-green-600">
+                      <span>{discount.name}:</span>
+                      <span>-Rs. {discount.amount.toLocaleString()}</span>
+                    </div>
+                  ))}
                   <div className="flex justify-between">
-                    <span>Delivery Charge:</span>
-                    <span>Rs. {deliveryCharge.toLocaleString()}</span>
+                    <span>Delivery Charge{deliveryQuote.zone ? ` (${deliveryQuote.zone.name})` : ''}:</span>
+                    <span>
+                      {deliveryQuote.requiresAddress
+                        ? 'Enter address'
+                        : !deliveryQuote.isServiceable
+                          ? 'Unavailable'
+                          : deliveryCharge > 0 ? `Rs. ${deliveryCharge.toLocaleString()}` : 'Free'}
+                    </span>
                   </div>
+                  {deliveryQuote.isServiceable && deliveryQuote.breakdown.filter(line => line.type !== 'base').map(line => (
+                    <div key={line.type} className="flex justify-between text-xs text-gray-500 pl-2">
+                      <span>{line.label}</span>
+                      <span>{line.amount < 0 ? '-' : '+'}Rs. {Math.abs(line.amount).toLocaleString()}</span>
+                    </div>
+                  ))}
+                  {deliveryQuote.isServiceable && deliveryQuote.amountToFreeDelivery > 0 && (
+                    <p className="text-xs text-primary">
+                      Add Rs. {deliveryQuote.amountToFreeDelivery.toLocaleString()} more for free delivery
+                    </p>
+                  )}
+                  {!deliveryQuote.isServiceable && !deliveryQuote.requiresAddress && (
+                    <p className="text-xs text-red-600">{deliveryQuote.error}</p>
+                  )}
+                  <CouponInput
+                    appliedCode={couponCode}
+                    error={promotions.couponError}
+                    onApply={(code) => dispatch(applyCoupon(code))}
+                    onRemove={() => dispatch(removeCoupon())}
+                    className="py-2"
+                  />
                   {gatewayFee > 0 && (
                     <div className="flex justify-between">
                       <span>Gateway Fee:</span>
@@ -621,6 +840,21 @@ if (paymentMethod === 'card') {
                 </div>
               </div>
 
+              {/* Delivery Slot */}
+              <div className="card p-6">
+                <h2 className="text-xl font-semibold mb-4">Delivery Slot</h2>
+                <DeliverySlotPicker
+                  slots={deliverySlots}
+                  selected={selectedSlot}
+                  loading={slotsLoading}
+                  error={errors.deliverySlot}
+                  onSelect={(slot) => {
+                    setSelectedSlot(slot)
+                    setErrors(prev => ({ ...prev, deliverySlot: '' }))
+                  }}
+                />
+              </div>
+
 {/* Payment Method */}
               <div className="card p-6">
                 <h2 className="text-xl font-semibold mb-4">Payment Method</h2>
@@ -2,19 +2,42 @@ import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
 import Loading from '@/components/ui/Loading';
 import Error from '@/components/ui/Error';
+import RiderAssignmentModal from '@/components/organisms/RiderAssignmentModal';
+import DeliveryConfirmationModal from '@/components/organisms/DeliveryConfirmationModal';
 import { orderService } from '@/services/api/orderService';
 import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import { deliverySlotService } from '@/services/api/deliverySlotService';
+import useAuth from '@/hooks/useAuth';
+
+const emptySlot = {
+  label: '',
+  startTime: '',
+  endTime: '',
+  ordersPerRider: '5',
+  maxOrders: '',
+  cutoffMinutes: '60',
+  isActive: true
+};
 
 const DeliveryDashboard = () => {
+  const { can } = useAuth();
+  const canManage = can('deliveries', 'manage');
   const [orders, setOrders] = useState([]);
   const [personnel, setPersonnel] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [assignModalOpen, setAssignModalOpen] = useState(false);
+  const [confirmingOrder, setConfirmingOrder] = useState(null);
   const [mapCenter, setMapCenter] = useState({ lat: 31.5204, lng: 74.3587 });
+  const [slotTemplates, setSlotTemplates] = useState([]);
+  const [slotSchedule, setSlotSchedule] = useState([]);
+  const [slotModalOpen, setSlotModalOpen] = useState(false);
+  const [editingSlot, setEditingSlot] = useState(null);
+  const [slotForm, setSlotForm] = useState(emptySlot);
 
   useEffect(() => {
     loadData();
@@ -25,13 +48,17 @@ const DeliveryDashboard = () => {
       setLoading(true);
       setError(null);
       
-      const [ordersData, personnelData] = await Promise.all([
+      const [ordersData, personnelData, templates, schedule] = await Promise.all([
         orderService.getAll(),
-        deliveryPersonnelService.getAll()
+        deliveryPersonnelService.getAll(),
+        deliverySlotService.getAll(),
+        deliverySlotService.getAvailableSlots({ includeFull: true })
       ]);
 
       setOrders(ordersData.filter(order => order.deliveryStatus !== 'delivered'));
       setPersonnel(personnelData);
+      setSlotTemplates(templates);
+      setSlotSchedule(schedule);
     } catch (err) {
       setError(err.message);
       toast.error('Failed to load delivery data');
@@ -40,39 +67,98 @@ const DeliveryDashboard = () => {
     }
   };
 
-  const handleAssignDelivery = async (orderId, personnelId) => {
+  const handleAssigned = () => {
+    setAssignModalOpen(false);
+    setSelectedOrder(null);
+    loadData();
+  };
+
+  const handleStatusUpdate = async (orderId, status) => {
     try {
-      await orderService.assignDeliveryPersonnel(orderId, personnelId);
-      await deliveryPersonnelService.updateStatus(personnelId, 'on_delivery');
-      
-      toast.success('Delivery personnel assigned successfully');
-      setAssignModalOpen(false);
-      setSelectedOrder(null);
+      await orderService.updateDeliveryStatus(orderId, status);
+      toast.success('Delivery status updated successfully');
       loadData();
     } catch (err) {
-      toast.error('Failed to assign delivery personnel');
+      toast.error('Failed to update delivery status');
     }
   };
 
-  const handleStatusUpdate = async (orderId, status) => {
+  const handleDeliveryConfirmed = async () => {
     try {
-      const actualDelivery = status === 'delivered' ? new Date().toISOString() : null;
-      await orderService.updateDeliveryStatus(orderId, status, actualDelivery);
-      
-      if (status === 'delivered') {
-        const order = orders.find(o => o.id === orderId);
-        if (order?.deliveryPersonId) {
-          await deliveryPersonnelService.updateStatus(order.deliveryPersonId, 'available');
-        }
+      if (confirmingOrder.deliveryPersonId) {
+        await deliveryPersonnelService.updateStatus(confirmingOrder.deliveryPersonId, 'available');
       }
-      
-      toast.success('Delivery status updated successfully');
+    } finally {
+      setConfirmingOrder(null);
+      loadData();
+    }
+  };
+
+  const handleEditSlot = (slot) => {
+    setEditingSlot(slot);
+    setSlotForm({
+      label: slot.label,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      ordersPerRider: slot.ordersPerRider.toString(),
+      maxOrders: slot.maxOrders?.toString() ?? '',
+      cutoffMinutes: slot.cutoffMinutes.toString(),
+      isActive: slot.isActive
+    });
+  };
+
+  const resetSlotForm = () => {
+    setEditingSlot(null);
+    setSlotForm(emptySlot);
+  };
+
+  const handleSlotSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingSlot) {
+        await deliverySlotService.update(editingSlot.id, slotForm);
+        toast.success('Delivery slot updated successfully');
+      } else {
+        await deliverySlotService.create(slotForm);
+        toast.success('Delivery slot created successfully');
+      }
+      resetSlotForm();
       loadData();
     } catch (err) {
-      toast.error('Failed to update delivery status');
+      toast.error(err.message);
     }
   };
 
+  const handleDeleteSlot = async (slot) => {
+    if (window.confirm(`Delete the ${slot.label} delivery slot?`)) {
+      try {
+        await deliverySlotService.delete(slot.id);
+        toast.success('Delivery slot deleted successfully');
+        loadData();
+      } catch (err) {
+        toast.error(err.message);
+      }
+    }
+  };
+
+  // Group active orders by booked slot so riders can be planned per slot
+  const getOrdersBySlot = () => {
+    const groups = {};
+    orders.forEach(order => {
+      const key = order.deliverySlot ? `${order.deliverySlot.date}|${order.deliverySlot.slotId}` : 'unscheduled';
+      if (!groups[key]) {
+        groups[key] = { key, slot: order.deliverySlot || null, orders: [] };
+      }
+      groups[key].orders.push(order);
+    });
+
+    return Object.values(groups).sort((a, b) => {
+      if (!a.slot) return 1;
+      if (!b.slot) return -1;
+      return new Date(a.slot.startsAt) - new Date(b.slot.startsAt);
+    });
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       'pending_assignment': 'bg-yellow-100 text-yellow-800',
@@ -236,6 +322,57 @@ const DeliveryDashboard = () => {
         </div>
       </div>
 
+      {/* Orders by Slot */}
+      <div className="card p-6 mt-8">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Orders by Delivery Slot</h2>
+          <Button variant="outline" size="small" icon="Settings" onClick={() => setSlotModalOpen(true)}>
+            Manage Slots
+          </Button>
+        </div>
+        {orders.length === 0 ? (
+          <p className="text-sm text-gray-500">No active orders</p>
+        ) : (
+          <div className="space-y-4">
+            {getOrdersBySlot().map(group => {
+              const scheduleEntry = group.slot && slotSchedule.find(s =>
+                s.slotId === group.slot.slotId && s.date === group.slot.date
+              );
+              const template = group.slot && slotTemplates.find(t => t.id === group.slot.slotId);
+              const ridersNeeded = template ? Math.ceil(group.orders.length / template.ordersPerRider) : null;
+              const assignedRiders = new Set(group.orders.map(o => o.deliveryPersonId).filter(Boolean)).size;
+
+              return (
+                <div key={group.key} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                    <div className="flex items-center space-x-2">
+                      <ApperIcon name={group.slot ? 'Clock' : 'HelpCircle'} size={16} className="text-primary" />
+                      <span className="font-medium text-gray-900">{deliverySlotService.formatSlot(group.slot)}</span>
+                    </div>
+                    <div className="flex items-center space-x-4 text-sm text-gray-600">
+                      <span>{group.orders.length} order{group.orders.length !== 1 ? 's' : ''}</span>
+                      {scheduleEntry && <span>{scheduleEntry.booked}/{scheduleEntry.capacity} booked</span>}
+                      {ridersNeeded !== null && (
+                        <span className={assignedRiders < ridersNeeded ? 'text-orange-600' : 'text-green-600'}>
+                          {assignedRiders}/{ridersNeeded} riders assigned
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {group.orders.map(order => (
+                      <span key={order.id} className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(order.deliveryStatus)}`}>
+                        #{order.id} · {order.deliveryAddress.city}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
       {/* Orders List */}
       <div className="card p-6 mt-8">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Active Orders</h2>
@@ -273,6 +410,9 @@ const DeliveryDashboard = () => {
                         <div className="ml-3">
                           <p className="text-sm font-medium text-gray-900">Order #{order.id}</p>
                           <p className="text-sm text-gray-500">Rs. {order.total.toLocaleString()}</p>
+                          {order.deliverySlot && (
+                            <p className="text-xs text-gray-500">{deliverySlotService.formatSlot(order.deliverySlot)}</p>
+                          )}
                         </div>
                       </div>
                     </td>
@@ -299,7 +439,7 @@ const DeliveryDashboard = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <div className="flex space-x-2">
-                        {!order.deliveryPersonId && (
+                        {canManage && !order.deliveryPersonId && (
                           <Button
                             variant="outline"
                             size="sm"
@@ -333,7 +473,7 @@ const DeliveryDashboard = () => {
                           <Button
                             variant="primary"
                             size="sm"
-                            onClick={() => handleStatusUpdate(order.id, 'delivered')}
+                            onClick={() => setConfirmingOrder(order)}
                           >
                             Mark Delivered
                           </Button>
@@ -348,50 +488,136 @@ const DeliveryDashboard = () => {
         </div>
       </div>
 
-      {/* Assignment Modal */}
-      {assignModalOpen && selectedOrder && (
+      {/* Slot Management Modal */}
+      {slotModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 max-w-md w-full m-4">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">
-              Assign Delivery Personnel
-            </h3>
+          <div className="bg-white rounded-lg p-6 max-w-2xl w-full m-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Daily Delivery Slots</h3>
+              <button
+                onClick={() => {
+                  setSlotModalOpen(false);
+                  resetSlotForm();
+                }}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <ApperIcon name="X" size={24} />
+              </button>
+            </div>
             <p className="text-sm text-gray-600 mb-4">
-              Order #{selectedOrder.id} to {selectedOrder.deliveryAddress.city}
+              Capacity is {personnel.filter(p => p.status === 'available' && p.isActive).length} available riders × orders per rider, capped by the slot maximum.
             </p>
-            <div className="space-y-2 max-h-60 overflow-y-auto">
-              {personnel.filter(p => p.status === 'available').map((person) => (
-                <div
-                  key={person.Id}
-                  className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50 cursor-pointer"
-                  onClick={() => handleAssignDelivery(selectedOrder.id, person.Id)}
-                >
+
+            <div className="space-y-2 mb-6">
+              {slotTemplates.map(slot => (
+                <div key={slot.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                   <div>
-                    <p className="font-medium text-gray-900">{person.name}</p>
-                    <p className="text-sm text-gray-600">{person.zone} • {person.vehicleType}</p>
+                    <p className="font-medium text-gray-900">
+                      {slot.label} <span className="text-gray-600 font-normal">{slot.startTime}–{slot.endTime}</span>
+                      {!slot.isActive && <span className="ml-2 text-xs text-red-600">inactive</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {slot.ordersPerRider} per rider · max {slot.maxOrders ?? 'unlimited'} · closes {slot.cutoffMinutes} min before
+                    </p>
                   </div>
-                  <div className="text-right">
-                    <div className="flex items-center space-x-1">
-                      <ApperIcon name="Star" size={14} className="text-yellow-400" />
-                      <span className="text-sm text-gray-600">{person.rating}</span>
-                    </div>
+                  <div className="flex items-center gap-2">
+                    <button onClick={() => handleEditSlot(slot)} className="text-primary hover:text-primary/80">
+                      <ApperIcon name="Edit" size={16} />
+                    </button>
+                    <button onClick={() => handleDeleteSlot(slot)} className="text-red-600 hover:text-red-800">
+                      <ApperIcon name="Trash2" size={16} />
+                    </button>
                   </div>
                 </div>
               ))}
             </div>
-            <div className="flex justify-end space-x-2 mt-6">
-              <Button
-                variant="outline"
-                onClick={() => {
-                  setAssignModalOpen(false);
-                  setSelectedOrder(null);
-                }}
-              >
-                Cancel
-              </Button>
-            </div>
+
+            <form onSubmit={handleSlotSubmit} className="space-y-4 border-t pt-4">
+              <h4 className="font-medium text-gray-900">{editingSlot ? `Edit ${editingSlot.label}` : 'Add Slot'}</h4>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Input
+                  label="Label"
+                  value={slotForm.label}
+                  onChange={(e) => setSlotForm({ ...slotForm, label: e.target.value })}
+                  required
+                />
+                <Input
+                  label="Start"
+                  type="time"
+                  value={slotForm.startTime}
+                  onChange={(e) => setSlotForm({ ...slotForm, startTime: e.target.value })}
+                  required
+                />
+                <Input
+                  label="End"
+                  type="time"
+                  value={slotForm.endTime}
+                  onChange={(e) => setSlotForm({ ...slotForm, endTime: e.target.value })}
+                  required
+                />
+                <Input
+                  label="Orders per Rider"
+                  type="number"
+                  value={slotForm.ordersPerRider}
+                  onChange={(e) => setSlotForm({ ...slotForm, ordersPerRider: e.target.value })}
+                  required
+                />
+                <Input
+                  label="Max Orders"
+                  type="number"
+                  placeholder="Unlimited"
+                  value={slotForm.maxOrders}
+                  onChange={(e) => setSlotForm({ ...slotForm, maxOrders: e.target.value })}
+                />
+                <Input
+                  label="Cutoff (minutes)"
+                  type="number"
+                  value={slotForm.cutoffMinutes}
+                  onChange={(e) => setSlotForm({ ...slotForm, cutoffMinutes: e.target.value })}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={slotForm.isActive}
+                  onChange={(e) => setSlotForm({ ...slotForm, isActive: e.target.checked })}
+                />
+                Active
+              </label>
+              <div className="flex justify-end gap-2">
+                {editingSlot && (
+                  <Button type="button" variant="outline" onClick={resetSlotForm}>
+                    Cancel Edit
+                  </Button>
+                )}
+                <Button type="submit">
+                  {editingSlot ? 'Update' : 'Add'} Slot
+                </Button>
+              </div>
+            </form>
           </div>
         </div>
       )}
+
+      {confirmingOrder && (
+        <DeliveryConfirmationModal
+          order={confirmingOrder}
+          onClose={() => setConfirmingOrder(null)}
+          onConfirmed={handleDeliveryConfirmed}
+        />
+      )}
+
+      {/* Assignment Modal */}
+      {assignModalOpen && selectedOrder && (
+        <RiderAssignmentModal
+          order={selectedOrder}
+          onClose={() => {
+            setAssignModalOpen(false);
+            setSelectedOrder(null);
+          }}
+          onAssigned={handleAssigned}
+        />
+      )}
     </div>
   );
 };
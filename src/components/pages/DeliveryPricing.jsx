@@ -0,0 +1,404 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import { deliveryPricingService } from '@/services/api/deliveryPricingService';
+
+const emptyZone = {
+  name: '',
+  city: '',
+  postalCodePrefixes: '',
+  baseFee: '',
+  freeDeliveryThreshold: '',
+  isActive: true
+};
+
+const DeliveryPricing = () => {
+  const [rules, setRules] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showZoneModal, setShowZoneModal] = useState(false);
+  const [editingZone, setEditingZone] = useState(null);
+  const [zoneForm, setZoneForm] = useState(emptyZone);
+  const [bands, setBands] = useState([]);
+  const [surcharges, setSurcharges] = useState(null);
+  const [preview, setPreview] = useState({ city: 'Lahore', postalCode: '54000', subtotal: '1500', weightKg: '5' });
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setLoading(true);
+      const data = await deliveryPricingService.getRules();
+      setRules(data);
+      setBands(data.distanceBands.map(band => ({ ...band })));
+      setSurcharges({ weight: data.weight, bulk: data.bulk, outsideZones: data.outsideZones });
+      setError(null);
+    } catch (err) {
+      setError('Failed to load delivery pricing rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddZone = () => {
+    setEditingZone(null);
+    setZoneForm(emptyZone);
+    setShowZoneModal(true);
+  };
+
+  const handleEditZone = (zone) => {
+    setEditingZone(zone);
+    setZoneForm({
+      name: zone.name,
+      city: zone.city,
+      postalCodePrefixes: zone.postalCodePrefixes.join(', '),
+      baseFee: zone.baseFee.toString(),
+      freeDeliveryThreshold: zone.freeDeliveryThreshold?.toString() ?? '',
+      isActive: zone.isActive
+    });
+    setShowZoneModal(true);
+  };
+
+  const handleCloseZoneModal = () => {
+    setShowZoneModal(false);
+    setEditingZone(null);
+    setZoneForm(emptyZone);
+  };
+
+  const handleZoneSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingZone) {
+        await deliveryPricingService.updateZone(editingZone.id, zoneForm);
+        toast.success('Zone updated successfully');
+      } else {
+        await deliveryPricingService.createZone(zoneForm);
+        toast.success('Zone created successfully');
+      }
+      handleCloseZoneModal();
+      loadRules();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDeleteZone = async (zone) => {
+    if (window.confirm(`Delete delivery zone ${zone.name}?`)) {
+      try {
+        await deliveryPricingService.deleteZone(zone.id);
+        toast.success('Zone deleted successfully');
+        loadRules();
+      } catch (err) {
+        toast.error(err.message);
+      }
+    }
+  };
+
+  const updateBand = (index, field, value) => {
+    setBands(bands.map((band, i) => i === index ? { ...band, [field]: value } : band));
+  };
+
+  const handleSaveBands = async () => {
+    try {
+      await deliveryPricingService.updateDistanceBands(bands);
+      toast.success('Distance bands saved');
+      loadRules();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const updateSurcharge = (group, field, value) => {
+    setSurcharges({ ...surcharges, [group]: { ...surcharges[group], [field]: value } });
+  };
+
+  const handleSaveSurcharges = async () => {
+    try {
+      await deliveryPricingService.updateSurcharges(surcharges);
+      toast.success('Surcharges saved');
+      loadRules();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  if (loading) return <Loading type="page" />;
+  if (error) return <Error message={error} onRetry={loadRules} />;
+
+  // Preview uses the saved rules, exactly as Checkout would
+  const previewQuote = deliveryPricingService.calculateDeliveryFee({
+    items: [{ quantity: 1, weightKg: parseFloat(preview.weightKg) || 0 }],
+    subtotal: parseFloat(preview.subtotal) || 0,
+    deliveryAddress: { city: preview.city, postalCode: preview.postalCode }
+  });
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Delivery Pricing</h1>
+          <p className="text-gray-600">Zone fees, distance bands, surcharges and free delivery thresholds</p>
+        </div>
+        <Button onClick={handleAddZone} icon="Plus">
+          Add Zone
+        </Button>
+      </div>
+
+      {/* Zones */}
+      <div className="card p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Delivery Zones</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Zone</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Postal Codes</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Base Fee</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Free Over</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rules.zones.map(zone => (
+                <tr key={zone.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    <div className="text-sm font-medium text-gray-900">{zone.name}</div>
+                    <div className="text-sm text-gray-500">{zone.city}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {zone.postalCodePrefixes.length > 0 ? zone.postalCodePrefixes.map(p => `${p}*`).join(', ') : 'All other'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">Rs. {zone.baseFee.toLocaleString()}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {zone.freeDeliveryThreshold !== null ? `Rs. ${zone.freeDeliveryThreshold.toLocaleString()}` : '—'}
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                      zone.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {zone.isActive ? 'active' : 'inactive'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    <div className="flex items-center gap-2">
+                      <button onClick={() => handleEditZone(zone)} className="text-primary hover:text-primary/80">
+                        <ApperIcon name="Edit" size={16} />
+                      </button>
+                      <button onClick={() => handleDeleteZone(zone)} className="text-red-600 hover:text-red-800">
+                        <ApperIcon name="Trash2" size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Distance Bands */}
+        <div className="card p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Distance Bands</h2>
+          <p className="text-sm text-gray-500 mb-4">Added to the zone fee, measured from the nearest store. Addresses beyond the last band are not served.</p>
+          <div className="space-y-2 mb-4">
+            {bands.map((band, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="text-sm text-gray-600 w-12">Up to</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={band.upToKm}
+                  onChange={(e) => updateBand(index, 'upToKm', e.target.value)}
+                  className="input-field w-20"
+                />
+                <span className="text-sm text-gray-600">km +Rs.</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={band.fee}
+                  onChange={(e) => updateBand(index, 'fee', e.target.value)}
+                  className="input-field w-24"
+                />
+                <button
+                  onClick={() => setBands(bands.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  <ApperIcon name="Trash2" size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="small" icon="Plus" onClick={() => setBands([...bands, { upToKm: '', fee: '' }])}>
+              Add Band
+            </Button>
+            <Button size="small" onClick={handleSaveBands}>Save Bands</Button>
+          </div>
+        </div>
+
+        {/* Surcharges */}
+        <div className="card p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Surcharges</h2>
+          <p className="text-sm text-gray-500 mb-4">Weight and bulk surcharges still apply when the order qualifies for free delivery.</p>
+          <div className="space-y-3 mb-4">
+            <Input
+              label="Included weight (kg)"
+              type="number"
+              value={surcharges.weight.includedKg}
+              onChange={(e) => updateSurcharge('weight', 'includedKg', e.target.value)}
+            />
+            <Input
+              label="Fee per extra kg (Rs.)"
+              type="number"
+              value={surcharges.weight.feePerKg}
+              onChange={(e) => updateSurcharge('weight', 'feePerKg', e.target.value)}
+            />
+            <Input
+              label="Bulk order item threshold"
+              type="number"
+              value={surcharges.bulk.itemThreshold}
+              onChange={(e) => updateSurcharge('bulk', 'itemThreshold', e.target.value)}
+            />
+            <Input
+              label="Bulk surcharge (Rs.)"
+              type="number"
+              value={surcharges.bulk.surcharge}
+              onChange={(e) => updateSurcharge('bulk', 'surcharge', e.target.value)}
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={surcharges.outsideZones.allowed}
+                onChange={(e) => updateSurcharge('outsideZones', 'allowed', e.target.checked)}
+              />
+              Deliver outside configured zones
+            </label>
+            {surcharges.outsideZones.allowed && (
+              <Input
+                label="Outside zone fee (Rs.)"
+                type="number"
+                value={surcharges.outsideZones.fee}
+                onChange={(e) => updateSurcharge('outsideZones', 'fee', e.target.value)}
+              />
+            )}
+          </div>
+          <Button size="small" onClick={handleSaveSurcharges}>Save Surcharges</Button>
+        </div>
+
+        {/* Fee Preview */}
+        <div className="card p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Fee Preview</h2>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <Input label="City" value={preview.city} onChange={(e) => setPreview({ ...preview, city: e.target.value })} />
+            <Input label="Postal Code" value={preview.postalCode} onChange={(e) => setPreview({ ...preview, postalCode: e.target.value })} />
+            <Input label="Order Value (Rs.)" type="number" value={preview.subtotal} onChange={(e) => setPreview({ ...preview, subtotal: e.target.value })} />
+            <Input label="Weight (kg)" type="number" value={preview.weightKg} onChange={(e) => setPreview({ ...preview, weightKg: e.target.value })} />
+          </div>
+          {previewQuote.isServiceable ? (
+            <div className="space-y-1 text-sm">
+              <div className="text-gray-500 mb-2">
+                {previewQuote.zone ? previewQuote.zone.name : 'Outside zones'}
+                {previewQuote.distanceKm !== null && ` · ${previewQuote.distanceKm} km from ${previewQuote.store?.name}`}
+              </div>
+              {previewQuote.breakdown.map(line => (
+                <div key={line.type} className="flex justify-between">
+                  <span>{line.label}</span>
+                  <span>{line.amount < 0 ? '-' : ''}Rs. {Math.abs(line.amount).toLocaleString()}</span>
+                </div>
+              ))}
+              <div className="flex justify-between font-semibold border-t pt-2">
+                <span>Delivery fee</span>
+                <span>{previewQuote.fee > 0 ? `Rs. ${previewQuote.fee.toLocaleString()}` : 'Free'}</span>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-red-600">{previewQuote.error}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Zone Modal */}
+      {showZoneModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">
+                  {editingZone ? 'Edit Zone' : 'Add Zone'}
+                </h3>
+                <button onClick={handleCloseZoneModal} className="text-gray-400 hover:text-gray-600">
+                  <ApperIcon name="X" size={24} />
+                </button>
+              </div>
+
+              <form onSubmit={handleZoneSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label="Zone Name"
+                    value={zoneForm.name}
+                    onChange={(e) => setZoneForm({ ...zoneForm, name: e.target.value })}
+                    required
+                  />
+                  <Input
+                    label="City"
+                    value={zoneForm.city}
+                    onChange={(e) => setZoneForm({ ...zoneForm, city: e.target.value })}
+                    required
+                  />
+                  <Input
+                    label="Base Fee (Rs.)"
+                    type="number"
+                    value={zoneForm.baseFee}
+                    onChange={(e) => setZoneForm({ ...zoneForm, baseFee: e.target.value })}
+                    required
+                  />
+                  <Input
+                    label="Free Delivery Over (Rs.)"
+                    type="number"
+                    placeholder="No threshold"
+                    value={zoneForm.freeDeliveryThreshold}
+                    onChange={(e) => setZoneForm({ ...zoneForm, freeDeliveryThreshold: e.target.value })}
+                  />
+                </div>
+                <Input
+                  label="Postal Code Prefixes"
+                  placeholder="e.g. 540, 541 (leave empty to cover the rest of the city)"
+                  value={zoneForm.postalCodePrefixes}
+                  onChange={(e) => setZoneForm({ ...zoneForm, postalCodePrefixes: e.target.value })}
+                />
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={zoneForm.isActive}
+                    onChange={(e) => setZoneForm({ ...zoneForm, isActive: e.target.checked })}
+                  />
+                  Active
+                </label>
+
+                <div className="flex justify-end gap-3 pt-4">
+                  <Button type="button" variant="outline" onClick={handleCloseZoneModal}>
+                    Cancel
+                  </Button>
+                  <Button type="submit">
+                    {editingZone ? 'Update' : 'Create'} Zone
+                  </Button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryPricing;
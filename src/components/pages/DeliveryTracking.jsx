@@ -7,10 +7,16 @@ import Input from '@/components/atoms/Input';
 import Loading from '@/components/ui/Loading';
 import Error from '@/components/ui/Error';
 import Badge from '@/components/atoms/Badge';
+import RiderAssignmentModal from '@/components/organisms/RiderAssignmentModal';
+import DeliveryConfirmationModal from '@/components/organisms/DeliveryConfirmationModal';
 import { orderService } from '@/services/api/orderService';
 import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import { routePlannerService } from '@/services/api/routePlannerService';
+import useAuth from '@/hooks/useAuth';
 
 const DeliveryTracking = () => {
+  const { can } = useAuth();
+  const canManage = can('deliveries', 'manage');
   const [orders, setOrders] = useState([]);
   const [personnel, setPersonnel] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -20,6 +26,9 @@ const DeliveryTracking = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [assignModalOpen, setAssignModalOpen] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [routes, setRoutes] = useState({});
+  const [planningRiderId, setPlanningRiderId] = useState(null);
+  const [confirmingOrder, setConfirmingOrder] = useState(null);
   
   const deliveryStatuses = [
     { value: 'all', label: 'All Statuses', color: 'gray' },
@@ -40,13 +49,15 @@ const DeliveryTracking = () => {
       setLoading(true);
       setError(null);
       
-      const [ordersData, personnelData] = await Promise.all([
+      const [ordersData, personnelData, routesData] = await Promise.all([
         orderService.getAll(),
-        deliveryPersonnelService.getAll()
+        deliveryPersonnelService.getAll(),
+        routePlannerService.getAllRoutes()
       ]);
       
       setOrders(ordersData);
       setPersonnel(personnelData);
+      setRoutes(Object.fromEntries(routesData.map(route => [route.riderId, route])));
     } catch (err) {
       setError(err.message);
       toast.error('Failed to load delivery data');
@@ -55,19 +66,18 @@ const DeliveryTracking = () => {
     }
   };
 
-  const handleAssignDelivery = async (orderId, deliveryPersonId) => {
-    try {
-      await orderService.assignDeliveryPersonnel(orderId, deliveryPersonId);
-      await loadData();
-      setAssignModalOpen(false);
-      setSelectedOrder(null);
-      toast.success('Delivery personnel assigned successfully');
-    } catch (err) {
-      toast.error('Failed to assign delivery personnel');
-    }
+  const handleAssigned = async () => {
+    setAssignModalOpen(false);
+    setSelectedOrder(null);
+    await loadData();
   };
 
   const handleUpdateStatus = async (orderId, newStatus) => {
+    // Delivery needs the customer's code, collected in the confirmation modal
+    if (newStatus === 'delivered') {
+      setConfirmingOrder(orders.find(o => o.id === orderId));
+      return;
+    }
     try {
       await orderService.updateDeliveryStatus(orderId, newStatus);
       await loadData();
@@ -77,6 +87,22 @@ const DeliveryTracking = () => {
     }
   };
 
+  const handlePlanRoute = async (riderId) => {
+    try {
+      setPlanningRiderId(riderId);
+      const route = await routePlannerService.planRoute(riderId);
+      await loadData();
+      if (route.unroutableOrderIds.length > 0) {
+        toast.warning(`Orders ${route.unroutableOrderIds.map(id => `#${id}`).join(', ')} have no location and were left out`);
+      }
+      toast.success(`Route planned: ${route.stops.length} stops, ${route.totalDistanceKm} km`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setPlanningRiderId(null);
+    }
+  };
+
   const getStatusColor = (status) => {
     const statusObj = deliveryStatuses.find(s => s.value === status);
     return statusObj ? statusObj.color : 'gray';
@@ -93,8 +119,14 @@ const DeliveryTracking = () => {
     return matchesStatus && matchesZone && matchesSearch;
   });
 
-  const availablePersonnel = personnel.filter(p => p.status === 'available' && p.isActive);
   const zones = [...new Set(orders.map(order => order.deliveryZone).filter(Boolean))];
+  const activeRouteStatuses = ['assigned', 'picked_up', 'out_for_delivery', 'in_transit'];
+  const ridersWithOrders = personnel
+    .map(person => ({
+      person,
+      activeOrders: orders.filter(o => o.deliveryPersonId === person.Id && activeRouteStatuses.includes(o.deliveryStatus))
+    }))
+    .filter(({ activeOrders }) => activeOrders.length > 0);
 
   if (loading) {
     return (
@@ -237,6 +269,11 @@ const DeliveryTracking = () => {
                       <Badge variant={getStatusColor(order.deliveryStatus)}>
                         {deliveryStatuses.find(s => s.value === order.deliveryStatus)?.label || 'Pending'}
                       </Badge>
+                      {order.routeSequence && order.estimatedDelivery && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Stop {order.routeSequence} · ETA {format(new Date(order.estimatedDelivery), 'HH:mm')}
+                        </p>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       {deliveryPerson ? (
@@ -258,7 +295,7 @@ const DeliveryTracking = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <div className="flex space-x-2">
-                        {!order.deliveryPersonId && (
+                        {canManage && !order.deliveryPersonId && (
                           <Button
                             variant="outline"
                             size="sm"
@@ -282,6 +319,7 @@ const DeliveryTracking = () => {
                               <option value="assigned">Assigned</option>
                               <option value="picked_up">Picked Up</option>
                               <option value="in_transit">In Transit</option>
+                              <option value="out_for_delivery">Out for Delivery</option>
                               <option value="delivered">Delivered</option>
                               <option value="failed">Failed</option>
                             </select>
@@ -305,65 +343,90 @@ const DeliveryTracking = () => {
         )}
       </div>
 
+      {confirmingOrder && (
+        <DeliveryConfirmationModal
+          order={confirmingOrder}
+          onClose={() => setConfirmingOrder(null)}
+          onConfirmed={() => {
+            setConfirmingOrder(null);
+            loadData();
+          }}
+        />
+      )}
+
       {/* Assignment Modal */}
       {assignModalOpen && selectedOrder && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold">Assign Delivery Personnel</h3>
-              <button
-                onClick={() => {
-                  setAssignModalOpen(false);
-                  setSelectedOrder(null);
-                }}
-                className="text-gray-400 hover:text-gray-600"
-              >
-                <ApperIcon name="X" size={20} />
-              </button>
-            </div>
-            
-            <div className="mb-4">
-              <p className="text-sm text-gray-600 mb-2">
-                Order #{selectedOrder.id}
-              </p>
-              <p className="text-sm text-gray-600">
-                {selectedOrder.customerAddress || 'No address provided'}
-              </p>
-            </div>
+        <RiderAssignmentModal
+          order={selectedOrder}
+          onClose={() => {
+            setAssignModalOpen(false);
+            setSelectedOrder(null);
+          }}
+          onAssigned={handleAssigned}
+        />
+      )}
 
-            <div className="space-y-3 max-h-60 overflow-y-auto">
-              {availablePersonnel.map((person) => (
-                <div
-                  key={person.Id}
-                  className="flex items-center justify-between p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer"
-                  onClick={() => handleAssignDelivery(selectedOrder.id, person.Id)}
-                >
-                  <div className="flex items-center space-x-3">
-                    <div className="bg-green-100 p-2 rounded-lg">
-                      <ApperIcon name="User" size={16} className="text-green-600" />
-                    </div>
+      {/* Rider Routes */}
+      <div className="card p-6 mt-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-6">Rider Routes</h2>
+        {ridersWithOrders.length === 0 ? (
+          <p className="text-sm text-gray-500">No riders have active deliveries</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {ridersWithOrders.map(({ person, activeOrders }) => {
+              const route = routes[person.Id];
+              return (
+                <div key={person.Id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-3">
                     <div>
-                      <p className="text-sm font-medium text-gray-900">{person.name}</p>
-                      <p className="text-sm text-gray-500">{person.phone}</p>
-                      <p className="text-xs text-gray-400">Zone {person.zone}</p>
+                      <p className="font-medium text-gray-900">{person.name}</p>
+                      <p className="text-sm text-gray-500">
+                        {activeOrders.length} active order{activeOrders.length !== 1 ? 's' : ''} · {person.vehicleType}
+                      </p>
                     </div>
+                    {canManage && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        loading={planningRiderId === person.Id}
+                        onClick={() => handlePlanRoute(person.Id)}
+                      >
+                        <ApperIcon name="Route" size={16} className="mr-1" />
+                        {route ? 'Re-plan' : 'Plan Route'}
+                      </Button>
+                    )}
                   </div>
-                  <Badge variant="green" className="text-xs">
-                    Available
-                  </Badge>
+                  {route ? (
+                    <>
+                      <p className="text-xs text-gray-500 mb-2">
+                        {route.totalDistanceKm} km · ~{route.totalDurationMinutes} min · planned {format(new Date(route.plannedAt), 'HH:mm')}
+                      </p>
+                      <ol className="space-y-2">
+                        {route.stops.map(stop => (
+                          <li key={stop.orderId} className="flex items-center justify-between text-sm">
+                            <div className="flex items-center space-x-2">
+                              <span className="w-6 h-6 rounded-full bg-primary text-white text-xs flex items-center justify-center">
+                                {stop.sequence}
+                              </span>
+                              <span className="text-gray-900">#{stop.orderId}</span>
+                              <span className="text-gray-500 truncate">{stop.customerName || stop.city}</span>
+                            </div>
+                            <span className="text-gray-600">
+                              {stop.legDistanceKm} km · {format(new Date(stop.eta), 'HH:mm')}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-500">No route planned yet</p>
+                  )}
                 </div>
-              ))}
-            </div>
-
-            {availablePersonnel.length === 0 && (
-              <div className="text-center py-8">
-                <ApperIcon name="Users" size={48} className="text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-600">No available personnel</p>
-              </div>
-            )}
+              );
+            })}
           </div>
-        </div>
-      )}
+        )}
+      </div>
 
       {/* Personnel Status */}
       <div className="card p-6 mt-8">
@@ -6,6 +6,7 @@ import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
 import Loading from '@/components/ui/Loading';
 import Error from '@/components/ui/Error';
+import PriceApprovalModal from '@/components/organisms/PriceApprovalModal';
 import productService from '@/services/api/productService';
 
 const EditProduct = () => {
@@ -54,6 +55,7 @@ const EditProduct = () => {
 
   // Validation errors
   const [errors, setErrors] = useState({});
+  const [pricingApproval, setPricingApproval] = useState(null);
 
   // Load product data
   useEffect(() => {
@@ -62,12 +64,12 @@ const EditProduct = () => {
         setLoading(true);
         setError(null);
 
-        const [productResponse, categoriesResponse] = await Promise.all([
+        // getProductById returns the product itself rather than a { data } response
+        const [product, categoriesResponse] = await Promise.all([
           productService.getProductById(id),
           productService.getCategories()
         ]);
 
-        const product = productResponse.data;
         setOriginalData(product);
         setFormData({
           name: product.name || '',
@@ -235,6 +237,11 @@ const EditProduct = () => {
     
     if (!validateForm()) return;
 
+    await saveProduct();
+  };
+
+  // Prices under the pricing policy floor come back asking for a manager's approval
+  const saveProduct = async (approval = null) => {
     try {
       setSaving(true);
       
@@ -244,18 +251,25 @@ const EditProduct = () => {
         previousPrice: parseFloat(formData.previousPrice) || parseFloat(formData.price),
         purchasePrice: parseFloat(formData.purchasePrice),
         discountValue: parseFloat(formData.discountValue) || 0,
-        stock: parseInt(formData.stock),
+        stock: parseFloat(formData.stock),
         profitMargin: calculatedValues.profitMargin,
         minSellingPrice: calculatedValues.minSellingPrice
       };
 
-      await productService.updateProduct(id, productData);
+      // Stock is only adjusted when the field was changed from the figure the form was loaded with
+      await productService.updateProduct(id, productData, { approval, loadedStock: originalData.stock });
       
+      setPricingApproval(null);
       toast.success('Product updated successfully');
       navigate('/admin/products');
       
     } catch (error) {
       console.error('Error updating product:', error);
+      if (error.code === 'PRICE_APPROVAL_REQUIRED') {
+        if (approval) toast.error(error.message);
+        setPricingApproval(error.pricing);
+        return;
+      }
       toast.error(error.message || 'Failed to update product');
     } finally {
       setSaving(false);
@@ -684,6 +698,15 @@ const EditProduct = () => {
           </Button>
         </div>
       </form>
+
+      {pricingApproval && (
+        <PriceApprovalModal
+          flagged={pricingApproval}
+          onApprove={saveProduct}
+          onClose={() => setPricingApproval(null)}
+          loading={saving}
+        />
+      )}
     </div>
   );
 };
@@ -13,6 +13,8 @@ import Analytics from "@/components/pages/Analytics";
 import Category from "@/components/pages/Category";
 import { orderService } from "@/services/api/orderService";
 import productService from "@/services/api/productService";
+import useAuth from "@/hooks/useAuth";
+
 const FinancialDashboard = () => {
   const [data, setData] = useState({
     products: [],
@@ -49,6 +51,10 @@ const [selectedView, setSelectedView] = useState('overview');
   const [selectedPayments, setSelectedPayments] = useState([]);
   const [showBulkPaymentModal, setShowBulkPaymentModal] = useState(false);
   const [bulkProcessing, setBulkProcessing] = useState(false);
+  const { can } = useAuth();
+  const canRecordExpenses = can('expenses', 'record');
+  const canRecordVendorPayments = can('vendor_payments', 'record');
+  const canApproveVendorPayments = can('vendor_payments', 'approve');
 
   useEffect(() => {
     loadFinancialData();
@@ -155,7 +161,7 @@ const [selectedView, setSelectedView] = useState('overview');
       setEditingExpense(null);
       loadExpenseData();
     } catch (error) {
-      toast.error('Failed to save expense');
+      toast.error(error.message || 'Failed to save expense');
     }
   };
 
@@ -167,7 +173,7 @@ const [selectedView, setSelectedView] = useState('overview');
       toast.success('Expense deleted successfully');
       loadExpenseData();
     } catch (error) {
-      toast.error('Failed to delete expense');
+      toast.error(error.message || 'Failed to delete expense');
     }
   };
 
@@ -235,7 +241,7 @@ const [selectedView, setSelectedView] = useState('overview');
       setSelectedVendorForPayment(null);
       loadVendorData();
     } catch (error) {
-      toast.error('Failed to process payment');
+      toast.error(error.message || 'Failed to process payment');
     }
   };
 
@@ -253,7 +259,7 @@ const [selectedView, setSelectedView] = useState('overview');
       setShowBulkPaymentModal(false);
       loadVendorData();
     } catch (error) {
-      toast.error('Failed to process bulk payments');
+      toast.error(error.message || 'Failed to process bulk payments');
     } finally {
       setBulkProcessing(false);
     }
@@ -289,11 +295,11 @@ const [selectedView, setSelectedView] = useState('overview');
     let totalProfit = 0;
     
     filteredOrders.forEach(order => {
-      order.items?.forEach(item => {
+      orderService.getNetItems(order).forEach(item => {
         const product = data.products.find(p => p.id === item.productId);
         if (product) {
           const revenue = product.price * item.quantity;
-          const cost = (product.purchasePrice || 0) * item.quantity;
+          const cost = (product.purchasePrice || 0) * item.costQuantity;
           totalRevenue += revenue;
           totalCost += cost;
           totalProfit += (revenue - cost);
@@ -301,11 +307,13 @@ const [selectedView, setSelectedView] = useState('overview');
       });
     });
 
+    const totalRefunds = filteredOrders.reduce((sum, order) => sum + (order.refundedTotal || 0), 0);
     const profitMargin = totalRevenue > 0 ? (totalProfit / totalRevenue) * 100 : 0;
     const roi = totalCost > 0 ? (totalProfit / totalCost) * 100 : 0;
 
     return {
       totalRevenue,
+      totalRefunds,
       totalCost,
       totalProfit,
       profitMargin,
@@ -327,12 +335,12 @@ const [selectedView, setSelectedView] = useState('overview');
         return orderDate >= startDate && orderDate <= endDate;
       })
       .forEach(order => {
-        order.items?.forEach(item => {
+        orderService.getNetItems(order).forEach(item => {
           const product = data.products.find(p => p.id === item.productId);
           if (product && product.purchasePrice) {
             const productId = item.productId;
             const revenue = product.price * item.quantity;
-            const cost = product.purchasePrice * item.quantity;
+            const cost = product.purchasePrice * item.costQuantity;
             const profit = revenue - cost;
             
             if (!productSales[productId]) {
@@ -380,11 +388,11 @@ const [selectedView, setSelectedView] = useState('overview');
       let dayCost = 0;
       
       dayOrders.forEach(order => {
-        order.items?.forEach(item => {
+        orderService.getNetItems(order).forEach(item => {
           const product = data.products.find(p => p.id === item.productId);
           if (product) {
             dayRevenue += product.price * item.quantity;
-            dayCost += (product.purchasePrice || 0) * item.quantity;
+            dayCost += (product.purchasePrice || 0) * item.costQuantity;
           }
         });
       });
@@ -405,12 +413,12 @@ const [selectedView, setSelectedView] = useState('overview');
     const categoryData = {};
     
     data.orders.forEach(order => {
-      order.items?.forEach(item => {
+      orderService.getNetItems(order).forEach(item => {
         const product = data.products.find(p => p.id === item.productId);
         if (product && product.purchasePrice) {
           const category = product.category || 'Uncategorized';
           const revenue = product.price * item.quantity;
-          const cost = product.purchasePrice * item.quantity;
+          const cost = product.purchasePrice * item.costQuantity;
           
           if (!categoryData[category]) {
             categoryData[category] = { revenue: 0, cost: 0, profit: 0 };
@@ -547,6 +555,7 @@ const [selectedView, setSelectedView] = useState('overview');
             <ApperIcon name="TrendingUp" size={16} className="mr-2 inline" />
             Cash Flow Analysis
           </button>
+          {can('expenses', 'view') && (
           <button
             onClick={() => setSelectedView('expenses')}
             className={`py-2 px-1 border-b-2 font-medium text-sm whitespace-nowrap ${
@@ -558,6 +567,8 @@ const [selectedView, setSelectedView] = useState('overview');
             <ApperIcon name="Receipt" size={16} className="mr-2 inline" />
             Expense Tracking
           </button>
+          )}
+          {can('vendor_payments', 'view') && (
           <button
             onClick={() => setSelectedView('vendors')}
             className={`py-2 px-1 border-b-2 font-medium text-sm whitespace-nowrap ${
@@ -569,6 +580,7 @@ const [selectedView, setSelectedView] = useState('overview');
             <ApperIcon name="Users" size={16} className="mr-2 inline" />
             Vendor Payments
           </button>
+          )}
         </nav>
       </div>
 
@@ -584,7 +596,9 @@ const [selectedView, setSelectedView] = useState('overview');
                   <p className="text-3xl font-bold">Rs. {metrics.totalRevenue.toLocaleString()}</p>
                   <div className="flex items-center mt-2">
                     <ApperIcon name="TrendingUp" size={12} className="mr-1" />
-                    <span className="text-xs text-green-100">Real-time</span>
+                    <span className="text-xs text-green-100">
+                      {metrics.totalRefunds > 0 ? `Net of Rs. ${metrics.totalRefunds.toLocaleString()} refunds` : 'Real-time'}
+                    </span>
                   </div>
                 </div>
                 <div className="bg-white/20 p-3 rounded-lg">
@@ -1466,6 +1480,7 @@ const [selectedView, setSelectedView] = useState('overview');
           </div>
 
           {/* Expense Actions */}
+          {canRecordExpenses && (
           <div className="flex flex-col sm:flex-row gap-4 mb-8">
             <Button
               onClick={() => setShowExpenseForm(true)}
@@ -1493,6 +1508,7 @@ const [selectedView, setSelectedView] = useState('overview');
               </Button>
             </div>
           </div>
+          )}
 
           {/* Expense Charts */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
@@ -1574,6 +1590,7 @@ const [selectedView, setSelectedView] = useState('overview');
                   </div>
                   <div className="flex items-center space-x-3">
                     <p className="font-semibold text-gray-900">Rs. {expense.amount.toLocaleString()}</p>
+                    {canRecordExpenses && (
                     <div className="flex space-x-1">
                       <button
                         onClick={() => {
@@ -1591,6 +1608,7 @@ const [selectedView, setSelectedView] = useState('overview');
                         <ApperIcon name="Trash2" size={16} />
                       </button>
                     </div>
+                    )}
                   </div>
                 </div>
               ))}
@@ -1600,10 +1618,12 @@ const [selectedView, setSelectedView] = useState('overview');
               <div className="text-center py-12">
                 <ApperIcon name="Receipt" size={48} className="text-gray-400 mx-auto mb-4" />
                 <p className="text-gray-600 mb-4">No expenses recorded yet</p>
-                <Button onClick={() => setShowExpenseForm(true)}>
-                  <ApperIcon name="Plus" size={16} className="mr-2" />
-                  Add Your First Expense
-                </Button>
+                {canRecordExpenses && (
+                  <Button onClick={() => setShowExpenseForm(true)}>
+                    <ApperIcon name="Plus" size={16} className="mr-2" />
+                    Add Your First Expense
+                  </Button>
+                )}
               </div>
             )}
           </div>
@@ -1673,16 +1693,18 @@ const [selectedView, setSelectedView] = useState('overview');
               Add Vendor
             </Button>
             
-            <Button
-              onClick={() => setShowPaymentForm(true)}
-              variant="outline"
-              className="flex-1"
-            >
-              <ApperIcon name="CreditCard" size={16} className="mr-2" />
-              Record Payment
-            </Button>
+            {canRecordVendorPayments && (
+              <Button
+                onClick={() => setShowPaymentForm(true)}
+                variant="outline"
+                className="flex-1"
+              >
+                <ApperIcon name="CreditCard" size={16} className="mr-2" />
+                Record Payment
+              </Button>
+            )}
 
-            {selectedPayments.length > 0 && (
+            {canApproveVendorPayments && selectedPayments.length > 0 && (
               <Button
                 onClick={() => setShowBulkPaymentModal(true)}
                 className="flex-1 bg-gradient-to-r from-indigo-500 to-purple-500"
@@ -1734,6 +1756,9 @@ const [selectedView, setSelectedView] = useState('overview');
                           <div>
                             <span className="text-gray-500">Payment Terms:</span>
                             <p className="font-medium">{vendor.paymentTerms} days</p>
+                            {vendor.leadTimeDays && (
+                              <p className="text-gray-600">Delivers in {vendor.leadTimeDays} days</p>
+                            )}
                           </div>
                           <div>
                             <span className="text-gray-500">Category:</span>
@@ -1742,17 +1767,19 @@ const [selectedView, setSelectedView] = useState('overview');
                         </div>
                       </div>
                       <div className="flex space-x-2">
-                        <Button
-                          size="sm"
-                          variant="outline"
-                          onClick={() => {
-                            setSelectedVendorForPayment(vendor);
-                            setShowPaymentForm(true);
-                          }}
-                        >
-                          <ApperIcon name="Plus" size={14} className="mr-1" />
-                          Pay
-                        </Button>
+                        {canRecordVendorPayments && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => {
+                              setSelectedVendorForPayment(vendor);
+                              setShowPaymentForm(true);
+                            }}
+                          >
+                            <ApperIcon name="Plus" size={14} className="mr-1" />
+                            Pay
+                          </Button>
+                        )}
                         <Button
                           size="sm"
                           variant="secondary"
@@ -1786,7 +1813,7 @@ const [selectedView, setSelectedView] = useState('overview');
                             return (
                               <div key={payment.Id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                                 <div className="flex items-center space-x-3">
-                                  {payment.status === 'pending' && (
+                                  {canApproveVendorPayments && payment.status === 'pending' && (
                                     <input
                                       type="checkbox"
                                       checked={selectedPayments.includes(payment.Id)}
@@ -1987,6 +2014,7 @@ const [selectedView, setSelectedView] = useState('overview');
                   phone: formData.get('phone'),
                   category: formData.get('category'),
                   paymentTerms: parseInt(formData.get('paymentTerms')),
+                  leadTimeDays: parseInt(formData.get('leadTimeDays')) || null,
                   address: formData.get('address')
                 });
               }}
@@ -2057,6 +2085,19 @@ const [selectedView, setSelectedView] = useState('overview');
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Delivery Lead Time (Days)</label>
+                <input
+                  type="number"
+                  name="leadTimeDays"
+                  min="0"
+                  max="180"
+                  defaultValue={editingVendor?.leadTimeDays ?? ''}
+                  placeholder="Used for reorder suggestions"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                />
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
                 <textarea
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import useAuth from '@/hooks/useAuth';
+
+// Where each role lands after signing in when it wasn't sent here by a route guard
+const HOME_BY_ROLE = {
+  admin: '/admin/dashboard',
+  finance_manager: '/admin/financial-dashboard',
+  finance_clerk: '/admin/financial-dashboard',
+  cashier: '/admin/pos',
+  rider: '/rider',
+  customer: '/'
+};
+
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, login, register } = useAuth();
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ name: '', email: '', phone: '', password: '', confirmPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const redirectTo = (signedInUser) => location.state?.from?.pathname || HOME_BY_ROLE[signedInUser.role] || '/';
+
+  if (user && !submitting) {
+    return <Navigate to={redirectTo(user)} replace />;
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (mode === 'register' && formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const session = mode === 'login'
+        ? await login(formData.email, formData.password)
+        : await register({ name: formData.name, email: formData.email, phone: formData.phone, password: formData.password });
+      toast.success(mode === 'login' ? `Welcome back, ${session.user.name}` : 'Your account has been created');
+      navigate(redirectTo(session.user), { replace: true });
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = (next) => {
+    setMode(next);
+    setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }));
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="text-center mb-8">
+        <div className="bg-gradient-to-r from-primary to-accent p-3 rounded-lg inline-block mb-4">
+          <ApperIcon name="ShoppingBag" size={32} className="text-white" />
+        </div>
+        <h1 className="text-3xl font-bold text-gray-900">
+          {mode === 'login' ? 'Sign In' : 'Create Account'}
+        </h1>
+        {location.state?.from && (
+          <p className="text-gray-600 mt-2">Please sign in to continue</p>
+        )}
+      </div>
+
+      <div className="card p-6">
+        <div className="flex border-b border-gray-200 mb-6">
+          {[
+            { id: 'login', label: 'Sign In' },
+            { id: 'register', label: 'Register' }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => switchMode(tab.id)}
+              className={`flex-1 py-3 font-medium text-sm border-b-2 ${
+                mode === tab.id
+                  ? 'border-primary text-primary'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'register' && (
+            <Input
+              label="Full Name"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              icon="User"
+              required
+            />
+          )}
+          <Input
+            label="Email Address"
+            name="email"
+            type="email"
+            value={formData.email}
+            onChange={handleInputChange}
+            icon="Mail"
+            autoComplete="email"
+            required
+          />
+          {mode === 'register' && (
+            <Input
+              label="Phone Number"
+              name="phone"
+              type="tel"
+              value={formData.phone}
+              onChange={handleInputChange}
+              icon="Phone"
+            />
+          )}
+          <Input
+            label="Password"
+            name="password"
+            type="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            icon="Lock"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            required
+          />
+          {mode === 'register' && (
+            <Input
+              label="Confirm Password"
+              name="confirmPassword"
+              type="password"
+              value={formData.confirmPassword}
+              onChange={handleInputChange}
+              icon="Lock"
+              autoComplete="new-password"
+              required
+            />
+          )}
+          <Button type="submit" className="w-full" loading={submitting}>
+            {mode === 'login' ? 'Sign In' : 'Create Account'}
+          </Button>
+        </form>
+
+        {import.meta.env.DEV && mode === 'login' && (
+          <div className="mt-6 p-3 bg-gray-50 rounded-lg text-xs text-gray-600">
+            <p className="font-medium text-gray-700 mb-1">Demo accounts</p>
+            <p>admin@freshmart.com / admin123</p>
+            <p>finance@freshmart.com / finance123</p>
+            <p>clerk@freshmart.com / clerk123</p>
+            <p>cashier@freshmart.com / cashier123</p>
+            <p>ali.hassan@freshmart.com / rider123</p>
+            <p>ahmad@example.com / customer123</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -9,11 +9,21 @@ import Loading from '@/components/ui/Loading';
 import Error from '@/components/ui/Error';
 import Empty from '@/components/ui/Empty';
 import ProductGrid from '@/components/organisms/ProductGrid';
+import StockMovementModal from '@/components/organisms/StockMovementModal';
+import PriceScheduleModal from '@/components/organisms/PriceScheduleModal';
+import ReorderSuggestions from '@/components/organisms/ReorderSuggestions';
+import ExpiryMarkdowns from '@/components/organisms/ExpiryMarkdowns';
+import PricingPolicyPanel from '@/components/organisms/PricingPolicyPanel';
+import ProductImportModal from '@/components/organisms/ProductImportModal';
 import productService from '@/services/api/productService';
+import useAuth from '@/hooks/useAuth';
 
 const ManageProducts = () => {
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
+  const { can } = useAuth();
+  // Viewers (e.g. cashiers) browse stock; adding, editing, pricing and deleting need products:edit
+  const canEdit = can('products', 'edit');
   
   // State management
   const [products, setProducts] = useState([]);
@@ -28,6 +38,12 @@ const ManageProducts = () => {
   const [showFilters, setShowFilters] = useState(false);
   const [categories, setCategories] = useState([]);
   const [stats, setStats] = useState({});
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [priceProduct, setPriceProduct] = useState(null);
+  const [showReorder, setShowReorder] = useState(searchParams.get('reorder') === 'true');
+  const [showExpiry, setShowExpiry] = useState(false);
+  const [showPricingPolicy, setShowPricingPolicy] = useState(false);
+  const [showImport, setShowImport] = useState(false);
 
   // Filter states
   const [filters, setFilters] = useState({
@@ -231,6 +247,30 @@ const ManageProducts = () => {
             </p>
           </div>
           <div className="flex flex-col sm:flex-row gap-3">
+            <Button
+              onClick={() => setShowPricingPolicy(!showPricingPolicy)}
+              variant="outline"
+              className="flex items-center space-x-2"
+            >
+              <ApperIcon name="ShieldCheck" size={16} />
+              <span>Pricing Policy</span>
+            </Button>
+            <Button
+              onClick={() => setShowExpiry(!showExpiry)}
+              variant="outline"
+              className="flex items-center space-x-2"
+            >
+              <ApperIcon name="CalendarClock" size={16} />
+              <span>Expiry</span>
+            </Button>
+            <Button
+              onClick={() => setShowReorder(!showReorder)}
+              variant="outline"
+              className="flex items-center space-x-2"
+            >
+              <ApperIcon name="ClipboardList" size={16} />
+              <span>Reorder</span>
+            </Button>
             <Button
               onClick={handleExport}
               variant="outline"
@@ -239,16 +279,67 @@ const ManageProducts = () => {
               <ApperIcon name="Download" size={16} />
               <span>Export</span>
             </Button>
-            <Link to="/admin/products/add">
-              <Button className="flex items-center space-x-2">
-                <ApperIcon name="Plus" size={16} />
-                <span>Add Product</span>
-              </Button>
-            </Link>
+            {canEdit && (
+              <>
+                <Button
+                  onClick={() => setShowImport(true)}
+                  variant="outline"
+                  className="flex items-center space-x-2"
+                >
+                  <ApperIcon name="Upload" size={16} />
+                  <span>Import</span>
+                </Button>
+                <Link to="/admin/products/add">
+                  <Button className="flex items-center space-x-2">
+                    <ApperIcon name="Plus" size={16} />
+                    <span>Add Product</span>
+                  </Button>
+                </Link>
+              </>
+            )}
           </div>
         </div>
       </div>
 
+      {/* Reorder Suggestions */}
+      {showReorder && (
+        <div className="card p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Reorder Suggestions</h2>
+            <button onClick={() => setShowReorder(false)} className="text-gray-400 hover:text-gray-600">
+              <ApperIcon name="X" size={20} />
+            </button>
+          </div>
+          <ReorderSuggestions />
+        </div>
+      )}
+
+      {/* Pricing Policy & Overrides */}
+      {showPricingPolicy && (
+        <div className="card p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Pricing Policy</h2>
+            <button onClick={() => setShowPricingPolicy(false)} className="text-gray-400 hover:text-gray-600">
+              <ApperIcon name="X" size={20} />
+            </button>
+          </div>
+          <PricingPolicyPanel />
+        </div>
+      )}
+
+      {/* Near-expiry Markdowns */}
+      {showExpiry && (
+        <div className="card p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Near Expiry & Markdowns</h2>
+            <button onClick={() => setShowExpiry(false)} className="text-gray-400 hover:text-gray-600">
+              <ApperIcon name="X" size={20} />
+            </button>
+          </div>
+          <ExpiryMarkdowns onChanged={loadProducts} />
+        </div>
+      )}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
         <div className="bg-gradient-to-r from-blue-500 to-cyan-600 text-white p-6 rounded-xl">
@@ -469,14 +560,16 @@ const ManageProducts = () => {
               </span>
             </div>
             <div className="flex flex-wrap gap-2">
-              <Button
-                onClick={handleBulkDelete}
-                variant="outline"
-                className="text-red-600 border-red-300 hover:bg-red-50"
-              >
-                <ApperIcon name="Trash2" size={16} className="mr-1" />
-                Delete Selected
-              </Button>
+              {canEdit && (
+                <Button
+                  onClick={handleBulkDelete}
+                  variant="outline"
+                  className="text-red-600 border-red-300 hover:bg-red-50"
+                >
+                  <ApperIcon name="Trash2" size={16} className="mr-1" />
+                  Delete Selected
+                </Button>
+              )}
               <Button
                 onClick={() => setSelectedProducts([])}
                 variant="outline"
@@ -547,22 +640,42 @@ const ManageProducts = () => {
                       </div>
 
                       <div className="flex items-center space-x-2">
-                        <Link 
-                          to={`/admin/products/edit/${product.id}`}
-                          className="flex-1"
-                        >
-                          <Button variant="outline" className="w-full text-sm">
-                            <ApperIcon name="Edit2" size={14} className="mr-1" />
-                            Edit
-                          </Button>
-                        </Link>
+                        {canEdit && (
+                          <Link 
+                            to={`/admin/products/edit/${product.id}`}
+                            className="flex-1"
+                          >
+                            <Button variant="outline" className="w-full text-sm">
+                              <ApperIcon name="Edit2" size={14} className="mr-1" />
+                              Edit
+                            </Button>
+                          </Link>
+                        )}
                         <Button
-                          onClick={() => handleDeleteProduct(product.id)}
+                          onClick={() => setHistoryProduct(product)}
                           variant="outline"
-                          className="text-red-600 border-red-300 hover:bg-red-50"
+                          title="Stock history"
                         >
-                          <ApperIcon name="Trash2" size={14} />
+                          <ApperIcon name="History" size={14} />
                         </Button>
+                        {canEdit && (
+                          <>
+                            <Button
+                              onClick={() => setPriceProduct(product)}
+                              variant="outline"
+                              title="Prices"
+                            >
+                              <ApperIcon name="Tag" size={14} />
+                            </Button>
+                            <Button
+                              onClick={() => handleDeleteProduct(product.id)}
+                              variant="outline"
+                              className="text-red-600 border-red-300 hover:bg-red-50"
+                            >
+                              <ApperIcon name="Trash2" size={14} />
+                            </Button>
+                          </>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -648,18 +761,38 @@ const ManageProducts = () => {
                           </span>
                         </td>
                         <td className="px-6 py-4 text-right space-x-2">
-                          <Link 
-                            to={`/admin/products/edit/${product.id}`}
-                            className="text-primary hover:text-primary-dark"
-                          >
-                            <ApperIcon name="Edit2" size={16} />
-                          </Link>
+                          {canEdit && (
+                            <Link 
+                              to={`/admin/products/edit/${product.id}`}
+                              className="text-primary hover:text-primary-dark"
+                            >
+                              <ApperIcon name="Edit2" size={16} />
+                            </Link>
+                          )}
                           <button
-                            onClick={() => handleDeleteProduct(product.id)}
-                            className="text-red-600 hover:text-red-800"
+                            onClick={() => setHistoryProduct(product)}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="Stock history"
                           >
-                            <ApperIcon name="Trash2" size={16} />
+                            <ApperIcon name="History" size={16} />
                           </button>
+                          {canEdit && (
+                            <>
+                              <button
+                                onClick={() => setPriceProduct(product)}
+                                className="text-gray-600 hover:text-gray-900"
+                                title="Prices"
+                              >
+                                <ApperIcon name="Tag" size={16} />
+                              </button>
+                              <button
+                                onClick={() => handleDeleteProduct(product.id)}
+                                className="text-red-600 hover:text-red-800"
+                              >
+                                <ApperIcon name="Trash2" size={16} />
+                              </button>
+                            </>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -670,6 +803,29 @@ const ManageProducts = () => {
           )}
         </>
       )}
+
+      {historyProduct && (
+        <StockMovementModal
+          product={historyProduct}
+          onClose={() => setHistoryProduct(null)}
+          onRecorded={loadProducts}
+        />
+      )}
+
+      {showImport && canEdit && (
+        <ProductImportModal
+          onClose={() => setShowImport(false)}
+          onImported={loadProducts}
+        />
+      )}
+
+      {priceProduct && (
+        <PriceScheduleModal
+          product={priceProduct}
+          onClose={() => setPriceProduct(null)}
+          onChanged={loadProducts}
+        />
+      )}
     </div>
   );
 };
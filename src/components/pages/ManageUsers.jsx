@@ -0,0 +1,308 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import PermissionMatrix from '@/components/organisms/PermissionMatrix';
+import useAuth from '@/hooks/useAuth';
+import { authService, USER_ROLES } from '@/services/api/authService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+
+const ROLE_STYLES = {
+  admin: 'bg-purple-100 text-purple-800',
+  finance_manager: 'bg-emerald-100 text-emerald-800',
+  finance_clerk: 'bg-teal-100 text-teal-800',
+  cashier: 'bg-blue-100 text-blue-800',
+  rider: 'bg-orange-100 text-orange-800',
+  customer: 'bg-gray-100 text-gray-700'
+};
+
+const emptyUser = { name: '', email: '', phone: '', password: '', role: 'cashier', riderId: '' };
+
+const ManageUsers = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [riders, setRiders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [roleFilter, setRoleFilter] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [newUser, setNewUser] = useState(emptyUser);
+  const [saving, setSaving] = useState(false);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [activeTab, setActiveTab] = useState('users');
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const loadUsers = async () => {
+    try {
+      setLoading(true);
+      const [usersData, ridersData] = await Promise.all([
+        authService.getUsers(),
+        deliveryPersonnelService.getAll()
+      ]);
+      setUsers(usersData);
+      setRiders(ridersData);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpdate = async (id, changes) => {
+    try {
+      setUpdatingId(id);
+      const updated = await authService.updateUser(id, changes);
+      setUsers(prev => prev.map(u => (u.id === id ? updated : u)));
+      toast.success(`${updated.name} updated`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const created = await authService.createUser(newUser);
+      setUsers(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+      setShowAddModal(false);
+      setNewUser(emptyUser);
+      toast.success(`${created.roleLabel} account created for ${created.name}`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const filteredUsers = users.filter(u =>
+    (!roleFilter || u.role === roleFilter) &&
+    (!searchTerm || `${u.name} ${u.email}`.toLowerCase().includes(searchTerm.toLowerCase()))
+  );
+
+  const riderName = (riderId) => riders.find(r => r.Id === riderId)?.name;
+
+  if (loading) return <Loading type="page" />;
+  if (error) return <Error message={error} onRetry={loadUsers} />;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Users & Permissions</h1>
+          <p className="text-gray-600">Staff accounts, riders, registered customers and what each role may do</p>
+        </div>
+        {activeTab === 'users' && (
+          <Button icon="UserPlus" onClick={() => setShowAddModal(true)}>
+            Add User
+          </Button>
+        )}
+      </div>
+
+      <div className="flex border-b border-gray-200 mb-6">
+        {[
+          { id: 'users', label: 'Users', icon: 'Users' },
+          { id: 'permissions', label: 'Role Permissions', icon: 'ShieldCheck' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`flex items-center space-x-2 px-4 py-3 font-medium text-sm border-b-2 ${
+              activeTab === tab.id
+                ? 'border-primary text-primary'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <ApperIcon name={tab.icon} size={16} />
+            <span>{tab.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'permissions' && <PermissionMatrix />}
+
+      {activeTab === 'users' && (
+      <>
+      <div className="card p-4 mb-6 flex flex-col sm:flex-row gap-4">
+        <div className="flex-1">
+          <Input
+            placeholder="Search by name or email"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            icon="Search"
+          />
+        </div>
+        <select
+          value={roleFilter}
+          onChange={(e) => setRoleFilter(e.target.value)}
+          className="input-field sm:w-56"
+        >
+          <option value="">All roles</option>
+          {Object.entries(USER_ROLES).map(([role, label]) => (
+            <option key={role} value={role}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Sign-in</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredUsers.map(u => (
+                <tr key={u.id} className={u.isActive ? '' : 'opacity-60'}>
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-gray-900">
+                      {u.name}
+                      {u.id === currentUser?.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    </div>
+                    <div className="text-sm text-gray-500">{u.email}</div>
+                    {u.role === 'rider' && u.riderId && (
+                      <div className="text-xs text-orange-700">Rider: {riderName(u.riderId) || `#${u.riderId}`}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">
+                    {u.role === 'rider' ? (
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${ROLE_STYLES.rider}`}>{u.roleLabel}</span>
+                    ) : (
+                      <select
+                        value={u.role}
+                        onChange={(e) => handleUpdate(u.id, { role: e.target.value })}
+                        disabled={updatingId === u.id || u.id === currentUser?.id}
+                        className={`px-2 py-1 rounded-full text-xs font-medium border-0 ${ROLE_STYLES[u.role]}`}
+                      >
+                        {Object.entries(USER_ROLES)
+                          .filter(([role]) => role !== 'rider')
+                          .map(([role, label]) => (
+                            <option key={role} value={role}>{label}</option>
+                          ))}
+                      </select>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {u.lastLoginAt ? format(new Date(u.lastLoginAt), 'MMM dd, yyyy HH:mm') : 'Never'}
+                  </td>
+                  <td className="px-6 py-4">
+                    <button
+                      onClick={() => handleUpdate(u.id, { isActive: !u.isActive })}
+                      disabled={updatingId === u.id || u.id === currentUser?.id}
+                      className={`flex items-center space-x-1 text-sm ${
+                        u.isActive ? 'text-green-700' : 'text-red-600'
+                      } disabled:cursor-not-allowed`}
+                    >
+                      <ApperIcon name={u.isActive ? 'CheckCircle' : 'XCircle'} size={16} />
+                      <span>{u.isActive ? 'Active' : 'Disabled'}</span>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {filteredUsers.length === 0 && (
+          <p className="text-center text-gray-500 py-8">No users match these filters</p>
+        )}
+      </div>
+      </>
+      )}
+
+      {showAddModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Add User</h3>
+              <button onClick={() => setShowAddModal(false)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={20} />
+              </button>
+            </div>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <Input
+                label="Full Name"
+                value={newUser.name}
+                onChange={(e) => setNewUser(prev => ({ ...prev, name: e.target.value }))}
+                required
+              />
+              <Input
+                label="Email Address"
+                type="email"
+                value={newUser.email}
+                onChange={(e) => setNewUser(prev => ({ ...prev, email: e.target.value }))}
+                required
+              />
+              <Input
+                label="Phone Number"
+                type="tel"
+                value={newUser.phone}
+                onChange={(e) => setNewUser(prev => ({ ...prev, phone: e.target.value }))}
+              />
+              <Input
+                label="Temporary Password"
+                type="password"
+                value={newUser.password}
+                onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+                placeholder="At least 8 characters"
+                required
+              />
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+                <select
+                  value={newUser.role}
+                  onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value }))}
+                  className="input-field w-full"
+                >
+                  {Object.entries(USER_ROLES).map(([role, label]) => (
+                    <option key={role} value={role}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {newUser.role === 'rider' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Delivery Rider</label>
+                  <select
+                    value={newUser.riderId}
+                    onChange={(e) => setNewUser(prev => ({ ...prev, riderId: e.target.value }))}
+                    className="input-field w-full"
+                    required
+                  >
+                    <option value="">Select rider</option>
+                    {riders.map(rider => (
+                      <option key={rider.Id} value={rider.Id}>{rider.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="flex justify-end space-x-3 pt-2">
+                <Button type="button" variant="outline" onClick={() => setShowAddModal(false)}>
+                  Cancel
+                </Button>
+                <Button type="submit" icon="UserPlus" loading={saving}>
+                  Create Account
+                </Button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ManageUsers;
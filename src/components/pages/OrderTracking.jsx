@@ -1,11 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { format } from 'date-fns';
+import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
 import OrderStatusBadge from '@/components/molecules/OrderStatusBadge';
+import ReturnRequestModal from '@/components/organisms/ReturnRequestModal';
 import Loading from '@/components/ui/Loading';
 import Error from '@/components/ui/Error';
 import { orderService } from '@/services/api/orderService';
+import { routePlannerService } from '@/services/api/routePlannerService';
+import { returnService, RETURN_STATUSES } from '@/services/api/returnService';
+import useAuth from '@/hooks/useAuth';
+
+const LIVE_TRACKING_STATUSES = ['picked_up', 'out_for_delivery', 'in_transit'];
+const TRACKING_POLL_INTERVAL_MS = 15000;
 
 // Payment Proof Image Component with enhanced error handling and retry functionality
 const PaymentProofImage = ({ order }) => {
@@ -117,20 +125,68 @@ const PaymentProofImage = ({ order }) => {
 const OrderTracking = () => {
   const { orderId } = useParams();
   const navigate = useNavigate();
+  const { user, can } = useAuth();
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [requestingCode, setRequestingCode] = useState(false);
+  const [deliveryCode, setDeliveryCode] = useState(null);
+  const [liveEta, setLiveEta] = useState(null);
+  const [returns, setReturns] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [showReturnModal, setShowReturnModal] = useState(searchParams.get('report') === '1');
+
+  const isTrackable = order && LIVE_TRACKING_STATUSES.includes(order.deliveryStatus);
 
   useEffect(() => {
     loadOrder();
   }, [orderId]);
 
+  // Poll the rider's position while the order is on the road
+  useEffect(() => {
+    if (!isTrackable) {
+      setLiveEta(null);
+      return;
+    }
+    refreshLiveTracking();
+    const interval = setInterval(refreshLiveTracking, TRACKING_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isTrackable, order?.id]);
+
+  // Only the customer who placed the order gets the code; everyone else sees just its status
+  useEffect(() => {
+    if (!order?.deliveryOtp || order.deliveryStatus !== 'out_for_delivery' || order.customerId !== user?.id) {
+      setDeliveryCode(null);
+      return;
+    }
+    orderService.getDeliveryOtp(order.id)
+      .then(setDeliveryCode)
+      .catch(() => setDeliveryCode(null));
+  }, [order?.id, order?.deliveryStatus, order?.deliveryOtp?.expiresAt, user?.id]);
+
+  const refreshLiveTracking = async () => {
+    try {
+      const [latestOrder, eta] = await Promise.all([
+        orderService.getById(parseInt(orderId)),
+        routePlannerService.getDeliveryEta(parseInt(orderId))
+      ]);
+      setOrder(latestOrder);
+      setLiveEta(eta);
+    } catch (err) {
+      setLiveEta(null);
+    }
+  };
+
   const loadOrder = async () => {
     try {
       setLoading(true);
       setError(null);
       const data = await orderService.getById(parseInt(orderId));
+      if (!can('orders', 'view') && data.customerId !== user?.id) {
+        throw new Error('Order not found');
+      }
       setOrder(data);
+      setReturns(await returnService.getByOrder(data.id));
     } catch (err) {
       setError(err.message);
     } finally {
@@ -138,6 +194,24 @@ const OrderTracking = () => {
     }
   };
 
+  const closeReturnModal = () => {
+    setShowReturnModal(false);
+    if (searchParams.has('report')) setSearchParams({}, { replace: true });
+  };
+
+  const handleRequestNewCode = async () => {
+    try {
+      setRequestingCode(true);
+      const updated = await orderService.reissueDeliveryOtp(order.id);
+      setOrder(updated);
+      toast.success('New delivery code issued');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setRequestingCode(false);
+    }
+  };
+
   const getStatusSteps = () => {
     const steps = [
       { key: 'pending', label: 'Order Placed', icon: 'ShoppingCart' },
@@ -181,6 +255,8 @@ const OrderTracking = () => {
   }
 
   const statusSteps = getStatusSteps();
+  const otpStatus = order.deliveryOtp ? orderService.getDeliveryOtpStatus(order.id) : null;
+  const needsNewCode = otpStatus && ['expired', 'locked'].includes(otpStatus.status);
 
 return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -195,6 +271,15 @@ return (
         </button>
         
         <div className="flex items-center space-x-4">
+          {order.deliveryStatus === 'delivered' && (
+            <button
+              onClick={() => setShowReturnModal(true)}
+              className="flex items-center space-x-2 text-orange-600 hover:text-orange-700 transition-colors"
+            >
+              <ApperIcon name="PackageX" size={16} />
+              <span>Report a Problem</span>
+            </button>
+          )}
           <button className="flex items-center space-x-2 text-blue-600 hover:text-blue-700 transition-colors">
             <ApperIcon name="MessageCircle" size={16} />
             <span>Chat Support</span>
@@ -258,6 +343,50 @@ return (
         </div>
       </div>
 
+      {/* Live Delivery Tracking */}
+      {isTrackable && liveEta && (
+        <div className="card p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Your Rider is on the Way</h2>
+              <p className="text-sm text-gray-600">
+                {liveEta.riderName} · <span className="capitalize">{liveEta.vehicleType}</span>
+                {liveEta.stopsBefore > 0 && ` · ${liveEta.stopsBefore} stop${liveEta.stopsBefore !== 1 ? 's' : ''} before yours`}
+              </p>
+            </div>
+            <div className="text-right">
+              <p className="text-2xl font-bold text-primary">{format(new Date(liveEta.eta), 'hh:mm a')}</p>
+              <p className="text-sm text-gray-600">
+                {liveEta.etaMinutes <= 1 ? 'Arriving now' : `${liveEta.etaMinutes} min · ${liveEta.remainingKm} km`}
+              </p>
+            </div>
+          </div>
+
+          <div className="relative h-2 bg-gray-200 rounded-full my-6">
+            <div
+              className="absolute inset-y-0 left-0 bg-gradient-to-r from-primary to-accent rounded-full transition-all duration-1000"
+              style={{ width: `${liveEta.progress * 100}%` }}
+            />
+            <div
+              className="absolute top-1/2 -translate-y-1/2 -translate-x-1/2 w-8 h-8 bg-white border-2 border-primary rounded-full flex items-center justify-center shadow transition-all duration-1000"
+              style={{ left: `${liveEta.progress * 100}%` }}
+            >
+              <ApperIcon name={liveEta.vehicleType === 'bicycle' ? 'Bike' : 'Truck'} size={14} className="text-primary" />
+            </div>
+          </div>
+
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>Store</span>
+            <span>
+              {liveEta.lastUpdatedAt
+                ? `Location updated ${format(new Date(liveEta.lastUpdatedAt), 'hh:mm:ss a')}`
+                : 'Waiting for rider location'}
+            </span>
+            <span>You</span>
+          </div>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Order Items */}
         <div className="card p-6">
@@ -294,6 +423,12 @@ return (
                 Rs. {(order?.total || 0).toLocaleString()}
               </span>
             </div>
+            {order?.refundedTotal > 0 && (
+              <div className="flex justify-between mt-2 text-orange-600">
+                <span>Refunded</span>
+                <span className="font-medium">- Rs. {order.refundedTotal.toLocaleString()}</span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -340,6 +475,70 @@ return (
             </div>
           </div>
 
+          {order.deliveryStatus === 'out_for_delivery' && order.deliveryOtp && order.customerId === user?.id && (
+            <div className="card p-6 bg-primary/5 border border-primary/20">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Delivery Code</h2>
+              {needsNewCode ? (
+                <>
+                  <p className="text-sm text-gray-600 mb-3">
+                    {otpStatus.status === 'locked'
+                      ? 'This code was entered incorrectly too many times.'
+                      : 'This code has expired.'}
+                  </p>
+                  <button
+                    onClick={handleRequestNewCode}
+                    disabled={requestingCode}
+                    className="btn-primary inline-flex items-center disabled:opacity-50"
+                  >
+                    <ApperIcon name="RefreshCw" size={16} className="mr-2" />
+                    Get New Code
+                  </button>
+                </>
+              ) : deliveryCode && (
+                <>
+                  <p className="text-sm text-gray-600 mb-3">Your order is on its way. Read this code to the rider when they arrive.</p>
+                  <p className="text-3xl font-bold tracking-[0.5em] text-primary">{deliveryCode.code}</p>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Valid until {format(new Date(deliveryCode.expiresAt), 'hh:mm a')}
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+
+          {order.proofOfDelivery && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Proof of Delivery</h2>
+              <div className="space-y-3">
+                <div className="flex items-center space-x-3">
+                  <ApperIcon name="Clock" size={16} className="text-gray-500" />
+                  <span className="text-gray-900">
+                    Delivered {format(new Date(order.proofOfDelivery.capturedAt), 'MMM dd, yyyy • hh:mm a')}
+                  </span>
+                </div>
+                {order.proofOfDelivery.recipientName && (
+                  <div className="flex items-center space-x-3">
+                    <ApperIcon name="UserCheck" size={16} className="text-gray-500" />
+                    <span className="text-gray-900">Received by {order.proofOfDelivery.recipientName}</span>
+                  </div>
+                )}
+                {order.proofOfDelivery.otpVerified && (
+                  <div className="flex items-center space-x-3">
+                    <ApperIcon name="ShieldCheck" size={16} className="text-green-600" />
+                    <span className="text-green-700">Delivery code confirmed</span>
+                  </div>
+                )}
+                {order.proofOfDelivery.photo && (
+                  <img
+                    src={order.proofOfDelivery.photo.url}
+                    alt="Proof of delivery"
+                    className="w-32 h-32 object-cover rounded-lg border border-gray-200"
+                  />
+                )}
+              </div>
+            </div>
+          )}
+
 {/* Payment Information */}
           <div className="card p-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Payment Information</h2>
@@ -386,8 +585,74 @@ return (
               )}
             </div>
           </div>
+
+          {/* Returns */}
+          {returns.length > 0 && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Returns</h2>
+              <div className="space-y-4">
+                {returns.map(returnRequest => (
+                  <div key={returnRequest.Id} className="border-l-4 border-blue-400 pl-3">
+                    <div className="flex justify-between">
+                      <span className="font-medium text-gray-900">{returnRequest.rmaNumber}</span>
+                      <span className="text-sm text-gray-600">{RETURN_STATUSES[returnRequest.status]}</span>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {returnRequest.items.map(line => `${line.quantity} x ${line.name}`).join(', ')}
+                    </p>
+                    {returnRequest.resolution?.type === 'replacement' && (
+                      <p className="text-xs text-gray-500 mt-1">Replacement order #{returnRequest.resolution.replacementOrderId} is on its way</p>
+                    )}
+                    {returnRequest.resolution?.type === 'rejected' && (
+                      <p className="text-xs text-gray-500 mt-1">{returnRequest.resolution.note}</p>
+                    )}
+                    {returnRequest.pickup?.status === 'scheduled' && (
+                      <p className="text-xs text-gray-500 mt-1">A rider will collect the items</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Refund History */}
+          {order.refunds?.length > 0 && (
+            <div className="card p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Refunds</h2>
+              <div className="space-y-4">
+                {order.refunds.map(refund => (
+                  <div key={refund.id} className="border-l-4 border-orange-400 pl-3">
+                    <div className="flex justify-between">
+                      <span className="font-medium text-gray-900">Rs. {refund.amount.toLocaleString()}</span>
+                      <span className="text-sm text-gray-500">{format(new Date(refund.processedAt), 'MMM dd, yyyy')}</span>
+                    </div>
+                    <ul className="text-sm text-gray-600 mt-1">
+                      {refund.items.map(line => (
+                        <li key={line.index}>{line.quantity} x {line.name}</li>
+                      ))}
+                      {refund.deliveryRefund > 0 && <li>Delivery charge</li>}
+                    </ul>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {refund.destination === 'wallet' ? 'Credited to wallet' : `Returned to ${refund.paymentMethod.replace('_', ' ')}`} · {refund.reason}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
+
+      {showReturnModal && order.deliveryStatus === 'delivered' && (
+        <ReturnRequestModal
+          order={order}
+          onClose={closeReturnModal}
+          onSubmitted={(returnRequest) => {
+            closeReturnModal();
+            setReturns(prev => [...prev, returnRequest]);
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -7,8 +7,10 @@ import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import OrderStatusBadge from "@/components/molecules/OrderStatusBadge";
 import { orderService } from "@/services/api/orderService";
+import useAuth from "@/hooks/useAuth";
 
 const Orders = () => {
+  const { user, can } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -185,7 +187,10 @@ const Orders = () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await orderService.getAll();
+      // Staff see every order; customers and riders only the ones they placed
+      const data = can('orders', 'view')
+        ? await orderService.getAll()
+        : await orderService.getByCustomer(user?.id);
       // Sort by most recent first
       const sortedOrders = data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
       setOrders(sortedOrders);
@@ -405,6 +410,16 @@ const Orders = () => {
                   <span>Chat Support</span>
                 </button>
                 
+                {order.deliveryStatus === 'delivered' && (
+                  <Link
+                    to={`/orders/${order.id}?report=1`}
+                    className="flex items-center space-x-2 text-orange-600 hover:text-orange-700 transition-colors"
+                  >
+                    <ApperIcon name="PackageX" size={16} />
+                    <span>Report a Problem</span>
+                  </Link>
+                )}
+                
                 {order.status === 'delivered' && (
                   <button className="flex items-center space-x-2 text-green-600 hover:text-green-700 transition-colors">
                     <ApperIcon name="RotateCcw" size={16} />
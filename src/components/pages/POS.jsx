@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
@@ -10,10 +10,30 @@ import Analytics from "@/components/pages/Analytics";
 import Category from "@/components/pages/Category";
 import SearchBar from "@/components/molecules/SearchBar";
 import BarcodeScanner from "@/components/molecules/BarcodeScanner";
+import CouponInput from "@/components/molecules/CouponInput";
+import PriceApprovalModal from "@/components/organisms/PriceApprovalModal";
 import { posService } from "@/services/api/posService";
-import { productService } from "@/services/api/productService";
+import productService, {
+  formatQuantity,
+  getQuantityRules,
+  roundQuantity,
+  validateQuantity
+} from "@/services/api/productService";
 import { paymentService } from "@/services/api/paymentService";
+import { idempotencyService } from "@/services/api/idempotencyService";
+import { promotionService } from "@/services/api/promotionService";
+import { pricingPolicyService } from "@/services/api/pricingPolicyService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { getCartLineKey } from "@/store/cartSlice";
+import useAuth from "@/hooks/useAuth";
+
+// Pack sizes of one product are separate lines, keyed like the online cart
+const getLineKey = (item) => getCartLineKey(item.id, item.variantId);
+// Stock held by online checkouts can't be sold at the counter
+const getAvailableStock = (product) => product.availableStock ?? product.stock;
+
 const POS = () => {
+  const { user } = useAuth();
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
   const [cart, setCart] = useState([]);
@@ -24,6 +44,11 @@ const POS = () => {
   const [customerPaid, setCustomerPaid] = useState('');
   const [processingPayment, setProcessingPayment] = useState(false);
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [couponCode, setCouponCode] = useState(null);
+  const [priceOverride, setPriceOverride] = useState(null);
+  const [saleApproval, setSaleApproval] = useState(null);
+  // Idempotency key and payment reference for the sale in progress; renewed once it completes
+  const saleRef = useRef({ key: idempotencyService.createKey('pos'), reference: `POS-${Date.now()}` });
   
 // Receipt configuration state
   const [receiptConfig, setReceiptConfig] = useState({
@@ -83,8 +108,9 @@ useEffect(() => {
     try {
       setLoading(true);
       setError(null);
-      const data = await productService.getAll();
-      setProducts(data.filter(p => p.isActive && p.stock > 0));
+      const response = await productService.getAll();
+      const data = response.data || response;
+      setProducts(data.filter(p => p.isActive && getAvailableStock(p) > 0));
     } catch (err) {
       setError(err.message);
     } finally {
@@ -122,9 +148,11 @@ useEffect(() => {
   const checkStockAlerts = () => {
     const lowStock = products.filter(p => p.stock <= 5 && p.stock > 0);
     const outOfStock = products.filter(p => p.stock === 0);
+    const expired = products.filter(p => p.expiredStock > 0);
     
     setLowStockItems(lowStock);
     setStockAlerts([
+      ...expired.map(p => ({ type: 'expired', product: p, message: `${p.name} has ${p.expiredStock} expired ${p.unit} blocked from sale - write it off` })),
       ...lowStock.map(p => ({ type: 'low', product: p, message: `${p.name} is running low (${p.stock} remaining)` })),
       ...outOfStock.map(p => ({ type: 'out', product: p, message: `${p.name} is out of stock` }))
     ]);
@@ -170,7 +198,10 @@ useEffect(() => {
           else if (bulkAction === 'subtract10') newStock = Math.max(0, newStock - 10);
           else if (bulkAction === 'setZero') newStock = 0;
           
-          await productService.update(productId, { ...product, stock: newStock });
+          await productService.update(productId, { stock: newStock }, {
+            reason: `POS bulk action: ${bulkAction}`,
+            user: user.name
+          });
         }
       }
       
@@ -179,7 +210,7 @@ useEffect(() => {
       setBulkAction('');
       toast.success(`Bulk action applied to ${selectedProducts.length} products`);
     } catch (error) {
-      toast.error('Error updating stock');
+      toast.error(error.message || 'Error updating stock');
     }
   };
 
@@ -226,49 +257,113 @@ const filterProducts = () => {
     setShowBarcodeScanner(false);
   };
 
-  const addToCart = (product) => {
-    const existingItem = cart.find(item => item.id === product.id);
+  // Weighed items start at their minimum weight and grow by their step size. Variant products
+  // picked from the grid sell their default pack; scanned ones arrive resolved to the scanned pack.
+  const addToCart = (selected) => {
+    const product = selected.variants?.length && !selected.variantId
+      ? productService.resolveVariant(selected)
+      : selected;
+    const lineKey = getLineKey(product);
+    const existingItem = cart.find(item => getLineKey(item) === lineKey);
+    const { step, min } = getQuantityRules(product);
     
     if (existingItem) {
-      if (existingItem.quantity >= product.stock) {
+      if (roundQuantity(existingItem.quantity + step) > getAvailableStock(product)) {
         toast.error('Insufficient stock');
         return;
       }
       setCart(cart.map(item =>
-        item.id === product.id
-          ? { ...item, quantity: item.quantity + 1 }
+        getLineKey(item) === lineKey
+          ? { ...item, quantity: roundQuantity(item.quantity + step) }
           : item
       ));
     } else {
-      setCart([...cart, { ...product, quantity: 1 }]);
+      if (min > getAvailableStock(product)) {
+        toast.error('Insufficient stock');
+        return;
+      }
+      setCart([...cart, { ...product, quantity: min }]);
     }
   };
 
-  const updateQuantity = (productId, newQuantity) => {
-    if (newQuantity <= 0) {
-      setCart(cart.filter(item => item.id !== productId));
+  const updateQuantity = (lineKey, newQuantity) => {
+    const line = cart.find(item => getLineKey(item) === lineKey);
+    const quantity = roundQuantity(newQuantity);
+
+    if (quantity <= 0 || quantity < getQuantityRules(line).min) {
+      setCart(cart.filter(item => getLineKey(item) !== lineKey));
       return;
     }
 
-    const product = products.find(p => p.id === productId);
-    if (newQuantity > product.stock) {
-      toast.error('Insufficient stock');
+    const quantityError = validateQuantity({ ...line, stock: getAvailableStock(line) }, quantity);
+    if (quantityError) {
+      toast.error(quantityError);
       return;
     }
 
     setCart(cart.map(item =>
-      item.id === productId
-        ? { ...item, quantity: newQuantity }
+      getLineKey(item) === lineKey
+        ? { ...item, quantity }
         : item
     ));
   };
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter(item => item.id !== productId));
+  const removeFromCart = (lineKey) => {
+    setCart(cart.filter(item => getLineKey(item) !== lineKey));
+  };
+
+  // Price overrides are checked against the pricing policy straight away; any that fall under
+  // the floor are approved by a manager together with the rest of the sale at payment
+  const applyPriceOverride = () => {
+    const item = cart.find(i => getLineKey(i) === priceOverride.lineKey);
+    const price = Math.round(parseFloat(priceOverride.price) * 100) / 100;
+    if (!price || price <= 0) {
+      toast.error('Enter a valid price');
+      return;
+    }
+    if (!priceOverride.reason.trim()) {
+      toast.error('Enter a reason for the price override');
+      return;
+    }
+
+    const evaluation = pricingPolicyService.evaluate({
+      price,
+      purchasePrice: item.purchasePrice,
+      minSellingPrice: item.minSellingPrice
+    });
+    if (evaluation.status === 'blocked') {
+      toast.error(`${evaluation.violations[0].message}. This price is not allowed.`);
+      return;
+    }
+
+    setCart(cart.map(i =>
+      getLineKey(i) === priceOverride.lineKey
+        ? { ...i, price, originalPrice: i.originalPrice ?? i.price, overrideReason: priceOverride.reason.trim() }
+        : i
+    ));
+    setPriceOverride(null);
+    if (evaluation.status === 'approval_required') {
+      toast.warning(`${item.name}: ${evaluation.violations[0].message}. A manager will need to approve it at payment.`);
+    }
+  };
+
+  const resetPrice = (lineKey) => {
+    setCart(cart.map(item => {
+      if (getLineKey(item) !== lineKey || item.originalPrice === undefined) return item;
+      const { originalPrice, overrideReason, ...rest } = item;
+      return { ...rest, price: originalPrice };
+    }));
   };
 
+  // Same promotion rules as online checkout, evaluated for the in-store channel
+  const getPromotions = () => promotionService.calculateDiscounts(cart, {
+    couponCode,
+    customerId: selectedCustomer ? selectedCustomer.Id : null,
+    channel: 'pos'
+  });
+
   const getTotal = () => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    return getPromotions().total;
   };
 
   const getChange = () => {
@@ -277,20 +372,56 @@ const filterProducts = () => {
     return Math.max(0, paid - total);
   };
 
-const processPayment = async () => {
+const processPayment = async (approval = null) => {
     if (cart.length === 0) {
       toast.error('Cart is empty');
       return;
     }
 
-    const total = getTotal();
+    const promotions = getPromotions();
+    const total = promotions.total;
     const paid = parseFloat(customerPaid) || 0;
 
+    if (couponCode && promotions.couponError) {
+      toast.error(`Coupon ${couponCode}: ${promotions.couponError}`);
+      return;
+    }
+
     if (paymentType === 'cash' && paid < total) {
       toast.error('Insufficient payment amount');
       return;
     }
 
+    // Price overrides and promotions must not take a line under the pricing policy floor
+    // without a manager's approval
+    let priceOverrides = [];
+    try {
+      priceOverrides = await pricingPolicyService.authorize(pricingPolicyService.reviewSale(cart, promotions).evaluations, approval, {
+        context: 'pos_sale',
+        requestedBy: user.name
+      });
+    } catch (policyError) {
+      if (policyError.code === 'PRICE_APPROVAL_REQUIRED') {
+        if (approval) toast.error(policyError.message);
+        setSaleApproval(policyError.pricing);
+      } else {
+        toast.error(policyError.message);
+      }
+      return;
+    }
+    setSaleApproval(null);
+
+    // Check the shelf before the customer is charged; createTransaction posts the same lines
+    try {
+      inventoryService.assertAvailable(inventoryService.buildItemMovements(cart, {
+        reason: 'POS sale',
+        user: user.name
+      }));
+    } catch (stockError) {
+      toast.error(stockError.message);
+      return;
+    }
+
     try {
       setProcessingPayment(true);
 
@@ -307,11 +438,11 @@ const processPayment = async () => {
               cvv: '***',
               cardholderName: 'Customer'
             };
-            paymentResult = await paymentService.processCardPayment(mockCardData, total, `POS-${Date.now()}`);
+            paymentResult = await paymentService.processCardPayment(mockCardData, total, saleRef.current.reference, saleRef.current.key);
           } else if (['jazzcash', 'easypaisa', 'sadapay'].includes(paymentType)) {
-            paymentResult = await paymentService.processDigitalWalletPayment(paymentType, total, `POS-${Date.now()}`, '03001234567');
+            paymentResult = await paymentService.processDigitalWalletPayment(paymentType, total, saleRef.current.reference, '03001234567', saleRef.current.key);
           } else if (paymentType === 'bank') {
-            paymentResult = await paymentService.processBankTransfer(total, `POS-${Date.now()}`, {});
+            paymentResult = await paymentService.processBankTransfer(total, saleRef.current.reference, {});
           }
         } catch (paymentError) {
           toast.error(paymentError.message);
@@ -323,27 +454,36 @@ const processPayment = async () => {
 const transactionData = {
         items: cart.map(item => ({
           productId: item.id,
+          variantId: item.variantId || null,
+          variantName: item.variantName || null,
           name: item.name,
           price: item.price,
-          quantity: item.quantity
+          ...(item.originalPrice !== undefined && { originalPrice: item.originalPrice, overrideReason: item.overrideReason }),
+          quantity: item.quantity,
+          unit: item.unit,
+          soldByWeight: Boolean(item.soldByWeight)
         })),
+        subtotal: promotions.subtotal,
+        couponCode: promotions.couponCode,
+        appliedPromotions: promotions.discounts,
+        discountTotal: promotions.discountTotal,
+        priceOverrides,
         total,
         paymentType,
-        cashierId: 'admin', // In real app, this would be the logged-in user
+        cashierId: user.id,
+        cashierName: user.name,
         customerPaid: paymentType === 'cash' ? paid : total,
         change: paymentType === 'cash' ? getChange() : 0,
         paymentResult: paymentResult || null,
         customerId: selectedCustomer ? selectedCustomer.Id : null,
         customerName: selectedCustomer ? selectedCustomer.name : null
       };
-      await posService.createTransaction(transactionData);
-
-      // Update product stock
-      for (const item of cart) {
-        const product = products.find(p => p.id === item.id);
-        await productService.update(item.id, {
-          ...product,
-          stock: product.stock - item.quantity
+      const transaction = await posService.createTransaction(transactionData);
+      if (promotions.discounts.length > 0) {
+        await promotionService.recordUsage(promotions.discounts, {
+          customerId: transactionData.customerId,
+          transactionId: transaction.id,
+          channel: 'pos'
         });
       }
 
@@ -359,7 +499,9 @@ const transactionData = {
       }
 
       // Reset
+      saleRef.current = { key: idempotencyService.createKey('pos'), reference: `POS-${Date.now()}` };
       setCart([]);
+      setCouponCode(null);
       setCustomerPaid('');
       await loadProducts();
       await loadDashboardData(); // Refresh dashboard data
@@ -492,9 +634,9 @@ const generateReceiptHTML = (transaction) => {
               <div class="item-row">
                 <div class="item-details">
                   <div class="item-name">${item.name}</div>
-                  <div class="item-subtitle">${item.quantity} x Rs. ${item.price.toLocaleString()}</div>
+                  <div class="item-subtitle">${item.soldByWeight ? formatQuantity(item.quantity, item.unit) : item.quantity} x Rs. ${item.price.toLocaleString()}${item.soldByWeight ? `/${item.unit}` : ''}</div>
                 </div>
-                <div class="item-price">Rs. ${(item.price * item.quantity).toLocaleString()}</div>
+                <div class="item-price">Rs. ${(Math.round(item.price * item.quantity * 100) / 100).toLocaleString()}</div>
               </div>
             `).join('')}
           </div>
@@ -502,8 +644,14 @@ const generateReceiptHTML = (transaction) => {
           <div class="total-section">
             <div class="total-row">
               <span>Subtotal:</span>
-              <span>Rs. ${transaction.total.toLocaleString()}</span>
+              <span>Rs. ${(transaction.subtotal ?? transaction.total).toLocaleString()}</span>
             </div>
+            ${(transaction.appliedPromotions || []).filter(discount => discount.amount > 0).map(discount => `
+              <div class="total-row">
+                <span>${discount.name}:</span>
+                <span>-Rs. ${discount.amount.toLocaleString()}</span>
+              </div>
+            `).join('')}
             <div class="total-row">
               <span>Tax (0%):</span>
               <span>Rs. 0</span>
@@ -607,6 +755,8 @@ const generateReceiptHTML = (transaction) => {
     );
   }
 
+  const promotions = getPromotions();
+
 return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="flex justify-between items-center mb-8">
@@ -667,7 +817,7 @@ return (
           <div className="mt-2 text-sm text-gray-700">
             {stockAlerts.slice(0, 3).map((alert, index) => (
               <div key={index} className="flex items-center space-x-2 mt-1">
-                <div className={`w-2 h-2 rounded-full ${alert.type === 'out' ? 'bg-error' : 'bg-warning'}`}></div>
+                <div className={`w-2 h-2 rounded-full ${alert.type === 'low' ? 'bg-warning' : 'bg-error'}`}></div>
                 <span>{alert.message}</span>
               </div>
             ))}
@@ -721,7 +871,7 @@ return (
                     Rs. {product.price.toLocaleString()}
                   </p>
                   <p className="text-xs text-gray-500">
-                    Stock: {product.stock}
+                    Stock: {getAvailableStock(product)}
                   </p>
                 </div>
               ))}
@@ -743,27 +893,65 @@ return (
               <>
                 <div className="space-y-3 mb-6 max-h-64 overflow-y-auto">
                   {cart.map((item) => (
-                    <div key={item.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
+                    <div key={getLineKey(item)} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
                       <div className="flex-1">
-                        <p className="font-medium text-sm text-gray-900">{item.name}</p>
-                        <p className="text-xs text-gray-600">Rs. {item.price.toLocaleString()}</p>
+                        <p className="font-medium text-sm text-gray-900">
+                          {item.name}
+                          {item.variantName && <span className="text-gray-500 font-normal"> · {item.variantName}</span>}
+                        </p>
+                        <p className="text-xs text-gray-600">
+                          {item.originalPrice !== undefined && (
+                            <span className="line-through mr-1">Rs. {item.originalPrice.toLocaleString()}</span>
+                          )}
+                          Rs. {item.price.toLocaleString()}{item.soldByWeight ? `/${item.unit}` : ''}
+                        </p>
+                        {item.overrideReason && (
+                          <button onClick={() => resetPrice(getLineKey(item))} className="text-xs text-primary hover:underline">
+                            Reset price
+                          </button>
+                        )}
                       </div>
                       <div className="flex items-center space-x-2">
                         <button
-                          onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                          onClick={() => updateQuantity(getLineKey(item), item.quantity - getQuantityRules(item).step)}
                           className="p-1 rounded hover:bg-gray-200"
                         >
                           <ApperIcon name="Minus" size={14} />
                         </button>
-                        <span className="w-8 text-center text-sm">{item.quantity}</span>
+                        {item.soldByWeight ? (
+                          <input
+                            type="number"
+                            value={item.quantity}
+                            step={getQuantityRules(item).step}
+                            min={getQuantityRules(item).min}
+                            onChange={(e) => {
+                              // Ignore partial input below the minimum instead of removing the line
+                              const weight = parseFloat(e.target.value);
+                              if (weight >= getQuantityRules(item).min) {
+                                updateQuantity(getLineKey(item), weight);
+                              }
+                            }}
+                            className="w-16 text-center text-sm border border-gray-300 rounded"
+                            title={`Weight in ${item.unit}`}
+                          />
+                        ) : (
+                          <span className="w-8 text-center text-sm">{item.quantity}</span>
+                        )}
                         <button
-                          onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                          onClick={() => updateQuantity(getLineKey(item), item.quantity + getQuantityRules(item).step)}
                           className="p-1 rounded hover:bg-gray-200"
                         >
                           <ApperIcon name="Plus" size={14} />
                         </button>
                         <button
-                          onClick={() => removeFromCart(item.id)}
+                          onClick={() => setPriceOverride({ lineKey: getLineKey(item), price: String(item.price), reason: '' })}
+                          className="p-1 rounded hover:bg-gray-200"
+                          title="Override price"
+                        >
+                          <ApperIcon name="Tag" size={14} />
+                        </button>
+                        <button
+                          onClick={() => removeFromCart(getLineKey(item))}
                           className="p-1 rounded hover:bg-red-100 text-red-600"
                         >
                           <ApperIcon name="Trash2" size={14} />
@@ -774,10 +962,25 @@ return (
                 </div>
 
                 <div className="border-t border-gray-200 pt-4 mb-6">
+                  {promotions.discounts.filter(discount => discount.amount > 0).map(discount => (
+                    <div key={discount.promotionId} className="flex justify-between text-sm text-green-600 mb-2">
+                      <span>{discount.name}</span>
+                      <span>-Rs. {discount.amount.toLocaleString()}</span>
+                    </div>
+                  ))}
+
+                  <CouponInput
+                    className="mb-4"
+                    appliedCode={couponCode}
+                    error={promotions.couponError}
+                    onApply={(code) => setCouponCode(code)}
+                    onRemove={() => setCouponCode(null)}
+                  />
+
                   <div className="flex justify-between items-center mb-4">
                     <span className="text-xl font-bold text-gray-900">Total</span>
                     <span className="text-2xl font-bold gradient-text">
-                      Rs. {getTotal().toLocaleString()}
+                      Rs. {promotions.total.toLocaleString()}
                     </span>
                   </div>
 
@@ -878,7 +1081,7 @@ return (
                       variant="primary"
                       size="large"
                       icon="CreditCard"
-                      onClick={processPayment}
+                      onClick={() => processPayment()}
                       loading={processingPayment}
                       className="w-full"
                     >
@@ -1138,9 +1341,11 @@ return (
                   <div key={index} className="flex justify-between text-sm">
                     <div>
                       <div className="font-medium">{item.name}</div>
-                      <div className="text-gray-600">{item.quantity} x Rs. {item.price.toLocaleString()}</div>
+                      <div className="text-gray-600">
+                        {item.soldByWeight ? formatQuantity(item.quantity, item.unit) : item.quantity} x Rs. {item.price.toLocaleString()}
+                      </div>
                     </div>
-                    <div className="font-medium">Rs. {(item.price * item.quantity).toLocaleString()}</div>
+                    <div className="font-medium">Rs. {(Math.round(item.price * item.quantity * 100) / 100).toLocaleString()}</div>
                   </div>
                 ))}
               </div>
@@ -1442,13 +1647,13 @@ return (
             <div className="space-y-3">
               {stockAlerts.map((alert, index) => (
                 <div key={index} className={`p-3 rounded-lg border ${
-                  alert.type === 'out' ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200'
+                  alert.type === 'low' ? 'bg-yellow-50 border-yellow-200' : 'bg-red-50 border-red-200'
                 }`}>
                   <div className="flex items-center space-x-2">
                     <ApperIcon 
-                      name={alert.type === 'out' ? 'AlertCircle' : 'AlertTriangle'} 
+                      name={alert.type === 'low' ? 'AlertTriangle' : 'AlertCircle'} 
                       size={16} 
-                      className={alert.type === 'out' ? 'text-red-500' : 'text-yellow-500'} 
+                      className={alert.type === 'low' ? 'text-yellow-500' : 'text-red-500'} 
                     />
                     <span className="text-sm">{alert.message}</span>
                   </div>
@@ -1472,6 +1677,55 @@ return (
 </div>
         </div>
       )}
+
+      {/* Price Override Modal */}
+      {priceOverride && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-sm mx-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Override Price</h3>
+              <button onClick={() => setPriceOverride(null)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={20} />
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              {cart.find(item => getLineKey(item) === priceOverride.lineKey)?.name}
+            </p>
+            <div className="space-y-3">
+              <Input
+                label="Price (Rs.)"
+                type="number"
+                step="0.01"
+                value={priceOverride.price}
+                onChange={(e) => setPriceOverride(prev => ({ ...prev, price: e.target.value }))}
+              />
+              <Input
+                label="Reason"
+                value={priceOverride.reason}
+                onChange={(e) => setPriceOverride(prev => ({ ...prev, reason: e.target.value }))}
+                placeholder="e.g. Damaged packaging"
+              />
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <Button variant="outline" onClick={() => setPriceOverride(null)}>
+                Cancel
+              </Button>
+              <Button icon="Check" onClick={applyPriceOverride}>
+                Apply
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {saleApproval && (
+        <PriceApprovalModal
+          flagged={saleApproval}
+          onApprove={processPayment}
+          onClose={() => setSaleApproval(null)}
+          loading={processingPayment}
+        />
+      )}
     </div>
   );
 };
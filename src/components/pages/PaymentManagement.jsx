@@ -9,6 +9,12 @@ import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import { orderService } from "@/services/api/orderService";
 import { paymentService } from "@/services/api/paymentService";
+import { authService } from "@/services/api/authService";
+import PaymentWebhooks from "@/components/organisms/PaymentWebhooks";
+import OrderRefunds from "@/components/organisms/OrderRefunds";
+import PaymentReconciliation from "@/components/organisms/PaymentReconciliation";
+import useAuth from "@/hooks/useAuth";
+import { parsePermission } from "@/services/api/permissionService";
 
 // Payment Gateway Management Component
 const PaymentGatewayManagement = ({ paymentMethods, onGatewayUpdate }) => {
@@ -335,7 +341,7 @@ const PaymentGatewayManagement = ({ paymentMethods, onGatewayUpdate }) => {
 };
 
 // Payment Proof Viewer Component for Admin
-const PaymentProofViewer = ({ verification, userRole = 'admin' }) => {
+const PaymentProofViewer = ({ verification }) => {
   const [imageLoading, setImageLoading] = useState(true);
   const [imageError, setImageError] = useState(false);
   const [downloadLoading, setDownloadLoading] = useState(false);
@@ -365,8 +371,7 @@ const PaymentProofViewer = ({ verification, userRole = 'admin' }) => {
       // Get secure download URL for admin
       const response = await fetch(`/api/admin/payment-proofs/${verification.paymentProofFileName}/download`, {
         headers: {
-          'Authorization': `Bearer ${localStorage.getItem('adminToken') || 'mock-admin-token'}`,
-          'User-Role': userRole
+          'Authorization': `Bearer ${authService.getSession()?.token || ''}`
         }
       });
       
@@ -572,7 +577,7 @@ const PaymentManagement = () => {
     failedTransactions: 0,
     totalRevenue: 0,
     walletBalance: 0,
-    pendingRefunds: 0,
+    refundedTotal: 0,
     pendingVerifications: 0
   });
   const [loading, setLoading] = useState(true);
@@ -583,19 +588,22 @@ const PaymentManagement = () => {
   const [activeTab, setActiveTab] = useState('overview');
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
-  const [selectedTransactionId, setSelectedTransactionId] = useState(null);
-  const [refundAmount, setRefundAmount] = useState('');
-  const [refundReason, setRefundReason] = useState('');
-  const [processingRefund, setProcessingRefund] = useState(false);
+  const { can } = useAuth();
 
   const tabs = [
     { id: 'overview', label: 'Overview', icon: 'BarChart3' },
     { id: 'transactions', label: 'Transactions', icon: 'CreditCard' },
     { id: 'wallet', label: 'Wallet Management', icon: 'Wallet' },
-    { id: 'methods', label: 'Payment Methods', icon: 'Settings' },
-    { id: 'verification', label: 'Payment Verification', icon: 'Shield' },
-    { id: 'refunds', label: 'Refunds', icon: 'RefreshCw' }
-  ];
+    { id: 'methods', label: 'Payment Methods', icon: 'Settings', permission: 'payments:configure' },
+    { id: 'verification', label: 'Payment Verification', icon: 'Shield', permission: 'payments:verify' },
+    { id: 'refunds', label: 'Refunds', icon: 'RefreshCw', permission: 'refunds:process' },
+    { id: 'reconciliation', label: 'Reconciliation', icon: 'Scale', permission: 'payments:view' },
+    { id: 'webhooks', label: 'Webhooks', icon: 'Webhook', permission: 'payments:configure' }
+  ].filter(tab => {
+    if (!tab.permission) return true;
+    const { resource, action } = parsePermission(tab.permission);
+    return can(resource, action);
+  });
 
   const loadPaymentData = async () => {
     try {
@@ -616,7 +624,7 @@ const PaymentManagement = () => {
       const successfulTxns = allTransactions.filter(t => t.status === 'completed');
       const failedTxns = allTransactions.filter(t => t.status === 'failed');
       const totalRevenue = successfulTxns.reduce((sum, t) => sum + t.amount, 0);
-      const pendingRefunds = orders.filter(o => o.refundRequested).length;
+      const refundedTotal = orders.reduce((sum, o) => sum + (o.refundedTotal || 0), 0);
       const pendingVerificationsCount = verifications.length;
 
       setStats({
@@ -625,7 +633,7 @@ const PaymentManagement = () => {
         failedTransactions: failedTxns.length,
         totalRevenue,
         walletBalance,
-        pendingRefunds,
+        refundedTotal,
         pendingVerifications: pendingVerificationsCount
       });
 
@@ -655,27 +663,6 @@ const PaymentManagement = () => {
     }
   }, []);
 
-  const handleRefundProcess = async (orderId) => {
-    if (!refundAmount || !refundReason) {
-      toast.error('Please provide refund amount and reason');
-      return;
-    }
-
-    setProcessingRefund(true);
-    try {
-      await orderService.processRefund(parseInt(orderId), parseFloat(refundAmount), refundReason);
-      toast.success('Refund processed successfully');
-      setRefundAmount('');
-      setRefundReason('');
-      setSelectedTransactionId(null);
-      loadPaymentData();
-    } catch (error) {
-      toast.error(error.message || 'Failed to process refund');
-    } finally {
-      setProcessingRefund(false);
-    }
-};
-
   const handleVerificationAction = async (orderId, action, notes = '') => {
     setProcessingVerification(true);
     try {
@@ -847,8 +834,8 @@ const getFilteredTransactions = () => {
                   <span className="font-semibold text-red-600">{stats.failedTransactions}</span>
                 </div>
 <div className="flex justify-between items-center">
-                  <span className="text-gray-600">Pending Refunds</span>
-                  <span className="font-semibold text-orange-600">{stats.pendingRefunds}</span>
+                  <span className="text-gray-600">Refunded</span>
+                  <span className="font-semibold text-orange-600">Rs. {stats.refundedTotal.toLocaleString()}</span>
                 </div>
                 <div className="flex justify-between items-center">
                   <span className="text-gray-600">Pending Verifications</span>
@@ -1034,6 +1021,10 @@ const getFilteredTransactions = () => {
           </div>
         )}
 
+{activeTab === 'webhooks' && (
+          <PaymentWebhooks onPaymentUpdate={loadPaymentData} />
+        )}
+
 {activeTab === 'methods' && (
           <div className="space-y-6">
             <PaymentGatewayManagement 
@@ -1044,82 +1035,11 @@ const getFilteredTransactions = () => {
         )}
 
         {activeTab === 'refunds' && (
-          <div className="card p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-6">Process Refunds</h3>
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-              <div>
-                <h4 className="font-medium text-gray-900 mb-4">Refund Request</h4>
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Order ID
-                    </label>
-                    <Input
-                      placeholder="Enter order ID"
-                      value={selectedTransactionId || ''}
-                      onChange={(e) => setSelectedTransactionId(e.target.value)}
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Refund Amount
-                    </label>
-                    <Input
-                      type="number"
-                      placeholder="Enter refund amount"
-                      value={refundAmount}
-                      onChange={(e) => setRefundAmount(e.target.value)}
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Reason
-                    </label>
-                    <textarea
-                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
-                      rows="3"
-                      placeholder="Enter refund reason"
-                      value={refundReason}
-                      onChange={(e) => setRefundReason(e.target.value)}
-                    />
-                  </div>
-                  <Button
-                    onClick={() => handleRefundProcess(selectedTransactionId)}
-                    disabled={processingRefund || !selectedTransactionId || !refundAmount || !refundReason}
-                    className="w-full"
-                  >
-                    {processingRefund ? (
-                      <>
-                        <ApperIcon name="Loader" size={16} className="mr-2 animate-spin" />
-                        Processing...
-                      </>
-                    ) : (
-                      <>
-                        <ApperIcon name="RefreshCw" size={16} className="mr-2" />
-                        Process Refund
-                      </>
-                    )}
-                  </Button>
-                </div>
-              </div>
-              <div>
-                <h4 className="font-medium text-gray-900 mb-4">Recent Refunds</h4>
-                <div className="space-y-3">
-                  {stats.pendingRefunds > 0 ? (
-                    <div className="text-center py-8">
-                      <ApperIcon name="RefreshCw" size={48} className="text-orange-400 mx-auto mb-4" />
-                      <p className="text-gray-600">{stats.pendingRefunds} pending refunds</p>
-                    </div>
-                  ) : (
-                    <div className="text-center py-8">
-                      <ApperIcon name="CheckCircle" size={48} className="text-green-400 mx-auto mb-4" />
-                      <p className="text-gray-600">No pending refunds</p>
-                    </div>
-                  )}
-                </div>
-              </div>
-            </div>
-</div>
+          <OrderRefunds onRefund={loadPaymentData} />
+        )}
+
+        {activeTab === 'reconciliation' && (
+          <PaymentReconciliation />
         )}
 
         {activeTab === 'verification' && (
@@ -1181,7 +1101,7 @@ const getFilteredTransactions = () => {
                           <ApperIcon name="FileImage" size={14} className="text-gray-500" />
                           <span className="text-sm text-gray-600">Payment proof submitted</span>
                         </div>
-                        <PaymentProofViewer verification={verification} userRole="admin" />
+                        <PaymentProofViewer verification={verification} />
                       </div>
                     )}
 
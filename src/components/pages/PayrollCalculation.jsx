@@ -7,8 +7,11 @@ import Loading from '@/components/ui/Loading';
 import payrollService from '@/services/api/payrollService';
 import attendanceService from '@/services/api/attendanceService';
 import employeeService from '@/services/api/employeeService';
+import useAuth from '@/hooks/useAuth';
 
 const PayrollCalculation = () => {
+  const { can } = useAuth();
+  const canManage = can('payroll', 'manage');
   const [employees, setEmployees] = useState([]);
   const [payrollRecords, setPayrollRecords] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -201,16 +204,18 @@ const PayrollCalculation = () => {
           <h2 className="text-2xl font-bold text-gray-900">Payroll Calculation</h2>
           <p className="text-gray-600">Calculate and process employee payroll</p>
         </div>
-        <div className="flex gap-2">
-          <Button
-            onClick={handleProcessPayroll}
-            disabled={processingPayroll}
-            className="flex items-center gap-2"
-          >
-            <ApperIcon name="Calculator" size={20} />
-            {processingPayroll ? 'Processing...' : 'Process Payroll'}
-          </Button>
-        </div>
+        {canManage && (
+          <div className="flex gap-2">
+            <Button
+              onClick={handleProcessPayroll}
+              disabled={processingPayroll}
+              className="flex items-center gap-2"
+            >
+              <ApperIcon name="Calculator" size={20} />
+              {processingPayroll ? 'Processing...' : 'Process Payroll'}
+            </Button>
+          </div>
+        )}
       </div>
 
       {/* Summary Cards */}
@@ -282,9 +287,11 @@ const PayrollCalculation = () => {
           <div className="text-center py-12">
             <ApperIcon name="Calculator" size={48} className="text-gray-400 mx-auto mb-4" />
             <p className="text-gray-500 mb-4">No payroll records found for this month</p>
-            <Button onClick={handleProcessPayroll} disabled={processingPayroll}>
-              Process Payroll for This Month
-            </Button>
+            {canManage && (
+              <Button onClick={handleProcessPayroll} disabled={processingPayroll}>
+                Process Payroll for This Month
+              </Button>
+            )}
           </div>
         ) : (
           <div className="overflow-x-auto">
@@ -353,7 +360,7 @@ const PayrollCalculation = () => {
                         >
                           <ApperIcon name="Eye" size={16} />
                         </button>
-                        {record.status === 'calculated' && (
+                        {canManage && record.status === 'calculated' && (
                           <button
                             onClick={() => handleApprovePayroll(record.Id)}
                             className="text-green-600 hover:text-green-800"
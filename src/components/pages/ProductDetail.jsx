@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
 import { toast } from 'react-toastify'
+import { format } from 'date-fns'
 import useCart from "@/hooks/useCart";
 import ApperIcon from '@/components/ApperIcon'
 import Badge from '@/components/atoms/Badge'
@@ -8,7 +9,13 @@ import Button from '@/components/atoms/Button'
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Cart from "@/components/pages/Cart";
-import productService from "@/services/api/productService";
+import productService, {
+  formatQuantity,
+  getDefaultVariant,
+  getQuantityRules,
+  resolveVariant,
+  roundQuantity
+} from "@/services/api/productService";
 
 const ProductDetail = () => {
   const { productId } = useParams();
@@ -18,17 +25,36 @@ const ProductDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [quantity, setQuantity] = useState(1);
+  const [selectedVariantId, setSelectedVariantId] = useState(null);
+  const [priceHistory, setPriceHistory] = useState({ data: [], activeSale: null });
 
   useEffect(() => {
     loadProduct();
   }, [productId]);
 
+  useEffect(() => {
+    if (product) {
+      loadPriceHistory();
+    }
+  }, [product?.id, selectedVariantId]);
+
+  const loadPriceHistory = async () => {
+    try {
+      const response = await productService.getPriceHistory(product.id, selectedVariantId);
+      setPriceHistory({ data: response.data, activeSale: response.activeSale });
+    } catch (err) {
+      setPriceHistory({ data: [], activeSale: null });
+    }
+  };
+
   const loadProduct = async () => {
     try {
       setLoading(true);
       setError(null);
       const data = await productService.getById(parseInt(productId));
       setProduct(data);
+      setSelectedVariantId(getDefaultVariant(data)?.id || null);
+      setQuantity(getQuantityRules(data).min);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -41,11 +67,10 @@ const handleAddToCart = async () => {
     
     try {
       // Add to cart with proper quantity validation
-      for (let i = 0; i < quantity; i++) {
-        await addToCart(product);
-      }
+      await addToCart(product, selectedVariantId, quantity);
       
-      toast.success(`${quantity} x ${product.name} added to cart!`);
+      const quantityLabel = quantityRules.isWeighed ? formatQuantity(quantity, sellable.unit) : `${quantity} x`;
+      toast.success(`${quantityLabel} ${product.name}${selectedVariantId ? ` (${sellable.variantName})` : ''} added to cart!`);
     } catch (error) {
       toast.error(error.message || 'Failed to add to cart');
     }
@@ -56,9 +81,34 @@ const handleAddToCart = async () => {
     navigate('/cart');
   };
 
+  const handleVariantChange = (variantId) => {
+    setSelectedVariantId(variantId);
+    setQuantity(quantityRules.min);
+  };
+
+  // Price, stock and unit of the selected pack size (or the product itself)
+  const sellable = product ? resolveVariant(product, selectedVariantId) : null;
+  // Excludes stock held in other shoppers' checkouts
+  const availableStock = Math.max(0, sellable?.availableStock ?? sellable?.stock ?? 0);
+  const quantityRules = getQuantityRules(product);
+
+  // Base price changes, leaving out sales starting and ending
+  const priceChanges = priceHistory.data.filter(entry =>
+    !['sale_start', 'sale_end'].includes(entry.source) && entry.previousPrice !== null && entry.previousPrice !== entry.price
+  );
+
+  // During a sale compare with the regular price, otherwise with the price before the last change
+  const getReferencePrice = () => {
+    if (priceHistory.activeSale || sellable?.sale) {
+      return sellable?.previousPrice || null;
+    }
+    return priceChanges[0]?.previousPrice ?? sellable?.previousPrice ?? null;
+  };
+
   const getPriceChange = () => {
-    if (product?.previousPrice && product.previousPrice !== product.price) {
-      const change = ((product.price - product.previousPrice) / product.previousPrice) * 100;
+    const referencePrice = getReferencePrice();
+    if (referencePrice && referencePrice !== sellable.price) {
+      const change = ((sellable.price - referencePrice) / referencePrice) * 100;
       return change;
     }
     return null;
@@ -88,7 +138,9 @@ const handleAddToCart = async () => {
     );
 }
 
+  const referencePrice = getReferencePrice();
   const priceChange = getPriceChange();
+  const saleEndsAt = priceHistory.activeSale?.endsAt || sellable.sale?.endsAt;
 
   // Calculate dynamic image dimensions with aspect ratio enforcement for 1:1 framing
   const calculateImageDimensions = () => {
@@ -205,7 +257,7 @@ const handleAddToCart = async () => {
                 </div>
               </div>
             </div>
-            {product.stock <= 10 && product.stock > 0 && (
+            {availableStock <= 10 && availableStock > 0 && (
               <Badge 
                 variant="warning" 
                 className="absolute top-4 left-4"
@@ -214,7 +266,7 @@ const handleAddToCart = async () => {
               </Badge>
             )}
             
-            {product.stock === 0 && (
+            {availableStock === 0 && (
               <Badge 
                 variant="danger" 
                 className="absolute top-4 left-4"
@@ -249,54 +301,105 @@ const handleAddToCart = async () => {
           <div className="space-y-2">
             <div className="flex items-center space-x-4">
               <span className="text-4xl font-bold gradient-text">
-                Rs. {product.price.toLocaleString()}
+                Rs. {sellable.price.toLocaleString()}
               </span>
               <span className="text-lg text-gray-500">
-                /{product.unit}
+                /{sellable.unit}
               </span>
             </div>
             
-            {product.previousPrice && product.previousPrice !== product.price && (
+            {referencePrice && referencePrice !== sellable.price && (
               <div className="flex items-center space-x-2">
                 <span className="text-lg text-gray-500 line-through">
-                  Rs. {product.previousPrice.toLocaleString()}
+                  Rs. {referencePrice.toLocaleString()}
                 </span>
                 <span className={`text-sm font-medium ${priceChange > 0 ? 'text-red-600' : 'text-green-600'}`}>
-                  {priceChange > 0 ? 'Price increased' : 'Price decreased'}
+                  {saleEndsAt ? 'On sale' : priceChange > 0 ? 'Price increased' : 'Price decreased'}
 </span>
               </div>
             )}
+
+            {saleEndsAt && (
+              <p className="text-sm text-orange-600 flex items-center">
+                <ApperIcon name="Clock" size={14} className="mr-1" />
+                Sale ends {format(new Date(saleEndsAt), 'MMM dd, h:mm a')}
+              </p>
+            )}
+
+            {priceChanges.length > 0 && (
+              <details className="text-sm text-gray-600">
+                <summary className="cursor-pointer hover:text-gray-900">Price history</summary>
+                <ul className="mt-2 space-y-1">
+                  {priceChanges.slice(0, 5).map(entry => (
+                    <li key={entry.id} className="flex justify-between max-w-xs">
+                      <span>{format(new Date(entry.effectiveAt), 'MMM dd, yyyy')}</span>
+                      <span>
+                        Rs. {entry.previousPrice.toLocaleString()} → Rs. {entry.price.toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
           </div>
+          {/* Variant Picker */}
+          {product.variants?.length > 0 && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Pack Size
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {product.variants.map(variant => (
+                  <button
+                    key={variant.id}
+                    onClick={() => handleVariantChange(variant.id)}
+                    disabled={(variant.availableStock ?? variant.stock) <= 0}
+                    className={`px-4 py-2 rounded-lg border-2 text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                      variant.id === selectedVariantId
+                        ? 'border-primary bg-primary/10 text-primary font-semibold'
+                        : 'border-gray-300 text-gray-700 hover:border-primary'
+                    }`}
+                  >
+                    <span className="block">{variant.name}</span>
+                    <span className="block text-xs">Rs. {variant.price.toLocaleString()}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Stock Status */}
           <div className="flex items-center space-x-2">
             <ApperIcon name="Package" size={20} className="text-gray-500" />
             <span className="text-gray-700">
-              {product.stock > 0 ? `${product.stock} items in stock` : 'Out of stock'}
+              {availableStock > 0 ? `${availableStock} available` : 'Out of stock'}
 </span>
           </div>
           
           {/* Quantity Selector */}
-          {product.stock > 0 && (
+          {availableStock > 0 && (
             <div className="space-y-2">
               <label className="block text-sm font-medium text-gray-700">
-                Quantity
+                {quantityRules.isWeighed
+                  ? `Weight (min ${formatQuantity(quantityRules.min, sellable.unit)})`
+                  : 'Quantity'}
               </label>
               <div className="flex items-center space-x-3">
                 <button
-                  onClick={() => setQuantity(Math.max(1, quantity - 1))}
-                  disabled={quantity <= 1}
+                  onClick={() => setQuantity(Math.max(quantityRules.min, roundQuantity(quantity - quantityRules.step)))}
+                  disabled={quantity <= quantityRules.min}
                   className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ApperIcon name="Minus" size={16} />
                 </button>
                 
                 <span className="text-xl font-semibold min-w-[3rem] text-center">
-                  {quantity}
+                  {formatQuantity(quantity, quantityRules.isWeighed ? sellable.unit : '')}
                 </span>
                 
                 <button
-                  onClick={() => setQuantity(Math.min(product.stock, quantity + 1))}
-                  disabled={quantity >= product.stock}
+                  onClick={() => setQuantity(Math.min(availableStock, roundQuantity(quantity + quantityRules.step)))}
+                  disabled={roundQuantity(quantity + quantityRules.step) > availableStock}
                   className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ApperIcon name="Plus" size={16} />
@@ -307,7 +410,7 @@ const handleAddToCart = async () => {
 
           {/* Action Buttons */}
           <div className="space-y-3">
-            {product.stock > 0 ? (
+            {availableStock > 0 ? (
               <>
                 <Button
                   variant="primary"
@@ -317,7 +420,7 @@ const handleAddToCart = async () => {
                   loading={cartLoading}
                   className="w-full"
                 >
-                  Add to Cart - Rs. {(product.price * quantity).toLocaleString()}
+                  Add to Cart - Rs. {(Math.round(sellable.price * quantity * 100) / 100).toLocaleString()}
                 </Button>
                 
                 <Button
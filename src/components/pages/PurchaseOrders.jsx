@@ -0,0 +1,610 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import { purchaseOrderService } from '@/services/api/purchaseOrderService';
+import { financialService } from '@/services/api/financialService';
+import productService from '@/services/api/productService';
+import useAuth from '@/hooks/useAuth';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  ordered: 'bg-blue-100 text-blue-800',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const emptyLine = { productId: '', variantId: '', quantity: '', purchasePrice: '' };
+const emptyForm = { vendorId: '', expectedDate: '', notes: '', lines: [emptyLine] };
+
+const PurchaseOrders = () => {
+  const { can } = useAuth();
+  const canCreate = can('purchase_orders', 'create');
+  const canReceive = can('purchase_orders', 'receive');
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingPo, setEditingPo] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [selectedPo, setSelectedPo] = useState(null);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+  const [receiveLots, setReceiveLots] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [orders, vendorList, productList] = await Promise.all([
+        purchaseOrderService.getAll(),
+        financialService.getVendors(),
+        productService.getAll()
+      ]);
+      setPurchaseOrders(orders);
+      setVendors(vendorList);
+      setProducts(productList.data);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refreshOrder = (po) => {
+    setPurchaseOrders(prev => prev.map(p => p.id === po.id ? po : p));
+    setSelectedPo(current => current?.id === po.id ? po : current);
+  };
+
+  const handleNew = () => {
+    setEditingPo(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const handleEdit = (po) => {
+    setEditingPo(po);
+    setForm({
+      vendorId: String(po.vendorId),
+      expectedDate: po.expectedDate || '',
+      notes: po.notes,
+      lines: po.lines.map(line => ({
+        productId: String(line.productId),
+        variantId: line.variantId || '',
+        quantity: String(line.quantity),
+        purchasePrice: String(line.purchasePrice)
+      }))
+    });
+    setSelectedPo(null);
+    setShowForm(true);
+  };
+
+  const updateLine = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => {
+        if (i !== index) return line;
+        if (field !== 'productId') return { ...line, [field]: value };
+
+        // Default the cost to what we last paid for the product
+        const product = products.find(p => String(p.id) === value);
+        const variant = product ? productService.getDefaultVariant(product) : null;
+        return {
+          ...line,
+          productId: value,
+          variantId: variant ? String(variant.id) : '',
+          purchasePrice: String((variant?.purchasePrice ?? product?.purchasePrice) || '')
+        };
+      })
+    }));
+  };
+
+  const handleSubmit = async (status) => {
+    try {
+      setSaving(true);
+      const payload = {
+        vendorId: form.vendorId,
+        expectedDate: form.expectedDate || null,
+        notes: form.notes,
+        lines: form.lines.map(line => ({ ...line, variantId: line.variantId || null }))
+      };
+      if (editingPo) {
+        let po = await purchaseOrderService.update(editingPo.id, payload);
+        if (status === 'ordered') po = await purchaseOrderService.placeOrder(po.id);
+        refreshOrder(po);
+      } else {
+        const po = await purchaseOrderService.create({ ...payload, status });
+        setPurchaseOrders(prev => [po, ...prev]);
+      }
+      toast.success(status === 'ordered' ? 'Purchase order placed' : 'Draft saved');
+      setShowForm(false);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOpen = (po) => {
+    setSelectedPo(po);
+    setReceiveQuantities({});
+    setReceiveLots({});
+  };
+
+  const handlePlaceOrder = async (po) => {
+    try {
+      refreshOrder(await purchaseOrderService.placeOrder(po.id));
+      toast.success(`${po.poNumber} placed with ${po.vendorName}`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCancel = async (po) => {
+    const reason = window.prompt(`Why is ${po.poNumber} being cancelled?`);
+    if (reason === null) return;
+    try {
+      refreshOrder(await purchaseOrderService.cancel(po.id, reason));
+      toast.success(`${po.poNumber} cancelled`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleReceiveAll = () => {
+    setReceiveQuantities(Object.fromEntries(
+      selectedPo.lines.map(line => [line.id, String(line.outstandingQuantity)])
+    ));
+  };
+
+  const updateReceiveLot = (lineId, field, value) => {
+    setReceiveLots(prev => ({ ...prev, [lineId]: { ...prev[lineId], [field]: value } }));
+  };
+
+  const handleReceive = async () => {
+    try {
+      setSaving(true);
+      const lines = Object.entries(receiveQuantities)
+        .filter(([, quantity]) => quantity !== '')
+        .map(([lineId, quantity]) => ({ lineId: parseInt(lineId), quantity: parseFloat(quantity), ...receiveLots[lineId] }));
+      const po = await purchaseOrderService.receive(selectedPo.id, lines);
+      refreshOrder(po);
+      setReceiveQuantities({});
+      setReceiveLots({});
+      toast.success(po.status === 'received' ? `${po.poNumber} fully received` : 'Partial delivery received');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateBill = async (po) => {
+    try {
+      setSaving(true);
+      const { purchaseOrder, bill } = await purchaseOrderService.createBill(po.id);
+      refreshOrder(purchaseOrder);
+      toast.success(`Bill ${bill.billNumber} sent to finance for Rs. ${bill.totalAmount.toLocaleString()}`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <Loading type="page" />;
+  if (error) return <Error message={error} onRetry={loadData} />;
+
+  const visibleOrders = purchaseOrders.filter(po => !statusFilter || po.status === statusFilter);
+  const formTotal = form.lines.reduce((sum, line) => sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.purchasePrice) || 0), 0);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Purchase Orders</h1>
+          <p className="text-gray-600">Order stock from vendors, receive deliveries and bill them to finance</p>
+        </div>
+        <div className="flex gap-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="input-field"
+          >
+            <option value="">All statuses</option>
+            {purchaseOrderService.getStatuses().map(s => (
+              <option key={s.status} value={s.status}>{s.label}</option>
+            ))}
+          </select>
+          {canCreate && (
+            <Button onClick={handleNew} icon="Plus">
+              New PO
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="card p-6">
+        {visibleOrders.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <ApperIcon name="ClipboardList" size={40} className="mx-auto mb-3 text-gray-300" />
+            No purchase orders yet
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PO</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unbilled</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleOrders.map(po => (
+                  <tr key={po.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <div className="text-sm font-medium text-gray-900">{po.poNumber}</div>
+                      <div className="text-sm text-gray-500">{po.lines.length} line{po.lines.length === 1 ? '' : 's'}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{po.vendorName}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {po.expectedDate ? format(new Date(po.expectedDate), 'MMM dd, yyyy') : '—'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900 text-right">Rs. {po.orderTotal.toLocaleString()}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900 text-right">
+                      {po.unbilledTotal > 0 ? `Rs. ${po.unbilledTotal.toLocaleString()}` : '—'}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[po.status]}`}>
+                        {po.statusLabel}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm font-medium">
+                      <div className="flex items-center gap-2">
+                        <button onClick={() => handleOpen(po)} className="text-primary hover:text-primary/80" title="Open">
+                          <ApperIcon name="Eye" size={16} />
+                        </button>
+                        {canCreate && po.status === 'draft' && (
+                          <>
+                            <button onClick={() => handleEdit(po)} className="text-primary hover:text-primary/80" title="Edit">
+                              <ApperIcon name="Edit" size={16} />
+                            </button>
+                            <button onClick={() => handlePlaceOrder(po)} className="text-blue-600 hover:text-blue-800" title="Place order">
+                              <ApperIcon name="Send" size={16} />
+                            </button>
+                          </>
+                        )}
+                        {canCreate && ['draft', 'ordered'].includes(po.status) && (
+                          <button onClick={() => handleCancel(po)} className="text-red-600 hover:text-red-800" title="Cancel">
+                            <ApperIcon name="XCircle" size={16} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create / Edit Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">
+                  {editingPo ? `Edit ${editingPo.poNumber}` : 'New Purchase Order'}
+                </h3>
+                <button onClick={() => setShowForm(false)} className="text-gray-400 hover:text-gray-600">
+                  <ApperIcon name="X" size={24} />
+                </button>
+              </div>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Vendor</label>
+                    <select
+                      value={form.vendorId}
+                      onChange={(e) => setForm({ ...form, vendorId: e.target.value })}
+                      className="input-field w-full"
+                    >
+                      <option value="">Select vendor...</option>
+                      {vendors.map(vendor => (
+                        <option key={vendor.Id} value={vendor.Id}>{vendor.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <Input
+                    label="Expected Delivery"
+                    type="date"
+                    value={form.expectedDate}
+                    onChange={(e) => setForm({ ...form, expectedDate: e.target.value })}
+                  />
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Products</p>
+                  <div className="space-y-2">
+                    {form.lines.map((line, index) => {
+                      const product = products.find(p => String(p.id) === line.productId);
+                      return (
+                        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                          <select
+                            value={line.productId}
+                            onChange={(e) => updateLine(index, 'productId', e.target.value)}
+                            className={`input-field ${product?.variants?.length ? 'col-span-4' : 'col-span-7'}`}
+                          >
+                            <option value="">Select product...</option>
+                            {products.map(p => (
+                              <option key={p.id} value={p.id}>{p.name}</option>
+                            ))}
+                          </select>
+                          {product?.variants?.length > 0 && (
+                            <select
+                              value={line.variantId}
+                              onChange={(e) => updateLine(index, 'variantId', e.target.value)}
+                              className="input-field col-span-3"
+                            >
+                              {product.variants.map(v => (
+                                <option key={v.id} value={v.id}>{v.name}</option>
+                              ))}
+                            </select>
+                          )}
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            placeholder="Qty"
+                            value={line.quantity}
+                            onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                            className="input-field col-span-2"
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            placeholder="Unit cost"
+                            value={line.purchasePrice}
+                            onChange={(e) => updateLine(index, 'purchasePrice', e.target.value)}
+                            className="input-field col-span-2"
+                          />
+                          <button
+                            onClick={() => setForm({ ...form, lines: form.lines.filter((_, i) => i !== index) })}
+                            className="text-red-600 hover:text-red-800 col-span-1"
+                            disabled={form.lines.length === 1}
+                          >
+                            <ApperIcon name="Trash2" size={16} />
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="small"
+                    icon="Plus"
+                    className="mt-2"
+                    onClick={() => setForm({ ...form, lines: [...form.lines, emptyLine] })}
+                  >
+                    Add Product
+                  </Button>
+                </div>
+
+                <Input
+                  label="Notes"
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                />
+
+                <div className="flex justify-between items-center pt-4 border-t">
+                  <span className="font-semibold">Total: Rs. {formTotal.toLocaleString()}</span>
+                  <div className="flex gap-3">
+                    <Button variant="outline" onClick={() => handleSubmit('draft')} loading={saving}>
+                      Save Draft
+                    </Button>
+                    <Button icon="Send" onClick={() => handleSubmit('ordered')} loading={saving}>
+                      Place Order
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Detail / Receive Modal */}
+      {selectedPo && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold">{selectedPo.poNumber} · {selectedPo.vendorName}</h3>
+                  <p className="text-sm text-gray-500">
+                    Created {format(new Date(selectedPo.createdAt), 'MMM dd, yyyy HH:mm')}
+                    {selectedPo.expectedDate && ` · Expected ${format(new Date(selectedPo.expectedDate), 'MMM dd, yyyy')}`}
+                  </p>
+                  {selectedPo.cancelReason && (
+                    <p className="text-sm text-red-600">Cancelled: {selectedPo.cancelReason}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[selectedPo.status]}`}>
+                    {selectedPo.statusLabel}
+                  </span>
+                  <button onClick={() => setSelectedPo(null)} className="text-gray-400 hover:text-gray-600">
+                    <ApperIcon name="X" size={24} />
+                  </button>
+                </div>
+              </div>
+
+              {selectedPo.notes && <p className="text-sm text-gray-700 mb-4">{selectedPo.notes}</p>}
+
+              <div className="overflow-x-auto mb-4">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Received</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                      {canReceive && ['ordered', 'partially_received'].includes(selectedPo.status) && (
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Receive Now</th>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {selectedPo.lines.map(line => (
+                      <tr key={line.id}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium text-gray-900">{line.productName}</div>
+                          {line.variantName && <div className="text-xs text-gray-500">{line.variantName}</div>}
+                        </td>
+                        <td className="px-3 py-2 text-right">{line.quantity} {line.unit}</td>
+                        <td className={`px-3 py-2 text-right ${line.outstandingQuantity === 0 ? 'text-green-700' : 'text-gray-900'}`}>
+                          {line.receivedQuantity}
+                        </td>
+                        <td className="px-3 py-2 text-right">Rs. {line.purchasePrice.toLocaleString()}</td>
+                        <td className="px-3 py-2 text-right">Rs. {line.lineTotal.toLocaleString()}</td>
+                        {canReceive && ['ordered', 'partially_received'].includes(selectedPo.status) && (
+                          <td className="px-3 py-2 text-right">
+                            {line.outstandingQuantity > 0 ? (
+                              <div className="flex flex-col items-end gap-1">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max={line.outstandingQuantity}
+                                  step="any"
+                                  placeholder={`max ${line.outstandingQuantity}`}
+                                  value={receiveQuantities[line.id] ?? ''}
+                                  onChange={(e) => setReceiveQuantities(prev => ({ ...prev, [line.id]: e.target.value }))}
+                                  className="input-field w-28 text-right"
+                                />
+                                {receiveQuantities[line.id] && (
+                                  <div className="flex gap-1">
+                                    <input
+                                      placeholder="Lot no."
+                                      value={receiveLots[line.id]?.lotNumber ?? ''}
+                                      onChange={(e) => updateReceiveLot(line.id, 'lotNumber', e.target.value)}
+                                      className="input-field w-24"
+                                    />
+                                    <input
+                                      type="date"
+                                      title="Expiry date"
+                                      value={receiveLots[line.id]?.expiryDate ?? ''}
+                                      onChange={(e) => updateReceiveLot(line.id, 'expiryDate', e.target.value)}
+                                      className="input-field w-36"
+                                    />
+                                  </div>
+                                )}
+                              </div>
+                            ) : (
+                              <span className="text-green-700">Complete</span>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+                <div className="text-sm text-gray-600">
+                  Ordered Rs. {selectedPo.orderTotal.toLocaleString()} · Received Rs. {selectedPo.receivedTotal.toLocaleString()} · Billed Rs. {selectedPo.billedTotal.toLocaleString()}
+                </div>
+                <div className="flex gap-2">
+                  {canCreate && selectedPo.status === 'draft' && (
+                    <Button size="small" icon="Send" onClick={() => handlePlaceOrder(selectedPo)}>Place Order</Button>
+                  )}
+                  {canReceive && ['ordered', 'partially_received'].includes(selectedPo.status) && (
+                    <>
+                      <Button size="small" variant="outline" onClick={handleReceiveAll}>Fill Outstanding</Button>
+                      <Button size="small" icon="PackageCheck" onClick={handleReceive} loading={saving}>Receive</Button>
+                    </>
+                  )}
+                  {canReceive && selectedPo.unbilledTotal > 0 && (
+                    <Button size="small" variant="outline" icon="FileText" onClick={() => handleCreateBill(selectedPo)} loading={saving}>
+                      Create Bill (Rs. {selectedPo.unbilledTotal.toLocaleString()})
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {selectedPo.receipts.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="font-medium text-gray-900 mb-2">Receipts</h4>
+                  <div className="space-y-2">
+                    {selectedPo.receipts.map(receipt => (
+                      <div key={receipt.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                        <div className="text-gray-500 mb-1">
+                          {format(new Date(receipt.receivedAt), 'MMM dd, yyyy HH:mm')} · {receipt.receivedBy}
+                        </div>
+                        {receipt.lines.map(entry => {
+                          const line = selectedPo.lines.find(l => l.id === entry.lineId);
+                          return (
+                            <div key={entry.lineId} className="flex justify-between">
+                              <span>
+                                {line.productName}{line.variantName && ` (${line.variantName})`} × {entry.quantity}
+                                {entry.lotNumber && ` · lot ${entry.lotNumber}`}
+                                {entry.expiryDate && ` · exp ${format(new Date(`${entry.expiryDate}T00:00:00`), 'MMM dd')}`}
+                              </span>
+                              <span className="text-gray-600">
+                                Avg cost Rs. {entry.previousPurchasePrice.toLocaleString()} → Rs. {entry.newPurchasePrice.toLocaleString()}
+                              </span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedPo.bills.length > 0 && (
+                <div>
+                  <h4 className="font-medium text-gray-900 mb-2">Vendor Bills</h4>
+                  <div className="space-y-2">
+                    {selectedPo.bills.map(bill => (
+                      <div key={bill.billId} className="flex justify-between border border-gray-200 rounded-lg p-3 text-sm">
+                        <span className="font-medium">{bill.billNumber}</span>
+                        <span>Rs. {bill.totalAmount.toLocaleString()}</span>
+                        <span className="text-gray-600">Due {format(new Date(bill.dueDate), 'MMM dd, yyyy')}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -0,0 +1,338 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import RiderAssignmentModal from '@/components/organisms/RiderAssignmentModal';
+import { returnService, RETURN_REASONS, RETURN_STATUSES } from '@/services/api/returnService';
+import { orderService } from '@/services/api/orderService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import useAuth from '@/hooks/useAuth';
+
+const STATUS_STYLES = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  awaiting_pickup: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+// Damaged or poor goods can't go back on the shelf; a wrong item usually can
+const RESTOCKABLE_REASONS = ['wrong_item', 'other'];
+
+const ReturnsQueue = () => {
+  const { can } = useAuth();
+  const canProcess = can('returns', 'process');
+  const canDispatch = can('deliveries', 'manage');
+  const [returns, setReturns] = useState([]);
+  const [riders, setRiders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('requested');
+  const [reviewing, setReviewing] = useState(null);
+  const [decision, setDecision] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [pickupFor, setPickupFor] = useState(null);
+  const [viewPhoto, setViewPhoto] = useState(null);
+
+  useEffect(() => {
+    loadReturns();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    deliveryPersonnelService.getAll().then(setRiders).catch(() => setRiders([]));
+  }, []);
+
+  const loadReturns = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setReturns(await returnService.getAll({ status: statusFilter || null }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startReview = (returnRequest) => {
+    setReviewing(returnRequest.Id);
+    setDecision({
+      resolution: returnRequest.preferredResolution,
+      restock: Object.fromEntries(returnRequest.items.map(line => [line.index, RESTOCKABLE_REASONS.includes(returnRequest.reason)])),
+      refundDestination: 'original',
+      requirePickup: true,
+      note: ''
+    });
+  };
+
+  const handleApprove = async (returnRequest) => {
+    try {
+      setSubmitting(true);
+      const approved = await returnService.approve(returnRequest.Id, decision);
+      toast.success(approved.resolution.type === 'refund'
+        ? `${approved.rmaNumber} approved - Rs. ${approved.resolution.amount.toLocaleString()} refunded`
+        : `${approved.rmaNumber} approved - replacement order #${approved.resolution.replacementOrderId} created`);
+      setReviewing(null);
+      loadReturns();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReject = async (returnRequest) => {
+    try {
+      setSubmitting(true);
+      await returnService.reject(returnRequest.Id, decision.note);
+      toast.success(`${returnRequest.rmaNumber} rejected`);
+      setReviewing(null);
+      loadReturns();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openPickup = async (returnRequest) => {
+    try {
+      const order = await orderService.getById(returnRequest.orderId);
+      setPickupFor({ returnRequest, order });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCollected = async (returnRequest) => {
+    try {
+      await returnService.markCollected(returnRequest.Id);
+      toast.success(`${returnRequest.rmaNumber} collected`);
+      loadReturns();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const riderName = (riderId) => riders.find(r => r.Id === riderId)?.name || `Rider #${riderId}`;
+
+  const renderDecision = (returnRequest) => (
+    <div className="mt-4 border-t border-gray-200 pt-4 space-y-4">
+      <div className="flex space-x-4">
+        {[['refund', 'Refund'], ['replacement', 'Send replacement']].map(([value, label]) => (
+          <label key={value} className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={decision.resolution === value}
+              onChange={() => setDecision(prev => ({ ...prev, resolution: value }))}
+              className="text-primary focus:ring-primary"
+            />
+            <span>{label}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        {returnRequest.items.map(line => (
+          <div key={line.index} className="flex items-center justify-between text-sm">
+            <span className="text-gray-700">{line.quantity} x {line.name}</span>
+            <select
+              value={decision.restock[line.index] ? 'restock' : 'write_off'}
+              onChange={(e) => setDecision(prev => ({
+                ...prev,
+                restock: { ...prev.restock, [line.index]: e.target.value === 'restock' }
+              }))}
+              className="input-field"
+            >
+              <option value="restock">Return to stock</option>
+              <option value="write_off">Write off</option>
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {decision.resolution === 'refund' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Refund to</label>
+            <select
+              value={decision.refundDestination}
+              onChange={(e) => setDecision(prev => ({ ...prev, refundDestination: e.target.value }))}
+              className="input-field w-full"
+            >
+              <option value="original">Original payment method</option>
+              <option value="wallet">Wallet</option>
+            </select>
+          </div>
+        )}
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={decision.requirePickup}
+            onChange={(e) => setDecision(prev => ({ ...prev, requirePickup: e.target.checked }))}
+            className="w-4 h-4 text-primary border-gray-300 rounded focus:ring-primary"
+          />
+          <span>Collect the items with a rider</span>
+        </label>
+      </div>
+
+      <textarea
+        className="input-field w-full"
+        rows="2"
+        placeholder="Note to the customer (required when rejecting)"
+        value={decision.note}
+        onChange={(e) => setDecision(prev => ({ ...prev, note: e.target.value }))}
+      />
+
+      <div className="flex justify-end space-x-3">
+        <Button variant="ghost" onClick={() => setReviewing(null)} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button variant="outline" icon="XCircle" onClick={() => handleReject(returnRequest)} disabled={submitting || !decision.note.trim()}>
+          Reject
+        </Button>
+        <Button icon="CheckCircle" onClick={() => handleApprove(returnRequest)} loading={submitting}>
+          Approve
+        </Button>
+      </div>
+    </div>
+  );
+
+  if (loading && returns.length === 0) return <Loading type="page" />;
+  if (error) return <Error message={error} onRetry={loadReturns} />;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Returns</h1>
+          <p className="text-gray-600">Review customer return requests, settle them and arrange pickups</p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="input-field"
+        >
+          <option value="">All statuses</option>
+          {Object.entries(RETURN_STATUSES).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {returns.length === 0 ? (
+        <div className="card p-12 text-center text-gray-500">
+          <ApperIcon name="PackageCheck" size={40} className="mx-auto mb-3 text-gray-300" />
+          No returns {statusFilter ? RETURN_STATUSES[statusFilter].toLowerCase() : 'yet'}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {returns.map(returnRequest => (
+            <div key={returnRequest.Id} className="card p-6">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div>
+                  <div className="flex items-center space-x-3">
+                    <h3 className="font-semibold text-gray-900">{returnRequest.rmaNumber}</h3>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[returnRequest.status]}`}>
+                      {RETURN_STATUSES[returnRequest.status]}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    <Link to={`/orders/${returnRequest.orderId}`} className="text-primary hover:underline">Order #{returnRequest.orderId}</Link>
+                    {' · '}{returnRequest.customerName}
+                    {' · '}{format(new Date(returnRequest.requestedAt), 'MMM dd, yyyy HH:mm')}
+                  </p>
+                  <p className="text-sm text-gray-900 mt-2">
+                    <span className="font-medium">{RETURN_REASONS[returnRequest.reason]}</span>
+                    {returnRequest.description && <span className="text-gray-600"> - {returnRequest.description}</span>}
+                  </p>
+                  <ul className="text-sm text-gray-600 mt-1">
+                    {returnRequest.items.map(line => (
+                      <li key={line.index}>{line.quantity} x {line.name}</li>
+                    ))}
+                  </ul>
+                  <p className="text-xs text-gray-500 mt-1">Customer prefers a {returnRequest.preferredResolution}</p>
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                  {returnRequest.photos.map((photo, index) => (
+                    <button key={index} onClick={() => setViewPhoto(photo)}>
+                      <img src={photo.url} alt={photo.originalName} className="w-16 h-16 object-cover rounded-lg border border-gray-200" />
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {returnRequest.resolution && (
+                <div className="mt-4 bg-gray-50 rounded-lg p-3 text-sm text-gray-700">
+                  {returnRequest.resolution.type === 'refund' && `Refunded Rs. ${returnRequest.resolution.amount.toLocaleString()} to ${returnRequest.resolution.destination === 'wallet' ? 'wallet' : 'the original payment method'}`}
+                  {returnRequest.resolution.type === 'replacement' && (
+                    <>Replacement <Link to={`/orders/${returnRequest.resolution.replacementOrderId}`} className="text-primary hover:underline">order #{returnRequest.resolution.replacementOrderId}</Link></>
+                  )}
+                  {returnRequest.resolution.type === 'rejected' && 'Rejected'}
+                  {` by ${returnRequest.resolution.decidedBy}`}
+                  {returnRequest.resolution.note && <span className="text-gray-500"> - {returnRequest.resolution.note}</span>}
+                  {returnRequest.pickup?.status === 'scheduled' && (
+                    <div className="mt-1">Pickup: {riderName(returnRequest.pickup.riderId)}, scheduled {format(new Date(returnRequest.pickup.scheduledAt), 'MMM dd, HH:mm')}</div>
+                  )}
+                  {returnRequest.pickup?.status === 'collected' && (
+                    <div className="mt-1">Collected by {riderName(returnRequest.pickup.riderId)} on {format(new Date(returnRequest.pickup.collectedAt), 'MMM dd, HH:mm')}</div>
+                  )}
+                </div>
+              )}
+
+              {canProcess && returnRequest.status === 'requested' && (
+                reviewing === returnRequest.Id ? renderDecision(returnRequest) : (
+                  <div className="mt-4 flex justify-end">
+                    <Button size="sm" icon="ClipboardCheck" onClick={() => startReview(returnRequest)}>
+                      Review
+                    </Button>
+                  </div>
+                )
+              )}
+
+              {canProcess && returnRequest.status === 'awaiting_pickup' && (
+                <div className="mt-4 flex justify-end space-x-3">
+                  {returnRequest.pickup?.status === 'scheduled' && (
+                    <Button size="sm" variant="outline" icon="PackageCheck" onClick={() => handleCollected(returnRequest)}>
+                      Mark Collected
+                    </Button>
+                  )}
+                  {canDispatch && (
+                    <Button size="sm" icon="Truck" onClick={() => openPickup(returnRequest)}>
+                      {returnRequest.pickup?.status === 'scheduled' ? 'Reassign Pickup' : 'Schedule Pickup'}
+                    </Button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pickupFor && (
+        <RiderAssignmentModal
+          order={pickupFor.order}
+          returnRequest={pickupFor.returnRequest}
+          onClose={() => setPickupFor(null)}
+          onAssigned={() => {
+            setPickupFor(null);
+            loadReturns();
+          }}
+        />
+      )}
+
+      {viewPhoto && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50" onClick={() => setViewPhoto(null)}>
+          <img src={viewPhoto.url} alt={viewPhoto.originalName} className="max-w-[90vw] max-h-[85vh] rounded-lg" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReturnsQueue;
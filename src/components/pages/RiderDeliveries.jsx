@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import Empty from '@/components/ui/Empty';
+import { orderService } from '@/services/api/orderService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import { paymentService } from '@/services/api/paymentService';
+import { returnService } from '@/services/api/returnService';
+import useAuth from '@/hooks/useAuth';
+
+const RIDER_STORAGE_KEY = 'freshmart_rider_id';
+const ACTIVE_STATUSES = ['assigned', 'picked_up', 'out_for_delivery', 'in_transit'];
+const LOCATION_PUSH_INTERVAL_MS = 15000;
+
+const NEXT_STEP = {
+  assigned: { status: 'picked_up', label: 'Picked Up', icon: 'PackageCheck' },
+  picked_up: { status: 'out_for_delivery', label: 'Out for Delivery', icon: 'Truck' },
+  in_transit: { status: 'out_for_delivery', label: 'Arriving', icon: 'Truck' }
+};
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read photo'));
+  reader.readAsDataURL(file);
+});
+
+const RiderDeliveries = () => {
+  const { user } = useAuth();
+  // Rider accounts are tied to their own delivery profile; admins can pick any rider
+  const isRiderAccount = user?.role === 'rider';
+  const [riders, setRiders] = useState([]);
+  const [riderId, setRiderId] = useState(() =>
+    isRiderAccount ? user.riderId : parseInt(localStorage.getItem(RIDER_STORAGE_KEY)) || null
+  );
+  const [orders, setOrders] = useState([]);
+  const [pickups, setPickups] = useState([]);
+  const [collectingId, setCollectingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [updatingOrderId, setUpdatingOrderId] = useState(null);
+  const [proofOrder, setProofOrder] = useState(null);
+  const [proof, setProof] = useState({ photo: null, recipientName: '', otp: '' });
+  const [submittingProof, setSubmittingProof] = useState(false);
+  const [sharingLocation, setSharingLocation] = useState(false);
+  const activeOrderIds = useRef([]);
+
+  useEffect(() => {
+    loadRiders();
+  }, []);
+
+  useEffect(() => {
+    if (riderId) {
+      if (!isRiderAccount) localStorage.setItem(RIDER_STORAGE_KEY, riderId);
+      loadOrders();
+    }
+  }, [riderId]);
+
+  useEffect(() => {
+    activeOrderIds.current = orders.map(order => order.id);
+  }, [orders]);
+
+  // Push GPS fixes so customers can follow the rider; throttled to avoid flooding the trail
+  useEffect(() => {
+    if (!sharingLocation || !riderId) return;
+    if (!navigator.geolocation) {
+      toast.error('Location is not available on this device');
+      setSharingLocation(false);
+      return;
+    }
+
+    let lastSentAt = 0;
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        if (Date.now() - lastSentAt < LOCATION_PUSH_INTERVAL_MS) return;
+        lastSentAt = Date.now();
+        deliveryPersonnelService.updateLocation(
+          riderId,
+          { lat: position.coords.latitude, lng: position.coords.longitude },
+          { orderIds: activeOrderIds.current }
+        ).catch(() => {});
+      },
+      (err) => {
+        toast.error(`Location sharing stopped: ${err.message}`);
+        setSharingLocation(false);
+      },
+      { enableHighAccuracy: true }
+    );
+
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [sharingLocation, riderId]);
+
+  const loadRiders = async () => {
+    try {
+      const data = await deliveryPersonnelService.getAll();
+      setRiders(data.filter(r => r.isActive));
+      if (!riderId) setLoading(false);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const loadOrders = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [data, pickupData] = await Promise.all([
+        orderService.getOrdersByDeliveryPerson(riderId),
+        returnService.getPickupsForRider(riderId)
+      ]);
+      setPickups(pickupData);
+      setOrders(
+        data
+          .filter(order => ACTIVE_STATUSES.includes(order.deliveryStatus))
+          .sort((a, b) => (a.routeSequence || Infinity) - (b.routeSequence || Infinity))
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdvance = async (order) => {
+    const step = NEXT_STEP[order.deliveryStatus];
+    try {
+      setUpdatingOrderId(order.id);
+      await orderService.updateDeliveryStatus(order.id, step.status);
+      toast.success(`Order #${order.id} marked ${step.label.toLowerCase()}`);
+      loadOrders();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const handlePhotoChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const validation = await paymentService.validateImageUpload(file);
+      if (!validation.isValid) {
+        toast.error(validation.error);
+        return;
+      }
+      const url = await readFileAsDataUrl(file);
+      setProof(prev => ({ ...prev, photo: { fileName: file.name, fileSize: file.size, url } }));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const openProofModal = (order) => {
+    setProofOrder(order);
+    setProof({ photo: null, recipientName: '', otp: '' });
+  };
+
+  const handleCompleteDelivery = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmittingProof(true);
+      await orderService.completeDelivery(proofOrder.id, proof, riderId);
+
+      // Free the rider for dispatch once their last active order is done
+      if (orders.filter(o => o.id !== proofOrder.id).length === 0 && pickups.length === 0) {
+        await deliveryPersonnelService.updateStatus(riderId, 'available');
+      }
+
+      toast.success(`Order #${proofOrder.id} delivered`);
+      setProofOrder(null);
+      loadOrders();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmittingProof(false);
+    }
+  };
+
+  const handleCollected = async (returnRequest) => {
+    try {
+      setCollectingId(returnRequest.Id);
+      await returnService.markCollected(returnRequest.Id, riderId);
+      toast.success(`${returnRequest.rmaNumber} collected`);
+      loadOrders();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setCollectingId(null);
+    }
+  };
+
+  const rider = riders.find(r => r.Id === riderId);
+
+  return (
+    <div className="max-w-lg mx-auto px-4 py-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Deliveries</h1>
+          {rider && <p className="text-gray-600 text-sm">{rider.name} · {rider.zone}</p>}
+        </div>
+        {riderId && (
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={() => setSharingLocation(prev => !prev)}
+              className={`p-2 ${sharingLocation ? 'text-primary' : 'text-gray-600 hover:text-primary'}`}
+              title={sharingLocation ? 'Stop sharing location' : 'Share location'}
+            >
+              <ApperIcon name={sharingLocation ? 'LocateFixed' : 'LocateOff'} size={20} />
+            </button>
+            <button onClick={loadOrders} className="p-2 text-gray-600 hover:text-primary">
+              <ApperIcon name="RefreshCw" size={20} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!isRiderAccount && (
+        <select
+          value={riderId || ''}
+          onChange={(e) => setRiderId(parseInt(e.target.value) || null)}
+          className="input-field w-full mb-6"
+        >
+          <option value="">Select rider...</option>
+          {riders.map(r => (
+            <option key={r.Id} value={r.Id}>{r.name}</option>
+          ))}
+        </select>
+      )}
+
+      {loading ? (
+        <Loading type="default" />
+      ) : error ? (
+        <Error message={error} onRetry={riderId ? loadOrders : loadRiders} />
+      ) : !riderId ? (
+        <p className="text-center text-gray-600">Select your name to see assigned orders.</p>
+      ) : orders.length === 0 && pickups.length === 0 ? (
+        <Empty type="orders" title="No active deliveries" description="New assignments will appear here." />
+      ) : (
+        <div className="space-y-4">
+          {pickups.map(returnRequest => (
+            <div key={`pickup-${returnRequest.Id}`} className="card p-4 border-l-4 border-orange-400">
+              <div className="flex items-start justify-between mb-3">
+                <div>
+                  <p className="font-semibold text-gray-900">Return pickup · {returnRequest.rmaNumber}</p>
+                  <p className="text-sm text-gray-600">
+                    {returnRequest.items.map(line => `${line.quantity} x ${line.name}`).join(', ')}
+                  </p>
+                </div>
+                <ApperIcon name="Undo2" size={20} className="text-orange-500" />
+              </div>
+
+              {returnRequest.pickupAddress && (
+                <div className="space-y-1 text-sm mb-4">
+                  <p className="text-gray-900">{returnRequest.pickupAddress.name}</p>
+                  <p className="text-gray-600">{returnRequest.pickupAddress.address}, {returnRequest.pickupAddress.city}</p>
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                {returnRequest.pickupAddress?.phone && (
+                  <a
+                    href={`tel:${returnRequest.pickupAddress.phone}`}
+                    className="flex-1 inline-flex items-center justify-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700"
+                  >
+                    <ApperIcon name="Phone" size={16} className="mr-1" />
+                    Call
+                  </a>
+                )}
+                <Button
+                  className="flex-1"
+                  size="small"
+                  icon="PackageCheck"
+                  loading={collectingId === returnRequest.Id}
+                  onClick={() => handleCollected(returnRequest)}
+                >
+                  Collected
+                </Button>
+              </div>
+            </div>
+          ))}
+          {orders.map(order => (
+            <div key={order.id} className="card p-4">
+              <div className="flex items-start justify-between mb-3">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {order.routeSequence && <span className="text-primary">Stop {order.routeSequence} · </span>}
+                    Order #{order.id}
+                  </p>
+                  <p className="text-sm text-gray-600 capitalize">{order.deliveryStatus.replace(/_/g, ' ')}</p>
+                </div>
+                <div className="text-right">
+                  <p className="font-semibold text-gray-900">Rs. {(order.total || 0).toLocaleString()}</p>
+                  <p className="text-xs text-gray-500 capitalize">
+                    {order.paymentMethod === 'cash' && order.paymentStatus !== 'completed' ? 'Collect cash' : 'Paid'}
+                  </p>
+                </div>
+              </div>
+
+              <div className="space-y-1 text-sm mb-4">
+                <p className="text-gray-900">{order.deliveryAddress.name}</p>
+                <p className="text-gray-600">{order.deliveryAddress.address}, {order.deliveryAddress.city}</p>
+                {order.deliveryAddress.instructions && (
+                  <p className="text-gray-500 italic">{order.deliveryAddress.instructions}</p>
+                )}
+                {order.estimatedDelivery && (
+                  <p className="text-gray-500">ETA {format(new Date(order.estimatedDelivery), 'hh:mm a')}</p>
+                )}
+              </div>
+
+              <div className="flex gap-2">
+                <a
+                  href={`tel:${order.deliveryAddress.phone}`}
+                  className="flex-1 inline-flex items-center justify-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700"
+                >
+                  <ApperIcon name="Phone" size={16} className="mr-1" />
+                  Call
+                </a>
+                {NEXT_STEP[order.deliveryStatus] ? (
+                  <Button
+                    className="flex-1"
+                    size="small"
+                    icon={NEXT_STEP[order.deliveryStatus].icon}
+                    loading={updatingOrderId === order.id}
+                    onClick={() => handleAdvance(order)}
+                  >
+                    {NEXT_STEP[order.deliveryStatus].label}
+                  </Button>
+                ) : (
+                  <Button className="flex-1" size="small" icon="CheckCircle" onClick={() => openProofModal(order)}>
+                    Deliver
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Proof of Delivery Modal */}
+      {proofOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-center justify-center z-50">
+          <div className="bg-white rounded-t-lg sm:rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Proof of Delivery · #{proofOrder.id}</h3>
+              <button onClick={() => setProofOrder(null)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={20} />
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">Ask the customer for their delivery code. A photo and recipient name are optional extras.</p>
+
+            <form onSubmit={handleCompleteDelivery} className="space-y-4">
+              {proofOrder.deliveryOtpOverride ? (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                  Code waived by admin: {proofOrder.deliveryOtpOverride.reason}
+                </div>
+              ) : (
+                <Input
+                  label="Delivery Code"
+                  value={proof.otp}
+                  onChange={(e) => setProof(prev => ({ ...prev, otp: e.target.value.replace(/\D/g, '') }))}
+                  placeholder="4-digit code from the customer"
+                  maxLength={4}
+                  inputMode="numeric"
+                  required
+                />
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Photo</label>
+                {proof.photo ? (
+                  <div className="flex items-center space-x-3">
+                    <img src={proof.photo.url} alt="Proof of delivery" className="w-20 h-20 object-cover rounded-lg border" />
+                    <button
+                      type="button"
+                      onClick={() => setProof(prev => ({ ...prev, photo: null }))}
+                      className="text-sm text-red-600"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <input
+                    type="file"
+                    accept="image/*"
+                    capture="environment"
+                    onChange={handlePhotoChange}
+                    className="block w-full text-sm text-gray-600"
+                  />
+                )}
+              </div>
+              <Input
+                label="Recipient Name"
+                value={proof.recipientName}
+                onChange={(e) => setProof(prev => ({ ...prev, recipientName: e.target.value }))}
+                placeholder="Who received the order?"
+              />
+              <Button type="submit" className="w-full" icon="CheckCircle" loading={submittingProof}>
+                Complete Delivery
+              </Button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiderDeliveries;
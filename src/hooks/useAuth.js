@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { authService } from '@/services/api/authService';
+import { permissionService } from '@/services/api/permissionService';
+
+/**
+ * Custom hook for the signed-in user and their permissions
+ * Re-renders whenever someone signs in or out, the profile changes or role permissions are edited
+ */
+const useAuth = () => {
+  const [user, setUser] = useState(() => authService.getCurrentUser());
+  const [, setPermissionsVersion] = useState(0);
+
+  useEffect(() => {
+    setUser(authService.getCurrentUser());
+    const unsubscribeAuth = authService.subscribe(setUser);
+    const unsubscribePermissions = permissionService.subscribe(() => setPermissionsVersion(v => v + 1));
+    return () => {
+      unsubscribeAuth();
+      unsubscribePermissions();
+    };
+  }, []);
+
+  const hasRole = (roles) => authService.hasRole(roles, user);
+  const can = (resource, action) => permissionService.can(resource, action, user);
+
+  return {
+    user,
+    isAuthenticated: !!user,
+    hasRole,
+    can,
+    login: (email, password) => authService.login(email, password),
+    register: (details) => authService.register(details),
+    logout: () => authService.logout()
+  };
+};
+
+export default useAuth;
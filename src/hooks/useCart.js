@@ -12,7 +12,8 @@ import {
   selectCartItemCount,
   selectCartLoading,
   selectIsProductInCart,
-  selectProductQuantityInCart
+  selectProductQuantityInCart,
+  getCartLineKey
 } from '@/store/cartSlice';
 
 /**
@@ -29,9 +30,13 @@ const useCart = () => {
   const isLoading = useSelector(selectCartLoading) || false;
   
   // Cart actions with error handling
-  const addToCart = async (product) => {
+  const addToCart = async (product, variantId = null, quantity = null) => {
     try {
-      const result = await dispatch(addToCartWithValidation(product.id || product.Id));
+      const result = await dispatch(addToCartWithValidation({
+        productId: product.id || product.Id,
+        variantId: variantId || product.variantId || null,
+        quantity
+      }));
       if (addToCartWithValidation.rejected.match(result)) {
         throw new Error(result.payload);
       }
@@ -42,10 +47,10 @@ const useCart = () => {
     }
   };
   
-  const removeFromCart = async (productId) => {
+  const removeFromCart = async (productId, variantId = null) => {
     try {
       dispatch(setLoading(true));
-      await dispatch(removeFromCartAction(productId));
+      await dispatch(removeFromCartAction(getCartLineKey(productId, variantId)));
     } catch (error) {
       console.error('Error removing from cart:', error);
       throw error;
@@ -54,9 +59,9 @@ const useCart = () => {
     }
   };
   
-const updateQuantity = async (productId, quantity) => {
+const updateQuantity = async (productId, quantity, variantId = null) => {
     try {
-      const result = await dispatch(updateQuantityWithValidation({ productId, quantity }));
+      const result = await dispatch(updateQuantityWithValidation({ productId, variantId, quantity }));
       if (updateQuantityWithValidation.rejected.match(result)) {
         throw new Error(result.payload);
       }
@@ -80,15 +85,17 @@ const updateQuantity = async (productId, quantity) => {
   };
   
   // Utility functions that use pre-computed values
-  const isProductInCart = (productId) => {
+  // Without a variantId these cover every variant line of the product
+  const isProductInCart = (productId, variantId = null) => {
     if (!productId) return false;
-    return items.some(item => item.id === productId);
+    return items.some(item => item.id === productId && (!variantId || item.variantId === variantId));
   };
   
-  const getProductQuantityInCart = (productId) => {
+  const getProductQuantityInCart = (productId, variantId = null) => {
     if (!productId) return 0;
-    const item = items.find(item => item.id === productId);
-    return item ? item.quantity : 0;
+    return items
+      .filter(item => item.id === productId && (!variantId || item.variantId === variantId))
+      .reduce((sum, item) => Math.round((sum + item.quantity) * 1000) / 1000, 0);
   };
 
   return {
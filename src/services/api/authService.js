@@ -0,0 +1,387 @@
+import usersData from '../mockData/users.json';
+
+export const USER_ROLES = {
+  customer: 'Customer',
+  cashier: 'Cashier',
+  rider: 'Rider',
+  finance_clerk: 'Finance Clerk',
+  finance_manager: 'Finance Manager',
+  admin: 'Admin'
+};
+
+const USERS_STORAGE_KEY = 'freshmart_users';
+const SESSIONS_STORAGE_KEY = 'freshmart_sessions';
+const TOKEN_STORAGE_KEY = 'freshmart_session_token';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const PASSWORD_ITERATIONS = 100000;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+
+const readStored = (key, fallback) => {
+  try {
+    const value = storage?.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+const randomHex = (bytes) => toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Stored users keep their changes; seed users added since the store was first saved are
+// appended, matched on id or email. Users are deactivated rather than deleted, so nothing
+// removed on purpose comes back.
+const mergeSeedUsers = (stored) => {
+  if (!stored) return usersData.map(user => ({ ...user }));
+  const ids = new Set(stored.map(user => user.id));
+  const emails = new Set(stored.map(user => normalizeEmail(user.email)));
+  const added = usersData
+    .filter(user => !ids.has(user.id) && !emails.has(normalizeEmail(user.email)))
+    .map(user => ({ ...user }));
+  return [...stored, ...added];
+};
+
+// Local user store with PBKDF2-hashed passwords and expiring bearer sessions. Users and
+// sessions are kept in localStorage so a sign-in survives a reload; every other service asks
+// this one who is signed in instead of carrying its own role flag.
+class AuthService {
+  constructor() {
+    this.users = mergeSeedUsers(readStored(USERS_STORAGE_KEY, null));
+    this.sessions = readStored(SESSIONS_STORAGE_KEY, []);
+    this.currentToken = storage?.getItem(TOKEN_STORAGE_KEY) || null;
+    this.listeners = new Set();
+  }
+
+  // Session
+
+  async login(email, password) {
+    await this.delay();
+    const user = await this.checkCredentials(email, password);
+    user.lastLoginAt = new Date().toISOString();
+    this.saveUsers();
+    return this.startSession(user);
+  }
+
+  // Confirms another user's password without touching the current session, e.g. a manager
+  // approving a price at a cashier's till. Failed attempts count towards the same lockout.
+  async verifyCredentials(email, password) {
+    await this.delay();
+    return this.toPublicUser(await this.checkCredentials(email, password));
+  }
+
+  async checkCredentials(email, password) {
+    const user = this.users.find(u => u.email === normalizeEmail(email));
+    if (!user) {
+      throw new Error('Email or password is incorrect');
+    }
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      throw new Error('Too many failed attempts. Try again in a few minutes.');
+    }
+
+    const hash = await this.hashPassword(password, user.passwordSalt);
+    if (hash !== user.passwordHash) {
+      user.failedLogins = (user.failedLogins || 0) + 1;
+      if (user.failedLogins >= MAX_FAILED_LOGINS) {
+        user.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+        user.failedLogins = 0;
+      }
+      this.saveUsers();
+      throw new Error('Email or password is incorrect');
+    }
+    if (!user.isActive) {
+      throw new Error('This account has been disabled');
+    }
+
+    user.failedLogins = 0;
+    user.lockedUntil = null;
+    this.saveUsers();
+    return user;
+  }
+
+  async register({ name, email, phone = '', password }) {
+    await this.delay();
+    const user = await this.buildUser({ name, email, phone, password, role: 'customer' });
+    this.users.push(user);
+    this.saveUsers();
+    return this.startSession(user);
+  }
+
+  async logout() {
+    await this.delay(100);
+    this.sessions = this.sessions.filter(s => s.token !== this.currentToken);
+    this.setCurrentToken(null);
+  }
+
+  // Issue a fresh token for the signed-in user and push the expiry out; returns null when
+  // the session has already lapsed
+  async refreshSession() {
+    await this.delay(100);
+    const session = this.getSession();
+    if (!session) {
+      if (this.currentToken) this.setCurrentToken(null);
+      return null;
+    }
+    const user = this.users.find(u => u.id === session.userId);
+    return this.startSession(user, session.token);
+  }
+
+  getSession() {
+    return this.findSession(this.currentToken);
+  }
+
+  getCurrentUser() {
+    const session = this.getSession();
+    if (!session) return null;
+    return this.toPublicUser(this.users.find(u => u.id === session.userId));
+  }
+
+  /**
+   * Resolve a bearer token to its user, falling back to the signed-in session
+   * @param {string|null} token
+   * @returns {Object|null} Public user or null when the token is unknown, expired or disabled
+   */
+  validateSession(token = null) {
+    const session = this.findSession(token || this.currentToken);
+    if (!session) return null;
+    return this.toPublicUser(this.users.find(u => u.id === session.userId));
+  }
+
+  hasRole(roles, user = this.getCurrentUser()) {
+    const allowed = Array.isArray(roles) ? roles : [roles];
+    return !!user && allowed.includes(user.role);
+  }
+
+  // Throws unless someone with one of the roles is signed in; returns that user
+  requireRole(roles, message = 'You do not have permission to do this') {
+    const user = this.getCurrentUser();
+    if (!user) {
+      const error = new Error('Please sign in to continue');
+      error.code = 'UNAUTHENTICATED';
+      throw error;
+    }
+    if (!this.hasRole(roles, user)) {
+      const error = new Error(message);
+      error.code = 'FORBIDDEN';
+      throw error;
+    }
+    return user;
+  }
+
+  // Name recorded on audit fields (createdBy, user, verifiedBy ...)
+  getActorName() {
+    return this.getCurrentUser()?.name || 'system';
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Profile
+
+  async updateProfile({ name, phone }) {
+    await this.delay();
+    const current = this.requireRole(Object.keys(USER_ROLES));
+    const user = this.users.find(u => u.id === current.id);
+    if (name !== undefined) {
+      if (!name.trim()) throw new Error('Name is required');
+      user.name = name.trim();
+    }
+    if (phone !== undefined) user.phone = phone.trim();
+    user.updatedAt = new Date().toISOString();
+    this.saveUsers();
+    this.notify();
+    return this.toPublicUser(user);
+  }
+
+  async changePassword(currentPassword, newPassword) {
+    await this.delay();
+    const current = this.requireRole(Object.keys(USER_ROLES));
+    const user = this.users.find(u => u.id === current.id);
+    if (await this.hashPassword(currentPassword, user.passwordSalt) !== user.passwordHash) {
+      throw new Error('Current password is incorrect');
+    }
+    this.validatePassword(newPassword);
+    await this.setPassword(user, newPassword);
+    // Sign out every other device
+    this.sessions = this.sessions.filter(s => s.userId !== user.id || s.token === this.currentToken);
+    this.saveUsers();
+    this.saveSessions();
+    return { success: true };
+  }
+
+  // User administration
+
+  async getUsers({ role = null } = {}) {
+    await this.delay();
+    this.requireRole('admin', 'Only administrators can manage users');
+    return this.users
+      .filter(u => !role || u.role === role)
+      .map(u => this.toPublicUser(u))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async createUser({ name, email, phone = '', password, role, riderId = null }) {
+    await this.delay();
+    this.requireRole('admin', 'Only administrators can manage users');
+    const user = await this.buildUser({ name, email, phone, password, role, riderId });
+    this.users.push(user);
+    this.saveUsers();
+    return this.toPublicUser(user);
+  }
+
+  async updateUser(id, { role, isActive, riderId }) {
+    await this.delay();
+    const admin = this.requireRole('admin', 'Only administrators can manage users');
+    const user = this.users.find(u => u.id === id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.id === admin.id && ((role && role !== 'admin') || isActive === false)) {
+      throw new Error('You cannot remove your own admin access');
+    }
+    const nextRole = role ?? user.role;
+    const nextRiderId = riderId !== undefined ? (riderId ? parseInt(riderId) : null) : user.riderId;
+    if (!USER_ROLES[nextRole]) {
+      throw new Error('Unknown role');
+    }
+    if (nextRole === 'rider' && !nextRiderId) {
+      throw new Error('Link the rider account to a delivery rider');
+    }
+
+    user.role = nextRole;
+    user.riderId = nextRiderId || null;
+    if (isActive !== undefined) user.isActive = isActive;
+    user.updatedAt = new Date().toISOString();
+    if (!user.isActive) {
+      this.sessions = this.sessions.filter(s => s.userId !== user.id);
+      this.saveSessions();
+    }
+    this.saveUsers();
+    this.notify();
+    return this.toPublicUser(user);
+  }
+
+  // Internals
+
+  async buildUser({ name, email, phone, password, role, riderId = null }) {
+    if (!name?.trim()) {
+      throw new Error('Name is required');
+    }
+    const normalized = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+      throw new Error('Enter a valid email address');
+    }
+    if (this.users.some(u => u.email === normalized)) {
+      throw new Error('An account with this email already exists');
+    }
+    if (!USER_ROLES[role]) {
+      throw new Error('Unknown role');
+    }
+    if (role === 'rider' && !riderId) {
+      throw new Error('Link the rider account to a delivery rider');
+    }
+    this.validatePassword(password);
+
+    const user = {
+      id: `user${Date.now()}${randomHex(2)}`,
+      name: name.trim(),
+      email: normalized,
+      phone: phone.trim(),
+      role,
+      isActive: true,
+      createdAt: new Date().toISOString()
+    };
+    if (riderId) user.riderId = parseInt(riderId);
+    await this.setPassword(user, password);
+    return user;
+  }
+
+  validatePassword(password) {
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+  }
+
+  async setPassword(user, password) {
+    user.passwordSalt = randomHex(16);
+    user.passwordHash = await this.hashPassword(password, user.passwordSalt);
+  }
+
+  async hashPassword(password, salt) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(String(password)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_ITERATIONS },
+      key,
+      256
+    );
+    return toHex(bits);
+  }
+
+  startSession(user, replacesToken = null) {
+    const now = new Date();
+    const session = {
+      token: randomHex(32),
+      userId: user.id,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString()
+    };
+    this.sessions = this.sessions
+      .filter(s => s.token !== replacesToken && new Date(s.expiresAt) > now)
+      .concat(session);
+    this.setCurrentToken(session.token);
+    return { ...session, user: this.toPublicUser(user) };
+  }
+
+  findSession(token) {
+    if (!token) return null;
+    const session = this.sessions.find(s => s.token === token);
+    if (!session || new Date(session.expiresAt) <= new Date()) return null;
+    const user = this.users.find(u => u.id === session.userId);
+    if (!user?.isActive) return null;
+    return { ...session };
+  }
+
+  setCurrentToken(token) {
+    this.currentToken = token;
+    if (token) {
+      storage?.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      storage?.removeItem(TOKEN_STORAGE_KEY);
+    }
+    this.saveSessions();
+    this.notify();
+  }
+
+  toPublicUser(user) {
+    if (!user) return null;
+    const { passwordHash, passwordSalt, failedLogins, lockedUntil, ...publicUser } = user;
+    return { ...publicUser, roleLabel: USER_ROLES[user.role] };
+  }
+
+  saveUsers() {
+    storage?.setItem(USERS_STORAGE_KEY, JSON.stringify(this.users));
+  }
+
+  saveSessions() {
+    storage?.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(this.sessions));
+  }
+
+  notify() {
+    const user = this.getCurrentUser();
+    this.listeners.forEach(listener => listener(user));
+  }
+
+  delay(ms = 300) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const authService = new AuthService();
@@ -0,0 +1,131 @@
+const OTP_LENGTH = 4;
+const OTP_VALIDITY_MINUTES = 30;
+const MAX_ATTEMPTS = 5;
+
+class DeliveryOtpService {
+  constructor() {
+    this.codes = {};
+    this.auditLog = [];
+  }
+
+  // Issues a fresh code for the order, replacing any previous one
+  issue(orderId, { issuedBy = 'system' } = {}) {
+    const now = new Date();
+    const record = {
+      orderId,
+      code: this.generateCode(),
+      issuedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + OTP_VALIDITY_MINUTES * 60 * 1000).toISOString(),
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      status: 'active'
+    };
+    const previous = this.codes[orderId];
+    this.codes[orderId] = record;
+    this.audit(orderId, previous ? 'reissued' : 'issued', { by: issuedBy, expiresAt: record.expiresAt });
+    return { code: record.code, expiresAt: record.expiresAt };
+  }
+
+  // Throws with a rider-facing message unless the code matches an active, unexpired record
+  verify(orderId, code, { verifiedBy = null } = {}) {
+    const record = this.codes[orderId];
+    if (!record) {
+      throw new Error('No delivery code has been issued for this order');
+    }
+    if (record.status === 'verified' || record.status === 'overridden') {
+      return this.getStatus(orderId);
+    }
+    if (record.status === 'locked') {
+      throw new Error('Too many incorrect codes. Ask an administrator to override or issue a new code.');
+    }
+    if (new Date() > new Date(record.expiresAt)) {
+      record.status = 'expired';
+      this.audit(orderId, 'expired_attempt', { by: verifiedBy });
+      throw new Error('Delivery code has expired. Ask the customer to request a new one.');
+    }
+
+    if (!String(code || '').trim()) {
+      throw new Error('Enter the delivery code the customer reads out');
+    }
+    if (String(code).trim() !== record.code) {
+      record.attempts += 1;
+      const remaining = record.maxAttempts - record.attempts;
+      if (remaining <= 0) {
+        record.status = 'locked';
+        this.audit(orderId, 'locked', { by: verifiedBy, attempts: record.attempts });
+        throw new Error('Too many incorrect codes. Ask an administrator to override or issue a new code.');
+      }
+      this.audit(orderId, 'failed_attempt', { by: verifiedBy, attempts: record.attempts });
+      throw new Error(`Incorrect delivery code. ${remaining} attempt${remaining !== 1 ? 's' : ''} left.`);
+    }
+
+    record.status = 'verified';
+    record.verifiedAt = new Date().toISOString();
+    this.audit(orderId, 'verified', { by: verifiedBy });
+    return this.getStatus(orderId);
+  }
+
+  // Admin bypass for customers who cannot produce the code; always audited with a reason
+  override(orderId, { adminRole, reason }) {
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to override the delivery code');
+    }
+    const record = this.codes[orderId] || { orderId, code: null, attempts: 0, maxAttempts: MAX_ATTEMPTS };
+    this.codes[orderId] = {
+      ...record,
+      status: 'overridden',
+      overriddenAt: new Date().toISOString()
+    };
+    this.audit(orderId, 'overridden', { by: adminRole, reason: reason.trim() });
+    return this.getStatus(orderId);
+  }
+
+  // The code itself, for the customer's own screen only; null once it is no longer usable
+  getCode(orderId) {
+    const record = this.codes[orderId];
+    if (!record || record.status !== 'active' || new Date() > new Date(record.expiresAt)) {
+      return null;
+    }
+    return { code: record.code, expiresAt: record.expiresAt };
+  }
+
+  isSatisfied(orderId) {
+    const status = this.codes[orderId]?.status;
+    return status === 'verified' || status === 'overridden';
+  }
+
+  getStatus(orderId) {
+    const record = this.codes[orderId];
+    if (!record) return null;
+    const expired = record.status === 'active' && new Date() > new Date(record.expiresAt);
+    return {
+      status: expired ? 'expired' : record.status,
+      expiresAt: record.expiresAt,
+      attempts: record.attempts,
+      attemptsRemaining: Math.max(0, record.maxAttempts - record.attempts)
+    };
+  }
+
+  getAuditLog(orderId = null) {
+    return this.auditLog
+      .filter(entry => orderId === null || entry.orderId === orderId)
+      .map(entry => ({ ...entry }));
+  }
+
+  audit(orderId, action, details = {}) {
+    this.auditLog.push({
+      id: this.auditLog.length + 1,
+      orderId,
+      action,
+      ...details,
+      at: new Date().toISOString()
+    });
+  }
+
+  generateCode() {
+    const min = 10 ** (OTP_LENGTH - 1);
+    return String(Math.floor(min + Math.random() * (9 * min)));
+  }
+}
+
+export const deliveryOtpService = new DeliveryOtpService();
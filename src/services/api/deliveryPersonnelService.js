@@ -1,8 +1,12 @@
 import deliveryPersonnelData from '../mockData/deliveryPersonnel.json';
 
+// Oldest breadcrumbs are dropped once a rider's trail grows past this
+const MAX_LOCATION_HISTORY = 500;
+
 class DeliveryPersonnelService {
   constructor() {
     this.personnel = [...deliveryPersonnelData];
+    this.locationHistory = {};
   }
 
   async getAll() {
@@ -63,16 +67,34 @@ class DeliveryPersonnelService {
     return this.personnel.filter(p => p.zone === zone && p.isActive);
   }
 
-  async updateLocation(id, location) {
+  async updateLocation(id, location, { orderIds = [] } = {}) {
     await this.delay();
     const index = this.personnel.findIndex(p => p.Id === parseInt(id));
     if (index === -1) {
       throw new Error('Delivery personnel not found');
     }
+    const recordedAt = new Date().toISOString();
     this.personnel[index].currentLocation = location;
+    this.personnel[index].locationUpdatedAt = recordedAt;
+
+    // Keep a breadcrumb trail, tagged with the orders the rider was carrying at the time
+    const riderId = this.personnel[index].Id;
+    const history = this.locationHistory[riderId] || [];
+    history.push({ lat: location.lat, lng: location.lng, recordedAt, orderIds: [...orderIds] });
+    this.locationHistory[riderId] = history.slice(-MAX_LOCATION_HISTORY);
+
     return { ...this.personnel[index] };
   }
 
+  async getLocationHistory(id, { orderId = null, since = null } = {}) {
+    await this.delay();
+    const history = this.locationHistory[parseInt(id)] || [];
+    return history
+      .filter(point => orderId === null || point.orderIds.includes(orderId))
+      .filter(point => !since || new Date(point.recordedAt) >= new Date(since))
+      .map(point => ({ ...point, orderIds: [...point.orderIds] }));
+  }
+
   async updateStatus(id, status) {
     await this.delay();
     const index = this.personnel.findIndex(p => p.Id === parseInt(id));
@@ -0,0 +1,302 @@
+import deliveryPricingData from '../mockData/deliveryPricing.json';
+
+const EARTH_RADIUS_KM = 6371;
+
+class DeliveryPricingService {
+  constructor() {
+    this.rules = JSON.parse(JSON.stringify(deliveryPricingData));
+  }
+
+  async getRules() {
+    await this.delay();
+    return JSON.parse(JSON.stringify(this.rules));
+  }
+
+  async getZones() {
+    await this.delay();
+    return this.rules.zones.map(zone => ({ ...zone }));
+  }
+
+  async createZone(zoneData) {
+    await this.delay();
+    const zone = this.normalizeZone({
+      postalCodePrefixes: [],
+      isActive: true,
+      ...zoneData
+    });
+    zone.id = this.getNextZoneId();
+    this.rules.zones.push(zone);
+    return { ...zone };
+  }
+
+  async updateZone(id, zoneData) {
+    await this.delay();
+    const index = this.rules.zones.findIndex(z => z.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Delivery zone not found');
+    }
+    const zone = this.normalizeZone({ ...this.rules.zones[index], ...zoneData, id: this.rules.zones[index].id });
+    this.rules.zones[index] = zone;
+    return { ...zone };
+  }
+
+  async deleteZone(id) {
+    await this.delay();
+    const index = this.rules.zones.findIndex(z => z.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Delivery zone not found');
+    }
+    this.rules.zones.splice(index, 1);
+    return true;
+  }
+
+  async updateDistanceBands(bands) {
+    await this.delay();
+    if (!Array.isArray(bands) || bands.length === 0) {
+      throw new Error('At least one distance band is required');
+    }
+    const normalized = bands
+      .map(band => ({ upToKm: parseFloat(band.upToKm), fee: parseFloat(band.fee) || 0 }))
+      .sort((a, b) => a.upToKm - b.upToKm);
+
+    normalized.forEach((band, index) => {
+      if (!(band.upToKm > 0)) {
+        throw new Error('Distance band limits must be greater than zero');
+      }
+      if (band.fee < 0) {
+        throw new Error('Distance band fees cannot be negative');
+      }
+      if (index > 0 && band.upToKm === normalized[index - 1].upToKm) {
+        throw new Error(`Duplicate distance band for ${band.upToKm} km`);
+      }
+    });
+
+    this.rules.distanceBands = normalized;
+    return normalized.map(band => ({ ...band }));
+  }
+
+  async updateSurcharges({ weight, bulk, outsideZones } = {}) {
+    await this.delay();
+    const next = {
+      weight: { ...this.rules.weight, ...weight },
+      bulk: { ...this.rules.bulk, ...bulk },
+      outsideZones: { ...this.rules.outsideZones, ...outsideZones }
+    };
+
+    ['includedKg', 'feePerKg', 'defaultItemWeightKg'].forEach(field => {
+      next.weight[field] = parseFloat(next.weight[field]) || 0;
+      if (next.weight[field] < 0) {
+        throw new Error('Weight surcharge values cannot be negative');
+      }
+    });
+    next.bulk.itemThreshold = parseInt(next.bulk.itemThreshold) || 0;
+    next.bulk.surcharge = parseFloat(next.bulk.surcharge) || 0;
+    next.outsideZones.fee = parseFloat(next.outsideZones.fee) || 0;
+    next.outsideZones.allowed = Boolean(next.outsideZones.allowed);
+    if (next.bulk.itemThreshold < 0 || next.bulk.surcharge < 0 || next.outsideZones.fee < 0) {
+      throw new Error('Surcharge values cannot be negative');
+    }
+
+    Object.assign(this.rules, next);
+    return JSON.parse(JSON.stringify(next));
+  }
+
+  normalizeZone(zone) {
+    if (!zone.name?.trim()) {
+      throw new Error('Zone name is required');
+    }
+    if (!zone.city?.trim()) {
+      throw new Error('Zone city is required');
+    }
+    const baseFee = parseFloat(zone.baseFee);
+    if (isNaN(baseFee) || baseFee < 0) {
+      throw new Error('Zone base fee must be zero or more');
+    }
+    const threshold = zone.freeDeliveryThreshold === '' || zone.freeDeliveryThreshold == null
+      ? null
+      : parseFloat(zone.freeDeliveryThreshold);
+    if (threshold !== null && (isNaN(threshold) || threshold < 0)) {
+      throw new Error('Free delivery threshold must be zero or more');
+    }
+    const duplicate = this.rules.zones.find(z =>
+      z.name.toLowerCase() === zone.name.trim().toLowerCase() && z.id !== zone.id
+    );
+    if (duplicate) {
+      throw new Error(`Zone ${zone.name} already exists`);
+    }
+
+    const prefixes = Array.isArray(zone.postalCodePrefixes)
+      ? zone.postalCodePrefixes
+      : String(zone.postalCodePrefixes || '').split(',');
+
+    return {
+      ...zone,
+      name: zone.name.trim(),
+      city: zone.city.trim(),
+      postalCodePrefixes: prefixes.map(p => String(p).trim()).filter(Boolean),
+      baseFee,
+      freeDeliveryThreshold: threshold,
+      isActive: zone.isActive !== false
+    };
+  }
+
+  // Fee Calculation
+  // Synchronous so Checkout can quote while the customer types and orderService.create
+  // can recompute the same fee from the same rules before saving the order.
+  calculateDeliveryFee({ items = [], subtotal = 0, deliveryAddress = null, freeDelivery = false } = {}) {
+    const weightKg = this.estimateWeight(items);
+    const itemCount = items.reduce((count, item) =>
+      count + (item.soldByWeight ? 1 : (parseFloat(item.quantity) || 0)), 0);
+
+    const quote = {
+      fee: 0,
+      zone: null,
+      store: null,
+      distanceKm: null,
+      weightKg,
+      itemCount,
+      breakdown: [],
+      freeDeliveryThreshold: null,
+      amountToFreeDelivery: null,
+      isFree: false,
+      isServiceable: true,
+      requiresAddress: false,
+      error: null
+    };
+
+    if (!deliveryAddress?.city?.trim()) {
+      return { ...quote, isServiceable: false, requiresAddress: true, error: 'Enter a delivery address to calculate the delivery fee' };
+    }
+
+    const zone = this.resolveZone(deliveryAddress);
+    if (!zone && !this.rules.outsideZones.allowed) {
+      return { ...quote, isServiceable: false, error: `We do not deliver to ${deliveryAddress.city} yet` };
+    }
+
+    const coordinates = deliveryAddress.coordinates || zone?.center || null;
+    const store = this.getNearestStore(coordinates, deliveryAddress.city);
+    const distanceKm = coordinates && store
+      ? this.roundAmount(this.getDistanceKm(store.coordinates, coordinates))
+      : null;
+
+    quote.zone = zone ? { id: zone.id, name: zone.name } : null;
+    quote.store = store ? { id: store.id, name: store.name } : null;
+    quote.distanceKm = distanceKm;
+
+    const breakdown = [];
+    if (zone) {
+      breakdown.push({ type: 'base', label: `${zone.name} delivery`, amount: zone.baseFee });
+    } else {
+      breakdown.push({ type: 'base', label: 'Outside delivery zones', amount: this.rules.outsideZones.fee });
+    }
+
+    if (distanceKm !== null) {
+      const band = this.getDistanceBand(distanceKm);
+      if (!band) {
+        const maxKm = this.rules.distanceBands[this.rules.distanceBands.length - 1]?.upToKm;
+        return { ...quote, isServiceable: false, error: `Address is beyond our ${maxKm} km delivery radius` };
+      }
+      if (band.fee > 0) {
+        breakdown.push({ type: 'distance', label: `Distance (up to ${band.upToKm} km)`, amount: band.fee });
+      }
+    }
+
+    // Free-delivery thresholds waive the zone and distance fee; handling surcharges still apply
+    const threshold = zone?.freeDeliveryThreshold ?? null;
+    const netSubtotal = parseFloat(subtotal) || 0;
+    quote.freeDeliveryThreshold = threshold;
+    if (threshold !== null) {
+      quote.amountToFreeDelivery = this.roundAmount(Math.max(0, threshold - netSubtotal));
+      if (netSubtotal >= threshold) {
+        const waived = breakdown.reduce((sum, line) => sum + line.amount, 0);
+        breakdown.push({ type: 'free_threshold', label: `Free delivery over Rs. ${threshold.toLocaleString()}`, amount: -waived });
+      }
+    }
+
+    const { includedKg, feePerKg } = this.rules.weight;
+    if (feePerKg > 0 && weightKg > includedKg) {
+      const extraKg = Math.ceil(weightKg - includedKg);
+      breakdown.push({ type: 'weight', label: `Heavy order (${extraKg} kg over ${includedKg} kg)`, amount: extraKg * feePerKg });
+    }
+
+    const { itemThreshold, surcharge } = this.rules.bulk;
+    if (surcharge > 0 && itemThreshold > 0 && itemCount >= itemThreshold) {
+      breakdown.push({ type: 'bulk', label: `Bulk order (${itemThreshold}+ items)`, amount: surcharge });
+    }
+
+    let fee = breakdown.reduce((sum, line) => sum + line.amount, 0);
+    if (freeDelivery && fee > 0) {
+      breakdown.push({ type: 'promotion', label: 'Free delivery promotion', amount: -fee });
+      fee = 0;
+    }
+
+    quote.breakdown = breakdown.map(line => ({ ...line, amount: this.roundAmount(line.amount) }));
+    quote.fee = this.roundAmount(Math.max(0, fee));
+    quote.isFree = quote.fee === 0;
+    return quote;
+  }
+
+  resolveZone(address) {
+    const city = address?.city?.trim().toLowerCase();
+    if (!city) return null;
+
+    const postalCode = String(address.postalCode || '').trim();
+    const cityZones = this.rules.zones.filter(z => z.isActive && z.city.toLowerCase() === city);
+
+    // A postal code prefix match wins over the city-wide zone
+    return cityZones.find(z => postalCode && z.postalCodePrefixes.some(prefix => postalCode.startsWith(prefix))) ||
+      cityZones.find(z => z.postalCodePrefixes.length === 0) ||
+      null;
+  }
+
+  getNearestStore(coordinates, city = null) {
+    if (!coordinates) {
+      return this.rules.stores.find(s => s.city.toLowerCase() === city?.trim().toLowerCase()) || null;
+    }
+    return this.rules.stores.reduce((nearest, store) => {
+      if (!nearest) return store;
+      return this.getDistanceKm(store.coordinates, coordinates) < this.getDistanceKm(nearest.coordinates, coordinates)
+        ? store
+        : nearest;
+    }, null);
+  }
+
+  getDistanceBand(distanceKm) {
+    return this.rules.distanceBands.find(band => distanceKm <= band.upToKm) || null;
+  }
+
+  // Haversine great-circle distance
+  getDistanceKm(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  estimateWeight(items) {
+    const { unitWeightsKg, defaultItemWeightKg } = this.rules.weight;
+    const total = items.reduce((sum, item) => {
+      const quantity = parseFloat(item.quantity) || 0;
+      const perUnit = item.weightKg ?? unitWeightsKg[item.unit] ?? defaultItemWeightKg;
+      return sum + quantity * perUnit;
+    }, 0);
+    return Math.round(total * 1000) / 1000;
+  }
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  getNextZoneId() {
+    const maxId = this.rules.zones.reduce((max, zone) => zone.id > max ? zone.id : max, 0);
+    return maxId + 1;
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const deliveryPricingService = new DeliveryPricingService();
@@ -0,0 +1,213 @@
+import deliverySlotsData from '../mockData/deliverySlots.json';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class DeliverySlotService {
+  constructor() {
+    this.slots = [...deliverySlotsData];
+    this.bookings = [];
+    this.daysAhead = 3;
+  }
+
+  async getAll() {
+    await this.delay();
+    return [...this.slots].sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }
+
+  async create(slotData) {
+    await this.delay();
+    const slot = this.normalizeSlot({ ordersPerRider: 5, maxOrders: null, cutoffMinutes: 60, isActive: true, ...slotData });
+    slot.id = this.getNextId();
+    this.slots.push(slot);
+    return { ...slot };
+  }
+
+  async update(id, slotData) {
+    await this.delay();
+    const index = this.slots.findIndex(s => s.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Delivery slot not found');
+    }
+    const slot = this.normalizeSlot({ ...this.slots[index], ...slotData, id: this.slots[index].id });
+    this.slots[index] = slot;
+    return { ...slot };
+  }
+
+  async delete(id) {
+    await this.delay();
+    const index = this.slots.findIndex(s => s.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Delivery slot not found');
+    }
+    const today = this.toDateKey(new Date());
+    if (this.bookings.some(b => b.slotId === this.slots[index].id && b.date >= today)) {
+      throw new Error('This slot has upcoming bookings. Deactivate it instead.');
+    }
+    this.slots.splice(index, 1);
+    return true;
+  }
+
+  normalizeSlot(slot) {
+    if (!slot.label?.trim()) {
+      throw new Error('Slot label is required');
+    }
+    if (!TIME_PATTERN.test(slot.startTime) || !TIME_PATTERN.test(slot.endTime)) {
+      throw new Error('Slot times must be in HH:MM format');
+    }
+    if (slot.endTime <= slot.startTime) {
+      throw new Error('Slot end time must be after its start time');
+    }
+    const ordersPerRider = parseInt(slot.ordersPerRider);
+    if (!(ordersPerRider > 0)) {
+      throw new Error('Orders per rider must be at least 1');
+    }
+    const maxOrders = slot.maxOrders === '' || slot.maxOrders == null ? null : parseInt(slot.maxOrders);
+    if (maxOrders !== null && !(maxOrders > 0)) {
+      throw new Error('Maximum orders must be at least 1');
+    }
+    const overlapping = this.slots.find(s =>
+      s.id !== slot.id && s.isActive && slot.isActive !== false &&
+      slot.startTime < s.endTime && s.startTime < slot.endTime
+    );
+    if (overlapping) {
+      throw new Error(`Slot overlaps with ${overlapping.label} (${overlapping.startTime}–${overlapping.endTime})`);
+    }
+
+    return {
+      ...slot,
+      label: slot.label.trim(),
+      ordersPerRider,
+      maxOrders,
+      cutoffMinutes: parseInt(slot.cutoffMinutes) || 0,
+      isActive: slot.isActive !== false
+    };
+  }
+
+  // Availability
+  // Capacity is the riders currently available times each slot's orders-per-rider, capped by maxOrders.
+  async getAvailableSlots({ days = this.daysAhead, includeFull = false, now = new Date() } = {}) {
+    const availablePersonnel = await deliveryPersonnelService.getAvailablePersonnel();
+    const riderCount = availablePersonnel.length;
+    const schedule = [];
+
+    for (let offset = 0; offset < days; offset++) {
+      const day = new Date(now);
+      day.setDate(day.getDate() + offset);
+      const date = this.toDateKey(day);
+
+      this.slots
+        .filter(slot => slot.isActive)
+        .sort((a, b) => a.startTime.localeCompare(b.startTime))
+        .forEach(slot => {
+          const startsAt = this.toDateTime(date, slot.startTime);
+          const bookingClosesAt = new Date(startsAt.getTime() - slot.cutoffMinutes * 60 * 1000);
+          if (now >= bookingClosesAt) return;
+
+          const entry = this.buildSlotEntry(slot, date, riderCount);
+          if (includeFull || entry.remaining > 0) {
+            schedule.push(entry);
+          }
+        });
+    }
+
+    return schedule;
+  }
+
+  buildSlotEntry(slot, date, riderCount) {
+    const riderCapacity = riderCount * slot.ordersPerRider;
+    const capacity = slot.maxOrders ? Math.min(slot.maxOrders, riderCapacity) : riderCapacity;
+    const booked = this.getBookedCount(slot.id, date);
+
+    return {
+      slotId: slot.id,
+      date,
+      label: slot.label,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      startsAt: this.toDateTime(date, slot.startTime).toISOString(),
+      endsAt: this.toDateTime(date, slot.endTime).toISOString(),
+      capacity,
+      booked,
+      remaining: Math.max(0, capacity - booked),
+      isFull: booked >= capacity
+    };
+  }
+
+  // Bookings
+  async bookSlot(slotId, date, orderId) {
+    const slot = this.slots.find(s => s.id === parseInt(slotId));
+    if (!slot || !slot.isActive) {
+      throw new Error('Selected delivery slot is no longer offered');
+    }
+
+    const available = await this.getAvailableSlots({ days: this.daysAhead, includeFull: true });
+    const entry = available.find(s => s.slotId === slot.id && s.date === date);
+    if (!entry) {
+      throw new Error('Selected delivery slot is no longer available for booking');
+    }
+    if (entry.isFull) {
+      throw new Error(`The ${entry.label} slot on ${this.formatDate(date)} is fully booked. Please choose another slot.`);
+    }
+
+    const booking = { slotId: slot.id, date, orderId, bookedAt: new Date().toISOString() };
+    this.bookings.push(booking);
+
+    return {
+      slotId: entry.slotId,
+      date: entry.date,
+      label: entry.label,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      startsAt: entry.startsAt,
+      endsAt: entry.endsAt
+    };
+  }
+
+  async releaseSlot(orderId) {
+    await this.delay(100);
+    const before = this.bookings.length;
+    this.bookings = this.bookings.filter(b => b.orderId !== orderId);
+    return before !== this.bookings.length;
+  }
+
+  getBookedCount(slotId, date) {
+    return this.bookings.filter(b => b.slotId === slotId && b.date === date).length;
+  }
+
+  formatSlot(slot) {
+    if (!slot) return 'Unscheduled';
+    return `${this.formatDate(slot.date)}, ${slot.label} (${slot.startTime}–${slot.endTime})`;
+  }
+
+  formatDate(date) {
+    const today = this.toDateKey(new Date());
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (date === today) return 'Today';
+    if (date === this.toDateKey(tomorrow)) return 'Tomorrow';
+    return this.toDateTime(date, '00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  // Local calendar date, so slots line up with the store's day rather than UTC
+  toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  toDateTime(date, time) {
+    return new Date(`${date}T${time}:00`);
+  }
+
+  getNextId() {
+    const maxId = this.slots.reduce((max, slot) => slot.id > max ? slot.id : max, 0);
+    return maxId + 1;
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const deliverySlotService = new DeliverySlotService();
@@ -0,0 +1,183 @@
+import { orderService } from '@/services/api/orderService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import { deliveryPricingService } from '@/services/api/deliveryPricingService';
+import { returnService } from '@/services/api/returnService';
+import { permissionService } from '@/services/api/permissionService';
+
+// Carrying limits per vehicle; orders heavier than this need a bigger vehicle
+const VEHICLE_PROFILES = {
+  bicycle: { maxWeightKg: 10, maxActiveOrders: 2 },
+  motorcycle: { maxWeightKg: 25, maxActiveOrders: 3 },
+  car: { maxWeightKg: 80, maxActiveOrders: 5 },
+  van: { maxWeightKg: 300, maxActiveOrders: 8 }
+};
+
+// Points available for each factor; the total is out of 100
+const WEIGHTS = {
+  zone: 30,
+  distance: 25,
+  load: 20,
+  vehicle: 15,
+  rating: 10
+};
+
+const MAX_DISPATCH_DISTANCE_KM = 25;
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'out_for_delivery', 'in_transit'];
+
+class DispatchService {
+  constructor() {
+    this.dispatchLog = [];
+  }
+
+  // Rank every active rider for an order. Ineligible riders are kept (with reasons)
+  // so dispatchers can see why someone was not suggested before overriding.
+  async getCandidates(order) {
+    const riders = (await deliveryPersonnelService.getAll()).filter(r => r.isActive && r.status !== 'off_duty');
+    const orderZone = order.deliveryZone || deliveryPricingService.resolveZone(order.deliveryAddress)?.name || null;
+    const orderLocation = this.getOrderLocation(order);
+    const orderWeightKg = deliveryPricingService.estimateWeight(order.items || []);
+
+    const candidates = await Promise.all(riders.map(async rider => {
+      const riderOrders = await orderService.getOrdersByDeliveryPerson(rider.Id);
+      const activeOrders = riderOrders.filter(o => o.id !== order.id && ACTIVE_DELIVERY_STATUSES.includes(o.deliveryStatus)).length;
+      return this.scoreRider(rider, { orderZone, orderLocation, orderWeightKg, activeOrders });
+    }));
+
+    return candidates.sort((a, b) => {
+      if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+      return b.score - a.score;
+    });
+  }
+
+  scoreRider(rider, { orderZone, orderLocation, orderWeightKg, activeOrders }) {
+    const profile = VEHICLE_PROFILES[rider.vehicleType] || VEHICLE_PROFILES.motorcycle;
+    const reasons = [];
+    const breakdown = {};
+
+    // Zone match, with partial credit for another zone in the same city
+    const riderCity = rider.zone?.split(' ')[0].toLowerCase();
+    const orderCity = orderZone?.split(' ')[0].toLowerCase();
+    if (orderZone && rider.zone === orderZone) {
+      breakdown.zone = WEIGHTS.zone;
+    } else if (orderCity && riderCity === orderCity) {
+      breakdown.zone = WEIGHTS.zone / 2;
+    } else {
+      breakdown.zone = 0;
+    }
+
+    let distanceKm = null;
+    if (orderLocation && rider.currentLocation) {
+      distanceKm = Math.round(deliveryPricingService.getDistanceKm(rider.currentLocation, orderLocation) * 10) / 10;
+      breakdown.distance = Math.max(0, WEIGHTS.distance * (1 - distanceKm / MAX_DISPATCH_DISTANCE_KM));
+      if (distanceKm > MAX_DISPATCH_DISTANCE_KM) {
+        reasons.push(`${distanceKm} km away`);
+      }
+    } else {
+      breakdown.distance = 0;
+    }
+
+    breakdown.load = Math.max(0, WEIGHTS.load * (1 - activeOrders / profile.maxActiveOrders));
+    if (activeOrders >= profile.maxActiveOrders) {
+      reasons.push(`Already carrying ${activeOrders} orders`);
+    }
+
+    // Full marks when the order fits comfortably; reduced when it nearly fills the vehicle
+    if (orderWeightKg > profile.maxWeightKg) {
+      breakdown.vehicle = 0;
+      reasons.push(`Order (${orderWeightKg} kg) too heavy for ${rider.vehicleType}`);
+    } else {
+      breakdown.vehicle = orderWeightKg > profile.maxWeightKg * 0.75 ? WEIGHTS.vehicle / 2 : WEIGHTS.vehicle;
+    }
+
+    breakdown.rating = WEIGHTS.rating * Math.min(1, (parseFloat(rider.rating) || 0) / 5);
+
+    const score = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    return {
+      riderId: rider.Id,
+      rider,
+      score: Math.round(score),
+      breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, points]) => [key, Math.round(points)])),
+      distanceKm,
+      activeOrders,
+      maxActiveOrders: profile.maxActiveOrders,
+      orderWeightKg,
+      eligible: reasons.length === 0,
+      reasons
+    };
+  }
+
+  async suggestAssignment(orderId) {
+    const order = await orderService.getById(orderId);
+    const candidates = await this.getCandidates(order);
+    const suggestion = candidates.find(c => c.eligible) || null;
+    return { order, suggestion, candidates };
+  }
+
+  // Assign through orderService and record whether the dispatcher kept the suggestion
+  async assignRider(orderId, riderId, { suggestion = null, reason = '' } = {}) {
+    permissionService.require('deliveries', 'manage');
+    const overridden = Boolean(suggestion) && suggestion.riderId !== riderId;
+    if (overridden && !reason.trim()) {
+      throw new Error('Please give a reason for overriding the suggested rider');
+    }
+
+    const assignment = {
+      suggestedRiderId: suggestion?.riderId ?? null,
+      suggestedScore: suggestion?.score ?? null,
+      overridden,
+      overrideReason: overridden ? reason.trim() : null,
+      assignedAt: new Date().toISOString()
+    };
+
+    const order = await orderService.assignDeliveryPersonnel(orderId, riderId, assignment);
+    await deliveryPersonnelService.updateStatus(riderId, 'on_delivery');
+
+    this.dispatchLog.push({ orderId, riderId, ...assignment });
+    return order;
+  }
+
+  // Return pickups are collected from the order's delivery address, so riders are ranked
+  // the same way as for delivering the original order
+  async suggestPickup(returnId) {
+    const returnRequest = await returnService.getById(returnId);
+    const order = await orderService.getById(returnRequest.orderId);
+    const candidates = await this.getCandidates(order);
+    const suggestion = candidates.find(c => c.eligible) || null;
+    return { order, returnRequest, suggestion, candidates };
+  }
+
+  async assignPickup(returnId, riderId, { suggestion = null, reason = '' } = {}) {
+    permissionService.require('deliveries', 'manage');
+    const overridden = Boolean(suggestion) && suggestion.riderId !== riderId;
+    if (overridden && !reason.trim()) {
+      throw new Error('Please give a reason for overriding the suggested rider');
+    }
+
+    const assignment = {
+      suggestedRiderId: suggestion?.riderId ?? null,
+      suggestedScore: suggestion?.score ?? null,
+      overridden,
+      overrideReason: overridden ? reason.trim() : null,
+      assignedAt: new Date().toISOString()
+    };
+
+    const returnRequest = await returnService.schedulePickup(returnId, riderId, assignment);
+    await deliveryPersonnelService.updateStatus(riderId, 'on_delivery');
+
+    this.dispatchLog.push({ orderId: returnRequest.orderId, returnId, riderId, ...assignment });
+    return returnRequest;
+  }
+
+  async getDispatchLog() {
+    return [...this.dispatchLog].reverse();
+  }
+
+  getOrderLocation(order) {
+    if (order.deliveryAddress?.coordinates) {
+      return order.deliveryAddress.coordinates;
+    }
+    return deliveryPricingService.resolveZone(order.deliveryAddress)?.center || null;
+  }
+}
+
+export const dispatchService = new DispatchService();
@@ -2,6 +2,7 @@ import React from "react";
 import Error from "@/components/ui/Error";
 import { orderService } from "@/services/api/orderService";
 import { productService } from "@/services/api/productService";
+import { permissionService } from "@/services/api/permissionService";
 
 // Mock expense data with proper Id structure
 const mockExpenses = [
@@ -66,6 +67,7 @@ const mockVendors = [
     phone: '+92-300-1234567',
     category: 'Supplier',
     paymentTerms: 30,
+    leadTimeDays: 5,
     address: '123 Industrial Area, Karachi',
     createdAt: '2024-01-01T00:00:00Z'
   },
@@ -96,6 +98,7 @@ const mockVendors = [
     phone: '+92-333-7654321',
     category: 'Supplier',
     paymentTerms: 7,
+    leadTimeDays: 2,
     address: 'Fruit Market, Multan',
     createdAt: '2024-01-15T00:00:00Z'
   }
@@ -217,7 +220,7 @@ class FinancialService {
 
     orders.forEach(order => {
       if (order.items) {
-        order.items.forEach(item => {
+        orderService.getNetItems(order).forEach(item => {
           const product = products.find(p => p.id === item.productId);
           if (product) {
             const quantity = item.quantity || 0;
@@ -225,7 +228,7 @@ class FinancialService {
             const purchasePrice = product.purchasePrice || 0;
             
             const itemRevenue = sellingPrice * quantity;
-            const itemCost = purchasePrice * quantity;
+            const itemCost = purchasePrice * (item.costQuantity || 0);
             const itemProfit = itemRevenue - itemCost;
 
             totalRevenue += itemRevenue;
@@ -625,6 +628,7 @@ class FinancialService {
 
   async createExpense(expenseData) {
     await this.delay();
+    permissionService.require('expenses', 'record');
     
     try {
       const newExpense = {
@@ -647,6 +651,7 @@ class FinancialService {
 
   async updateExpense(id, expenseData) {
     await this.delay();
+    permissionService.require('expenses', 'record');
     
     try {
       const index = this.expenses.findIndex(e => e.Id === parseInt(id));
@@ -673,6 +678,7 @@ class FinancialService {
 
   async deleteExpense(id) {
     await this.delay();
+    permissionService.require('expenses', 'record');
     
     try {
       const index = this.expenses.findIndex(e => e.Id === parseInt(id));
@@ -818,6 +824,7 @@ class FinancialService {
         phone: vendorData.phone,
         category: vendorData.category,
         paymentTerms: parseInt(vendorData.paymentTerms) || 30,
+        leadTimeDays: parseInt(vendorData.leadTimeDays) || null,
         address: vendorData.address || '',
         createdAt: new Date().toISOString()
       };
@@ -845,6 +852,7 @@ class FinancialService {
         phone: vendorData.phone,
         category: vendorData.category,
         paymentTerms: parseInt(vendorData.paymentTerms) || 30,
+        leadTimeDays: parseInt(vendorData.leadTimeDays) || null,
         address: vendorData.address || ''
       };
 
@@ -899,6 +907,11 @@ class FinancialService {
 
   async processVendorPayment(paymentData) {
     await this.delay();
+    permissionService.require('vendor_payments', 'record');
+    // Recording a payment as already settled is the same as approving it
+    if (paymentData.status === 'paid') {
+      permissionService.require('vendor_payments', 'approve', 'Only roles that approve vendor payments can record them as paid');
+    }
     
     try {
       const newPayment = {
@@ -921,6 +934,7 @@ class FinancialService {
 
   async processBulkVendorPayments(paymentIds) {
     await this.delay(1000); // Simulate bulk processing time
+    permissionService.require('vendor_payments', 'approve');
     
     try {
       const processedPayments = [];
@@ -0,0 +1,90 @@
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Canonical JSON: object keys sorted so the same request always yields the same fingerprint
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Remembers the outcome of keyed requests so a double-tapped "Place order" or a repeated retry
+// charges once. A key is bound to the fingerprint of its first request: replays of the same
+// request get the stored result, a different request under the same key is refused. Failed
+// requests release their key so the caller can try again with it.
+class IdempotencyService {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Generate a key for one user intent (a checkout, a POS sale)
+   * @param {string} prefix - Short label of where the key came from
+   */
+  createKey(prefix = 'idem') {
+    const random = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 12)}`;
+    return `${prefix}_${random}`;
+  }
+
+  /**
+   * Run `operation` at most once per scope and key
+   * @param {string} scope - Operation name, e.g. 'payment.card' or 'order.create'
+   * @param {string|null} key - Caller's idempotency key; without one the operation just runs
+   * @param {Object} request - What identifies the request; leave out secrets such as card numbers
+   * @param {Function} operation - Async function performing the side effect
+   * @returns {Promise<Object>} The operation's result, or a copy of the stored one flagged idempotentReplay
+   */
+  async run(scope, key, request, operation) {
+    if (!key) {
+      return operation();
+    }
+    this.purgeExpired();
+
+    const recordKey = `${scope}:${key}`;
+    const fingerprint = canonicalize(request);
+    const existing = this.records.get(recordKey);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        const error = new Error('This request was already submitted with different details. Refresh and try again.');
+        error.code = 'IDEMPOTENCY_CONFLICT';
+        throw error;
+      }
+      // A second tap while the first is still in flight waits for the same outcome
+      const result = await existing.promise;
+      return { ...result, idempotentReplay: true };
+    }
+
+    const record = { fingerprint, createdAt: Date.now(), promise: null };
+    record.promise = Promise.resolve()
+      .then(operation)
+      .catch(error => {
+        this.records.delete(recordKey);
+        throw error;
+      });
+    this.records.set(recordKey, record);
+
+    const result = await record.promise;
+    return { ...result };
+  }
+
+  purgeExpired() {
+    const cutoff = Date.now() - KEY_TTL_MS;
+    for (const [recordKey, record] of this.records) {
+      if (record.createdAt < cutoff) {
+        this.records.delete(recordKey);
+      }
+    }
+  }
+}
+
+export const idempotencyService = new IdempotencyService();
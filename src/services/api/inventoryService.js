@@ -0,0 +1,505 @@
+import productsData from '../mockData/products.json';
+import { deliveryPricingService } from '@/services/api/deliveryPricingService';
+import { permissionService } from '@/services/api/permissionService';
+
+const MAIN_LOCATION = 'main';
+
+// Direction of each movement type; adjustments carry their own sign
+const MOVEMENT_TYPES = {
+  opening: { label: 'Opening balance', direction: 1 },
+  receipt: { label: 'Receipt', direction: 1 },
+  sale: { label: 'Sale', direction: -1 },
+  return: { label: 'Return', direction: 1 },
+  write_off: { label: 'Write-off', direction: -1 },
+  adjustment: { label: 'Adjustment', direction: 0 },
+  transfer_out: { label: 'Transfer out', direction: -1 },
+  transfer_in: { label: 'Transfer in', direction: 1 }
+};
+const REASON_REQUIRED = ['write_off', 'adjustment', 'transfer_out', 'transfer_in'];
+const RESERVATION_MINUTES = 15;
+const NEAR_EXPIRY_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundQuantity = (quantity) => Math.round((parseFloat(quantity) || 0) * 1000) / 1000;
+
+// A batch can be sold up to the end of its expiry date
+const expiresAt = (expiryDate) => new Date(`${expiryDate.slice(0, 10)}T23:59:59.999`);
+
+const sameReference = (a, b) => Boolean(a && b) && a.type === b.type && String(a.id) === String(b.id);
+
+class InventoryService {
+  constructor() {
+    this.movements = [];
+    this.reservations = [];
+    this.batches = [];
+    this.seedOpeningBalances(productsData);
+  }
+
+  seedOpeningBalances(products) {
+    products.forEach(product => {
+      const lines = product.variants?.length
+        ? product.variants.map(variant => ({ variantId: String(variant.id), quantity: variant.stock }))
+        : [{ variantId: null, quantity: product.stock }];
+
+      lines.forEach(line => {
+        if (roundQuantity(line.quantity) <= 0) return;
+        this.movements.push({
+          id: this.movements.length + 1,
+          productId: product.id,
+          variantId: line.variantId,
+          locationId: MAIN_LOCATION,
+          type: 'opening',
+          quantity: roundQuantity(line.quantity),
+          reason: 'Opening balance',
+          user: 'system',
+          reference: null,
+          createdAt: product.updatedAt || product.createdAt || new Date(0).toISOString()
+        });
+      });
+    });
+  }
+
+  getMovementTypes() {
+    return Object.entries(MOVEMENT_TYPES).map(([type, config]) => ({ type, label: config.label }));
+  }
+
+  getLocations() {
+    const stores = deliveryPricingService.rules.stores.map(store => ({ id: `store-${store.id}`, name: store.name }));
+    return [{ id: MAIN_LOCATION, name: 'Main Warehouse' }, ...stores];
+  }
+
+  // Current stock is the running sum of the ledger; omit variantId for the product total
+  getStock(productId, variantId = null, locationId = null) {
+    return roundQuantity(
+      this.movements
+        .filter(m => this.matches(m, productId, variantId, locationId))
+        .reduce((sum, m) => sum + m.quantity, 0)
+    );
+  }
+
+  // Online and POS orders are fulfilled from the main warehouse, so that is the stock customers see.
+  // Expired batches stay on hand (until written off) but can no longer be sold.
+  getSellableStock(productId, variantId = null) {
+    return roundQuantity(this.getStock(productId, variantId, MAIN_LOCATION) - this.getExpiredQuantity(productId, variantId));
+  }
+
+  // Sellable stock less what other shoppers are holding in checkout
+  getAvailableStock(productId, variantId = null, { excludeReservationId = null } = {}) {
+    return roundQuantity(
+      this.getSellableStock(productId, variantId) -
+      this.getReservedQuantity(productId, variantId, { excludeReservationId })
+    );
+  }
+
+  getStockByLocation(productId, variantId = null) {
+    return this.getLocations()
+      .map(location => ({ ...location, stock: this.getStock(productId, variantId, location.id) }))
+      .filter(location => location.stock !== 0);
+  }
+
+  async getMovements({ productId = null, variantId = null, type = null, reference = null } = {}) {
+    await this.delay();
+    let balance = 0;
+    const balances = {};
+
+    // Walk oldest-first so each entry can report the product balance after it was posted
+    return this.movements
+      .filter(m => productId === null || this.matches(m, productId, variantId))
+      .map(m => {
+        const key = productId === null ? `${m.productId}:${m.variantId}` : 'all';
+        balance = roundQuantity((balances[key] || 0) + m.quantity);
+        balances[key] = balance;
+        return { ...m, balanceAfter: balance };
+      })
+      .filter(m => !type || m.type === type)
+      .filter(m => !reference || (m.reference?.type === reference.type && m.reference?.id === reference.id))
+      .reverse();
+  }
+
+  async recordMovement(movement) {
+    const [posted] = await this.recordMovements([movement]);
+    return posted;
+  }
+
+  // Validates every line before posting any, so a multi-item sale never half-applies
+  async recordMovements(movements, { reservationId = null } = {}) {
+    await this.delay();
+    const normalized = this.assertAvailable(movements, { reservationId });
+
+    const createdAt = new Date().toISOString();
+    return normalized.map(m => {
+      const { productName, lotNumber, expiryDate, batchId, skipExpired, ...posted } = { ...m, id: this.movements.length + 1, createdAt };
+      if (posted.locationId === MAIN_LOCATION) {
+        posted.batches = posted.quantity < 0
+          ? this.consumeBatches(m)
+          : m.saleReference && !lotNumber && !expiryDate
+            ? this.restoreBatches(m)
+            : this.createBatch(m, { lotNumber, expiryDate, receivedAt: createdAt });
+      }
+      this.movements.push(posted);
+      return { ...posted, balanceAfter: this.getStock(posted.productId, posted.variantId) };
+    });
+  }
+
+  // Throws if the outgoing lines would take any location below zero; returns the normalized lines.
+  // Sales from the main warehouse also leave alone stock held by other checkouts.
+  assertAvailable(movements, { reservationId = null } = {}) {
+    const normalized = movements.map(movement => this.normalizeMovement(movement));
+    const outgoing = {};
+    normalized.forEach(m => {
+      if (m.quantity >= 0) return;
+      const key = `${m.productId}:${m.variantId}:${m.locationId}`;
+      outgoing[key] = roundQuantity((outgoing[key] || 0) - m.quantity);
+      const available = m.type === 'sale' && m.locationId === MAIN_LOCATION
+        ? this.getAvailableStock(m.productId, m.variantId, { excludeReservationId: reservationId })
+        : this.getStock(m.productId, m.variantId, m.locationId);
+      if (outgoing[key] > available) {
+        throw new Error(`Only ${Math.max(0, available)} available for ${m.productName || `product #${m.productId}`}`);
+      }
+      if (m.batchId) {
+        const batch = this.batches.find(b => b.id === m.batchId && this.matches(b, m.productId, m.variantId));
+        if (!batch) {
+          throw new Error('Batch not found for this product');
+        }
+        if (-m.quantity > batch.remaining) {
+          throw new Error(`Only ${batch.remaining} left in lot ${batch.lotNumber}`);
+        }
+      }
+    });
+    return normalized;
+  }
+
+  // Incoming stock that carries a lot number or expiry date opens a batch; other incoming stock that
+  // isn't a return against a sale is untracked
+  createBatch(movement, { lotNumber, expiryDate, receivedAt }) {
+    if (!lotNumber && !expiryDate) return [];
+    const batch = {
+      id: this.batches.length + 1,
+      lotNumber: lotNumber || `LOT-${this.batches.length + 1}`,
+      productId: movement.productId,
+      variantId: movement.variantId,
+      receivedAt,
+      expiryDate: expiryDate || null,
+      quantity: movement.quantity,
+      remaining: movement.quantity,
+      reference: movement.reference
+    };
+    this.batches.push(batch);
+    return [{ batchId: batch.id, lotNumber: batch.lotNumber, quantity: batch.quantity }];
+  }
+
+  // Returns against a sale (movement.saleReference) go back into the lots that sale took them from,
+  // keeping their expiry, less whatever earlier returns against the same sale already put back.
+  // Anything beyond what the sale took from batches comes back untracked.
+  restoreBatches(movement) {
+    const outstanding = new Map();
+    const tally = (allocations = [], sign) => allocations.forEach(a => {
+      outstanding.set(a.batchId, roundQuantity((outstanding.get(a.batchId) || 0) + sign * a.quantity));
+    });
+    this.movements
+      .filter(m => m.locationId === MAIN_LOCATION && this.matches(m, movement.productId, movement.variantId))
+      .forEach(m => {
+        if (m.type === 'sale' && sameReference(m.reference, movement.saleReference)) tally(m.batches, 1);
+        if (m.type === 'return' && sameReference(m.saleReference, movement.saleReference)) tally(m.batches, -1);
+      });
+
+    let remaining = movement.quantity;
+    const allocations = [];
+    for (const [batchId, sold] of outstanding) {
+      if (remaining <= 0) break;
+      const batch = this.batches.find(b => b.id === batchId);
+      const quantity = roundQuantity(Math.min(sold, remaining));
+      if (!batch || quantity <= 0) continue;
+      batch.remaining = roundQuantity(batch.remaining + quantity);
+      remaining = roundQuantity(remaining - quantity);
+      allocations.push({ batchId: batch.id, lotNumber: batch.lotNumber, quantity });
+    }
+    return allocations;
+  }
+
+  // Takes outgoing stock from batches first-expiring-first-out. Sales, transfers and counts of sellable
+  // stock skip expired batches; write-offs and other adjustments reach them first. Anything left comes from untracked stock.
+  consumeBatches(movement) {
+    const now = new Date();
+    let remaining = -movement.quantity;
+    const candidates = movement.batchId
+      ? this.batches.filter(b => b.id === movement.batchId)
+      : this.batches
+        .filter(b => this.matches(b, movement.productId, movement.variantId) && b.remaining > 0)
+        .filter(b => !(['sale', 'transfer_out'].includes(movement.type) || movement.skipExpired) || !this.isExpired(b, now))
+        .sort((a, b) => (a.expiryDate ? expiresAt(a.expiryDate) : Infinity) - (b.expiryDate ? expiresAt(b.expiryDate) : Infinity));
+
+    const allocations = [];
+    for (const batch of candidates) {
+      if (remaining <= 0) break;
+      const quantity = roundQuantity(Math.min(batch.remaining, remaining));
+      batch.remaining = roundQuantity(batch.remaining - quantity);
+      remaining = roundQuantity(remaining - quantity);
+      allocations.push({ batchId: batch.id, lotNumber: batch.lotNumber, quantity });
+    }
+    return allocations;
+  }
+
+  isExpired(batch, now = new Date()) {
+    return Boolean(batch.expiryDate) && expiresAt(batch.expiryDate) < now;
+  }
+
+  getExpiredQuantity(productId, variantId = null) {
+    const now = new Date();
+    return roundQuantity(
+      this.batches
+        .filter(b => this.matches(b, productId, variantId) && b.remaining > 0 && this.isExpired(b, now))
+        .reduce((sum, b) => sum + b.remaining, 0)
+    );
+  }
+
+  // Batches with calendar days to expiry (0 = expires today) and a status of active, near_expiry, expired or depleted
+  getBatches({ productId = null, variantId = null, includeDepleted = false, nearExpiryDays = NEAR_EXPIRY_DAYS } = {}) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return this.batches
+      .filter(b => productId === null || this.matches(b, productId, variantId))
+      .filter(b => includeDepleted || b.remaining > 0)
+      .map(b => {
+        const daysToExpiry = b.expiryDate ? Math.round((new Date(`${b.expiryDate}T00:00:00`) - today) / DAY_MS) : null;
+        const status = b.remaining <= 0 ? 'depleted'
+          : this.isExpired(b, now) ? 'expired'
+            : daysToExpiry !== null && daysToExpiry < nearExpiryDays ? 'near_expiry'
+              : 'active';
+        return { ...b, daysToExpiry, status };
+      })
+      .sort((a, b) => (a.expiryDate || '9999').localeCompare(b.expiryDate || '9999'));
+  }
+
+  async getExpiryReport({ nearExpiryDays = NEAR_EXPIRY_DAYS } = {}) {
+    await this.delay();
+    const batches = this.getBatches({ nearExpiryDays });
+    return {
+      nearExpiryDays,
+      nearExpiry: batches.filter(b => b.status === 'near_expiry'),
+      expired: batches.filter(b => b.status === 'expired')
+    };
+  }
+
+  // Takes every expired batch (or just one product's) off the shelf as a write-off
+  async writeOffExpired({ productId = null, variantId = null, user = 'system' } = {}) {
+    permissionService.require('products', 'edit');
+    const expired = this.getBatches({ productId, variantId }).filter(b => b.status === 'expired');
+    if (expired.length === 0) return [];
+    return await this.recordMovements(expired.map(batch => ({
+      productId: batch.productId,
+      variantId: batch.variantId,
+      batchId: batch.id,
+      type: 'write_off',
+      quantity: batch.remaining,
+      reason: `Expired lot ${batch.lotNumber} (${batch.expiryDate.slice(0, 10)})`,
+      user
+    })));
+  }
+
+  async transfer({ productId, variantId = null, quantity, fromLocation, toLocation, reason, user = 'system' }) {
+    if (fromLocation === toLocation) {
+      throw new Error('Choose two different locations to transfer between');
+    }
+    const transferId = `TRF-${Date.now()}`;
+    const base = { productId, variantId, quantity, reason, user, reference: { type: 'transfer', id: transferId } };
+    return await this.recordMovements([
+      { ...base, type: 'transfer_out', locationId: fromLocation },
+      { ...base, type: 'transfer_in', locationId: toLocation }
+    ]);
+  }
+
+  // Posts whatever adjustment brings the ledger to the counted quantity
+  // sellable: newStock is a count of sellable stock, the figure product pages show, so expired lots
+  // are neither counted nor taken by the adjustment
+  async setStock(productId, variantId, newStock, { reason = 'Stock count', user = 'system', locationId = MAIN_LOCATION, sellable = false } = {}) {
+    const target = roundQuantity(newStock);
+    if (target < 0) {
+      throw new Error('Stock cannot be negative');
+    }
+    const current = sellable ? this.getSellableStock(productId, variantId) : this.getStock(productId, variantId, locationId);
+    const difference = roundQuantity(target - current);
+    if (difference === 0) return null;
+    return await this.recordMovement({
+      productId,
+      variantId,
+      locationId: sellable ? MAIN_LOCATION : locationId,
+      type: 'adjustment',
+      quantity: difference,
+      reason,
+      user,
+      skipExpired: sellable
+    });
+  }
+
+  // Holds cart quantities for a checkout session; calling again with the same id replaces the held lines
+  async reserve(items, { reservationId = null, holder = null } = {}) {
+    await this.delay();
+    this.expireReservations();
+
+    const lines = items.map(item => ({
+      productId: parseInt(item.productId ?? item.id),
+      variantId: item.variantId ? String(item.variantId) : null,
+      name: item.name,
+      quantity: roundQuantity(item.quantity)
+    }));
+
+    const shortages = lines
+      .map(line => ({
+        ...line,
+        available: this.getAvailableStock(line.productId, line.variantId, { excludeReservationId: reservationId })
+      }))
+      .filter(line => line.quantity > line.available);
+    if (shortages.length > 0) {
+      const error = new Error(shortages
+        .map(line => `Only ${Math.max(0, line.available)} available for ${line.name || `product #${line.productId}`}`)
+        .join('; '));
+      error.shortages = shortages;
+      throw error;
+    }
+
+    const now = new Date();
+    const reservation = {
+      id: reservationId || this.createReservationId(),
+      holder,
+      lines,
+      status: 'active',
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000).toISOString()
+    };
+    this.reservations = this.reservations.filter(r => r.id !== reservation.id);
+    this.reservations.push(reservation);
+    return this.copyReservation(reservation);
+  }
+
+  createReservationId() {
+    return `RSV-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  async releaseReservation(reservationId, reason = 'released') {
+    const reservation = this.reservations.find(r => r.id === reservationId);
+    if (reservation?.status === 'active') {
+      reservation.status = 'released';
+      reservation.releasedAt = new Date().toISOString();
+      reservation.releaseReason = reason;
+    }
+    return reservation ? this.copyReservation(reservation) : null;
+  }
+
+  // Called once the held stock has left the ledger as sale movements
+  async commitReservation(reservationId, reference) {
+    this.expireReservations();
+    const reservation = this.reservations.find(r => r.id === reservationId);
+    if (!reservation) return null;
+    reservation.status = 'committed';
+    reservation.committedAt = new Date().toISOString();
+    reservation.reference = reference;
+    return this.copyReservation(reservation);
+  }
+
+  getReservation(reservationId) {
+    this.expireReservations();
+    const reservation = this.reservations.find(r => r.id === reservationId);
+    return reservation ? this.copyReservation(reservation) : null;
+  }
+
+  getReservedQuantity(productId, variantId = null, { excludeReservationId = null } = {}) {
+    this.expireReservations();
+    return roundQuantity(
+      this.reservations
+        .filter(r => r.status === 'active' && r.id !== excludeReservationId)
+        .flatMap(r => r.lines)
+        .filter(line => line.productId === parseInt(productId) && (variantId === null || line.variantId === String(variantId)))
+        .reduce((sum, line) => sum + line.quantity, 0)
+    );
+  }
+
+  expireReservations() {
+    const now = new Date();
+    this.reservations.forEach(reservation => {
+      if (reservation.status === 'active' && new Date(reservation.expiresAt) <= now) {
+        reservation.status = 'expired';
+      }
+    });
+  }
+
+  copyReservation(reservation) {
+    return { ...reservation, lines: reservation.lines.map(line => ({ ...line })) };
+  }
+
+  // Builds one movement per order/POS line item, ready for recordMovements
+  buildItemMovements(items, { type = 'sale', reason, reference, saleReference = null, user, locationId = MAIN_LOCATION }) {
+    return items.map(item => ({
+      productId: item.productId ?? item.id,
+      productName: item.name,
+      variantId: item.variantId ? String(item.variantId) : null,
+      locationId,
+      type,
+      quantity: item.quantity,
+      reason,
+      user,
+      reference,
+      ...(saleReference && { saleReference })
+    }));
+  }
+
+  normalizeMovement(movement) {
+    const config = MOVEMENT_TYPES[movement.type];
+    if (!config || movement.type === 'opening') {
+      throw new Error(`Unknown movement type: ${movement.type}`);
+    }
+    if (!movement.productId) {
+      throw new Error('Product is required for a stock movement');
+    }
+
+    const rawQuantity = roundQuantity(movement.quantity);
+    if (rawQuantity === 0 || (config.direction !== 0 && rawQuantity < 0)) {
+      throw new Error('Quantity must be greater than zero');
+    }
+    if (REASON_REQUIRED.includes(movement.type) && !movement.reason?.trim()) {
+      throw new Error(`A reason is required for ${config.label.toLowerCase()}`);
+    }
+
+    const incoming = config.direction === 1 || (config.direction === 0 && rawQuantity > 0);
+    if ((movement.lotNumber || movement.expiryDate) && !incoming) {
+      throw new Error('Lot and expiry details can only be recorded on incoming stock');
+    }
+    if (movement.expiryDate) {
+      if (isNaN(expiresAt(movement.expiryDate))) {
+        throw new Error('Expiry date is not a valid date');
+      }
+      if (expiresAt(movement.expiryDate) < new Date()) {
+        throw new Error('Expiry date is in the past');
+      }
+    }
+
+    return {
+      productId: parseInt(movement.productId),
+      productName: movement.productName,
+      lotNumber: movement.lotNumber?.trim() || null,
+      expiryDate: movement.expiryDate ? movement.expiryDate.slice(0, 10) : null,
+      batchId: movement.batchId ? parseInt(movement.batchId) : null,
+      variantId: movement.variantId ? String(movement.variantId) : null,
+      locationId: movement.locationId || MAIN_LOCATION,
+      type: movement.type,
+      quantity: config.direction === 0 ? rawQuantity : config.direction * Math.abs(rawQuantity),
+      reason: movement.reason?.trim() || config.label,
+      user: movement.user || 'system',
+      reference: movement.reference || null,
+      ...(movement.type === 'return' && movement.saleReference && { saleReference: movement.saleReference }),
+      ...(movement.skipExpired && { skipExpired: true })
+    };
+  }
+
+  matches(movement, productId, variantId = null, locationId = null) {
+    return movement.productId === parseInt(productId) &&
+      (variantId === null || movement.variantId === String(variantId)) &&
+      (locationId === null || movement.locationId === locationId);
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const inventoryService = new InventoryService();
@@ -1,5 +1,15 @@
 import ordersData from '../mockData/orders.json'
 import { paymentService } from '@/services/api/paymentService'
+import { promotionService } from '@/services/api/promotionService'
+import { deliveryPricingService } from '@/services/api/deliveryPricingService'
+import { deliverySlotService } from '@/services/api/deliverySlotService'
+import { deliveryOtpService } from '@/services/api/deliveryOtpService'
+import { inventoryService } from '@/services/api/inventoryService'
+import { authService } from '@/services/api/authService'
+import { permissionService } from '@/services/api/permissionService'
+import { idempotencyService } from '@/services/api/idempotencyService'
+import { productService } from '@/services/api/productService'
+import { pricingPolicyService } from '@/services/api/pricingPolicyService'
 
 class OrderService {
   constructor() {
@@ -11,6 +21,11 @@ async getAll() {
     return [...this.orders];
   }
 
+  async getByCustomer(customerId) {
+    await this.delay(200);
+    return this.orders.filter(o => o.customerId === customerId);
+  }
+
   async getById(id) {
     await this.delay();
     const order = this.orders.find(o => o.id === id);
@@ -20,7 +35,31 @@ async getAll() {
     return { ...order };
   }
 
-  async create(orderData) {
+  // With an idempotency key a repeated submit returns the order created by the first one
+  async create(orderData, idempotencyKey = null) {
+    return idempotencyService.run('order.create', idempotencyKey, this.getOrderFingerprint(orderData), () => this.createOrder(orderData));
+  }
+
+  // The parts of an order request that must match for a replay to count as the same order
+  getOrderFingerprint(orderData) {
+    return {
+      customerId: orderData.customerId || null,
+      channel: orderData.channel || 'online',
+      items: (orderData.items || []).map(item => ({
+        productId: item.productId ?? item.id,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      total: orderData.total || orderData.totalAmount || 0,
+      couponCode: orderData.couponCode || null,
+      paymentMethod: orderData.paymentMethod || null,
+      paymentTransactionId: orderData.paymentResult?.transactionId || orderData.transactionId || null,
+      deliveryAddress: orderData.deliveryAddress || null,
+      deliverySlot: orderData.deliverySlot || null
+    };
+  }
+
+  async createOrder(orderData) {
     await this.delay();
     // Validate payment data
     if (orderData.paymentMethod && orderData.paymentMethod !== 'cash') {
@@ -28,7 +67,17 @@ async getAll() {
         throw new Error('Payment result is required for non-cash payments');
       }
     }
-    
+
+    const { promotionResult, pricingReview, deliveryQuote, deliveryCharge, gatewayFee, total } = await this.quoteOrder(orderData);
+    if (orderData.deliveryCharge !== undefined && Math.abs((parseFloat(orderData.deliveryCharge) || 0) - deliveryQuote.fee) > 0.01) {
+      throw new Error(`Delivery charge has changed to Rs. ${deliveryQuote.fee.toLocaleString()}. Please review your order.`);
+    }
+    // The total is charged and stored from the server's own figures; a client total that disagrees is refused
+    const clientTotal = parseFloat(orderData.total ?? orderData.totalAmount);
+    if (Number.isNaN(clientTotal) || Math.abs(clientTotal - total) > 0.01) {
+      throw new Error(`Order total has changed to Rs. ${total.toLocaleString()}. Please review your order.`);
+    }
+
 const newOrder = {
       id: this.getNextId(),
       ...orderData,
@@ -36,21 +85,69 @@ const newOrder = {
       transactionId: orderData.transactionId || orderData.paymentResult?.transactionId || null,
       paymentStatus: orderData.paymentStatus || (orderData.paymentMethod === 'cash' ? 'pending' : 'completed'),
       // Ensure both total and totalAmount fields are set for compatibility
-      total: orderData.total || orderData.totalAmount || 0,
-      totalAmount: orderData.totalAmount || orderData.total || 0,
+      subtotal: promotionResult.subtotal,
+      total,
+      totalAmount: total,
+      couponCode: promotionResult.couponCode,
+      appliedPromotions: promotionResult.discounts,
+      discountTotal: promotionResult.discountTotal,
+      // Replacements for returned goods ship free
+      deliveryCharge,
+      gatewayFee,
+      deliveryZone: deliveryQuote.zone?.name || null,
+      deliveryQuote,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
-    
-    // Handle wallet payments
-if (orderData.paymentMethod === 'wallet') {
-      try {
-        const walletTransaction = await paymentService.processWalletPayment(orderData.total, newOrder.id);
-        newOrder.paymentResult = walletTransaction;
+
+    // Stock leaves the ledger as one sale movement per line
+    const saleMovements = inventoryService.buildItemMovements(orderData.items || [], {
+      reason: `Online order #${newOrder.id}`,
+      reference: { type: 'order', id: newOrder.id },
+      user: newOrder.customerId || 'customer'
+    });
+    // The shopper's own checkout reservation doesn't count against them. Stock is posted before the
+    // slot is booked or the wallet charged, so a sale that can't be filled never takes payment.
+    const reservationId = orderData.reservationId || null;
+    await inventoryService.recordMovements(saleMovements, { reservationId });
+    newOrder.stockPosted = true;
+
+    try {
+      // Reserve the delivery slot before taking payment so a full slot fails fast
+      if (orderData.deliverySlot) {
+        newOrder.deliverySlot = await deliverySlotService.bookSlot(
+          orderData.deliverySlot.slotId,
+          orderData.deliverySlot.date,
+          newOrder.id
+        );
+        newOrder.estimatedDelivery = newOrder.deliverySlot.endsAt;
+      }
+
+      // Handle wallet payments - unless checkout already charged the wallet, which would debit it twice
+      if (orderData.paymentMethod === 'wallet' && orderData.paymentResult) {
         newOrder.paymentStatus = 'completed';
-      } catch (walletError) {
-        throw new Error('Wallet payment failed: ' + walletError.message);
+      } else if (orderData.paymentMethod === 'wallet') {
+        try {
+          const walletTransaction = await paymentService.processWalletPayment(total, newOrder.id);
+          newOrder.paymentResult = walletTransaction;
+          newOrder.paymentStatus = 'completed';
+        } catch (walletError) {
+          throw new Error('Wallet payment failed: ' + walletError.message);
+        }
+      }
+    } catch (error) {
+      // The order was never placed: free the slot and put the stock back on the shelf
+      if (newOrder.deliverySlot) {
+        await deliverySlotService.releaseSlot(newOrder.id);
       }
+      await inventoryService.recordMovements(inventoryService.buildItemMovements(orderData.items || [], {
+        type: 'return',
+        reason: `Online order #${newOrder.id} not placed`,
+        reference: { type: 'order', id: newOrder.id },
+        saleReference: { type: 'order', id: newOrder.id },
+        user: newOrder.customerId || 'customer'
+      }));
+      throw error;
     }
     
 // Handle bank transfer verification
@@ -77,10 +174,118 @@ if (orderData.paymentMethod === 'wallet') {
       }
     }
     
+    if (reservationId) {
+      await inventoryService.commitReservation(reservationId, { type: 'order', id: newOrder.id });
+    }
+    if (pricingReview?.flagged.length > 0) {
+      newOrder.pricingFlags = pricingPolicyService.flag(pricingReview.flagged, {
+        context: 'online_order',
+        reference: `Order #${newOrder.id}`,
+        requestedBy: newOrder.customerId || 'customer'
+      });
+    }
     this.orders.push(newOrder);
+
+    if (promotionResult.discounts.length > 0) {
+      await promotionService.recordUsage(promotionResult.discounts, {
+        customerId: newOrder.customerId || null,
+        orderId: newOrder.id,
+        channel: orderData.channel || 'online'
+      });
+    }
+
     return { ...newOrder };
   }
 
+  /**
+   * Price an order the way createOrder will: current product prices, promotions and coupon, the
+   * pricing policy, delivery fee and gateway fee. Checkout charges the quoted total.
+   * @param {Object} orderData - { items, couponCode, customerId, channel, paymentMethod, deliveryAddress, replacementFor }
+   * @returns {Promise<Object>} { subtotal, discountTotal, couponCode, deliveryCharge, gatewayFee, total } plus the
+   *   promotionResult, pricingReview and deliveryQuote they came from
+   */
+  async quoteOrder(orderData) {
+    const items = orderData.items || [];
+    // Re-evaluate promotions server-side so the recorded discounts match the promotion rules
+    const promotionResult = promotionService.calculateDiscounts(items, {
+      couponCode: orderData.couponCode || null,
+      customerId: orderData.customerId || null,
+      channel: orderData.channel || 'online'
+    });
+    if (orderData.couponCode && promotionResult.couponError) {
+      throw new Error(`Coupon ${orderData.couponCode}: ${promotionResult.couponError}`);
+    }
+    // Replacements ship at no charge on purpose and skip the price checks
+    if (!orderData.replacementFor) {
+      await this.assertCurrentPrices(items);
+    }
+    const pricingReview = orderData.replacementFor ? null : await this.reviewOrderPricing(items, promotionResult);
+
+    // Recompute the delivery fee from the pricing rules so the stored total matches what the server charges
+    const deliveryQuote = deliveryPricingService.calculateDeliveryFee({
+      items,
+      subtotal: promotionResult.total,
+      deliveryAddress: orderData.deliveryAddress,
+      freeDelivery: promotionResult.freeDelivery
+    });
+    if (!deliveryQuote.isServiceable) {
+      throw new Error(deliveryQuote.error);
+    }
+
+    const deliveryCharge = orderData.replacementFor ? 0 : deliveryQuote.fee;
+    const gatewayFee = paymentService.calculateGatewayFee(orderData.paymentMethod, this.calculateOrderSubtotal(items));
+    return {
+      subtotal: promotionResult.subtotal,
+      discountTotal: promotionResult.discountTotal,
+      couponCode: promotionResult.couponCode,
+      deliveryCharge,
+      gatewayFee,
+      total: Math.round((promotionResult.total + deliveryCharge + gatewayFee) * 100) / 100,
+      promotionResult,
+      pricingReview,
+      deliveryQuote
+    };
+  }
+
+  // Lines must be charged at the product's current price, not whatever the client sent
+  async assertCurrentPrices(items) {
+    for (const item of items) {
+      const product = await productService.getProductById(item.productId ?? item.id, item.variantId || null);
+      if (Math.abs((parseFloat(item.price) || 0) - product.price) > 0.01) {
+        throw new Error(`The price of ${item.name || product.name} has changed to Rs. ${product.price.toLocaleString()}. Please review your order.`);
+      }
+    }
+  }
+
+  /**
+   * Check online lines against the pricing policy at the price charged after promotions and
+   * coupons, using current product costs. Lines the policy blocks are refused; lines that would
+   * need a manager's approval at the till are returned in `flagged` for the override log.
+   * @param {Array} items - Order lines { productId|id, variantId, name, price, quantity }
+   * @param {Object} promotionResult - { subtotal, discountTotal } from promotionService.calculateDiscounts
+   * @returns {Promise<Object>} pricingPolicyService.reviewSale result
+   */
+  async reviewOrderPricing(items, promotionResult) {
+    const lines = await Promise.all(items.map(async item => {
+      const product = await productService.getProductById(item.productId ?? item.id, item.variantId || null);
+      return {
+        ...item,
+        name: product.variantName ? `${product.name} (${product.variantName})` : product.name,
+        purchasePrice: product.purchasePrice,
+        minSellingPrice: product.minSellingPrice
+      };
+    }));
+    const review = pricingPolicyService.reviewSale(lines, promotionResult);
+    const blocked = review.flagged.find(evaluation => evaluation.status === 'blocked');
+    if (blocked) {
+      const error = new Error(`${blocked.name} can't be sold at Rs. ${blocked.effectivePrice.toLocaleString()} with this discount. Remove the coupon or the item.`);
+      error.code = 'PRICE_BLOCKED';
+      error.pricing = review.flagged;
+      throw error;
+    }
+    return review;
+  }
+
   async update(id, orderData) {
     await this.delay();
     const index = this.orders.findIndex(o => o.id === id);
@@ -97,6 +302,20 @@ if (orderData.paymentMethod === 'wallet') {
     if (index === -1) {
       throw new Error('Order not found');
     }
+    const order = this.orders[index];
+    if (order.deliverySlot) {
+      await deliverySlotService.releaseSlot(id);
+    }
+    // Undelivered stock goes back on the shelf
+    if (order.stockPosted && order.deliveryStatus !== 'delivered') {
+      await inventoryService.recordMovements(inventoryService.buildItemMovements(order.items, {
+        type: 'return',
+        reason: `Order #${id} cancelled`,
+        reference: { type: 'order', id },
+        saleReference: { type: 'order', id: order.id },
+        user: authService.getActorName()
+      }));
+    }
 this.orders.splice(index, 1);
     return true;
   }
@@ -106,17 +325,18 @@ this.orders.splice(index, 1);
       order.id > max ? order.id : max, 0);
     return maxId + 1;
 }
-  async assignDeliveryPersonnel(orderId, deliveryPersonId) {
+  async assignDeliveryPersonnel(orderId, deliveryPersonId, assignment = null) {
     await this.delay();
     const order = await this.getById(orderId);
     const updatedOrder = {
       ...order,
       deliveryPersonId: deliveryPersonId,
-      deliveryStatus: 'assigned'
+      deliveryStatus: 'assigned',
+      ...(assignment && { assignment })
     };
     return await this.update(orderId, updatedOrder);
   }
-  async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null) {
+  async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null, { otp = null, verifiedBy = null } = {}) {
     await this.delay();
     const order = await this.getById(orderId);
     const updatedOrder = {
@@ -124,9 +344,133 @@ this.orders.splice(index, 1);
       deliveryStatus,
       ...(actualDelivery && { actualDelivery })
     };
+
+    // Customer reads this code to the rider at the door. The code stays in deliveryOtpService;
+    // the order only records that one is out, so riders and staff never see it.
+    if (deliveryStatus === 'out_for_delivery' && !order.deliveryOtp) {
+      const { expiresAt } = deliveryOtpService.issue(orderId);
+      updatedOrder.deliveryOtp = { expiresAt };
+    }
+
+    // "Delivered" is only accepted once the customer's code is confirmed or an admin has overridden it
+    if (deliveryStatus === 'delivered' && order.deliveryStatus !== 'delivered') {
+      if (!deliveryOtpService.isSatisfied(orderId)) {
+        deliveryOtpService.verify(orderId, otp, { verifiedBy });
+      }
+      updatedOrder.status = 'delivered';
+      updatedOrder.actualDelivery = actualDelivery || new Date().toISOString();
+      updatedOrder.deliveryConfirmation = {
+        method: order.deliveryOtpOverride ? 'override' : 'otp',
+        confirmedAt: updatedOrder.actualDelivery
+      };
+      updatedOrder.deliveryOtp = null;
+    }
+
     return await this.update(orderId, updatedOrder);
   }
 
+  // Delivery OTP
+  async reissueDeliveryOtp(orderId, { requestedBy = 'customer' } = {}) {
+    await this.delay();
+    const order = await this.getById(orderId);
+    const user = authService.getCurrentUser();
+    if (!user || (order.customerId !== user.id && !permissionService.can('deliveries', 'manage', user))) {
+      const error = new Error('Only the customer who placed this order can request a new delivery code');
+      error.code = user ? 'FORBIDDEN' : 'UNAUTHENTICATED';
+      throw error;
+    }
+    if (!['out_for_delivery', 'in_transit'].includes(order.deliveryStatus)) {
+      throw new Error('A delivery code is only available while the order is out for delivery');
+    }
+    const { expiresAt } = deliveryOtpService.issue(orderId, { issuedBy: requestedBy });
+    return await this.update(orderId, { deliveryOtp: { expiresAt } });
+  }
+
+  // The customer's own view of their code; nobody else can read it
+  async getDeliveryOtp(orderId) {
+    await this.delay(100);
+    const order = await this.getById(orderId);
+    const user = authService.getCurrentUser();
+    if (!user || order.customerId !== user.id) {
+      const error = new Error('Only the customer who placed this order can see its delivery code');
+      error.code = user ? 'FORBIDDEN' : 'UNAUTHENTICATED';
+      throw error;
+    }
+    return deliveryOtpService.getCode(orderId);
+  }
+
+  async overrideDeliveryOtp(orderId, reason) {
+    await this.delay();
+    const admin = permissionService.require('deliveries', 'manage', 'You do not have permission to override the delivery code');
+    const order = await this.getById(orderId);
+    if (order.deliveryStatus === 'delivered') {
+      throw new Error('Order has already been delivered');
+    }
+    deliveryOtpService.override(orderId, { adminRole: admin.name, reason });
+    return await this.update(orderId, {
+      deliveryOtpOverride: { by: admin.name, reason: reason.trim(), at: new Date().toISOString() }
+    });
+  }
+
+  getDeliveryOtpStatus(orderId) {
+    return deliveryOtpService.getStatus(orderId);
+  }
+
+  async getDeliveryOtpAudit(orderId) {
+    await this.delay();
+    return deliveryOtpService.getAuditLog(orderId);
+  }
+
+  // Proof of Delivery
+  async completeDelivery(orderId, proof = {}, riderId = null) {
+    await this.delay();
+    const order = await this.getById(orderId);
+
+    if (order.deliveryStatus === 'delivered') {
+      throw new Error('Order has already been delivered');
+    }
+    if (riderId !== null && order.deliveryPersonId !== riderId) {
+      throw new Error('This order is not assigned to you');
+    }
+    if (!proof.otp && !deliveryOtpService.isSatisfied(orderId)) {
+      throw new Error('Enter the delivery code the customer reads out');
+    }
+
+    const proofOfDelivery = {
+      methods: [],
+      capturedBy: riderId,
+      capturedAt: new Date().toISOString(),
+      location: proof.location || null
+    };
+
+    if (proof.photo) {
+      proofOfDelivery.methods.push('photo');
+      proofOfDelivery.photo = {
+        fileName: proof.photo.fileName,
+        fileSize: proof.photo.fileSize,
+        url: proof.photo.url
+      };
+    }
+    if (proof.recipientName?.trim()) {
+      proofOfDelivery.methods.push('recipient_name');
+      proofOfDelivery.recipientName = proof.recipientName.trim();
+    }
+
+    // Verifies the code (or accepts an admin override) before anything is recorded
+    const delivered = await this.updateDeliveryStatus(orderId, 'delivered', proofOfDelivery.capturedAt, {
+      otp: proof.otp,
+      verifiedBy: riderId
+    });
+
+    proofOfDelivery.methods.push(delivered.deliveryConfirmation.method);
+    proofOfDelivery.otpVerified = delivered.deliveryConfirmation.method === 'otp';
+
+    return await this.update(orderId, {
+      proofOfDelivery,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
   async getOrdersByDeliveryPerson(deliveryPersonId) {
     await this.delay();
     return this.orders.filter(order => order.deliveryPersonId === deliveryPersonId);
@@ -204,25 +548,230 @@ return this.orders.filter(order => order.deliveryStatus === deliveryStatus);
     
     return await this.update(orderId, updatedOrder);
   }
-  async processRefund(orderId, refundAmount, reason) {
+  /**
+   * Work out what a refund would pay back without recording anything
+   * @param {Object} order
+   * @param {Object} request
+   * @param {Array<{index: number, quantity: number, restock?: boolean}>} request.items - Order lines by index
+   * @param {boolean} request.refundDeliveryCharge - Also pay back the delivery charge (once per order)
+   * @returns {{lines: Array, itemsAmount: number, deliveryRefund: number, amount: number}}
+   */
+  calculateRefund(order, { items = [], refundDeliveryCharge = false } = {}) {
+    const orderItems = order.items || [];
+    const itemsSubtotal = orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    // Order-level discounts are shared across lines in proportion to their value
+    const discountRatio = itemsSubtotal > 0 ? Math.min(1, (order.discountTotal || 0) / itemsSubtotal) : 0;
+    const refunded = this.getRefundedQuantities(order);
+
+    const lines = items
+      .filter(line => parseFloat(line.quantity) > 0)
+      .map(line => {
+        const item = orderItems[line.index];
+        if (!item) {
+          throw new Error('Refund line does not match an order item');
+        }
+        const quantity = Math.round(parseFloat(line.quantity) * 1000) / 1000;
+        const remaining = item.quantity - (refunded[line.index] || 0);
+        if (quantity > remaining + 0.0001) {
+          throw new Error(`Only ${remaining} of ${item.name} can still be refunded`);
+        }
+        return {
+          index: line.index,
+          productId: item.productId ?? item.id,
+          variantId: item.variantId || null,
+          name: item.name,
+          quantity,
+          unitPrice: item.price,
+          amount: Math.round(item.price * quantity * (1 - discountRatio) * 100) / 100,
+          restock: line.restock !== false
+        };
+      });
+
+    const deliveryAlreadyRefunded = (order.refunds || []).some(refund => refund.deliveryRefund > 0);
+    const deliveryRefund = refundDeliveryCharge && !deliveryAlreadyRefunded ? (order.deliveryCharge || 0) : 0;
+    const itemsAmount = Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+    const remainingTotal = this.getRefundableTotal(order) - (order.refundedTotal || 0);
+    const amount = Math.min(Math.round((itemsAmount + deliveryRefund) * 100) / 100, Math.max(0, remainingTotal));
+
+    return { lines, itemsAmount, deliveryRefund, amount };
+  }
+
+  // The gateway fee is kept by the payment provider, so it is never refunded
+  getRefundableTotal(order) {
+    return Math.round(((order.total || order.totalAmount || 0) - (order.gatewayFee || 0)) * 100) / 100;
+  }
+
+  // Quantity already refunded per order line index
+  getRefundedQuantities(order) {
+    return (order.refunds || []).reduce((totals, refund) => {
+      refund.items.forEach(line => {
+        totals[line.index] = (totals[line.index] || 0) + line.quantity;
+      });
+      return totals;
+    }, {});
+  }
+
+  // Order lines with refunded quantities taken out, for revenue reporting. costQuantity only
+  // drops for restocked goods: written-off goods were still bought, so their cost stays.
+  getNetItems(order) {
+    const restocked = (order.refunds || []).reduce((totals, refund) => {
+      refund.items.filter(line => line.restock).forEach(line => {
+        totals[line.index] = (totals[line.index] || 0) + line.quantity;
+      });
+      return totals;
+    }, {});
+    const refunded = this.getRefundedQuantities(order);
+    return (order.items || []).map((item, index) => ({
+      ...item,
+      quantity: item.quantity - (refunded[index] || 0),
+      costQuantity: item.quantity - (restocked[index] || 0)
+    }));
+  }
+
+  /**
+   * Refund selected order lines, optionally with the delivery charge
+   * @param {number} orderId
+   * @param {Object} request - items and refundDeliveryCharge as for calculateRefund, plus:
+   * @param {string} request.destination - 'original' (back to the payment method) or 'wallet'
+   * @param {string} request.reason
+   * @param {string|null} idempotencyKey - Repeating a key returns the first refund instead of paying twice
+   */
+  // postStock false leaves the goods off the ledger, for returns that are restocked once a rider collects them
+  async processRefund(orderId, { items = [], refundDeliveryCharge = false, destination = 'original', reason = '', postStock = true } = {}, idempotencyKey = null) {
+    permissionService.require('refunds', 'process');
+    return idempotencyService.run(
+      'order.refund',
+      idempotencyKey,
+      { orderId, items, refundDeliveryCharge, destination, reason, postStock },
+      () => this.recordRefund(orderId, { items, refundDeliveryCharge, destination, reason, postStock })
+    );
+  }
+
+  async recordRefund(orderId, { items, refundDeliveryCharge, destination, reason, postStock }) {
     await this.delay();
-const order = await this.getById(orderId);
+    if (!reason?.trim()) {
+      throw new Error('A refund reason is required');
+    }
+    if (!['original', 'wallet'].includes(destination)) {
+      throw new Error('Refund destination must be the original payment method or the wallet');
+    }
+    const order = await this.getById(orderId);
+    // Cash on delivery is collected at the door, so a COD order counts as paid once delivered
+    const paid = !['pending', 'pending_verification', 'failed'].includes(order.paymentStatus) ||
+      (order.paymentMethod === 'cash' && order.paymentStatus === 'pending' && order.deliveryStatus === 'delivered');
+    if (!paid) {
+      throw new Error(order.paymentMethod === 'cash'
+        ? 'Cash on delivery orders can be refunded once they have been delivered'
+        : 'Only paid orders can be refunded');
+    }
+
+    const calculation = this.calculateRefund(order, { items, refundDeliveryCharge });
+    if (calculation.amount <= 0) {
+      throw new Error('Select at least one item or the delivery charge to refund');
+    }
+
+    const refundId = `RF-${order.id}-${(order.refunds || []).length + 1}`;
+    const processedBy = authService.getActorName();
+
+    // Stock first: if the ledger rejects a movement nothing has been paid out yet
+    if (order.stockPosted && postStock) {
+      await this.recordReturnedStock(calculation.lines, {
+        reference: { type: 'refund', id: refundId },
+        saleReference: { type: 'order', id: order.id },
+        reason: `Refund ${refundId} for order #${order.id}`,
+        writeOffReason: `Not resaleable - ${reason.trim()}`,
+        user: processedBy
+      });
+    }
+
+    const payout = destination === 'wallet' || order.paymentMethod === 'wallet'
+      ? await paymentService.depositToWallet(calculation.amount, { description: `Refund ${refundId} for order #${order.id}`, type: 'refund' })
+      : await paymentService.refundToOriginalMethod({
+          orderId: order.id,
+          amount: calculation.amount,
+          paymentMethod: order.paymentMethod,
+          originalTransactionId: order.transactionId || order.paymentResult?.transactionId || null,
+          reason: reason.trim()
+        });
+
     const refund = {
-      id: Date.now(), // Use timestamp for refund ID
-      orderId,
-      amount: refundAmount,
-      reason,
-      status: 'pending',
-      requestedAt: new Date().toISOString()
+      id: refundId,
+      orderId: order.id,
+      items: calculation.lines,
+      itemsAmount: calculation.itemsAmount,
+      deliveryRefund: calculation.deliveryRefund,
+      amount: calculation.amount,
+      destination: destination === 'wallet' || order.paymentMethod === 'wallet' ? 'wallet' : 'original',
+      paymentMethod: order.paymentMethod,
+      transactionReference: payout.transactionId || payout.reference || null,
+      reason: reason.trim(),
+      processedBy,
+      processedAt: new Date().toISOString()
     };
-    
-    const updatedOrder = {
+
+    const refunds = [...(order.refunds || []), refund];
+    const refundedTotal = Math.round(refunds.reduce((sum, r) => sum + r.amount, 0) * 100) / 100;
+    // Fully refunded once the refundable amount has been paid back, or every item and the delivery
+    // charge have been refunded (per-line discount rounding can leave a few paisa behind)
+    const refundedQuantities = this.getRefundedQuantities({ refunds });
+    const fullyRefunded = refundedTotal >= this.getRefundableTotal(order) - 0.01 || (
+      (order.items || []).every((item, index) => (refundedQuantities[index] || 0) >= item.quantity - 0.0001) &&
+      (!(order.deliveryCharge > 0) || refunds.some(r => r.deliveryRefund > 0))
+    );
+
+    return await this.update(orderId, {
       ...order,
-      refundRequested: true,
-      refund,
-      status: 'refund_requested'
-    };
-return await this.update(orderId, updatedOrder);
+      refunds,
+      refundedTotal,
+      refundStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+      ...(fullyRefunded && { status: 'refunded' }),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Put goods a customer sent back onto the stock ledger, into the lots the sale took them from
+   * @param {Array<{productId, variantId, name, quantity, restock}>} lines - restock false writes the goods off
+   * @param {Object} details - { reference, saleReference, reason, writeOffReason, user }; saleReference is the
+   *   sale the goods were returned against, e.g. { type: 'order', id }
+   */
+  async recordReturnedStock(lines, { reference, saleReference, reason, writeOffReason, user = authService.getActorName() }) {
+    if (lines.length === 0) return [];
+    const items = lines.map(line => ({ ...line, id: line.productId }));
+    const returned = await inventoryService.recordMovements(
+      inventoryService.buildItemMovements(items, { type: 'return', reason, reference, saleReference, user })
+    );
+    // Written-off goods come back on the ledger and go straight out again, from the lots they were
+    // returned to, so the loss is recorded
+    const writtenOff = returned
+      .filter((movement, index) => !items[index].restock)
+      .flatMap(movement => {
+        const untracked = Math.round((movement.quantity - (movement.batches || []).reduce((sum, b) => sum + b.quantity, 0)) * 1000) / 1000;
+        return [
+          ...(movement.batches || []).map(batch => ({ quantity: batch.quantity, batchId: batch.batchId })),
+          ...(untracked > 0 ? [{ quantity: untracked }] : [])
+        ].map(part => ({
+          productId: movement.productId,
+          variantId: movement.variantId,
+          type: 'write_off',
+          reason: writeOffReason,
+          reference,
+          user,
+          ...part
+        }));
+      });
+    return writtenOff.length > 0
+      ? [...returned, ...await inventoryService.recordMovements(writtenOff)]
+      : returned;
+  }
+
+  // Every refund across orders, newest first
+  async getRefundHistory({ limit = 50 } = {}) {
+    await this.delay();
+    return this.orders
+      .flatMap(order => (order.refunds || []).map(refund => ({ ...refund, customerName: order.deliveryAddress?.name || null })))
+      .sort((a, b) => new Date(b.processedAt) - new Date(a.processedAt))
+      .slice(0, limit);
   }
 
 async getMonthlyRevenue() {
@@ -234,7 +783,7 @@ async getMonthlyRevenue() {
       const orderDate = new Date(order.createdAt);
       return orderDate.getMonth() === currentMonth && orderDate.getFullYear() === currentYear;
 });
-    return monthlyOrders.reduce((sum, order) => sum + (order?.total || order?.totalAmount || 0), 0);
+    return monthlyOrders.reduce((sum, order) => sum + (order?.total || order?.totalAmount || 0) - (order?.refundedTotal || 0), 0);
   }
 async getRevenueByPaymentMethod() {
     await this.delay(200);
@@ -242,7 +791,7 @@ async getRevenueByPaymentMethod() {
     
 this.orders.forEach(order => {
       const method = order?.paymentMethod || 'unknown';
-      revenueByMethod[method] = (revenueByMethod[method] || 0) + (order?.total || order?.totalAmount || 0);
+      revenueByMethod[method] = (revenueByMethod[method] || 0) + (order?.total || order?.totalAmount || 0) - (order?.refundedTotal || 0);
     });
     
     return revenueByMethod;
@@ -293,7 +842,7 @@ async updateVerificationStatus(orderId, status, notes = '') {
       verificationStatus: status,
       verificationNotes: notes,
       verifiedAt: new Date().toISOString(),
-      verifiedBy: 'admin',
+      verifiedBy: authService.getActorName(),
       paymentStatus: status === 'verified' ? 'completed' : 'verification_failed',
       status: status === 'verified' ? 'confirmed' : 'payment_verification_failed',
       updatedAt: new Date().toISOString()
@@ -313,24 +862,25 @@ async updateVerificationStatus(orderId, status, notes = '') {
   }
 
 // Enhanced S3 secure image serving with comprehensive RBAC and audit logging
-  async servePaymentProof(fileName, userRole = 'admin', sessionToken = null) {
+  async servePaymentProof(fileName, sessionToken = null) {
     await this.delay(200);
     
     // Enhanced authentication and authorization
-    if (!this.validateUserAccess(userRole, sessionToken)) {
+    const user = this.validateUserAccess(sessionToken);
+    if (!user) {
       throw new Error('Authentication required to access S3 payment proof');
     }
-    
-    // Validate user has permission to access file with detailed role checking
-    if (!this.hasFileAccessPermission(userRole)) {
-      throw new Error('Insufficient permissions to access S3 payment proof');
-    }
 
     // Find order with this payment proof with enhanced search
     const order = this.findOrderByPaymentProof(fileName);
     if (!order) {
       throw new Error('S3 payment proof not found or access denied');
     }
+    
+    // Validate user has permission to access file with detailed role checking
+    if (!this.hasFileAccessPermission(user, order)) {
+      throw new Error('Insufficient permissions to access S3 payment proof');
+    }
 
     // Validate S3 file exists and is not marked as deleted
     if (order.paymentProof?.status === 'deleted' || order.paymentProof?.isDeleted) {
@@ -349,10 +899,10 @@ async updateVerificationStatus(orderId, status, notes = '') {
     }
 
     // Generate S3 signed URL for secure access (admin) or direct public URL (if public-read)
-    const s3Url = this.generateS3AccessUrl(order, userRole);
+    const s3Url = this.generateS3AccessUrl(order, user);
     
     // Log access for comprehensive audit trail
-    await this.logS3FileAccess(order, userRole, sessionToken);
+    await this.logS3FileAccess(order, user, sessionToken);
 
     // Return S3 file data with enhanced security headers
     return {
@@ -375,7 +925,8 @@ async updateVerificationStatus(orderId, status, notes = '') {
         'Strict-Transport-Security': 'max-age=31536000; includeSubDomains'
       },
       accessMetadata: {
-        accessedBy: userRole,
+        accessedBy: user.role,
+        accessedByName: user.name,
         accessedAt: new Date().toISOString(),
         accessMethod: 's3_secure',
         sessionId: sessionToken?.substring(0, 8) + '...' || 'anonymous'
@@ -383,17 +934,15 @@ async updateVerificationStatus(orderId, status, notes = '') {
     };
   }
 
-  // Enhanced user access validation
-  validateUserAccess(userRole, sessionToken) {
-    // In real implementation, validate session token and user permissions
-    const validRoles = ['admin', 'finance_manager', 'support_manager'];
-    return validRoles.includes(userRole) && (sessionToken || true); // Simplified for mock
+  // Enhanced user access validation - the bearer token (or signed-in session) must belong to an active user
+  validateUserAccess(sessionToken = null) {
+    return authService.validateSession(sessionToken);
   }
 
-  // Enhanced permission checking
-  hasFileAccessPermission(userRole) {
-    const fileAccessRoles = ['admin', 'finance_manager'];
-    return fileAccessRoles.includes(userRole);
+  // Enhanced permission checking - roles granted payment_proofs:view see every proof, customers only their own
+  hasFileAccessPermission(user, order) {
+    if (permissionService.can('payment_proofs', 'view', user)) return true;
+    return user.role === 'customer' && order.customerId === user.id;
   }
 
   // Enhanced order search by payment proof
@@ -436,7 +985,7 @@ async updateVerificationStatus(orderId, status, notes = '') {
     };
   }
 
-  async validatePaymentProofAccess(fileName, userRole, userId = null) {
+  async validatePaymentProofAccess(fileName, user = authService.getCurrentUser()) {
     await this.delay(100);
     
     const order = this.orders.find(o => o.paymentProofFileName === fileName);
@@ -444,17 +993,10 @@ async updateVerificationStatus(orderId, status, notes = '') {
       return { valid: false, error: 'Payment proof not found' };
     }
 
-    // Admin and finance managers have full access
-    if (userRole === 'admin' || userRole === 'finance_manager') {
-      return { valid: true, order: { ...order } };
-    }
-
-    // Customers can only access their own files
-    if (userRole === 'customer') {
-      return { valid: false, error: 'Insufficient permissions' };
-    }
-
-    return { valid: false, error: 'Invalid user role' };
+    // Staff need payment_proofs:view; customers can only access their own files
+    return user && this.hasFileAccessPermission(user, order)
+      ? { valid: true, order: { ...order } }
+      : { valid: false, error: 'Insufficient permissions' };
   }
 
   async getVerificationHistory(orderId) {
@@ -482,22 +1024,25 @@ return {
       return 0;
     }
     
-    return items.reduce((subtotal, item) => {
+    // Quantities may be fractional for weighed items (e.g. 1.25 kg)
+    const subtotal = items.reduce((subtotal, item) => {
       const itemPrice = parseFloat(item.price) || 0;
-      const itemQuantity = parseInt(item.quantity) || 0;
+      const itemQuantity = parseFloat(item.quantity) || 0;
       return subtotal + (itemPrice * itemQuantity);
     }, 0);
+    return Math.round(subtotal * 100) / 100;
   }
 
-  calculateOrderTotal(items, deliveryCharge = 0) {
+  calculateOrderTotal(items, deliveryCharge = 0, discountTotal = 0) {
     const subtotal = this.calculateOrderSubtotal(items);
     const delivery = parseFloat(deliveryCharge) || 0;
-    return subtotal + delivery;
+    const discount = parseFloat(discountTotal) || 0;
+    return Math.max(0, subtotal - discount) + delivery;
   }
 
   validateOrderAmount(order) {
     const calculatedSubtotal = this.calculateOrderSubtotal(order.items);
-    const calculatedTotal = this.calculateOrderTotal(order.items, order.deliveryCharge);
+    const calculatedTotal = this.calculateOrderTotal(order.items, order.deliveryCharge, order.discountTotal);
     
     // Return calculated values if order total is missing or zero
     if (!order.total || order.total === 0) {
@@ -703,14 +1248,14 @@ getPaymentProofThumbnailUrl(order) {
   getPlaceholderImage(type = 'default') {
     return this.getEnhancedPlaceholderImage(type);
   }
-// Generate S3 access URL based on user role and file access permissions
-  generateS3AccessUrl(order, userRole) {
+// Generate S3 access URL based on the user's file access permissions
+  generateS3AccessUrl(order, user) {
     const fileName = order.paymentProofFileName || order.paymentProof?.fileName;
     const s3Bucket = order.paymentProofS3Bucket || 'freshmart-payment-proofs';
     const s3Key = order.paymentProofS3Key || `payment-proofs/${fileName}`;
     
-    // For admin/finance_manager: Generate signed URL for secure access
-    if (userRole === 'admin' || userRole === 'finance_manager') {
+    // For staff holding payment_proofs:view: Generate signed URL for secure access
+    if (permissionService.can('payment_proofs', 'view', user)) {
       const baseUrl = `https://${s3Bucket}.s3.us-east-1.amazonaws.com/${s3Key}`;
       // In real implementation, this would be a signed URL with expiration
       return `${baseUrl}?X-Amz-Algorithm=AWS4-HMAC-SHA256&X-Amz-Date=${new Date().toISOString().replace(/[:-]/g, '').slice(0, 15)}Z&X-Amz-SignedHeaders=host&X-Amz-Expires=3600&X-Amz-Credential=admin&X-Amz-Signature=mock_signature`;
@@ -726,7 +1271,7 @@ getPaymentProofThumbnailUrl(order) {
   }
 
   // Log S3 file access for comprehensive audit trail
-  async logS3FileAccess(order, userRole, sessionToken) {
+  async logS3FileAccess(order, user, sessionToken) {
     const accessLog = {
       timestamp: new Date().toISOString(),
       action: 's3_file_access',
@@ -734,7 +1279,8 @@ getPaymentProofThumbnailUrl(order) {
       fileName: order.paymentProofFileName,
       s3Bucket: order.paymentProofS3Bucket,
       s3Key: order.paymentProofS3Key,
-      accessedBy: userRole,
+      accessedBy: user.role,
+      accessedByName: user.name,
       sessionToken: sessionToken?.substring(0, 8) + '...' || 'anonymous',
       clientIP: '127.0.0.1', // In real implementation, get from request
       userAgent: 'FreshMart-Admin',
@@ -1,3 +1,7 @@
+import { authService } from '@/services/api/authService';
+import { permissionService, parsePermission } from '@/services/api/permissionService';
+import { idempotencyService } from '@/services/api/idempotencyService';
+
 class PaymentService {
   constructor() {
     this.transactions = [];
@@ -10,8 +14,6 @@ class PaymentService {
     this.recurringPayments = [];
     this.scheduledPayments = [];
     this.paymentAutomationRules = [];
-    this.currentUserRole = 'admin';
-    this.financeManagerRole = 'finance_manager';
     this.recurringPaymentIdCounter = 1;
     this.scheduledPaymentIdCounter = 1;
     this.automationRuleIdCounter = 1;
@@ -58,6 +60,27 @@ class PaymentService {
         instructions: 'Send money to the above EasyPaisa number and upload payment screenshot.'
       }
     ];
+    this.gatewayConfig = {
+      cardGateway: {
+        provider: 'stripe',
+        enabled: true,
+        apiKey: 'pk_test_xxxxx'
+      },
+      walletGateways: {
+        jazzcash: { enabled: true, merchantId: 'JC123' },
+        easypaisa: { enabled: true, merchantId: 'EP456' },
+        sadapay: { enabled: true, merchantId: 'SP789' },
+        upaisa: { enabled: true, merchantId: 'UP321' }
+      },
+      bankGateway: {
+        enabled: true,
+        accounts: [
+          { bank: 'HBL', account: '1234567890' },
+          { bank: 'UBL', account: '0987654321' }
+        ]
+      }
+    };
+    this.webhookSecrets = {};
   }
 
   // Pakistani mobile networks with their prefixes
@@ -139,7 +162,17 @@ async getPaymentMethods() {
   }
 
   // Card Payment Processing
-  async processCardPayment(cardData, amount, orderId) {
+  // Charge methods take an optional idempotency key; replaying a key returns the first charge
+  async processCardPayment(cardData, amount, orderId, idempotencyKey = null) {
+    return idempotencyService.run(
+      'payment.card',
+      idempotencyKey,
+      { amount, orderId, cardLast4: String(cardData?.cardNumber || '').slice(-4) },
+      () => this.chargeCard(cardData, amount, orderId)
+    );
+  }
+
+  async chargeCard(cardData, amount, orderId) {
     await this.delay(2000); // Simulate processing time
 
     // Validate card data
@@ -177,7 +210,16 @@ async getPaymentMethods() {
   }
 
 // Digital Wallet Payment Processing
-  async processDigitalWalletPayment(walletType, amount, orderId, phone, retryCount = 0) {
+  async processDigitalWalletPayment(walletType, amount, orderId, phone, idempotencyKey = null) {
+    return idempotencyService.run(
+      'payment.digital_wallet',
+      idempotencyKey,
+      { walletType, amount, orderId, phone },
+      () => this.chargeDigitalWallet(walletType, amount, orderId, phone)
+    );
+  }
+
+  async chargeDigitalWallet(walletType, amount, orderId, phone, retryCount = 0) {
     const maxRetries = 3;
     const transactionId = this.generateTransactionId();
     
@@ -264,7 +306,7 @@ phone,
       if (error.retryable && retryCount < maxRetries) {
         console.log(`[PaymentService] Retrying ${walletType} payment (${retryCount + 1}/${maxRetries})`);
         await this.delay(1000 * Math.pow(2, retryCount)); // Exponential backoff
-        return this.processDigitalWalletPayment(walletType, amount, orderId, phone, retryCount + 1);
+        return this.chargeDigitalWallet(walletType, amount, orderId, phone, retryCount + 1);
       }
       
       throw error;
@@ -561,7 +603,16 @@ transaction.verificationData = verificationData;
   }
 
   // Enhanced Payment Retry Logic
-  async retryPayment(originalTransactionId, retryData) {
+  async retryPayment(originalTransactionId, retryData, idempotencyKey = null) {
+    return idempotencyService.run(
+      'payment.retry',
+      idempotencyKey,
+      { originalTransactionId, retryData },
+      () => this.chargeRetry(originalTransactionId, retryData)
+    );
+  }
+
+  async chargeRetry(originalTransactionId, retryData) {
     await this.delay(1000);
     
     const originalTransaction = this.transactions.find(t => t.transactionId === originalTransactionId);
@@ -602,6 +653,37 @@ transaction.verificationData = verificationData;
     return { ...retryTransaction };
   }
 
+  /**
+   * Pay an order refund back through the method the customer paid with
+   * Recorded as a negative transaction so transaction totals net out refunds
+   */
+  async refundToOriginalMethod({ orderId, amount, paymentMethod, originalTransactionId = null, reason = '' }) {
+    await this.delay(800);
+
+    if (!(amount > 0)) {
+      throw new Error('Refund amount must be positive');
+    }
+
+    const refundTransaction = {
+      Id: this.getNextId(),
+      orderId,
+      type: 'refund',
+      amount: -amount,
+      paymentMethod,
+      status: 'completed',
+      transactionId: this.generateTransactionId(),
+      originalTransactionId,
+      reason,
+      timestamp: new Date().toISOString(),
+      gatewayResponse: {
+        reference: this.generateReference()
+      }
+    };
+
+    this.transactions.push(refundTransaction);
+    return { ...refundTransaction };
+  }
+
   // Enhanced Error Handling
   async handlePaymentError(transactionId, errorDetails) {
     await this.delay(300);
@@ -620,6 +702,17 @@ async getAvailablePaymentMethods() {
     return [...this.paymentGateways].filter(gateway => gateway.enabled);
   }
 
+  // Fee the gateway adds on top of the order: a rate on the item subtotal, or a flat amount
+  calculateGatewayFee(methodId, subtotal) {
+    const gateway = this.paymentGateways.find(g => g.id === methodId);
+    if (!gateway || !gateway.fee) return 0;
+
+    const feeAmount = typeof gateway.fee === 'number'
+      ? gateway.fee * subtotal
+      : gateway.fee;
+    return Math.max(feeAmount, gateway.minimumFee || 0);
+  }
+
   // Transaction History
   async getTransactionHistory(orderId) {
     await this.delay(300);
@@ -711,7 +804,7 @@ async getAvailablePaymentMethods() {
     return this.walletBalance;
   }
 
-  async depositToWallet(amount) {
+  async depositToWallet(amount, { description = 'Wallet deposit', type = 'deposit' } = {}) {
     await this.delay(500);
     
     if (amount <= 0) {
@@ -722,11 +815,11 @@ async getAvailablePaymentMethods() {
     
     const transaction = {
       Id: this.getWalletTransactionId(),
-      type: 'deposit',
+      type,
       amount,
       balance: this.walletBalance,
       timestamp: new Date().toISOString(),
-      description: 'Wallet deposit',
+      description,
       reference: this.generateReference()
     };
 
@@ -789,7 +882,16 @@ async getAvailablePaymentMethods() {
     return { ...transaction };
   }
 
-  async processWalletPayment(amount, orderId) {
+  async processWalletPayment(amount, orderId, idempotencyKey = null) {
+    return idempotencyService.run(
+      'payment.wallet',
+      idempotencyKey,
+      { amount, orderId },
+      () => this.chargeWallet(amount, orderId)
+    );
+  }
+
+  async chargeWallet(amount, orderId) {
     await this.delay(500);
     
     if (amount <= 0) {
@@ -841,32 +943,73 @@ async getAvailablePaymentMethods() {
 // Gateway Configuration Management
   async getGatewayConfig() {
     await this.delay(200);
+    // Webhook secrets never leave the service; callers only learn whether one is set
+    const walletGateways = Object.fromEntries(
+      Object.entries(this.gatewayConfig.walletGateways).map(([id, gateway]) => [
+        id,
+        { ...gateway, webhookSecretConfigured: !!this.webhookSecrets[id] }
+      ])
+    );
     return {
-      cardGateway: {
-        provider: 'stripe',
-        enabled: true,
-        apiKey: 'pk_test_xxxxx'
-      },
-      walletGateways: {
-        jazzcash: { enabled: true, merchantId: 'JC123' },
-        easypaisa: { enabled: true, merchantId: 'EP456' },
-        sadapay: { enabled: true, merchantId: 'SP789' }
-      },
+      cardGateway: { ...this.gatewayConfig.cardGateway },
+      walletGateways,
       bankGateway: {
-        enabled: true,
-        accounts: [
-          { bank: 'HBL', account: '1234567890' },
-          { bank: 'UBL', account: '0987654321' }
-        ]
+        ...this.gatewayConfig.bankGateway,
+        accounts: this.gatewayConfig.bankGateway.accounts.map(account => ({ ...account }))
       }
     };
   }
 
+  /**
+   * Update a wallet gateway's settings. A non-empty `webhookSecret` replaces the HMAC
+   * secret used to verify that gateway's payment callbacks.
+   * @param {string} gatewayId - Key of walletGateways (jazzcash, easypaisa, ...)
+   * @param {Object} config - Fields to merge, optionally including webhookSecret
+   */
   async updateGatewayConfig(gatewayId, config) {
     await this.delay(300);
-    // In a real implementation, this would update the gateway configuration
-    return { success: true, gatewayId, config };
+    permissionService.require('payments', 'configure');
+
+    const gateway = this.gatewayConfig.walletGateways[gatewayId];
+    if (!gateway) {
+      throw new Error('Payment gateway not found');
+    }
+
+    const { webhookSecret, ...settings } = config || {};
+    if (webhookSecret !== undefined && webhookSecret !== '') {
+      if (String(webhookSecret).length < 16) {
+        throw new Error('Webhook secret must be at least 16 characters');
+      }
+      this.webhookSecrets[gatewayId] = String(webhookSecret);
+    }
+    this.gatewayConfig.walletGateways[gatewayId] = { ...gateway, ...settings };
+
+    return {
+      success: true,
+      gatewayId,
+      config: { ...this.gatewayConfig.walletGateways[gatewayId], webhookSecretConfigured: !!this.webhookSecrets[gatewayId] }
+    };
+  }
+
+  // Used by paymentWebhookService to verify callback signatures
+  getWebhookSecret(gatewayId) {
+    return this.webhookSecrets[gatewayId] || null;
+  }
+
+  // Apply an asynchronous gateway confirmation to the matching transaction, if we have one
+  recordGatewayConfirmation(transactionId, { status, gatewayResponse = null }) {
+    const transaction = this.transactions.find(t =>
+      t.transactionId === transactionId || t.gatewayResponse?.walletTransactionId === transactionId
+    );
+    if (!transaction) return null;
+    transaction.status = status;
+    transaction.confirmedAt = new Date().toISOString();
+    if (gatewayResponse) {
+      transaction.gatewayResponse = { ...transaction.gatewayResponse, ...gatewayResponse };
+    }
+    return { ...transaction };
   }
+
 async getGatewayStatus(gatewayId) {
     await this.delay(200);
     const gateway = this.paymentGateways.find(g => g.Id === gatewayId);
@@ -1047,12 +1190,12 @@ delay(ms = 200) {
   }
 
   // Vendor Bill Management
-  async createVendorBill(billData) {
+  // Bills raised from a received purchase order pass { permission: 'purchase_orders:receive' }
+  async createVendorBill(billData, { permission = 'vendor_payments:record' } = {}) {
     await this.delay(500);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    const { resource, action } = parsePermission(permission);
+    permissionService.require(resource, action);
 
     if (!billData.vendorId || !billData.amount || !billData.description) {
       throw new Error('Vendor ID, amount, and description are required');
@@ -1074,7 +1217,7 @@ delay(ms = 200) {
       status: 'pending',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      createdBy: this.currentUserRole,
+      createdBy: authService.getActorName(),
       category: billData.category || 'general',
       taxAmount: billData.taxAmount || 0,
       totalAmount: billData.amount + (billData.taxAmount || 0)
@@ -1091,10 +1234,7 @@ delay(ms = 200) {
 
   async processVendorBillPayment(billId, paymentData) {
     await this.delay(800);
-    
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('vendor_payments', 'approve');
 
     const bill = this.vendorBills.find(b => b.Id === billId);
     if (!bill) {
@@ -1125,7 +1265,7 @@ delay(ms = 200) {
       status: 'pending_proof',
       transactionId: this.generateTransactionId(),
       timestamp: new Date().toISOString(),
-      paidBy: this.currentUserRole,
+      paidBy: authService.getActorName(),
       reference: paymentData.reference || '',
       notes: paymentData.notes || '',
       requiresProof: true,
@@ -1153,9 +1293,7 @@ delay(ms = 200) {
   async uploadPaymentProof(paymentId, proofData) {
     await this.delay(600);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('vendor_payments', 'record');
 
     const payment = this.vendorPayments.find(p => p.Id === paymentId);
     if (!payment) {
@@ -1184,7 +1322,7 @@ delay(ms = 200) {
       fileSize: proofData.fileSize,
       fileUrl: this.generateFileUrl(proofData.fileName), // Simulated URL
       uploadedAt: new Date().toISOString(),
-      uploadedBy: this.currentUserRole,
+      uploadedBy: authService.getActorName(),
       status: 'pending_verification',
       verificationNotes: ''
     };
@@ -1202,9 +1340,7 @@ delay(ms = 200) {
   async verifyPaymentProof(proofId, verificationData) {
     await this.delay(400);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('payment_proofs', 'review');
 
     const proof = this.paymentProofs.find(p => p.Id === proofId);
     if (!proof) {
@@ -1221,7 +1357,7 @@ delay(ms = 200) {
 
     proof.status = verified ? 'verified' : 'rejected';
     proof.verifiedAt = new Date().toISOString();
-    proof.verifiedBy = this.currentUserRole;
+    proof.verifiedBy = authService.getActorName();
     proof.verificationNotes = verificationData.notes || '';
 
     if (verified) {
@@ -1252,22 +1388,6 @@ delay(ms = 200) {
     };
   }
 
-  // Finance Manager Role Validation
-  validateFinanceManagerRole() {
-    return this.currentUserRole === 'admin' || this.currentUserRole === this.financeManagerRole;
-  }
-
-  async setUserRole(role) {
-    await this.delay(100);
-    this.currentUserRole = role;
-    return { role };
-  }
-
-  async getCurrentUserRole() {
-    await this.delay(100);
-    return { role: this.currentUserRole };
-  }
-
   // Reporting and Analytics
   async getVendorPaymentSummary(vendorId) {
     await this.delay(400);
@@ -1407,7 +1527,7 @@ throw new Error(validationResult.error);
     const timestamp = Date.now();
     const randomString = Math.random().toString(36).substring(2, 8);
     const fileExtension = file.name.split('.').pop().toLowerCase();
-    const currentUserId = userId || 'user_' + Math.random().toString(36).substring(2, 8);
+    const currentUserId = userId || authService.getCurrentUser()?.id || 'guest_' + Math.random().toString(36).substring(2, 8);
     const uniqueFileName = `payment_proof_${orderId}_${currentUserId}_${timestamp}_${randomString}.${fileExtension}`;
 
     // Simulate S3 upload with pre-signed URLs for admin access
@@ -1656,12 +1776,10 @@ throw new Error(validationResult.error);
   }
 
   // Admin quarantine management
-  async reviewQuarantinedFile(quarantineId, action, adminRole = 'admin') {
+  async reviewQuarantinedFile(quarantineId, action, sessionToken = null) {
     await this.delay(300);
     
-    if (!this.validateAdminAccess(adminRole)) {
-      throw new Error('Admin authentication required for quarantine management');
-    }
+    const admin = permissionService.require('payment_proofs', 'review', null, authService.validateSession(sessionToken));
 
     const quarantineEntry = this.quarantineStorage?.find(q => q.Id === quarantineId);
     if (!quarantineEntry) {
@@ -1674,7 +1792,7 @@ throw new Error(validationResult.error);
     }
 
     quarantineEntry.reviewedAt = new Date().toISOString();
-    quarantineEntry.reviewedBy = adminRole;
+    quarantineEntry.reviewedBy = admin.name;
     quarantineEntry.action = action;
 
     switch (action) {
@@ -1787,18 +1905,11 @@ throw new Error(validationResult.error);
   }
 
 // Enhanced admin access with pre-signed S3 URLs and 5-minute expiry
-async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = null, clientIP = null) {
+async servePaymentProofForAdmin(fileName, sessionToken = null, clientIP = null) {
     await this.delay(200);
     
-    // Enhanced authentication and authorization for admin access
-    if (!this.validateAdminAccess(userRole, sessionToken)) {
-      throw new Error('Admin authentication required to access payment proof');
-    }
-    
-    // Validate admin has permission to access file with detailed RBAC
-    if (!this.hasAdminFileAccess(userRole)) {
-      throw new Error('Insufficient admin permissions to access payment proof');
-    }
+    // Access follows the payment_proofs:view grant in the role permission matrix
+    const admin = permissionService.require('payment_proofs', 'view', null, authService.validateSession(sessionToken));
 
     const proof = this.paymentProofs.find(p => p.fileName === fileName);
     if (!proof) {
@@ -1842,7 +1953,7 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
     const preSignedUrls = await this.generatePreSignedUrls(proof);
 
     // Enhanced audit trail logging for comprehensive file access tracking
-    await this.logAdminFileAccess(proof, userRole, clientIP, sessionToken);
+    await this.logAdminFileAccess(proof, admin, clientIP, sessionToken);
 
     // Return enhanced file data with pre-signed URLs and security headers
     return {
@@ -1880,7 +1991,8 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
         'X-Permitted-Cross-Domain-Policies': 'none'
       },
       accessMetadata: {
-        accessedBy: userRole,
+        accessedBy: admin.role,
+        accessedByName: admin.name,
         accessedAt: new Date().toISOString(),
         accessMethod: 'admin_api_with_presigned_urls',
         sessionId: sessionToken?.substring(0, 8) + '...' || 'admin_session',
@@ -1907,25 +2019,6 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
     };
   }
 
-  // Enhanced admin access validation
-  validateAdminAccess(userRole, sessionToken) {
-    const adminRoles = ['admin', 'finance_manager', 'support_admin'];
-    return adminRoles.includes(userRole) && (sessionToken || userRole === 'admin'); // Admin can bypass token for mock
-  }
-
-  // Enhanced admin RBAC for file access
-  hasAdminFileAccess(userRole) {
-    const adminFileAccessMatrix = {
-      'admin': true,
-      'finance_manager': true,
-      'support_admin': true,
-      'support_manager': false,
-      'customer': false
-    };
-    
-    return adminFileAccessMatrix[userRole] || false;
-  }
-
   // Verify S3 file existence
   async verifyS3FileExists(proof) {
     await this.delay(150);
@@ -1949,7 +2042,7 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
 
   // Log admin file access for comprehensive audit trail
 // Enhanced comprehensive audit trail logging for all file access
-  async logAdminFileAccess(proof, userRole, clientIP, sessionToken = null) {
+  async logAdminFileAccess(proof, admin, clientIP, sessionToken = null) {
     // Initialize audit trail storage if not exists
     if (!this.auditTrail) {
       this.auditTrail = [];
@@ -1966,7 +2059,9 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
       orderId: proof.orderId,
       transactionId: proof.transactionId,
       userId: proof.userId,
-      accessedBy: userRole,
+      accessedBy: admin.role,
+      accessedByUserId: admin.id,
+      accessedByName: admin.name,
       clientIP: clientIP || '127.0.0.1',
       userAgent: 'Admin-Dashboard',
       sessionToken: sessionToken?.substring(0, 8) + '...' || 'admin_session',
@@ -2082,7 +2177,7 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
     
     const exportData = {
       exportedAt: new Date().toISOString(),
-      exportedBy: this.currentUserRole,
+      exportedBy: authService.getActorName(),
       format: format,
       totalRecords: auditData.length,
       filters: filters,
@@ -2098,24 +2193,6 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
     return exportData;
   }
 
-  // Enhanced secure access validation
-  validateSecureAccess(userRole, sessionToken) {
-    const authorizedRoles = ['admin', 'finance_manager', 'support_manager'];
-    return authorizedRoles.includes(userRole) && (sessionToken || userRole === 'admin'); // Admin can bypass token for mock
-  }
-
-  // Enhanced RBAC for file access
-  hasSecureFileAccess(userRole) {
-    const fileAccessMatrix = {
-      'admin': true,
-      'finance_manager': true,
-      'support_manager': false, // Can see files but not download
-      'customer': false // Customers can only see their own files (additional validation needed)
-    };
-    
-    return fileAccessMatrix[userRole] || false;
-  }
-
   // Check if proof has expired
   isProofExpired(uploadDate) {
     const uploadTime = new Date(uploadDate).getTime();
@@ -2217,7 +2294,7 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
       .map(proof => ({ ...proof }));
   }
 
-  async validatePaymentProofAccess(fileName, userRole, userId = null) {
+  async validatePaymentProofAccess(fileName, user = authService.getCurrentUser()) {
     await this.delay(100);
     
     const proof = this.paymentProofs.find(p => p.fileName === fileName);
@@ -2225,25 +2302,18 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
       return { valid: false, error: 'Payment proof not found' };
     }
 
-    // Admin and finance managers have full access
-    if (userRole === 'admin' || userRole === 'finance_manager') {
+    // Staff need payment_proofs:view; customers can only access their own files
+    if (permissionService.can('payment_proofs', 'view', user) || (user && proof.userId === user.id)) {
       return { valid: true, proof: { ...proof } };
     }
 
-    // Customers can only access their own files (additional validation would be needed)
-    if (userRole === 'customer') {
-      return { valid: false, error: 'Insufficient permissions' };
-    }
-
-    return { valid: false, error: 'Invalid user role' };
+    return { valid: false, error: 'Insufficient permissions' };
   }
 
   async deletePaymentProof(fileName) {
     await this.delay(300);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('payment_proofs', 'review');
 
     const index = this.paymentProofs.findIndex(p => p.fileName === fileName);
     if (index === -1) {
@@ -2253,7 +2323,7 @@ async servePaymentProofForAdmin(fileName, userRole = 'admin', sessionToken = nul
     // Mark as deleted instead of removing (for audit trail)
     this.paymentProofs[index].status = 'deleted';
 this.paymentProofs[index].deletedAt = new Date().toISOString();
-    this.paymentProofs[index].deletedBy = this.currentUserRole;
+    this.paymentProofs[index].deletedBy = authService.getActorName();
 
     return { success: true };
   }
@@ -2261,9 +2331,7 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
   // Recurring Payment Automation Methods
   async createRecurringPayment(recurringData) {
     await this.delay(500);
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('vendor_payments', 'approve');
 
     // Validate required fields
     if (!recurringData.name || !recurringData.vendorId || !recurringData.amount || !recurringData.frequency) {
@@ -2301,7 +2369,7 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
       emailNotifications: recurringData.emailNotifications !== false,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      createdBy: this.currentUserRole,
+      createdBy: authService.getActorName(),
       totalPayments: 0,
       successfulPayments: 0,
       failedPayments: 0,
@@ -2328,9 +2396,7 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
   async updateRecurringPayment(recurringId, updateData) {
     await this.delay(400);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('vendor_payments', 'approve');
 
     const recurring = this.recurringPayments.find(r => r.Id === recurringId);
     if (!recurring) {
@@ -2385,7 +2451,7 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
     return await this.updateRecurringPayment(recurringId, { 
       status: 'paused',
       pausedAt: new Date().toISOString(),
-      pausedBy: this.currentUserRole
+      pausedBy: authService.getActorName()
     });
   }
 
@@ -2404,16 +2470,14 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
       status: 'active',
       nextPaymentDate,
       resumedAt: new Date().toISOString(),
-      resumedBy: this.currentUserRole
+      resumedBy: authService.getActorName()
     });
   }
 
   async deleteRecurringPayment(recurringId) {
     await this.delay(300);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('vendor_payments', 'approve');
 
     const index = this.recurringPayments.findIndex(r => r.Id === recurringId);
     if (index === -1) {
@@ -2428,7 +2492,7 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
     // Mark as cancelled instead of deleting (for audit trail)
     this.recurringPayments[index].status = 'cancelled';
     this.recurringPayments[index].cancelledAt = new Date().toISOString();
-    this.recurringPayments[index].cancelledBy = this.currentUserRole;
+    this.recurringPayments[index].cancelledBy = authService.getActorName();
 
     return { success: true };
   }
@@ -2715,9 +2779,7 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
   async createAutomationRule(ruleData) {
     await this.delay(400);
     
-    if (!this.validateFinanceManagerRole()) {
-      throw new Error('Insufficient permissions. Finance manager role required.');
-    }
+    permissionService.require('vendor_payments', 'approve');
 
     const rule = {
       Id: this.automationRuleIdCounter++,
@@ -2728,7 +2790,7 @@ this.paymentProofs[index].deletedAt = new Date().toISOString();
       actions: ruleData.actions || {},
       priority: ruleData.priority || 1,
       createdAt: new Date().toISOString(),
-      createdBy: this.currentUserRole,
+      createdBy: authService.getActorName(),
       lastTriggered: null,
       triggerCount: 0
     };
@@ -2890,12 +2952,10 @@ return this.automationRuleIdCounter++;
   }
 
   // Bulk quarantine operations for admin efficiency
-  async bulkQuarantineAction(quarantineIds, action, adminRole = 'admin') {
+  async bulkQuarantineAction(quarantineIds, action, sessionToken = null) {
     await this.delay(500);
     
-    if (!this.validateAdminAccess(adminRole)) {
-      throw new Error('Admin authentication required for bulk quarantine operations');
-    }
+    permissionService.require('payment_proofs', 'review', null, authService.validateSession(sessionToken));
 
     const results = {
       successful: 0,
@@ -2905,7 +2965,7 @@ return this.automationRuleIdCounter++;
 
     for (const quarantineId of quarantineIds) {
       try {
-        await this.reviewQuarantinedFile(quarantineId, action, adminRole);
+        await this.reviewQuarantinedFile(quarantineId, action, sessionToken);
         results.successful++;
       } catch (error) {
         results.failed++;
@@ -0,0 +1,293 @@
+import { paymentService } from '@/services/api/paymentService';
+import { orderService } from '@/services/api/orderService';
+import { permissionService } from '@/services/api/permissionService';
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+// Compare signatures without bailing out on the first differing character
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+const randomRef = () => Math.random().toString(36).substr(2, 9).toUpperCase();
+
+// Each wallet posts its own field names and status codes. `parse` maps a callback onto
+// { transactionId, orderId, amount, status, message } with status one of completed/pending/failed;
+// `build` produces that gateway's payload for the mock gateway.
+const GATEWAY_ADAPTERS = {
+  jazzcash: {
+    name: 'JazzCash',
+    parse: (payload) => ({
+      transactionId: payload.pp_TxnRefNo,
+      orderId: payload.pp_BillReference,
+      amount: Number(payload.pp_Amount) / 100, // JazzCash sends paisa
+      status: payload.pp_ResponseCode === '000' ? 'completed' : payload.pp_ResponseCode === '124' ? 'pending' : 'failed',
+      message: payload.pp_ResponseMessage
+    }),
+    build: ({ transactionId, orderId, amount, status }) => ({
+      pp_TxnRefNo: transactionId,
+      pp_BillReference: String(orderId),
+      pp_Amount: String(Math.round(amount * 100)),
+      pp_ResponseCode: status === 'completed' ? '000' : status === 'pending' ? '124' : '199',
+      pp_ResponseMessage: status === 'completed' ? 'Thank you for Using JazzCash, your transaction was successful.' : status === 'pending' ? 'Transaction is pending' : 'Transaction failed',
+      pp_TxnDateTime: new Date().toISOString()
+    })
+  },
+  easypaisa: {
+    name: 'EasyPaisa',
+    parse: (payload) => ({
+      transactionId: payload.transactionId,
+      orderId: payload.orderRefNum,
+      amount: Number(payload.transactionAmount),
+      status: { PAID: 'completed', PENDING: 'pending' }[payload.transactionStatus] || 'failed',
+      message: payload.responseDesc
+    }),
+    build: ({ transactionId, orderId, amount, status }) => ({
+      transactionId,
+      orderRefNum: String(orderId),
+      transactionAmount: amount.toFixed(2),
+      transactionStatus: { completed: 'PAID', pending: 'PENDING' }[status] || 'FAILED',
+      responseDesc: status === 'completed' ? 'SUCCESS' : status.toUpperCase(),
+      paidDatetime: new Date().toISOString()
+    })
+  },
+  sadapay: {
+    name: 'SadaPay',
+    parse: (payload) => ({
+      transactionId: payload.transaction_id,
+      orderId: payload.order_id,
+      amount: Number(payload.amount),
+      status: { success: 'completed', pending: 'pending' }[payload.status] || 'failed',
+      message: payload.message
+    }),
+    build: ({ transactionId, orderId, amount, status }) => ({
+      transaction_id: transactionId,
+      order_id: String(orderId),
+      amount,
+      status: { completed: 'success', pending: 'pending' }[status] || 'failed',
+      message: `Payment ${status}`
+    })
+  },
+  upaisa: {
+    name: 'UPaisa',
+    parse: (payload) => ({
+      transactionId: payload.transaction_id,
+      orderId: payload.order_id,
+      amount: Number(payload.amount),
+      status: { success: 'completed', pending: 'pending' }[payload.status] || 'failed',
+      message: payload.message
+    }),
+    build: ({ transactionId, orderId, amount, status }) => ({
+      transaction_id: transactionId,
+      order_id: String(orderId),
+      amount,
+      status: { completed: 'success', pending: 'pending' }[status] || 'failed',
+      message: `Payment ${status}`
+    })
+  }
+};
+
+const TXN_PREFIX = { jazzcash: 'JC', easypaisa: 'EP', sadapay: 'SP', upaisa: 'UP' };
+
+// Ingests asynchronous payment confirmations from the wallet gateways. Every callback is
+// HMAC-SHA256 verified against the secret set through paymentService.updateGatewayConfig,
+// deduplicated by gateway transaction ID and then applied with orderService.updatePaymentStatus.
+// All deliveries, accepted or not, are kept in an event log that the mock gateway can replay.
+class PaymentWebhookService {
+  constructor() {
+    this.events = [];
+    this.eventIdCounter = 1;
+    // gatewayId:transactionId -> promise of the callback currently being applied
+    this.inFlight = new Map();
+  }
+
+  getGateways() {
+    return Object.entries(GATEWAY_ADAPTERS).map(([id, adapter]) => ({ id, name: adapter.name }));
+  }
+
+  /**
+   * Handle a gateway callback exactly as the HTTP endpoint would receive it
+   * @param {string} gatewayId - jazzcash | easypaisa | sadapay | upaisa
+   * @param {string} rawBody - Request body as sent; the signature covers these exact bytes
+   * @param {string} signature - Hex HMAC-SHA256 from the X-Signature header
+   * @returns {Promise<{httpStatus: number, status: string, event: Object}>} Never throws; gateways
+   *   retry anything that isn't a 2xx, so only bad signatures and malformed bodies get 4xx
+   */
+  async handleCallback(gatewayId, rawBody, signature, { replayOf = null } = {}) {
+    await this.delay();
+    const event = {
+      Id: this.eventIdCounter++,
+      gatewayId,
+      rawBody,
+      signature,
+      replayOf,
+      receivedAt: new Date().toISOString()
+    };
+
+    const adapter = GATEWAY_ADAPTERS[gatewayId];
+    if (!adapter) {
+      return this.finish(event, 404, 'rejected', 'Unknown payment gateway');
+    }
+
+    const secret = paymentService.getWebhookSecret(gatewayId);
+    if (!secret) {
+      return this.finish(event, 401, 'rejected', `No webhook secret configured for ${adapter.name}`);
+    }
+    const expected = await this.sign(secret, rawBody);
+    if (!safeEqual(expected, String(signature || '').toLowerCase())) {
+      return this.finish(event, 401, 'rejected', 'Signature verification failed');
+    }
+
+    let callback;
+    try {
+      callback = adapter.parse(JSON.parse(rawBody));
+    } catch {
+      return this.finish(event, 400, 'rejected', 'Malformed callback payload');
+    }
+    if (!callback.transactionId || !callback.orderId || !Number.isFinite(callback.amount)) {
+      return this.finish(event, 400, 'rejected', 'Callback is missing the transaction, order or amount');
+    }
+    Object.assign(event, {
+      transactionId: callback.transactionId,
+      orderId: /^\d+$/.test(String(callback.orderId)) ? parseInt(callback.orderId) : callback.orderId,
+      amount: callback.amount,
+      paymentStatus: callback.status,
+      gatewayMessage: callback.message || null
+    });
+
+    // Gateways re-send until they get a 2xx, sometimes while the first delivery is still being
+    // applied, so wait for that one to finish. A repeat of something we've already applied is
+    // acknowledged without touching the order; only a pending transaction may still move on.
+    // The check and the claim below run without an await between them.
+    const claimKey = `${gatewayId}:${callback.transactionId}`;
+    while (this.inFlight.has(claimKey)) {
+      await this.inFlight.get(claimKey).catch(() => null);
+    }
+    const previous = [...this.events].reverse().find(e =>
+      e.status === 'processed' && e.gatewayId === gatewayId && e.transactionId === callback.transactionId
+    );
+    if (previous && (previous.paymentStatus === callback.status || previous.paymentStatus !== 'pending')) {
+      return this.finish(event, 200, 'duplicate', `Already processed as event #${previous.Id}`);
+    }
+
+    const applying = this.applyCallback(event, callback);
+    this.inFlight.set(claimKey, applying);
+    try {
+      return await applying;
+    } finally {
+      this.inFlight.delete(claimKey);
+    }
+  }
+
+  // Match a verified callback to its order and move the order's payment status
+  async applyCallback(event, callback) {
+    let order;
+    try {
+      order = await orderService.getById(event.orderId);
+    } catch {
+      return this.finish(event, 200, 'unmatched', `Order #${event.orderId} not found`);
+    }
+    const orderTotal = order.total ?? order.totalAmount ?? 0;
+    if (Math.abs(orderTotal - callback.amount) > 0.01) {
+      return this.finish(event, 200, 'unmatched', `Amount Rs. ${callback.amount} does not match order total Rs. ${orderTotal}`);
+    }
+    if (order.paymentStatus === 'completed' && callback.status !== 'completed') {
+      return this.finish(event, 200, 'ignored', 'Order is already paid; late status not applied');
+    }
+
+    const paymentResult = {
+      ...(order.paymentResult || {}),
+      gateway: event.gatewayId,
+      transactionId: callback.transactionId,
+      amount: callback.amount,
+      gatewayMessage: callback.message || null,
+      confirmedVia: 'webhook',
+      confirmedAt: event.receivedAt
+    };
+    await orderService.updatePaymentStatus(order.id, callback.status, paymentResult);
+    paymentService.recordGatewayConfirmation(callback.transactionId, {
+      status: callback.status,
+      gatewayResponse: { webhookEventId: event.Id, gatewayMessage: callback.message || null }
+    });
+
+    return this.finish(event, 200, 'processed', null);
+  }
+
+  async getEvents({ gatewayId = null, status = null } = {}) {
+    await this.delay(200);
+    permissionService.require('payments', 'view');
+    return this.events
+      .filter(e => (!gatewayId || e.gatewayId === gatewayId) && (!status || e.status === status))
+      .map(e => ({ ...e }))
+      .sort((a, b) => b.Id - a.Id);
+  }
+
+  // Mock gateway
+
+  /**
+   * Build and deliver a signed callback the way the real gateway would
+   * @param {string} gatewayId
+   * @param {{orderId: number, amount: number, status?: string, transactionId?: string}} details
+   * @param {{tamper?: boolean}} options - tamper alters the body after signing to exercise rejection
+   */
+  async simulateCallback(gatewayId, { orderId, amount, status = 'completed', transactionId = null }, { tamper = false } = {}) {
+    permissionService.require('payments', 'configure');
+    const adapter = GATEWAY_ADAPTERS[gatewayId];
+    if (!adapter) {
+      throw new Error('Unknown payment gateway');
+    }
+    const secret = paymentService.getWebhookSecret(gatewayId);
+    if (!secret) {
+      throw new Error(`Set a webhook secret for ${adapter.name} first`);
+    }
+
+    const payload = adapter.build({
+      transactionId: transactionId || `${TXN_PREFIX[gatewayId]}${Date.now()}${randomRef()}`,
+      orderId,
+      amount: parseFloat(amount),
+      status
+    });
+    const rawBody = JSON.stringify(payload);
+    const signature = await this.sign(secret, rawBody);
+    const delivered = tamper ? rawBody.replace(/\d(?=[^\d]*$)/, d => String((Number(d) + 1) % 10)) : rawBody;
+    return this.handleCallback(gatewayId, delivered, signature);
+  }
+
+  // Re-deliver a logged callback byte-for-byte, e.g. to check that a retry is deduplicated
+  async replayEvent(eventId) {
+    permissionService.require('payments', 'configure');
+    const original = this.events.find(e => e.Id === eventId);
+    if (!original) {
+      throw new Error('Webhook event not found');
+    }
+    return this.handleCallback(original.gatewayId, original.rawBody, original.signature, { replayOf: original.Id });
+  }
+
+  // Internals
+
+  async sign(secret, rawBody) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(rawBody)));
+  }
+
+  finish(event, httpStatus, status, reason) {
+    const recorded = { ...event, httpStatus, status, reason };
+    this.events.push(recorded);
+    if (status !== 'processed' && status !== 'duplicate') {
+      console.warn(`[PaymentWebhookService] ${event.gatewayId} callback ${status}: ${reason}`);
+    }
+    return { httpStatus, status, event: { ...recorded } };
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const paymentWebhookService = new PaymentWebhookService();
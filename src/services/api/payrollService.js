@@ -1,4 +1,5 @@
 import payroll from '@/services/mockData/payroll.json';
+import { permissionService } from '@/services/api/permissionService';
 
 let payrollData = [...payroll];
 let lastId = Math.max(...payrollData.map(pay => pay.Id), 0);
@@ -18,6 +19,7 @@ const payrollService = {
   },
 
   async create(payrollRecord) {
+    permissionService.require('payroll', 'manage');
     await delay(400);
     const newRecord = {
       ...payrollRecord,
@@ -41,6 +43,7 @@ const payrollService = {
   },
 
   async update(id, updatedData) {
+    permissionService.require('payroll', 'manage');
     await delay(300);
     const index = payrollData.findIndex(pay => pay.Id === parseInt(id));
     if (index === -1) {
@@ -60,6 +63,7 @@ const payrollService = {
   },
 
   async delete(id) {
+    permissionService.require('payroll', 'manage');
     await delay(200);
     const index = payrollData.findIndex(pay => pay.Id === parseInt(id));
     if (index === -1) {
@@ -0,0 +1,209 @@
+import { authService, USER_ROLES } from '@/services/api/authService';
+
+export const PERMISSION_RESOURCES = {
+  dashboard: { label: 'Admin Dashboard', actions: ['view'] },
+  pos: { label: 'POS Terminal', actions: ['use'] },
+  orders: { label: 'All Orders', actions: ['view'] },
+  products: { label: 'Products & Inventory', actions: ['view', 'edit'] },
+  purchase_orders: { label: 'Purchase Orders', actions: ['view', 'create', 'receive'] },
+  financial_dashboard: { label: 'Financial Dashboard', actions: ['view'] },
+  expenses: { label: 'Expenses', actions: ['view', 'record'] },
+  vendor_payments: { label: 'Vendor Payments', actions: ['view', 'record', 'approve'] },
+  payments: { label: 'Payment Management', actions: ['view', 'verify', 'configure'] },
+  refunds: { label: 'Refunds', actions: ['process'] },
+  pricing: { label: 'Prices Under the Floor', actions: ['approve'] },
+  returns: { label: 'Returns & RMA', actions: ['view', 'process'] },
+  payment_proofs: { label: 'Payment Proofs & Quarantine', actions: ['view', 'review'] },
+  deliveries: { label: 'Delivery Tracking & Planning', actions: ['view', 'manage'] },
+  delivery_pricing: { label: 'Delivery Pricing', actions: ['edit'] },
+  analytics: { label: 'Analytics', actions: ['view'] },
+  payroll: { label: 'Payroll', actions: ['view', 'manage'] },
+  ai_generate: { label: 'AI Generate', actions: ['use'] },
+  rider_app: { label: 'Rider Deliveries', actions: ['use'] },
+  users: { label: 'Users & Permissions', actions: ['manage'], adminOnly: true }
+};
+
+export const ACTION_LABELS = {
+  view: 'View',
+  use: 'Use',
+  edit: 'Edit',
+  create: 'Create',
+  receive: 'Receive',
+  record: 'Record',
+  approve: 'Approve',
+  verify: 'Verify',
+  configure: 'Configure',
+  process: 'Process',
+  review: 'Review',
+  manage: 'Manage'
+};
+
+// Admins always hold every permission; these are the starting grants for everyone else
+const DEFAULT_PERMISSIONS = {
+  finance_manager: {
+    dashboard: ['view'],
+    orders: ['view'],
+    purchase_orders: ['view'],
+    financial_dashboard: ['view'],
+    expenses: ['view', 'record'],
+    vendor_payments: ['view', 'record', 'approve'],
+    payments: ['view', 'verify', 'configure'],
+    refunds: ['process'],
+    pricing: ['approve'],
+    returns: ['view', 'process'],
+    payment_proofs: ['view', 'review'],
+    analytics: ['view'],
+    payroll: ['view', 'manage']
+  },
+  finance_clerk: {
+    dashboard: ['view'],
+    orders: ['view'],
+    financial_dashboard: ['view'],
+    expenses: ['view', 'record'],
+    vendor_payments: ['view', 'record'],
+    payments: ['view']
+  },
+  cashier: {
+    dashboard: ['view'],
+    pos: ['use'],
+    orders: ['view'],
+    products: ['view'],
+    returns: ['view']
+  },
+  rider: {
+    rider_app: ['use']
+  },
+  customer: {}
+};
+
+const STORAGE_KEY = 'freshmart_role_permissions';
+const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+
+const cloneMatrix = (matrix) => Object.fromEntries(
+  Object.entries(matrix).map(([role, grants]) => [
+    role,
+    Object.fromEntries(Object.entries(grants).map(([resource, actions]) => [resource, [...actions]]))
+  ])
+);
+
+/**
+ * Split a "resource:action" string as used by routes and navigation
+ * @param {string} permission - e.g. 'vendor_payments:approve'
+ */
+export const parsePermission = (permission) => {
+  const [resource, action] = String(permission).split(':');
+  return { resource, action };
+};
+
+// Role × resource × action grants. Routes, navigation and the service methods that move money
+// all ask can()/require() here; the matrix is editable by admins and kept in localStorage.
+class PermissionService {
+  constructor() {
+    let stored = null;
+    try {
+      stored = JSON.parse(storage?.getItem(STORAGE_KEY) || 'null');
+    } catch {
+      stored = null;
+    }
+    this.matrix = { ...cloneMatrix(DEFAULT_PERMISSIONS), ...(stored || {}) };
+    this.listeners = new Set();
+  }
+
+  getResources() {
+    return Object.entries(PERMISSION_RESOURCES).map(([key, resource]) => ({
+      key,
+      label: resource.label,
+      adminOnly: !!resource.adminOnly,
+      actions: resource.actions.map(action => ({ key: action, label: ACTION_LABELS[action] }))
+    }));
+  }
+
+  getMatrix() {
+    return cloneMatrix(this.matrix);
+  }
+
+  /**
+   * @param {string} resource - Key of PERMISSION_RESOURCES
+   * @param {string} action - One of the resource's actions
+   * @param {Object|null} user - Defaults to the signed-in user
+   * @returns {boolean}
+   */
+  can(resource, action, user = authService.getCurrentUser()) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (PERMISSION_RESOURCES[resource]?.adminOnly) return false;
+    return (this.matrix[user.role]?.[resource] || []).includes(action);
+  }
+
+  // Throws (code UNAUTHENTICATED or FORBIDDEN) unless the signed-in user (or the given
+  // user, e.g. one resolved from a session token) holds the permission
+  require(resource, action, message = null, user = authService.getCurrentUser()) {
+    if (!user) {
+      const error = new Error('Please sign in to continue');
+      error.code = 'UNAUTHENTICATED';
+      throw error;
+    }
+    if (!this.can(resource, action, user)) {
+      const label = PERMISSION_RESOURCES[resource]?.label || resource;
+      const error = new Error(message || `Your role (${user.roleLabel}) cannot ${ACTION_LABELS[action]?.toLowerCase() || action} ${label.toLowerCase()}`);
+      error.code = 'FORBIDDEN';
+      throw error;
+    }
+    return user;
+  }
+
+  async setPermission(role, resource, action, allowed) {
+    await this.delay();
+    this.require('users', 'manage', 'Only administrators can change permissions');
+    if (role === 'admin') {
+      throw new Error('Admins always have every permission');
+    }
+    if (!USER_ROLES[role]) {
+      throw new Error('Unknown role');
+    }
+    const definition = PERMISSION_RESOURCES[resource];
+    if (!definition || !definition.actions.includes(action)) {
+      throw new Error('Unknown permission');
+    }
+    if (definition.adminOnly) {
+      throw new Error(`${definition.label} is limited to admins`);
+    }
+
+    const grants = { ...(this.matrix[role] || {}) };
+    const actions = new Set(grants[resource] || []);
+    if (allowed) {
+      actions.add(action);
+    } else {
+      actions.delete(action);
+    }
+    grants[resource] = definition.actions.filter(a => actions.has(a));
+    if (grants[resource].length === 0) delete grants[resource];
+    this.matrix = { ...this.matrix, [role]: grants };
+    this.save();
+    return this.getMatrix();
+  }
+
+  async resetRole(role) {
+    await this.delay();
+    this.require('users', 'manage', 'Only administrators can change permissions');
+    this.matrix = { ...this.matrix, [role]: cloneMatrix({ [role]: DEFAULT_PERMISSIONS[role] || {} })[role] };
+    this.save();
+    return this.getMatrix();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  save() {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(this.matrix));
+    this.listeners.forEach(listener => listener(this.getMatrix()));
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const permissionService = new PermissionService();
@@ -1,4 +1,6 @@
 import posData from '../mockData/posTransactions.json';
+import { productService } from '@/services/api/productService';
+import { inventoryService } from '@/services/api/inventoryService';
 
 class POSService {
   constructor() {
@@ -21,9 +23,29 @@ class POSService {
 
   async createTransaction(transactionData) {
     await this.delay();
+    const id = this.getNextId();
+
+    // Counter sales of variant products come off the default variant unless one was scanned
+    const items = [];
+    for (const item of transactionData.items || []) {
+      if (item.variantId) {
+        items.push(item);
+        continue;
+      }
+      const product = await productService.getProductById(item.productId);
+      items.push({ ...item, variantId: productService.getDefaultVariant(product)?.id || null });
+    }
+
+    await inventoryService.recordMovements(inventoryService.buildItemMovements(items, {
+      reason: `POS sale #${id}`,
+      reference: { type: 'pos', id },
+      user: transactionData.cashierName || transactionData.cashierId || 'cashier'
+    }));
+
     const newTransaction = {
-      id: this.getNextId(),
+      id,
       ...transactionData,
+      items,
       timestamp: new Date().toISOString()
     };
     this.transactions.push(newTransaction);
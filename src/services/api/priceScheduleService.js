@@ -0,0 +1,194 @@
+import productsData from '../mockData/products.json';
+import { authService } from '@/services/api/authService';
+
+const SOURCE_LABELS = {
+  opening: 'Opening price',
+  manual: 'Price update',
+  scheduled: 'Scheduled change',
+  sale_start: 'Sale started',
+  sale_end: 'Sale ended'
+};
+
+const matchesTarget = (entry, productId, variantId = null) =>
+  entry.productId === parseInt(productId) && (entry.variantId || null) === (variantId ? String(variantId) : null);
+
+// Keeps the price history and upcoming price changes for every product/variant. Base prices live
+// on the product records; productService applies due changes and overlays active sale prices.
+class PriceScheduleService {
+  constructor() {
+    this.history = [];
+    this.schedules = [];
+    this.seedHistory(productsData);
+  }
+
+  seedHistory(products) {
+    products.forEach(product => {
+      const targets = product.variants?.length
+        ? product.variants.map(variant => ({ ...variant, variantId: String(variant.id) }))
+        : [{ ...product, variantId: null }];
+      targets.forEach(target => {
+        this.history.push({
+          id: this.history.length + 1,
+          productId: product.id,
+          variantId: target.variantId,
+          previousPrice: target.previousPrice ?? null,
+          price: target.price,
+          source: 'opening',
+          reason: SOURCE_LABELS.opening,
+          user: 'system',
+          scheduleId: null,
+          effectiveAt: product.updatedAt || product.createdAt || new Date(0).toISOString()
+        });
+      });
+    });
+  }
+
+  recordChange({ productId, variantId = null, previousPrice, price, source = 'manual', reason, user = 'system', scheduleId = null, effectiveAt = new Date().toISOString() }) {
+    const entry = {
+      id: this.history.length + 1,
+      productId: parseInt(productId),
+      variantId: variantId ? String(variantId) : null,
+      previousPrice,
+      price,
+      source,
+      reason: reason || SOURCE_LABELS[source],
+      user,
+      scheduleId,
+      effectiveAt
+    };
+    this.history.push(entry);
+    return { ...entry };
+  }
+
+  // Newest first
+  getHistory(productId, variantId = null) {
+    return this.history
+      .filter(entry => matchesTarget(entry, productId, variantId))
+      .sort((a, b) => new Date(b.effectiveAt) - new Date(a.effectiveAt) || b.id - a.id)
+      .map(entry => ({ ...entry, label: SOURCE_LABELS[entry.source] }));
+  }
+
+  // type 'change' replaces the base price from startsAt; type 'sale' overrides it until endsAt
+  async schedule({ productId, variantId = null, type, price, startsAt, endsAt = null, reason = '', createdBy = authService.getActorName() }) {
+    await this.delay();
+    const normalized = this.validateSchedule({ productId, variantId, type, price, startsAt, endsAt });
+    const schedule = {
+      id: this.schedules.length + 1,
+      ...normalized,
+      reason: reason?.trim() || (type === 'sale' ? 'Sale price' : 'Price change'),
+      status: 'scheduled',
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    this.schedules.push(schedule);
+    return { ...schedule };
+  }
+
+  validateSchedule({ productId, variantId, type, price, startsAt, endsAt }) {
+    if (!['change', 'sale'].includes(type)) {
+      throw new Error('Choose a price change or a sale');
+    }
+    const value = Math.round(parseFloat(price) * 100) / 100;
+    if (!value || value <= 0) {
+      throw new Error('Enter a valid price');
+    }
+    const start = startsAt ? new Date(startsAt) : new Date();
+    if (isNaN(start)) {
+      throw new Error('Start date is not valid');
+    }
+    if (type === 'change' && start < new Date(Date.now() - 60 * 1000)) {
+      throw new Error('Scheduled changes must start now or in the future');
+    }
+
+    let end = null;
+    if (type === 'sale') {
+      end = new Date(endsAt);
+      if (!endsAt || isNaN(end)) {
+        throw new Error('A sale needs an end date');
+      }
+      if (end <= start || end <= new Date()) {
+        throw new Error('The sale must end after it starts and in the future');
+      }
+      const overlapping = this.schedules.find(s =>
+        s.type === 'sale' && ['scheduled', 'active'].includes(s.status) && matchesTarget(s, productId, variantId) &&
+        new Date(s.startsAt) < end && new Date(s.endsAt) > start
+      );
+      if (overlapping) {
+        throw new Error(`Overlaps the sale running ${new Date(overlapping.startsAt).toLocaleString()} – ${new Date(overlapping.endsAt).toLocaleString()}`);
+      }
+    }
+
+    return {
+      productId: parseInt(productId),
+      variantId: variantId ? String(variantId) : null,
+      type,
+      price: value,
+      startsAt: start.toISOString(),
+      endsAt: end ? end.toISOString() : null
+    };
+  }
+
+  async cancel(scheduleId, { user = authService.getActorName() } = {}) {
+    await this.delay();
+    const schedule = this.schedules.find(s => s.id === parseInt(scheduleId));
+    if (!schedule) {
+      throw new Error('Price schedule not found');
+    }
+    if (!['scheduled', 'active'].includes(schedule.status)) {
+      throw new Error('This price schedule has already finished');
+    }
+    // Cancelling a running sale ends it now; the caller records the reversion
+    schedule.status = schedule.status === 'active' ? 'ending' : 'cancelled';
+    schedule.cancelledBy = user;
+    schedule.cancelledAt = new Date().toISOString();
+    return { ...schedule };
+  }
+
+  getSchedules(productId = null, variantId = null, { includeFinished = false } = {}) {
+    return this.schedules
+      .filter(s => productId === null || matchesTarget(s, productId, variantId))
+      .filter(s => includeFinished || ['scheduled', 'active'].includes(s.status))
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+      .map(s => ({ ...s }));
+  }
+
+  getActiveSale(productId, variantId = null) {
+    const sale = this.schedules.find(s => s.type === 'sale' && s.status === 'active' && matchesTarget(s, productId, variantId));
+    return sale ? { ...sale } : null;
+  }
+
+  // Moves schedules whose time has come along and returns what happened, oldest first,
+  // so the caller can update base prices and history in order
+  takeDueEvents(now = new Date()) {
+    const events = [];
+    this.schedules.forEach(schedule => {
+      if (schedule.status === 'ending') {
+        schedule.status = 'cancelled';
+        events.push({ kind: 'sale_end', at: schedule.cancelledAt, schedule });
+        return;
+      }
+      if (schedule.status === 'scheduled' && new Date(schedule.startsAt) <= now) {
+        if (schedule.type === 'change') {
+          schedule.status = 'completed';
+          events.push({ kind: 'scheduled', at: schedule.startsAt, schedule });
+          return;
+        }
+        schedule.status = 'active';
+        events.push({ kind: 'sale_start', at: schedule.startsAt, schedule });
+      }
+      if (schedule.status === 'active' && new Date(schedule.endsAt) <= now) {
+        schedule.status = 'completed';
+        events.push({ kind: 'sale_end', at: schedule.endsAt, schedule });
+      }
+    });
+    return events
+      .sort((a, b) => new Date(a.at) - new Date(b.at))
+      .map(event => ({ ...event, schedule: { ...event.schedule } }));
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const priceScheduleService = new PriceScheduleService();
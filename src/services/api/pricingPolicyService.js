@@ -0,0 +1,259 @@
+import { authService } from '@/services/api/authService';
+import { permissionService } from '@/services/api/permissionService';
+
+const VIOLATION_LABELS = {
+  below_cost: 'Below cost',
+  below_minimum: 'Below minimum selling price',
+  below_margin: 'Below margin target'
+};
+
+const CONTEXT_LABELS = {
+  product_create: 'New product',
+  product_update: 'Product edit',
+  price_update: 'Price update',
+  scheduled_price: 'Scheduled price',
+  pos_sale: 'POS sale',
+  online_order: 'Online order'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Central check for every path that sets a selling price. Prices are judged after the product's
+// own discount (discountType/discountValue) against minSellingPrice and the store's margin target
+// (markup over purchasePrice); anything under the floor needs approval from a user holding
+// pricing:approve and is logged.
+class PricingPolicyService {
+  constructor() {
+    this.policy = {
+      minMarginPercent: 10,
+      belowFloorAction: 'approval', // 'approval' or 'block'
+      belowCostAction: 'block'
+    };
+    this.overrides = [];
+  }
+
+  getPolicy() {
+    return { ...this.policy };
+  }
+
+  async updatePolicy(changes) {
+    await this.delay();
+    permissionService.require('pricing', 'approve');
+    const next = { ...this.policy, ...changes };
+    next.minMarginPercent = parseFloat(next.minMarginPercent);
+    if (isNaN(next.minMarginPercent) || next.minMarginPercent < 0) {
+      throw new Error('Margin target must be zero or more');
+    }
+    if (!['approval', 'block'].includes(next.belowFloorAction) || !['approval', 'block'].includes(next.belowCostAction)) {
+      throw new Error('Choose whether low prices need approval or are blocked');
+    }
+    this.policy = next;
+    return this.getPolicy();
+  }
+
+  getEffectivePrice(price, { discountType = null, discountValue = 0 } = {}) {
+    const base = parseFloat(price) || 0;
+    const discount = parseFloat(discountValue) || 0;
+    if (discount <= 0) return roundAmount(base);
+    const effective = discountType === 'Percentage' ? base - (base * discount) / 100 : base - discount;
+    return roundAmount(Math.max(0, effective));
+  }
+
+  /**
+   * @param {Object} item - { price, purchasePrice, minSellingPrice, discountType, discountValue } plus
+   *   identifying fields (productId, variantId, name) that are carried onto the result
+   * @returns {Object} Effective price, floor, margin, violations and 'ok' | 'approval_required' | 'blocked'
+   */
+  evaluate(item) {
+    const { price, purchasePrice, minSellingPrice, discountType, discountValue, ...identity } = item;
+    const effectivePrice = this.getEffectivePrice(price, { discountType, discountValue });
+    const cost = parseFloat(purchasePrice) || 0;
+    const minimum = parseFloat(minSellingPrice) || 0;
+    const marginFloor = cost > 0 ? roundAmount(cost * (1 + this.policy.minMarginPercent / 100)) : 0;
+
+    const violations = [];
+    if (cost > 0 && effectivePrice < cost) {
+      violations.push({ code: 'below_cost', message: `Rs. ${effectivePrice.toLocaleString()} is below the cost of Rs. ${cost.toLocaleString()}` });
+    }
+    if (minimum > 0 && effectivePrice < minimum) {
+      violations.push({ code: 'below_minimum', message: `Rs. ${effectivePrice.toLocaleString()} is below the minimum selling price of Rs. ${minimum.toLocaleString()}` });
+    }
+    if (marginFloor > 0 && effectivePrice < marginFloor) {
+      violations.push({ code: 'below_margin', message: `Margin is under the ${this.policy.minMarginPercent}% target (needs Rs. ${marginFloor.toLocaleString()})` });
+    }
+
+    let status = 'ok';
+    if (violations.length > 0) {
+      const belowCost = violations.some(v => v.code === 'below_cost');
+      status = (belowCost ? this.policy.belowCostAction : this.policy.belowFloorAction) === 'block' ? 'blocked' : 'approval_required';
+    }
+
+    return {
+      ...identity,
+      price: roundAmount(parseFloat(price) || 0),
+      effectivePrice,
+      purchasePrice: cost || null,
+      minSellingPrice: minimum || null,
+      floor: Math.max(minimum, marginFloor),
+      marginPercent: cost > 0 ? roundAmount(((effectivePrice - cost) / cost) * 100) : null,
+      violations,
+      status
+    };
+  }
+
+  /**
+   * Check sale lines (POS or online) at the price actually charged: each line's unit price after its share of the
+   * basket's promotion and coupon discounts
+   * @param {Array} items - Cart lines { id, name, price, quantity, purchasePrice, minSellingPrice, overrideReason }
+   * @param {Object} totals - { subtotal, discountTotal } from promotionService.calculateDiscounts
+   */
+  reviewSale(items, { subtotal = 0, discountTotal = 0 } = {}) {
+    const evaluations = items.map(item => {
+      const lineTotal = (parseFloat(item.price) || 0) * (parseFloat(item.quantity) || 0);
+      const share = subtotal > 0 ? (discountTotal * lineTotal) / subtotal : 0;
+      const chargedPrice = item.quantity > 0 ? (lineTotal - share) / item.quantity : 0;
+      return this.evaluate({
+        productId: item.productId ?? item.id,
+        variantId: item.variantId || null,
+        name: item.name,
+        listPrice: item.originalPrice ?? item.price,
+        overrideReason: item.overrideReason || null,
+        price: roundAmount(chargedPrice),
+        purchasePrice: item.purchasePrice,
+        minSellingPrice: item.minSellingPrice
+      });
+    });
+    return this.summarize(evaluations);
+  }
+
+  summarize(evaluations) {
+    const flagged = evaluations.filter(e => e.status !== 'ok');
+    return {
+      evaluations,
+      flagged,
+      status: flagged.some(e => e.status === 'blocked')
+        ? 'blocked'
+        : flagged.length > 0 ? 'approval_required' : 'ok'
+    };
+  }
+
+  /**
+   * Let flagged prices through with a manager's approval, logging one override per price.
+   * Throws when a price is blocked outright, or (with code PRICE_APPROVAL_REQUIRED and the
+   * flagged prices on error.pricing) when approval is needed but missing or wrong.
+   * @param {Array} evaluations - Results of evaluate()
+   * @param {Object|null} approval - { reason } from a signed-in approver, or { email, password, reason }
+   *   when a manager approves at someone else's session
+   * @param {Object} details - { context, reference, requestedBy }
+   * @returns {Promise<Array>} Logged overrides (empty when every price is within policy)
+   */
+  async authorize(evaluations, approval, { context, reference = null, requestedBy = authService.getActorName() }) {
+    const { flagged, status } = this.summarize(evaluations);
+    if (status === 'ok') return [];
+
+    if (status === 'blocked') {
+      const blocked = flagged.find(e => e.status === 'blocked');
+      throw new Error(`${this.label(blocked)}: ${blocked.violations[0].message}. This price is not allowed.`);
+    }
+
+    const approver = await this.checkApproval(flagged, approval);
+    return this.log(flagged, { context, reference, requestedBy, approvedBy: approver.name, reason: approval.reason.trim() });
+  }
+
+  /**
+   * Log prices that went under the floor without anyone to approve them (online orders, where
+   * promotions apply automatically) so they show up in the override log for review
+   * @param {Array} evaluations - Flagged results of evaluate()
+   * @param {Object} details - { context, reference, requestedBy }
+   * @returns {Array} Logged entries, with approvedBy null
+   */
+  flag(evaluations, { context, reference = null, requestedBy = authService.getActorName() }) {
+    return this.log(evaluations, { context, reference, requestedBy, approvedBy: null, reason: 'Promotion took the price under the floor' });
+  }
+
+  log(evaluations, { context, reference, requestedBy, approvedBy, reason }) {
+    const createdAt = new Date().toISOString();
+    return evaluations.map(evaluation => {
+      const override = {
+        id: this.overrides.length + 1,
+        context,
+        reference,
+        productId: evaluation.productId ?? null,
+        variantId: evaluation.variantId ?? null,
+        name: this.label(evaluation),
+        price: evaluation.price,
+        effectivePrice: evaluation.effectivePrice,
+        floor: evaluation.floor,
+        purchasePrice: evaluation.purchasePrice,
+        marginPercent: evaluation.marginPercent,
+        violations: evaluation.violations.map(v => v.code),
+        reason,
+        approvedBy,
+        requestedBy,
+        createdAt
+      };
+      this.overrides.push(override);
+      return { ...override };
+    });
+  }
+
+  // Throws PRICE_APPROVAL_REQUIRED unless a user holding pricing:approve signs off with a reason:
+  // the signed-in user, or the manager whose email and password come with the approval
+  async checkApproval(flagged, approval) {
+    const reject = (message) => {
+      const error = new Error(message);
+      error.code = 'PRICE_APPROVAL_REQUIRED';
+      error.pricing = flagged;
+      throw error;
+    };
+
+    if (!approval) {
+      reject(`Manager approval required. ${this.label(flagged[0])}: ${flagged[0].violations[0].message}`);
+    }
+
+    let approver = authService.getCurrentUser();
+    if (approval.email || approval.password) {
+      if (!approval.email?.trim() || !approval.password) {
+        reject("Enter the manager's email and password");
+      }
+      try {
+        approver = await authService.verifyCredentials(approval.email, approval.password);
+      } catch (err) {
+        reject(err.message);
+      }
+      if (!permissionService.can('pricing', 'approve', approver)) {
+        reject(`${approver.name} cannot approve prices under the floor`);
+      }
+    } else if (!permissionService.can('pricing', 'approve', approver)) {
+      reject("Enter the email and password of a manager who can approve prices under the floor");
+    }
+
+    if (!approval.reason?.trim()) {
+      reject('Enter a reason for the price override');
+    }
+    return approver;
+  }
+
+  async getOverrides({ productId = null, context = null } = {}) {
+    await this.delay();
+    return this.overrides
+      .filter(o => productId === null || o.productId === parseInt(productId))
+      .filter(o => !context || o.context === context)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id)
+      .map(o => ({
+        ...o,
+        contextLabel: CONTEXT_LABELS[o.context] || o.context,
+        violationLabels: o.violations.map(code => VIOLATION_LABELS[code])
+      }));
+  }
+
+  label(evaluation) {
+    return evaluation.variantName ? `${evaluation.name} (${evaluation.variantName})` : evaluation.name;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const pricingPolicyService = new PricingPolicyService();
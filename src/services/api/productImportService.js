@@ -0,0 +1,501 @@
+import productService, { evaluatePricing } from '@/services/api/productService';
+import { pricingPolicyService } from '@/services/api/pricingPolicyService';
+import { authService } from '@/services/api/authService';
+import { permissionService } from '@/services/api/permissionService';
+
+// Columns a product file can map onto; aliases are matched against normalized header text
+const IMPORT_FIELDS = [
+  { key: 'id', label: 'Product ID', aliases: ['id', 'product id'] },
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'product', 'product name', 'title'] },
+  { key: 'category', label: 'Category', required: true, aliases: ['category'] },
+  { key: 'description', label: 'Description', required: true, aliases: ['description', 'details'] },
+  { key: 'price', label: 'Price', required: true, aliases: ['price', 'selling price', 'retail price'] },
+  { key: 'purchasePrice', label: 'Purchase Price', aliases: ['purchase price', 'cost', 'cost price'] },
+  { key: 'minSellingPrice', label: 'Min Selling Price', aliases: ['min selling price', 'minimum price', 'min price'] },
+  { key: 'discountType', label: 'Discount Type', aliases: ['discount type'] },
+  { key: 'discountValue', label: 'Discount Value', aliases: ['discount value', 'discount'] },
+  { key: 'stock', label: 'Stock', aliases: ['stock', 'quantity', 'qty'] },
+  { key: 'unit', label: 'Unit', aliases: ['unit', 'uom'] },
+  { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'sku', 'ean'] },
+  { key: 'imageUrl', label: 'Image URL', aliases: ['image url', 'image'] },
+  { key: 'isActive', label: 'Status', aliases: ['status', 'active'] }
+];
+
+// The fields createProduct requires for a product without variants
+const REQUIRED_FIELDS = IMPORT_FIELDS.filter(field => field.required).map(field => field.key);
+const NUMBER_FIELDS = ['price', 'purchasePrice', 'minSellingPrice', 'discountValue', 'stock'];
+const PRICING_FIELDS = ['price', 'purchasePrice', 'minSellingPrice', 'discountType', 'discountValue'];
+// Set per pack size on products with variants
+const VARIANT_FIELDS = ['price', 'stock'];
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+const fieldLabel = (key) => IMPORT_FIELDS.find(field => field.key === key)?.label || key;
+export const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV as written by spreadsheets: quoted fields may hold delimiters, doubled quotes and line breaks.
+// Semicolon-separated files (common with comma decimal locales) are detected from the header.
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const header = source.split(/\r?\n/, 1)[0];
+  const delimiter = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// .xlsx files are zip archives of XML parts; read the central directory and inflate entries
+// with the browser's DecompressionStream
+const readZip = (buffer) => {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) {
+    throw new Error('This file is not a valid .xlsx workbook');
+  }
+
+  const entries = {};
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries[name] = {
+      method: view.getUint16(offset + 10, true),
+      data: new Uint8Array(
+        buffer,
+        localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true),
+        view.getUint32(offset + 20, true)
+      )
+    };
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  return async (name) => {
+    const entry = entries[name];
+    if (!entry) return null;
+    if (entry.method === 0) return decoder.decode(entry.data);
+    if (entry.method !== 8) {
+      throw new Error('This workbook uses an unsupported compression method');
+    }
+    const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return await new Response(stream).text();
+  };
+};
+
+// Zero-based column index from a cell reference such as "AB12"
+const columnIndex = (reference) =>
+  reference.replace(/[0-9]/g, '').split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Cell values of the workbook's first sheet: shared and inline strings, numbers and booleans
+const parseXlsx = async (buffer) => {
+  const readEntry = readZip(buffer);
+  const parser = new DOMParser();
+  const readXml = async (name) => {
+    const text = await readEntry(name);
+    return text ? parser.parseFromString(text, 'application/xml') : null;
+  };
+  const textOf = (node) => Array.from(node.getElementsByTagName('t')).map(t => t.textContent).join('');
+
+  const sharedStrings = Array.from((await readXml('xl/sharedStrings.xml'))?.getElementsByTagName('si') || []).map(textOf);
+
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const relationId = (await readXml('xl/workbook.xml'))?.getElementsByTagName('sheet')[0]?.getAttribute('r:id');
+  const target = Array.from((await readXml('xl/_rels/workbook.xml.rels'))?.getElementsByTagName('Relationship') || [])
+    .find(relationship => relationship.getAttribute('Id') === relationId)
+    ?.getAttribute('Target');
+  if (target) {
+    sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sheet = await readXml(sheetPath);
+  if (!sheet) {
+    throw new Error('The workbook has no worksheet');
+  }
+  return Array.from(sheet.getElementsByTagName('row')).map(rowNode => {
+    const row = [];
+    Array.from(rowNode.getElementsByTagName('c')).forEach((cell, position) => {
+      const type = cell.getAttribute('t');
+      const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+      const reference = cell.getAttribute('r');
+      row[reference ? columnIndex(reference) : position] = type === 's'
+        ? sharedStrings[parseInt(value)] ?? ''
+        : type === 'inlineStr'
+          ? textOf(cell)
+          : type === 'b' ? (value === '1' ? 'TRUE' : 'FALSE') : value;
+    });
+    return Array.from(row, cell => cell ?? '');
+  });
+};
+
+// Bulk product import: parse a CSV/XLSX file, map its columns, dry-run every row (creates,
+// updates, validation errors, prices needing approval) and then apply the valid rows
+class ProductImportService {
+  getFields() {
+    return IMPORT_FIELDS.map(({ key, label, required = false }) => ({ key, label, required }));
+  }
+
+  getTemplate() {
+    return IMPORT_FIELDS.map(field => field.label).join(',');
+  }
+
+  async parseFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    let rows;
+    if (extension === 'csv') {
+      rows = parseCsv(await file.text());
+    } else if (extension === 'xlsx') {
+      rows = await parseXlsx(await file.arrayBuffer());
+    } else {
+      throw new Error('Upload a .csv or .xlsx file');
+    }
+
+    rows = rows.filter(row => row.some(cell => String(cell).trim() !== ''));
+    if (rows.length < 2) {
+      throw new Error('The file needs a header row and at least one product row');
+    }
+
+    const [headers, ...body] = rows;
+    return {
+      fileName: file.name,
+      headers: headers.map(header => String(header).trim()),
+      rows: body.map(row => Array.from({ length: headers.length }, (_, i) => String(row[i] ?? '').trim()))
+    };
+  }
+
+  // Field key -> column index, for every field whose label or alias matches a header
+  guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+      const names = [field.label, ...field.aliases].map(normalizeHeader);
+      const index = normalized.findIndex((header, i) => names.includes(header) && !Object.values(mapping).includes(i));
+      if (index !== -1) {
+        mapping[field.key] = index;
+      }
+    });
+    return mapping;
+  }
+
+  // Dry run: nothing is saved
+  async preview(table, mapping) {
+    const unmapped = REQUIRED_FIELDS.filter(key => mapping[key] === undefined || mapping[key] === null);
+    if (mapping.id === undefined && mapping.barcode === undefined && unmapped.length > 0) {
+      throw new Error(`Map ${unmapped.map(fieldLabel).join(', ')} (or Product ID / Barcode to update existing products)`);
+    }
+
+    const response = await productService.getAll();
+    const products = response.data || response;
+    const fileBarcodes = new Map();
+
+    // Row numbers match the spreadsheet, with the header on row 1
+    const rows = table.rows.map((cells, index) => ({
+      index,
+      rowNumber: index + 2,
+      ...this.checkRow(cells, mapping, products, fileBarcodes, index + 2)
+    }));
+
+    return {
+      rows,
+      summary: {
+        total: rows.length,
+        creates: rows.filter(row => row.action === 'create').length,
+        updates: rows.filter(row => row.action === 'update').length,
+        unchanged: rows.filter(row => row.action === 'unchanged').length,
+        errors: rows.filter(row => row.action === 'error').length,
+        needsApproval: rows.filter(row => row.action !== 'error' && row.pricing.length > 0).length
+      }
+    };
+  }
+
+  checkRow(cells, mapping, products, fileBarcodes, rowNumber) {
+    const errors = [];
+    const warnings = [];
+    const data = this.parseValues(cells, mapping, errors);
+
+    const match = this.findMatch(data, products, errors);
+    const product = match?.product || null;
+    const variant = match?.variant || null;
+
+    if (data.barcode) {
+      const owner = products.find(p =>
+        p.id !== product?.id && (p.barcode === data.barcode || p.variants?.some(v => v.barcode === data.barcode))
+      );
+      if (owner) {
+        errors.push(`Barcode ${data.barcode} already belongs to ${owner.name}`);
+      }
+      if (fileBarcodes.has(data.barcode)) {
+        errors.push(`Barcode ${data.barcode} is also used on row ${fileBarcodes.get(data.barcode)}`);
+      } else {
+        fileBarcodes.set(data.barcode, rowNumber);
+      }
+    }
+
+    let changes = [];
+    let pricing = [];
+    if (!product && data.id !== undefined) {
+      // Unknown Product ID, already reported
+    } else if (!product) {
+      const missing = REQUIRED_FIELDS.filter(key => data[key] === undefined);
+      if (missing.length > 0) {
+        errors.push(`Missing required fields: ${missing.join(', ')}`);
+      } else if (data.stock !== undefined && !Number.isInteger(data.stock)) {
+        errors.push('Stock must be a whole number');
+      } else {
+        pricing = evaluatePricing({ ...data, id: null });
+      }
+    } else {
+      changes = this.getChanges(data, product, variant, errors);
+      if (changes.some(change => PRICING_FIELDS.includes(change.field))) {
+        const updates = Object.fromEntries(changes.map(change => [change.field, change.to]));
+        const edited = variant
+          ? { ...product, ...updates, price: product.price, variants: product.variants.map(v => (v.id === variant.id ? { ...v, price: updates.price ?? v.price } : v)) }
+          : { ...product, ...updates };
+        const before = new Map(evaluatePricing(product).map(evaluation => [evaluation.variantId, evaluation]));
+        pricing = evaluatePricing(edited).filter(evaluation => {
+          const previous = before.get(evaluation.variantId);
+          return previous.effectivePrice !== evaluation.effectivePrice || previous.floor !== evaluation.floor;
+        });
+      }
+    }
+
+    pricing = pricing.filter(evaluation => evaluation.status !== 'ok');
+    pricing.forEach(evaluation => {
+      const message = evaluation.violations[0].message;
+      if (evaluation.status === 'blocked') {
+        errors.push(`${message}. This price is not allowed.`);
+      } else {
+        warnings.push(`Needs manager approval: ${message}`);
+      }
+    });
+
+    return {
+      action: errors.length > 0 ? 'error' : !product ? 'create' : changes.length > 0 ? 'update' : 'unchanged',
+      productId: product?.id ?? null,
+      variantId: variant ? String(variant.id) : null,
+      name: variant ? `${product.name} (${variant.name})` : product?.name || data.name || '',
+      data,
+      changes,
+      pricing: pricing.filter(evaluation => evaluation.status === 'approval_required'),
+      errors,
+      warnings
+    };
+  }
+
+  parseValues(cells, mapping, errors) {
+    const data = {};
+    Object.entries(mapping).forEach(([key, index]) => {
+      const raw = index === null || index === undefined ? '' : cells[index] ?? '';
+      if (raw === '') return;
+
+      if (NUMBER_FIELDS.includes(key)) {
+        const number = Number(raw.replace(/rs\.?|,/gi, '').trim());
+        if (isNaN(number)) {
+          errors.push(`${fieldLabel(key)} "${raw}" is not a number`);
+        } else if (key === 'price' && number <= 0) {
+          errors.push('Price must be greater than zero');
+        } else if (number < 0) {
+          errors.push(`${fieldLabel(key)} cannot be negative`);
+        } else {
+          data[key] = number;
+        }
+      } else if (key === 'id') {
+        const id = parseInt(raw);
+        if (isNaN(id)) {
+          errors.push(`Product ID "${raw}" is not a number`);
+        } else {
+          data.id = id;
+        }
+      } else if (key === 'isActive') {
+        const flag = normalizeHeader(raw);
+        if (['active', 'yes', 'true', '1'].includes(flag)) {
+          data.isActive = true;
+        } else if (['inactive', 'no', 'false', '0'].includes(flag)) {
+          data.isActive = false;
+        } else {
+          errors.push(`Status "${raw}" should be Active or Inactive`);
+        }
+      } else if (key === 'discountType') {
+        const type = normalizeHeader(raw);
+        if (type.startsWith('percent') || type === '%') {
+          data.discountType = 'Percentage';
+        } else if (type.startsWith('fixed') || type === 'amount') {
+          data.discountType = 'Fixed Amount';
+        } else {
+          errors.push(`Discount type "${raw}" should be Percentage or Fixed Amount`);
+        }
+      } else {
+        data[key] = raw;
+      }
+    });
+
+    if (data.discountType === 'Percentage' && data.discountValue > 100) {
+      errors.push('A percentage discount cannot exceed 100');
+    }
+    return data;
+  }
+
+  // Existing products are matched on Product ID, then on product or pack-size barcode
+  findMatch(data, products, errors) {
+    const findVariant = (product) => (data.barcode ? product.variants?.find(v => v.barcode === data.barcode) || null : null);
+
+    if (data.id !== undefined) {
+      const product = products.find(p => p.id === data.id);
+      if (!product) {
+        errors.push(`No product with ID ${data.id}`);
+        return null;
+      }
+      return { product, variant: findVariant(product) };
+    }
+    if (data.barcode) {
+      const product = products.find(p => findVariant(p) || p.barcode === data.barcode);
+      if (product) {
+        return { product, variant: findVariant(product) };
+      }
+    }
+    return null;
+  }
+
+  getChanges(data, product, variant, errors) {
+    const hasVariants = product.variants?.length > 0;
+    // A pack-size barcode identifies the row rather than changing the product's barcode
+    return Object.entries(data)
+      .filter(([field]) => field !== 'id' && !(field === 'barcode' && variant))
+      .map(([field, value]) => {
+        const target = VARIANT_FIELDS.includes(field) && variant ? variant : product;
+        return { field, from: target[field] ?? null, to: value };
+      })
+      .filter(change => String(change.from ?? '') !== String(change.to))
+      .filter(change => {
+        if (hasVariants && !variant && VARIANT_FIELDS.includes(change.field)) {
+          errors.push(`${product.name} has pack sizes; use the pack's barcode to change its ${fieldLabel(change.field).toLowerCase()}`);
+          return false;
+        }
+        if (change.field === 'stock' && !product.soldByWeight && !Number.isInteger(change.to)) {
+          errors.push(`Stock for ${product.name} must be a whole number`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Apply every valid row from a fresh dry run. Rows with errors are skipped and reported.
+   * Prices under the pricing policy floor need one manager approval covering the whole import.
+   * @returns {Promise<Object>} Counts and the checked rows, with any errors raised while saving
+   */
+  async commit(table, mapping, { approval = null, user = authService.getActorName() } = {}) {
+    permissionService.require('products', 'edit');
+    const { rows } = await this.preview(table, mapping);
+    const ready = rows.filter(row => ['create', 'update'].includes(row.action));
+    if (ready.length === 0) {
+      throw new Error('There are no valid rows to import');
+    }
+
+    const flagged = ready.flatMap(row => row.pricing);
+    if (flagged.length > 0) {
+      await pricingPolicyService.checkApproval(flagged, approval);
+    }
+
+    let created = 0;
+    let updated = 0;
+    for (const row of ready) {
+      const rowApproval = row.pricing.length > 0 ? approval : null;
+      try {
+        if (row.action === 'create') {
+          const { data } = await productService.createProduct(
+            { unit: 'kg', isActive: true, ...row.data, stock: row.data.stock ?? 0, createdBy: user },
+            { approval: rowApproval }
+          );
+          row.productId = data.id;
+          created++;
+        } else {
+          await this.applyChanges(row, rowApproval, user);
+          updated++;
+        }
+      } catch (error) {
+        row.errors.push(error.message);
+      }
+    }
+
+    return {
+      created,
+      updated,
+      failed: rows.filter(row => row.errors.length > 0).length,
+      rows
+    };
+  }
+
+  async applyChanges(row, approval, user) {
+    const updates = Object.fromEntries(row.changes.map(change => [change.field, change.to]));
+    const options = { approval, reason: 'Product import', user };
+    if (!row.variantId) {
+      await productService.updateProduct(row.productId, updates, options);
+      return;
+    }
+
+    const { price, stock, ...productUpdates } = updates;
+    if (Object.keys(productUpdates).length > 0) {
+      await productService.updateProduct(row.productId, productUpdates, options);
+    }
+    if (price !== undefined) {
+      await productService.bulkUpdatePrices({
+        updates: [{ productId: row.productId, variantId: row.variantId, price }],
+        reason: 'Product import',
+        user,
+        approval
+      });
+    }
+    if (stock !== undefined) {
+      await productService.updateProductStock(row.productId, stock, row.variantId, { reason: 'Product import', user });
+    }
+  }
+
+  // Rows that could not be imported, with their original cells and the reasons
+  buildErrorReport(table, rows) {
+    return [
+      ['Row', ...table.headers, 'Errors'],
+      ...rows
+        .filter(row => row.errors.length > 0)
+        .map(row => [row.rowNumber, ...table.rows[row.index], row.errors.join('; ')])
+    ].map(line => line.map(escapeCsv).join(',')).join('\n');
+  }
+}
+
+export const productImportService = new ProductImportService();
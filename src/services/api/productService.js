@@ -1,4 +1,9 @@
 import products from '@/services/mockData/products.json';
+import { inventoryService } from '@/services/api/inventoryService';
+import { priceScheduleService } from '@/services/api/priceScheduleService';
+import { pricingPolicyService } from '@/services/api/pricingPolicyService';
+import { authService } from '@/services/api/authService';
+import { permissionService } from '@/services/api/permissionService';
 
 /**
  * Product Service - Handles all product-related API operations
@@ -15,6 +20,340 @@ const API_BASE_URL = '/api/products';
  */
 const delay = (ms = 400) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Near-expiry markdown depth by days left on the nearest batch (last step applies beyond)
+const MARKDOWN_STEPS = [
+  { daysToExpiry: 0, percent: 50 },
+  { daysToExpiry: 1, percent: 30 },
+  { daysToExpiry: 2, percent: 20 },
+  { daysToExpiry: Infinity, percent: 10 }
+];
+
+/**
+ * Get quantity rules for a product. Weighed items (soldByWeight) accept
+ * decimal quantities in multiples of quantityStep, starting at minOrderQuantity.
+ * @param {Object} product - Product data
+ * @returns {{step: number, min: number, isWeighed: boolean}} Quantity rules
+ */
+export const getQuantityRules = (product) => {
+  if (!product?.soldByWeight) {
+    return { step: 1, min: 1, isWeighed: false };
+  }
+
+  const step = parseFloat(product.quantityStep) || 0.25;
+  return {
+    step,
+    min: Math.max(parseFloat(product.minOrderQuantity) || step, step),
+    isWeighed: true
+  };
+};
+
+/**
+ * Round a quantity to 3 decimal places to avoid floating point drift (e.g. 0.1 + 0.2)
+ * @param {number} quantity - Raw quantity
+ * @returns {number} Rounded quantity
+ */
+export const roundQuantity = (quantity) => Math.round((parseFloat(quantity) || 0) * 1000) / 1000;
+
+/**
+ * Validate a requested quantity against a product's step, minimum and stock
+ * @param {Object} product - Product data (stock may be fractional for weighed items)
+ * @param {number} quantity - Requested quantity
+ * @returns {string|null} Error message, or null when the quantity is valid
+ */
+export const validateQuantity = (product, quantity) => {
+  const { step, min, isWeighed } = getQuantityRules(product);
+  const unit = product?.unit || 'pieces';
+  const value = roundQuantity(quantity);
+
+  if (value < min) {
+    return `Minimum order is ${min} ${unit}`;
+  }
+
+  // Quantity must be a whole number of steps
+  const steps = value / step;
+  if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+    return isWeighed ? `Quantity must be in steps of ${step} ${unit}` : 'Quantity must be a whole number';
+  }
+
+  if (value > roundQuantity(product?.stock)) {
+    return `Only ${roundQuantity(product?.stock)} ${unit} available in stock`;
+  }
+
+  return null;
+};
+
+/**
+ * Format a quantity for display (e.g. "1.25 kg", "3")
+ * @param {number} quantity - Quantity
+ * @param {string} unit - Optional unit suffix
+ * @returns {string} Formatted quantity
+ */
+export const formatQuantity = (quantity, unit = '') => {
+  const value = roundQuantity(quantity).toString();
+  return unit ? `${value} ${unit}` : value;
+};
+
+/**
+ * Get the variant shown by default for a product (flagged isDefault, else the first one)
+ * @param {Object} product - Product with optional variants
+ * @returns {Object|null} Default variant or null when the product has no variants
+ */
+export const getDefaultVariant = (product) => {
+  if (!product?.variants?.length) {
+    return null;
+  }
+  return product.variants.find(variant => variant.isDefault) || product.variants[0];
+};
+
+/**
+ * Product-level cost and minimum price for a variant. They are per base unit (kg/liter), so a
+ * variant without its own figures gets them scaled to its pack size.
+ * @param {Object} product - Product data
+ * @param {Object|null} variant - Variant being priced, or null for the product itself
+ * @returns {{purchasePrice: number|undefined, minSellingPrice: number|undefined}}
+ */
+const getPackCosts = (product, variant) => {
+  const scale = parseFloat(variant?.weightKg) > 0 ? parseFloat(variant.weightKg) : 1;
+  const scaled = (value) => (value === undefined || value === null || value === ''
+    ? undefined
+    : Math.round((parseFloat(value) || 0) * scale * 100) / 100);
+  return {
+    purchasePrice: variant?.purchasePrice ?? scaled(product.purchasePrice),
+    minSellingPrice: variant?.minSellingPrice ?? scaled(product.minSellingPrice)
+  };
+};
+
+/**
+ * Resolve a sellable view of a product for one of its variants.
+ * Variant price, stock, unit and barcode override the product-level values; cost and minimum
+ * price are scaled to the pack size (see getPackCosts).
+ * @param {Object} product - Product with optional variants
+ * @param {string|null} variantId - Variant ID (defaults to the default variant)
+ * @returns {Object} Product data for the selected variant
+ */
+export const resolveVariant = (product, variantId = null) => {
+  if (!product?.variants?.length) {
+    return product;
+  }
+
+  const variant = variantId
+    ? product.variants.find(v => String(v.id) === String(variantId))
+    : getDefaultVariant(product);
+
+  if (!variant) {
+    throw new Error('Product variant not found');
+  }
+
+  return {
+    ...product,
+    price: variant.price,
+    previousPrice: variant.previousPrice ?? (variant.price === product.price ? product.previousPrice : null),
+    sale: variant.sale ?? null,
+    ...getPackCosts(product, variant),
+    stock: variant.stock,
+    availableStock: variant.availableStock ?? variant.stock,
+    expiredStock: variant.expiredStock ?? 0,
+    unit: variant.unit || product.unit,
+    weightKg: variant.weightKg ?? product.weightKg,
+    barcode: variant.barcode || product.barcode,
+    variantId: variant.id,
+    variantName: variant.name
+  };
+};
+
+/**
+ * Check one selling price against the pricing policy, after the product's discount.
+ * Variants without their own cost or minimum use the product's, scaled to the pack size.
+ * @param {Object} product - Product data
+ * @param {Object|null} variant - Variant being priced, or null for the product itself
+ * @param {number} price - Selling price to check (defaults to the current one)
+ * @returns {Object} Policy evaluation (see pricingPolicyService.evaluate)
+ */
+const evaluateSellablePrice = (product, variant, price = (variant || product).price) => {
+  const { purchasePrice, minSellingPrice } = getPackCosts(product, variant);
+  return pricingPolicyService.evaluate({
+    productId: product.id,
+    variantId: variant ? String(variant.id) : null,
+    name: product.name,
+    variantName: variant?.name || null,
+    price,
+    purchasePrice: purchasePrice || 0,
+    minSellingPrice: minSellingPrice || 0,
+    discountType: product.discountType,
+    discountValue: product.discountValue
+  });
+};
+
+/**
+ * Check a product's selling prices (each variant's, for variant products) against the pricing policy
+ * @param {Object} product - Product data
+ * @returns {Array} One evaluation per sellable price
+ */
+export const evaluatePricing = (product) => (product.variants?.length
+  ? product.variants.map(variant => evaluateSellablePrice(product, variant))
+  : [evaluateSellablePrice(product, null)]);
+
+/**
+ * Validate and normalize variant definitions for a product
+ * @param {Array} variants - Raw variant data
+ * @param {string|number} productId - Owning product ID (excluded from barcode checks)
+ * @returns {Array} Normalized variants
+ */
+const normalizeVariants = (variants, productId = null) => {
+  if (!Array.isArray(variants)) {
+    throw new Error('Variants must be an array');
+  }
+
+  const usedIds = new Set();
+  const usedBarcodes = new Set();
+  const otherBarcodes = new Set(
+    products
+      .filter(p => p.id !== productId)
+      .flatMap(p => [p.barcode, ...(p.variants || []).map(v => v.barcode)])
+      .filter(Boolean)
+  );
+
+  const normalized = variants.map((variant, index) => {
+    if (!variant?.name) {
+      throw new Error(`Variant ${index + 1} is missing a name`);
+    }
+
+    const price = parseFloat(variant.price);
+    if (!price || price <= 0) {
+      throw new Error(`Variant "${variant.name}" must have a valid price`);
+    }
+
+    const stock = parseInt(variant.stock) || 0;
+    if (stock < 0) {
+      throw new Error(`Variant "${variant.name}" stock cannot be negative`);
+    }
+
+    const id = String(variant.id || variant.name.toLowerCase().replace(/[^a-z0-9]+/g, '') || `v${index + 1}`);
+    if (usedIds.has(id)) {
+      throw new Error(`Duplicate variant: ${variant.name}`);
+    }
+    usedIds.add(id);
+
+    if (variant.barcode) {
+      if (usedBarcodes.has(variant.barcode) || otherBarcodes.has(variant.barcode)) {
+        throw new Error(`Barcode ${variant.barcode} is already in use`);
+      }
+      usedBarcodes.add(variant.barcode);
+    }
+
+    return {
+      ...variant,
+      id,
+      price,
+      stock,
+      isDefault: Boolean(variant.isDefault)
+    };
+  });
+
+  // Exactly one default variant
+  if (normalized.length > 0 && !normalized.some(v => v.isDefault)) {
+    normalized[0].isDefault = true;
+  }
+
+  return normalized;
+};
+
+/**
+ * Replace stored stock figures with balances from the inventory ledger.
+ * stock excludes expired batches (reported separately as expiredStock);
+ * availableStock additionally subtracts quantities held by active checkout reservations.
+ * @param {Object} product - Product data
+ * @returns {Object} Product with ledger stock on the product and each variant
+ */
+const withLedgerStock = (product) => {
+  if (!product.variants?.length) {
+    return {
+      ...product,
+      stock: inventoryService.getSellableStock(product.id),
+      availableStock: inventoryService.getAvailableStock(product.id),
+      expiredStock: inventoryService.getExpiredQuantity(product.id)
+    };
+  }
+  return {
+    ...product,
+    variants: product.variants.map(variant => ({
+      ...variant,
+      stock: inventoryService.getSellableStock(product.id, variant.id),
+      availableStock: inventoryService.getAvailableStock(product.id, variant.id),
+      expiredStock: inventoryService.getExpiredQuantity(product.id, variant.id)
+    }))
+  };
+};
+
+/**
+ * Apply scheduled price changes and start/end sales whose time has come, recording each in the price history.
+ * Scheduled changes update the stored base price; sales only overlay it (see withScheduledPrices).
+ * @returns {void}
+ */
+const applyDuePriceEvents = () => {
+  priceScheduleService.takeDueEvents().forEach(({ kind, at, schedule }) => {
+    const product = products.find(p => p.id === schedule.productId);
+    const target = schedule.variantId
+      ? product?.variants?.find(v => String(v.id) === schedule.variantId)
+      : product;
+    if (!target) return;
+
+    const history = { productId: product.id, variantId: schedule.variantId, source: kind, scheduleId: schedule.id, user: schedule.createdBy, effectiveAt: at };
+    if (kind === 'scheduled') {
+      priceScheduleService.recordChange({ ...history, previousPrice: target.price, price: schedule.price, reason: schedule.reason });
+      target.previousPrice = target.price;
+      target.price = schedule.price;
+      product.updatedAt = at;
+    } else if (kind === 'sale_start') {
+      priceScheduleService.recordChange({ ...history, previousPrice: target.price, price: schedule.price, reason: schedule.reason });
+    } else {
+      priceScheduleService.recordChange({ ...history, previousPrice: schedule.price, price: target.price });
+    }
+  });
+};
+
+/**
+ * Overlay active sale prices. The base price becomes previousPrice so storefronts show the saving.
+ * @param {Object} product - Product data
+ * @returns {Object} Product with sale prices on the product and each variant
+ */
+const withScheduledPrices = (product) => {
+  const overlay = (target, variantId) => {
+    const sale = priceScheduleService.getActiveSale(product.id, variantId);
+    return sale
+      ? { ...target, price: sale.price, previousPrice: target.price, sale: { price: sale.price, endsAt: sale.endsAt, reason: sale.reason } }
+      : target;
+  };
+  if (!product.variants?.length) {
+    return overlay(product, null);
+  }
+  return { ...product, variants: product.variants.map(variant => overlay(variant, variant.id)) };
+};
+
+/**
+ * Derive product-level price and stock from its variants
+ * @param {Object} product - Product with normalized variants
+ * @returns {Object} Product with summary fields updated
+ */
+const applyVariantSummary = (product) => {
+  applyDuePriceEvents();
+  product = withScheduledPrices(withLedgerStock(product));
+  if (!product.variants?.length) {
+    return product;
+  }
+
+  const defaultVariant = getDefaultVariant(product);
+  return {
+    ...product,
+    price: defaultVariant.price,
+    ...(defaultVariant.sale && { previousPrice: defaultVariant.previousPrice, sale: defaultVariant.sale }),
+    stock: product.variants.reduce((sum, variant) => sum + variant.stock, 0),
+    availableStock: product.variants.reduce((sum, variant) => sum + variant.availableStock, 0),
+    expiredStock: product.variants.reduce((sum, variant) => sum + variant.expiredStock, 0),
+    minVariantPrice: Math.min(...product.variants.map(v => v.price))
+  };
+};
+
 /**
  * Get all products with optional filtering
  * @param {Object} filters - Filter options
@@ -30,7 +369,7 @@ export const getAllProducts = async (filters = {}) => {
   try {
     await delay(200);
     
-    let filteredProducts = [...products];
+    let filteredProducts = products.map(applyVariantSummary);
 
     // Apply category filter
     if (filters.category && filters.category !== 'all') {
@@ -92,9 +431,10 @@ export const getAllProducts = async (filters = {}) => {
 /**
  * Get a single product by ID
  * @param {string|number} id - Product ID
+ * @param {string|null} variantId - Optional variant ID; returns that variant's price/stock/barcode
  * @returns {Promise<Object>} Product object
  */
-export const getProductById = async (id) => {
+export const getProductById = async (id, variantId = null) => {
   try {
     await delay(300);
     
@@ -104,9 +444,11 @@ export const getProductById = async (id) => {
       throw new Error('Product not found');
     }
 
+    const summary = applyVariantSummary(product);
+
     // Return direct product object for cart compatibility
     return {
-      ...product,
+      ...(variantId ? resolveVariant(summary, variantId) : summary),
       isActive: true // Ensure product is marked as active
     };
   } catch (error) {
@@ -115,6 +457,30 @@ export const getProductById = async (id) => {
   }
 };
 
+/**
+ * Find a product by barcode, including variant barcodes
+ * @param {string} barcode - Scanned barcode
+ * @returns {Promise<Object|null>} Product (resolved to the matching variant) or null
+ */
+export const getProductByBarcode = async (barcode) => {
+  try {
+    await delay(200);
+
+    for (const product of products) {
+      const variant = (product.variants || []).find(v => v.barcode === barcode);
+      if (variant) {
+        return { ...resolveVariant(applyVariantSummary(product), variant.id), isActive: true };
+      }
+    }
+
+    const product = products.find(p => p.barcode === barcode);
+    return product ? { ...applyVariantSummary(product), isActive: true } : null;
+  } catch (error) {
+    console.error('Error fetching product by barcode:', error);
+    throw new Error('Failed to fetch product by barcode');
+  }
+};
+
 /**
  * Get products by category
  * @param {string} category - Category name
@@ -125,7 +491,7 @@ export const getProductsByCategory = async (category, limit = null) => {
   try {
     await delay(400);
     
-    let categoryProducts = products.filter(product => 
+    let categoryProducts = products.map(applyVariantSummary).filter(product => 
       product.category.toLowerCase() === category.toLowerCase()
     );
 
@@ -165,7 +531,7 @@ export const searchProducts = async (query, limit = 20) => {
     }
 
     const searchTerm = query.toLowerCase().trim();
-    let results = products.filter(product =>
+    let results = products.map(applyVariantSummary).filter(product =>
       product.name.toLowerCase().includes(searchTerm) ||
       product.description.toLowerCase().includes(searchTerm) ||
       product.category.toLowerCase().includes(searchTerm)
@@ -198,6 +564,7 @@ export const getFeaturedProducts = async (limit = 8) => {
     
     // Get products with high ratings or featured flag
     const featuredProducts = products
+      .map(applyVariantSummary)
       .filter(product => product.rating >= 4.5 || product.featured)
       .slice(0, limit);
 
@@ -234,16 +601,48 @@ export const getCategories = async () => {
 };
 
 /**
- * Create a new product (Admin only)
+ * Bring ledger balances in line with the stock figures on a product form
+ * @param {number} productId - Product ID
+ * @param {Object} levels - Normalized variants, or the product-level stock when there are none
+ * @param {Object} options - Movement reason and user; adjust=false posts receipts for new products.
+ *   loadedStock is the sellable stock the form showed (a number, or { [variantId]: stock }); figures
+ *   still matching it are left alone so sales posted while the form was open are not overwritten.
+ * @returns {Promise<void>}
+ */
+const recordStockLevels = async (productId, { variants, stock }, { reason, user, adjust = false, loadedStock = null }) => {
+  const lines = variants?.length
+    ? variants.map(variant => ({ variantId: variant.id, quantity: variant.stock }))
+    : [{ variantId: null, quantity: parseFloat(stock) || 0 }];
+
+  for (const line of lines) {
+    if (adjust) {
+      const loaded = loadedStock !== null && typeof loadedStock === 'object' ? loadedStock[line.variantId] : loadedStock;
+      if (loaded !== null && loaded !== undefined && parseFloat(loaded) === parseFloat(line.quantity)) continue;
+      await inventoryService.setStock(productId, line.variantId, line.quantity, { reason, user, sellable: true });
+    } else if (line.quantity > 0) {
+      await inventoryService.recordMovement({ productId, variantId: line.variantId, type: 'receipt', quantity: line.quantity, reason, user });
+    }
+  }
+};
+
+/**
+ * Create a new product (Admin only). Prices under the pricing policy floor need a manager's approval.
  * @param {Object} productData - Product data
+ * @param {Object} options - Pricing override approval
+ * @param {Object} options.approval - Manager approval (see pricingPolicyService.authorize) for prices below the floor
  * @returns {Promise<Object>} Created product
  */
-export const createProduct = async (productData) => {
+export const createProduct = async (productData, { approval = null } = {}) => {
+  permissionService.require('products', 'edit');
   try {
     await delay(800);
     
-    // Validate required fields
-    const requiredFields = ['name', 'price', 'category', 'description'];
+    const hasVariants = Array.isArray(productData.variants) && productData.variants.length > 0;
+
+    // Validate required fields (variant products take their price from the variants)
+    const requiredFields = hasVariants
+      ? ['name', 'category', 'description']
+      : ['name', 'price', 'category', 'description'];
     const missingFields = requiredFields.filter(field => !productData[field]);
     
     if (missingFields.length > 0) {
@@ -252,26 +651,52 @@ export const createProduct = async (productData) => {
 
     // Generate new ID
     const newId = Math.max(...products.map(p => p.id)) + 1;
+    const variants = hasVariants ? normalizeVariants(productData.variants, newId) : [];
+
+    const priceOverrides = await pricingPolicyService.authorize(
+      evaluatePricing({ ...productData, id: newId, variants }),
+      approval,
+      { context: 'product_create', reference: productData.name, requestedBy: productData.createdBy || authService.getActorName() }
+    );
+
+    // Opening stock enters the ledger as a receipt; the product's stock is read back from it
+    await recordStockLevels(newId, { variants, stock: productData.stock || 0 }, {
+      reason: 'Initial stock',
+      user: productData.createdBy || authService.getActorName()
+    });
     
-    const newProduct = {
+    const record = {
       id: newId,
       ...productData,
+      variants,
       rating: productData.rating || 0,
-      stock: productData.stock || 0,
       featured: productData.featured || false,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
+    products.push(record);
+    (variants.length ? variants : [record]).forEach(target => {
+      priceScheduleService.recordChange({
+        productId: newId,
+        variantId: variants.length ? target.id : null,
+        previousPrice: null,
+        price: parseFloat(target.price),
+        source: 'opening',
+        user: productData.createdBy || authService.getActorName(),
+        effectiveAt: record.createdAt
+      });
+    });
+    const newProduct = applyVariantSummary(record);
 
-    // In a real app, this would make an API call
-    // For now, we'll just return the created product
     return {
       success: true,
       data: newProduct,
+      priceOverrides,
       message: 'Product created successfully'
     };
   } catch (error) {
     console.error('Error creating product:', error);
+    if (error.code === 'PRICE_APPROVAL_REQUIRED') throw error;
     throw new Error(error.message || 'Failed to create product');
   }
 };
@@ -280,9 +705,16 @@ export const createProduct = async (productData) => {
  * Update an existing product (Admin only)
  * @param {string|number} id - Product ID
  * @param {Object} updateData - Updated product data
+ * @param {Object} options - Stock movement details used when stock figures change
+ * @param {string} options.reason - Reason recorded on the adjustment
+ * @param {string} options.user - User recorded on the adjustment
+ * @param {Object} options.approval - Manager approval (see pricingPolicyService.authorize) for prices below the floor
+ * @param {number|Object} options.loadedStock - Stock the edit form was loaded with (a number, or { [variantId]: stock });
+ *   only figures that differ from it are posted
  * @returns {Promise<Object>} Updated product
  */
-export const updateProduct = async (id, updateData) => {
+export const updateProduct = async (id, updateData, { reason = 'Stock edited on product', user = authService.getActorName(), approval = null, loadedStock = null } = {}) => {
+  permissionService.require('products', 'edit');
   try {
     await delay(600);
     
@@ -292,20 +724,62 @@ export const updateProduct = async (id, updateData) => {
       throw new Error('Product not found');
     }
 
-    const updatedProduct = {
-      ...existingProduct,
-      ...updateData,
+    const variants = updateData.variants
+      ? normalizeVariants(updateData.variants, existingProduct.id)
+      : existingProduct.variants;
+
+    // Only prices this edit moves (or whose floor it moves) are checked, so products already
+    // under the floor can still have their stock or description edited
+    const before = new Map(evaluatePricing(existingProduct).map(evaluation => [evaluation.variantId, evaluation]));
+    const changedPrices = evaluatePricing({ ...existingProduct, ...updateData, variants, id: existingProduct.id })
+      .filter(evaluation => {
+        const previous = before.get(evaluation.variantId);
+        return !previous || previous.effectivePrice !== evaluation.effectivePrice || previous.floor !== evaluation.floor;
+      });
+    const priceOverrides = await pricingPolicyService.authorize(changedPrices, approval, {
+      context: 'product_update',
+      reference: existingProduct.name,
+      requestedBy: user
+    });
+
+    // Edited stock figures become ledger adjustments rather than overwriting the count
+    if (variants?.length ? Boolean(updateData.variants) : updateData.stock !== undefined) {
+      await recordStockLevels(existingProduct.id, { variants, stock: updateData.stock }, { reason, user, adjust: true, loadedStock });
+    }
+
+    // Stock and sale prices are worked out when products are read, so they are not stored
+    const { stock, availableStock, expiredStock, sale, minVariantPrice, ...changes } = updateData;
+    const updatedAt = new Date().toISOString();
+    const price = parseFloat(changes.price);
+    if (!variants?.length && changes.price !== undefined && price !== existingProduct.price) {
+      priceScheduleService.recordChange({
+        productId: existingProduct.id,
+        previousPrice: existingProduct.price,
+        price,
+        source: 'manual',
+        reason: 'Product edited',
+        user,
+        effectiveAt: updatedAt
+      });
+      changes.price = price;
+    }
+
+    Object.assign(existingProduct, changes, {
+      ...(updateData.variants && { variants }),
       id: existingProduct.id, // Ensure ID doesn't change
-      updatedAt: new Date().toISOString()
-    };
+      updatedAt
+    });
+    const updatedProduct = applyVariantSummary(existingProduct);
 
     return {
       success: true,
       data: updatedProduct,
+      priceOverrides,
       message: 'Product updated successfully'
     };
   } catch (error) {
     console.error('Error updating product:', error);
+    if (error.code === 'PRICE_APPROVAL_REQUIRED') throw error;
     throw new Error(error.message || 'Failed to update product');
   }
 };
@@ -316,6 +790,7 @@ export const updateProduct = async (id, updateData) => {
  * @returns {Promise<Object>} Deletion confirmation
  */
 export const deleteProduct = async (id) => {
+  permissionService.require('products', 'edit');
   try {
     await delay(500);
     
@@ -337,12 +812,17 @@ export const deleteProduct = async (id) => {
 };
 
 /**
- * Update product stock
+ * Set product stock to a counted quantity by posting a ledger adjustment
  * @param {string|number} id - Product ID
  * @param {number} newStock - New stock quantity
+ * @param {string|null} variantId - Variant to update (required for products with variants)
+ * @param {Object} options - Movement details
+ * @param {string} options.reason - Why the stock changed
+ * @param {string} options.user - Who made the change
  * @returns {Promise<Object>} Updated product
  */
-export const updateProductStock = async (id, newStock) => {
+export const updateProductStock = async (id, newStock, variantId = null, { reason = 'Stock count', user = authService.getActorName() } = {}) => {
+  permissionService.require('products', 'edit');
   try {
     await delay(400);
     
@@ -356,15 +836,19 @@ export const updateProductStock = async (id, newStock) => {
       throw new Error('Stock cannot be negative');
     }
 
-    const updatedProduct = {
-      ...product,
-      stock: newStock,
-      updatedAt: new Date().toISOString()
-    };
+    if (product.variants?.length && !variantId) {
+      throw new Error('Variant is required to update stock for this product');
+    }
+
+    if (variantId && !product.variants?.some(v => String(v.id) === String(variantId))) {
+      throw new Error('Product variant not found');
+    }
+
+    await inventoryService.setStock(product.id, variantId, newStock, { reason, user, sellable: true });
 
     return {
       success: true,
-      data: updatedProduct,
+      data: { ...applyVariantSummary(product), updatedAt: new Date().toISOString() },
       message: 'Product stock updated successfully'
     };
   } catch (error) {
@@ -373,6 +857,154 @@ export const updateProductStock = async (id, newStock) => {
   }
 };
 
+/**
+ * Get the stock movement history for a product, newest first
+ * @param {string|number} id - Product ID
+ * @param {string|null} variantId - Limit to one variant
+ * @returns {Promise<Object>} Movements plus the current stock by location and batches
+ */
+export const getStockMovements = async (id, variantId = null) => {
+  try {
+    const product = products.find(p => p.id === parseInt(id) || p.id === id);
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    const movements = await inventoryService.getMovements({ productId: product.id, variantId });
+
+    return {
+      success: true,
+      data: movements,
+      stock: inventoryService.getSellableStock(product.id, variantId),
+      stockByLocation: inventoryService.getStockByLocation(product.id, variantId),
+      batches: inventoryService.getBatches({ productId: product.id, variantId, includeDepleted: true })
+    };
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    throw new Error(error.message || 'Failed to fetch stock movements');
+  }
+};
+
+/**
+ * Record a manual stock movement (receipt, return, write-off, adjustment or transfer)
+ * @param {string|number} id - Product ID
+ * @param {Object} movement - Movement details
+ * @param {string} movement.type - Movement type, or 'transfer' to move stock between locations
+ * @param {number} movement.quantity - Quantity moved (signed for adjustments)
+ * @param {string|null} movement.variantId - Variant moved (required for products with variants)
+ * @param {string} movement.reason - Why the stock moved
+ * @param {string} movement.user - Who recorded it
+ * @returns {Promise<Object>} Posted movements and the updated product
+ */
+export const recordStockMovement = async (id, movement) => {
+  permissionService.require('products', 'edit');
+  try {
+    const product = products.find(p => p.id === parseInt(id) || p.id === id);
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    if (product.variants?.length && !movement.variantId) {
+      throw new Error('Select a variant for this movement');
+    }
+
+    const posted = movement.type === 'transfer'
+      ? await inventoryService.transfer({ ...movement, productId: product.id })
+      : [await inventoryService.recordMovement({ ...movement, productId: product.id, productName: product.name })];
+
+    return {
+      success: true,
+      data: posted,
+      product: applyVariantSummary(product),
+      message: 'Stock movement recorded'
+    };
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    throw new Error(error.message || 'Failed to record stock movement');
+  }
+};
+
+/**
+ * Receive purchased stock into the main warehouse and roll its cost into purchasePrice.
+ * The new purchasePrice is the weighted average of the stock already on hand (at the old price)
+ * and the received quantity (at the unit cost paid).
+ * @param {string|number} id - Product ID
+ * @param {Object} receipt - Receipt details
+ * @param {string|null} receipt.variantId - Variant received (required for products with variants)
+ * @param {number} receipt.quantity - Quantity received
+ * @param {number} receipt.unitCost - Purchase price paid per unit
+ * @param {Object} receipt.reference - Source document, e.g. { type: 'purchase_order', id }
+ * @param {string} receipt.lotNumber - Supplier lot number (optional)
+ * @param {string} receipt.expiryDate - Expiry date of the lot, YYYY-MM-DD (optional)
+ * @param {string} receipt.reason - Reason recorded on the receipt
+ * @param {string} receipt.user - Who received the stock
+ * @returns {Promise<Object>} Posted movement and the updated purchase price
+ */
+export const receivePurchase = async (id, { variantId = null, quantity, unitCost, reference = null, lotNumber = null, expiryDate = null, reason = 'Purchase receipt', user = authService.getActorName() }) => {
+  // Receipts come in through purchase orders, so they follow the purchase order permission
+  permissionService.require('purchase_orders', 'receive');
+  try {
+    const product = products.find(p => p.id === parseInt(id) || p.id === id);
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    const variant = variantId ? product.variants?.find(v => String(v.id) === String(variantId)) : null;
+    if (product.variants?.length && !variant) {
+      throw new Error(`Select a variant to receive ${product.name}`);
+    }
+
+    const cost = parseFloat(unitCost);
+    if (isNaN(cost) || cost < 0) {
+      throw new Error('Unit cost must be zero or more');
+    }
+
+    // Cost applies to everything on hand, including stock moved out to stores
+    const onHand = Math.max(0, inventoryService.getStock(product.id, variant ? variant.id : null));
+    const previousPrice = (variant ? variant.purchasePrice : null) ?? product.purchasePrice ?? cost;
+
+    const movement = await inventoryService.recordMovement({
+      productId: product.id,
+      productName: product.name,
+      variantId: variant ? variant.id : null,
+      type: 'receipt',
+      quantity,
+      reason,
+      user,
+      reference,
+      lotNumber,
+      expiryDate
+    });
+
+    const received = movement.quantity;
+    const purchasePrice = Math.round(((onHand * previousPrice + received * cost) / (onHand + received)) * 100) / 100;
+    const updatedAt = new Date().toISOString();
+
+    // Costs are kept on the product record so later reads and receipts build on them
+    if (variant) {
+      variant.purchasePrice = purchasePrice;
+    } else {
+      product.purchasePrice = purchasePrice;
+    }
+    product.updatedAt = updatedAt;
+
+    return {
+      success: true,
+      data: movement,
+      previousPrice,
+      purchasePrice,
+      product: applyVariantSummary(product),
+      message: 'Purchase received'
+    };
+  } catch (error) {
+    console.error('Error receiving purchase:', error);
+    throw new Error(error.message || 'Failed to receive purchase');
+  }
+};
+
 /**
  * Get low stock products
  * @param {number} threshold - Stock threshold (default: 10)
@@ -382,7 +1014,7 @@ export const getLowStockProducts = async (threshold = 10) => {
   try {
     await delay(300);
     
-    const lowStockProducts = products.filter(product => product.stock <= threshold);
+    const lowStockProducts = products.map(applyVariantSummary).filter(product => product.stock <= threshold);
 
     return {
       success: true,
@@ -404,13 +1036,14 @@ export const getProductStats = async () => {
   try {
     await delay(400);
     
+    const stockedProducts = products.map(applyVariantSummary);
     const stats = {
       totalProducts: products.length,
       totalCategories: new Set(products.map(p => p.category)).size,
       averagePrice: products.reduce((sum, p) => sum + p.price, 0) / products.length,
       averageRating: products.reduce((sum, p) => sum + p.rating, 0) / products.length,
-      totalStock: products.reduce((sum, p) => sum + p.stock, 0),
-      lowStockCount: products.filter(p => p.stock <= 10).length,
+      totalStock: stockedProducts.reduce((sum, p) => sum + p.stock, 0),
+      lowStockCount: stockedProducts.filter(p => p.stock <= 10).length,
       featuredCount: products.filter(p => p.featured).length
     };
 
@@ -425,30 +1058,232 @@ export const getProductStats = async () => {
 };
 
 /**
- * Bulk update product prices
+ * Bulk update product prices. Immediate changes keep the old price as previousPrice so storefronts
+ * show the change; a future effectiveAt schedules the change instead, and an endsAt makes it a
+ * time-boxed sale that reverts on its own. Every applied change is added to the price history.
  * @param {Object} updateData - Bulk update configuration
+ * @param {Array} updateData.updates - Price changes: { productId, variantId, price }
+ * @param {string} updateData.effectiveAt - When the new prices take effect (default now)
+ * @param {string} updateData.endsAt - End of a sale; omit for a permanent change
+ * @param {string} updateData.reason - Why prices changed (e.g. 'Near-expiry markdown')
+ * @param {string} updateData.user - Who made the change
+ * @param {Object} updateData.approval - Manager approval (see pricingPolicyService.authorize) for prices below the floor
  * @returns {Promise<Object>} Update results
  */
 export const bulkUpdatePrices = async (updateData) => {
+  permissionService.require('products', 'edit');
   try {
     await delay(1000);
     
-    if (!updateData) {
+    if (!updateData || !Array.isArray(updateData.updates) || updateData.updates.length === 0) {
       throw new Error('Update data is required');
     }
 
-    // Simulate bulk price update operation
+    const { effectiveAt = null, endsAt = null, reason = null, user = authService.getActorName(), approval = null } = updateData;
+    const scheduleType = endsAt ? 'sale' : effectiveAt && new Date(effectiveAt) > new Date() ? 'change' : null;
+
+    // Resolve and validate every change before applying any
+    const changes = updateData.updates.map(update => {
+      const product = products.find(p => p.id === parseInt(update.productId) || p.id === update.productId);
+      if (!product) {
+        throw new Error(`Product ${update.productId} not found`);
+      }
+      const variant = update.variantId ? product.variants?.find(v => String(v.id) === String(update.variantId)) : null;
+      if (update.variantId && !variant) {
+        throw new Error(`Variant ${update.variantId} not found for ${product.name}`);
+      }
+      if (product.variants?.length && !variant) {
+        throw new Error(`Select a variant to reprice ${product.name}`);
+      }
+      const price = Math.round(parseFloat(update.price) * 100) / 100;
+      if (!price || price <= 0) {
+        throw new Error(`Enter a valid price for ${product.name}`);
+      }
+      if (scheduleType) {
+        priceScheduleService.validateSchedule({ productId: product.id, variantId: variant?.id, type: scheduleType, price, startsAt: effectiveAt, endsAt });
+      }
+      return { product, variant, target: variant || product, price };
+    });
+
+    const priceOverrides = await pricingPolicyService.authorize(
+      changes
+        .filter(({ target, price }) => scheduleType || target.price !== price)
+        .map(({ product, variant, price }) => evaluateSellablePrice(product, variant, price)),
+      approval,
+      { context: scheduleType ? 'scheduled_price' : 'price_update', reference: reason, requestedBy: user }
+    );
+
+    if (scheduleType) {
+      const scheduled = [];
+      for (const { product, variant, price } of changes) {
+        scheduled.push(await priceScheduleService.schedule({
+          productId: product.id,
+          variantId: variant?.id,
+          type: scheduleType,
+          price,
+          startsAt: effectiveAt,
+          endsAt,
+          reason,
+          createdBy: user
+        }));
+      }
+      return {
+        success: true,
+        data: [],
+        scheduled,
+        priceOverrides,
+        message: scheduleType === 'sale' ? 'Sale prices scheduled' : 'Price changes scheduled',
+        updatedCount: 0
+      };
+    }
+
+    const updatedAt = new Date().toISOString();
+    const updated = changes.filter(({ target, price }) => target.price !== price).map(({ product, variant, target, price }) => {
+      priceScheduleService.recordChange({
+        productId: product.id,
+        variantId: variant?.id,
+        previousPrice: target.price,
+        price,
+        source: 'manual',
+        reason,
+        user,
+        effectiveAt: updatedAt
+      });
+      target.previousPrice = target.price;
+      target.price = price;
+      product.updatedAt = updatedAt;
+      return {
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        name: product.name,
+        previousPrice: target.previousPrice,
+        price
+      };
+    });
+
     return {
       success: true,
+      data: updated,
+      scheduled: [],
+      priceOverrides,
+      reason,
       message: 'Bulk price update completed successfully',
-      updatedCount: 0
+      updatedCount: updated.length
     };
   } catch (error) {
     console.error('Error in bulk price update:', error);
+    if (error.code === 'PRICE_APPROVAL_REQUIRED') throw error;
     throw new Error(error.message || 'Failed to update prices');
   }
 };
 
+/**
+ * Get the price history and upcoming price schedule for a product
+ * @param {string|number} id - Product ID
+ * @param {string|null} variantId - Variant (defaults to the default variant for variant products)
+ * @returns {Promise<Object>} History (newest first), open schedules and the sale running now
+ */
+export const getPriceHistory = async (id, variantId = null) => {
+  try {
+    await delay(200);
+    const product = products.find(p => p.id === parseInt(id) || p.id === id);
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    applyDuePriceEvents();
+    const targetVariantId = variantId || getDefaultVariant(product)?.id || null;
+    return {
+      success: true,
+      data: priceScheduleService.getHistory(product.id, targetVariantId),
+      schedules: priceScheduleService.getSchedules(product.id, targetVariantId),
+      activeSale: priceScheduleService.getActiveSale(product.id, targetVariantId)
+    };
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    throw new Error(error.message || 'Failed to fetch price history');
+  }
+};
+
+/**
+ * Cancel an upcoming price change or end a running sale early
+ * @param {number} scheduleId - Price schedule ID
+ * @param {Object} options - Who cancelled it
+ * @returns {Promise<Object>} Cancelled schedule
+ */
+export const cancelPriceSchedule = async (scheduleId, { user = authService.getActorName() } = {}) => {
+  try {
+    const schedule = await priceScheduleService.cancel(scheduleId, { user });
+    applyDuePriceEvents();
+    return {
+      success: true,
+      data: schedule,
+      message: schedule.status === 'ending' ? 'Sale ended' : 'Price change cancelled'
+    };
+  } catch (error) {
+    console.error('Error cancelling price schedule:', error);
+    throw new Error(error.message || 'Failed to cancel price schedule');
+  }
+};
+
+/**
+ * Suggest markdowns for stock close to expiry. The closer the nearest batch is to its
+ * expiry date, the deeper the discount; prices never drop below minSellingPrice.
+ * @param {Object} options - Report options
+ * @param {number} options.nearExpiryDays - How many days ahead counts as near expiry
+ * @returns {Promise<Object>} Suggestions ready to pass to bulkUpdatePrices, plus expired batches
+ */
+export const getMarkdownSuggestions = async ({ nearExpiryDays = 3 } = {}) => {
+  try {
+    const report = await inventoryService.getExpiryReport({ nearExpiryDays });
+    const suggestions = {};
+
+    report.nearExpiry.forEach(batch => {
+      const key = `${batch.productId}:${batch.variantId || ''}`;
+      if (!suggestions[key]) {
+        const product = products.find(p => p.id === batch.productId);
+        if (!product) return;
+        const sellable = resolveVariant(product, batch.variantId);
+        suggestions[key] = {
+          productId: product.id,
+          variantId: batch.variantId,
+          name: product.name,
+          variantName: sellable.variantName || null,
+          unit: sellable.unit,
+          price: sellable.price,
+          minSellingPrice: sellable.minSellingPrice ?? null,
+          daysToExpiry: batch.daysToExpiry,
+          nearExpiryQuantity: 0,
+          batches: []
+        };
+      }
+      const suggestion = suggestions[key];
+      suggestion.daysToExpiry = Math.min(suggestion.daysToExpiry, batch.daysToExpiry);
+      suggestion.nearExpiryQuantity = roundQuantity(suggestion.nearExpiryQuantity + batch.remaining);
+      suggestion.batches.push({ lotNumber: batch.lotNumber, expiryDate: batch.expiryDate, remaining: batch.remaining });
+    });
+
+    const data = Object.values(suggestions).map(suggestion => {
+      const { percent: markdownPercent } = MARKDOWN_STEPS.find(step => suggestion.daysToExpiry <= step.daysToExpiry);
+      const suggestedPrice = Math.max(
+        Math.round(suggestion.price * (1 - markdownPercent / 100)),
+        suggestion.minSellingPrice ?? 0
+      );
+      return { ...suggestion, markdownPercent, suggestedPrice };
+    }).filter(suggestion => suggestion.suggestedPrice < suggestion.price);
+
+    return {
+      success: true,
+      data: data.sort((a, b) => a.daysToExpiry - b.daysToExpiry),
+      expired: report.expired.map(batch => ({ ...batch, name: products.find(p => p.id === batch.productId)?.name }))
+    };
+  } catch (error) {
+    console.error('Error building markdown suggestions:', error);
+    throw new Error(error.message || 'Failed to build markdown suggestions');
+  }
+};
+
 /**
  * Validate image file
  * @param {File} file - Image file to validate
@@ -550,24 +1385,43 @@ export const generateAIImage = async (prompt, options = {}) => {
   }
 };
 
-// Default export for backward compatibility
-export default {
+// Service object, exported by name (like the other services) and as default for backward compatibility
+export const productService = {
   getAll: getAllProducts,
   getAllProducts,
+  getById: getProductById,
   getProductById,
+  getByBarcode: getProductByBarcode,
+  getProductByBarcode,
+  getDefaultVariant,
+  resolveVariant,
+  evaluatePricing,
+  getQuantityRules,
+  roundQuantity,
+  validateQuantity,
+  formatQuantity,
   getProductsByCategory,
   searchProducts,
   getFeaturedProducts,
   getCategories,
   createProduct,
+  update: updateProduct,
   updateProduct,
   deleteProduct,
   updateProductStock,
+  getStockMovements,
+  recordStockMovement,
+  receivePurchase,
   getLowStockProducts,
   getProductStats,
   bulkUpdatePrices,
+  getPriceHistory,
+  cancelPriceSchedule,
+  getMarkdownSuggestions,
   validateImage,
   processImage,
   searchImages,
   generateAIImage
-};
\ No newline at end of file
+};
+
+export default productService;
\ No newline at end of file
@@ -0,0 +1,308 @@
+import promotionsData from '../mockData/promotions.json';
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y', 'category', 'free_delivery'];
+
+class PromotionService {
+  constructor() {
+    this.promotions = [...promotionsData];
+    this.usages = [];
+  }
+
+  async getAll() {
+    await this.delay();
+    return [...this.promotions];
+  }
+
+  async getById(id) {
+    await this.delay();
+    const promotion = this.promotions.find(p => p.id === parseInt(id));
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+    return { ...promotion };
+  }
+
+  async create(promotionData) {
+    await this.delay();
+    this.validatePromotion(promotionData);
+
+    const newPromotion = {
+      id: this.getNextId(),
+      channels: ['online', 'pos'],
+      autoApply: !promotionData.code,
+      usageLimit: null,
+      perCustomerLimit: null,
+      isActive: true,
+      ...promotionData,
+      code: promotionData.code ? promotionData.code.trim().toUpperCase() : null,
+      createdAt: new Date().toISOString()
+    };
+    this.promotions.push(newPromotion);
+    return { ...newPromotion };
+  }
+
+  async update(id, promotionData) {
+    await this.delay();
+    const index = this.promotions.findIndex(p => p.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Promotion not found');
+    }
+    const updated = { ...this.promotions[index], ...promotionData, id: this.promotions[index].id };
+    this.validatePromotion(updated);
+    this.promotions[index] = updated;
+    return { ...updated };
+  }
+
+  async delete(id) {
+    await this.delay();
+    const index = this.promotions.findIndex(p => p.id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Promotion not found');
+    }
+    this.promotions.splice(index, 1);
+    return true;
+  }
+
+  async getActivePromotions(channel = 'online') {
+    await this.delay();
+    return this.promotions.filter(p => this.isPromotionActive(p, new Date(), channel));
+  }
+
+  async validateCoupon(code, context = {}) {
+    await this.delay();
+    const result = this.calculateDiscounts(context.items || [], { ...context, couponCode: code });
+    if (result.couponError) {
+      return { valid: false, error: result.couponError };
+    }
+    return { valid: true, discount: result.discounts.find(d => d.code === result.couponCode) };
+  }
+
+  validatePromotion(promotion) {
+    if (!promotion.name) {
+      throw new Error('Promotion name is required');
+    }
+    if (!PROMOTION_TYPES.includes(promotion.type)) {
+      throw new Error(`Invalid promotion type: ${promotion.type}`);
+    }
+    if (['percentage', 'fixed', 'category'].includes(promotion.type) && !(parseFloat(promotion.value) > 0)) {
+      throw new Error('Promotion value must be greater than zero');
+    }
+    if (promotion.type === 'percentage' && promotion.value > 100) {
+      throw new Error('Percentage discount cannot exceed 100%');
+    }
+    if (promotion.type === 'category' && !promotion.category) {
+      throw new Error('Category is required for category discounts');
+    }
+    if (promotion.type === 'buy_x_get_y' && (!(promotion.buyQuantity > 0) || !(promotion.getQuantity > 0))) {
+      throw new Error('Buy and get quantities are required for buy-X-get-Y promotions');
+    }
+    if (promotion.code) {
+      const code = promotion.code.trim().toUpperCase();
+      const duplicate = this.promotions.find(p => p.code === code && p.id !== promotion.id);
+      if (duplicate) {
+        throw new Error(`Coupon code ${code} already exists`);
+      }
+    }
+    if (promotion.startsAt && promotion.endsAt && new Date(promotion.endsAt) <= new Date(promotion.startsAt)) {
+      throw new Error('Promotion end date must be after its start date');
+    }
+  }
+
+  // Promotion Evaluation
+  // Shared by Cart, Checkout, POS and orderService.create so every channel computes the same discounts.
+  // Automatic promotions stack; at most one coupon code applies on top of them.
+  calculateDiscounts(items, { couponCode = null, customerId = null, channel = 'online', date = new Date() } = {}) {
+    const lineItems = Array.isArray(items) ? items : [];
+    const subtotal = this.getSubtotal(lineItems);
+    const discounts = [];
+    let couponError = null;
+    const normalizedCode = couponCode ? couponCode.trim().toUpperCase() : null;
+
+    const context = { subtotal, customerId, channel, date };
+
+    const automatic = this.promotions.filter(p =>
+      p.autoApply && !p.code && !this.getIneligibilityReason(p, context)
+    );
+    for (const promotion of automatic) {
+      const discount = this.calculatePromotionDiscount(promotion, lineItems, subtotal);
+      if (discount.amount > 0 || discount.freeDelivery) {
+        discounts.push(discount);
+      }
+    }
+
+    if (normalizedCode) {
+      const coupon = this.promotions.find(p => p.code === normalizedCode);
+      couponError = coupon ? this.getIneligibilityReason(coupon, context) : 'Invalid coupon code';
+
+      if (!couponError) {
+        const discount = this.calculatePromotionDiscount(coupon, lineItems, subtotal);
+        if (discount.amount > 0 || discount.freeDelivery) {
+          discounts.push(discount);
+        } else {
+          couponError = 'Coupon does not apply to the items in your cart';
+        }
+      }
+    }
+
+    // Never discount below zero
+    let remaining = subtotal;
+    for (const discount of discounts) {
+      discount.amount = this.roundAmount(Math.min(discount.amount, remaining));
+      remaining -= discount.amount;
+    }
+
+    const discountTotal = this.roundAmount(discounts.reduce((sum, d) => sum + d.amount, 0));
+
+    return {
+      subtotal,
+      discounts,
+      discountTotal,
+      freeDelivery: discounts.some(d => d.freeDelivery),
+      total: this.roundAmount(subtotal - discountTotal),
+      couponCode: couponError ? null : normalizedCode,
+      couponError
+    };
+  }
+
+  calculatePromotionDiscount(promotion, items, subtotal) {
+    const base = {
+      promotionId: promotion.id,
+      code: promotion.code || null,
+      name: promotion.name,
+      type: promotion.type,
+      amount: 0,
+      freeDelivery: false
+    };
+
+    switch (promotion.type) {
+      case 'percentage': {
+        const amount = subtotal * (promotion.value / 100);
+        return { ...base, amount: promotion.maxDiscount ? Math.min(amount, promotion.maxDiscount) : amount };
+      }
+      case 'fixed':
+        return { ...base, amount: Math.min(promotion.value, subtotal) };
+      case 'category': {
+        const categoryTotal = this.getSubtotal(
+          items.filter(item => item.category?.toLowerCase() === promotion.category.toLowerCase())
+        );
+        const amount = promotion.discountType === 'fixed'
+          ? Math.min(promotion.value, categoryTotal)
+          : categoryTotal * (promotion.value / 100);
+        return { ...base, amount };
+      }
+      case 'buy_x_get_y': {
+        // Only whole units qualify, so weighed items are skipped
+        const amount = items
+          .filter(item => !item.soldByWeight && this.matchesProducts(promotion, item))
+          .reduce((sum, item) => {
+            const groupSize = promotion.buyQuantity + promotion.getQuantity;
+            const freeUnits = Math.floor((parseFloat(item.quantity) || 0) / groupSize) * promotion.getQuantity;
+            return sum + freeUnits * (parseFloat(item.price) || 0);
+          }, 0);
+        return { ...base, amount };
+      }
+      case 'free_delivery':
+        return { ...base, freeDelivery: true };
+      default:
+        return base;
+    }
+  }
+
+  getIneligibilityReason(promotion, { subtotal, customerId, channel, date }) {
+    if (!promotion.isActive) {
+      return 'This promotion is no longer active';
+    }
+    if (promotion.startsAt && date < new Date(promotion.startsAt)) {
+      return 'This promotion has not started yet';
+    }
+    if (promotion.endsAt && date > new Date(promotion.endsAt)) {
+      return 'This promotion has expired';
+    }
+    if (promotion.channels && !promotion.channels.includes(channel)) {
+      return `This promotion is not available for ${channel === 'pos' ? 'in-store' : 'online'} purchases`;
+    }
+    if (promotion.minOrderAmount && subtotal < promotion.minOrderAmount) {
+      return `Minimum order of Rs. ${promotion.minOrderAmount.toLocaleString()} required`;
+    }
+    if (promotion.usageLimit && this.getUsageCount(promotion.id) >= promotion.usageLimit) {
+      return 'This promotion has reached its usage limit';
+    }
+    if (promotion.perCustomerLimit) {
+      if (!customerId) {
+        return 'Please identify the customer to use this promotion';
+      }
+      if (this.getUsageCount(promotion.id, customerId) >= promotion.perCustomerLimit) {
+        return 'You have already used this promotion';
+      }
+    }
+    return null;
+  }
+
+  isPromotionActive(promotion, date = new Date(), channel = 'online') {
+    return promotion.isActive &&
+      (!promotion.startsAt || date >= new Date(promotion.startsAt)) &&
+      (!promotion.endsAt || date <= new Date(promotion.endsAt)) &&
+      (!promotion.channels || promotion.channels.includes(channel));
+  }
+
+  matchesProducts(promotion, item) {
+    const productId = item.productId ?? item.id;
+    if (promotion.productIds?.length) {
+      return promotion.productIds.includes(productId);
+    }
+    if (promotion.category) {
+      return item.category?.toLowerCase() === promotion.category.toLowerCase();
+    }
+    return true;
+  }
+
+  // Usage Tracking
+  async recordUsage(discounts, { customerId = null, orderId = null, transactionId = null, channel = 'online' } = {}) {
+    await this.delay(100);
+    const usedAt = new Date().toISOString();
+    const entries = (discounts || []).map(discount => ({
+      promotionId: discount.promotionId,
+      code: discount.code,
+      customerId,
+      orderId,
+      transactionId,
+      channel,
+      amount: discount.amount,
+      usedAt
+    }));
+    this.usages.push(...entries);
+    return entries;
+  }
+
+  getUsageCount(promotionId, customerId = null) {
+    return this.usages.filter(u =>
+      u.promotionId === promotionId && (customerId === null || u.customerId === customerId)
+    ).length;
+  }
+
+  async getUsageHistory(promotionId) {
+    await this.delay();
+    return this.usages.filter(u => u.promotionId === parseInt(promotionId));
+  }
+
+  getSubtotal(items) {
+    return this.roundAmount(items.reduce((sum, item) =>
+      sum + (parseFloat(item.price) || 0) * (parseFloat(item.quantity) || 0), 0));
+  }
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  getNextId() {
+    const maxId = this.promotions.reduce((max, promotion) =>
+      promotion.id > max ? promotion.id : max, 0);
+    return maxId + 1;
+  }
+
+  delay(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const promotionService = new PromotionService();
@@ -0,0 +1,339 @@
+import { financialService } from '@/services/api/financialService';
+import { paymentService } from '@/services/api/paymentService';
+import productService from '@/services/api/productService';
+import { authService } from '@/services/api/authService';
+import { permissionService } from '@/services/api/permissionService';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+const roundQuantity = (quantity) => Math.round((parseFloat(quantity) || 0) * 1000) / 1000;
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class PurchaseOrderService {
+  constructor() {
+    this.purchaseOrders = [];
+  }
+
+  getStatuses() {
+    return Object.entries(STATUS_LABELS).map(([status, label]) => ({ status, label }));
+  }
+
+  async getAll({ status = null, vendorId = null } = {}) {
+    await this.delay();
+    return this.purchaseOrders
+      .filter(po => !status || po.status === status)
+      .filter(po => !vendorId || po.vendorId === parseInt(vendorId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(po => this.summarize(po));
+  }
+
+  // Quantity still due in on open POs (drafts included, so suggestions are not raised twice)
+  getOnOrderQuantity(productId, variantId = null) {
+    return roundQuantity(
+      this.purchaseOrders
+        .filter(po => ['draft', 'ordered', 'partially_received'].includes(po.status))
+        .flatMap(po => po.lines)
+        .filter(line => line.productId === parseInt(productId) && (variantId === null || line.variantId === String(variantId)))
+        .reduce((sum, line) => sum + line.quantity - line.receivedQuantity, 0)
+    );
+  }
+
+  async getById(id) {
+    await this.delay();
+    return this.summarize(this.find(id));
+  }
+
+  // Draft POs can be edited freely; pass status 'ordered' to place the order straight away
+  async create({ vendorId, lines, expectedDate = null, notes = '', status = 'draft', createdBy = authService.getActorName() }) {
+    permissionService.require('purchase_orders', 'create');
+    await this.delay();
+    if (!['draft', 'ordered'].includes(status)) {
+      throw new Error('A purchase order starts as a draft or ordered');
+    }
+
+    const vendor = await financialService.getVendorById(vendorId);
+    const po = {
+      id: this.getNextId(),
+      poNumber: null,
+      vendorId: vendor.Id,
+      vendorName: vendor.name,
+      status,
+      lines: await this.normalizeLines(lines),
+      expectedDate,
+      notes: notes?.trim() || '',
+      receipts: [],
+      bills: [],
+      createdBy,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      orderedAt: status === 'ordered' ? new Date().toISOString() : null
+    };
+    po.poNumber = `PO-${String(po.id).padStart(5, '0')}`;
+
+    this.purchaseOrders.push(po);
+    return this.summarize(po);
+  }
+
+  async update(id, { vendorId, lines, expectedDate, notes }) {
+    permissionService.require('purchase_orders', 'create');
+    await this.delay();
+    const po = this.find(id);
+    if (po.status !== 'draft') {
+      throw new Error('Only draft purchase orders can be edited');
+    }
+
+    if (vendorId !== undefined && parseInt(vendorId) !== po.vendorId) {
+      const vendor = await financialService.getVendorById(vendorId);
+      po.vendorId = vendor.Id;
+      po.vendorName = vendor.name;
+    }
+    if (lines !== undefined) po.lines = await this.normalizeLines(lines);
+    if (expectedDate !== undefined) po.expectedDate = expectedDate;
+    if (notes !== undefined) po.notes = notes?.trim() || '';
+    po.updatedAt = new Date().toISOString();
+    return this.summarize(po);
+  }
+
+  async placeOrder(id) {
+    permissionService.require('purchase_orders', 'create');
+    await this.delay();
+    const po = this.find(id);
+    if (po.status !== 'draft') {
+      throw new Error('This purchase order has already been placed');
+    }
+    po.status = 'ordered';
+    po.orderedAt = new Date().toISOString();
+    po.updatedAt = po.orderedAt;
+    return this.summarize(po);
+  }
+
+  async cancel(id, reason) {
+    permissionService.require('purchase_orders', 'create');
+    await this.delay();
+    const po = this.find(id);
+    if (!['draft', 'ordered'].includes(po.status)) {
+      throw new Error('Purchase orders that have started receiving cannot be cancelled');
+    }
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to cancel a purchase order');
+    }
+    po.status = 'cancelled';
+    po.cancelReason = reason.trim();
+    po.updatedAt = new Date().toISOString();
+    return this.summarize(po);
+  }
+
+  // Receives some or all of the outstanding lines. Each line posts a ledger receipt (opening a
+  // batch when it has a lot number or expiry date) and folds its cost into the weighted-average purchasePrice.
+  async receive(id, receivedLines, { receivedBy = authService.getActorName(), notes = '' } = {}) {
+    permissionService.require('purchase_orders', 'receive');
+    await this.delay();
+    const po = this.find(id);
+    if (!['ordered', 'partially_received'].includes(po.status)) {
+      throw new Error(po.status === 'draft'
+        ? 'Place the purchase order before receiving it'
+        : `Cannot receive a ${STATUS_LABELS[po.status].toLowerCase()} purchase order`);
+    }
+
+    const receiving = receivedLines
+      .map(entry => ({
+        line: po.lines.find(l => l.id === entry.lineId),
+        quantity: roundQuantity(entry.quantity),
+        lotNumber: entry.lotNumber?.trim() || null,
+        expiryDate: entry.expiryDate || null
+      }))
+      .filter(entry => entry.quantity !== 0);
+    if (receiving.length === 0) {
+      throw new Error('Enter a quantity for at least one line');
+    }
+
+    // Check every line before posting any stock
+    receiving.forEach(({ line, quantity }) => {
+      if (!line) {
+        throw new Error('Purchase order line not found');
+      }
+      const outstanding = roundQuantity(line.quantity - line.receivedQuantity);
+      if (quantity < 0 || quantity > outstanding) {
+        throw new Error(`${this.lineLabel(line)}: receive between 0 and ${outstanding}`);
+      }
+    });
+
+    const receiptId = po.receipts.length + 1;
+    const receiptLines = [];
+    for (const { line, quantity, lotNumber, expiryDate } of receiving) {
+      const result = await productService.receivePurchase(line.productId, {
+        variantId: line.variantId,
+        quantity,
+        unitCost: line.purchasePrice,
+        lotNumber,
+        expiryDate,
+        reference: { type: 'purchase_order', id: po.poNumber },
+        reason: `Received on ${po.poNumber}`,
+        user: receivedBy
+      });
+      line.receivedQuantity = roundQuantity(line.receivedQuantity + quantity);
+      receiptLines.push({
+        lineId: line.id,
+        quantity,
+        unitCost: line.purchasePrice,
+        lotNumber,
+        expiryDate,
+        previousPurchasePrice: result.previousPrice,
+        newPurchasePrice: result.purchasePrice
+      });
+    }
+
+    const receivedAt = new Date().toISOString();
+    po.receipts.push({ id: receiptId, receivedAt, receivedBy, notes: notes?.trim() || '', lines: receiptLines });
+    po.status = po.lines.every(l => l.receivedQuantity >= l.quantity) ? 'received' : 'partially_received';
+    po.updatedAt = receivedAt;
+    return this.summarize(po);
+  }
+
+  // Bills whatever has been received but not yet billed, so a PO received in two
+  // deliveries can also be billed in two parts
+  async createBill(id, { billNumber = null, dueDate = null, taxAmount = 0 } = {}) {
+    permissionService.require('purchase_orders', 'receive', 'You do not have permission to bill purchase orders');
+    await this.delay();
+    const po = this.find(id);
+    const billable = po.lines
+      .map(line => ({ line, quantity: roundQuantity(line.receivedQuantity - line.billedQuantity) }))
+      .filter(entry => entry.quantity > 0);
+    if (billable.length === 0) {
+      throw new Error('Nothing has been received since the last bill');
+    }
+
+    const amount = roundAmount(billable.reduce((sum, { line, quantity }) => sum + quantity * line.purchasePrice, 0));
+    const billingVendor = await this.getBillingVendor(po.vendorId);
+    const bill = await paymentService.createVendorBill({
+      vendorId: billingVendor.Id,
+      amount,
+      taxAmount: parseFloat(taxAmount) || 0,
+      description: `${po.poNumber}: ${billable.map(({ line, quantity }) => `${this.lineLabel(line)} x ${quantity}`).join(', ')}`,
+      billNumber: billNumber?.trim() || `${po.poNumber}-${po.bills.length + 1}`,
+      dueDate,
+      category: 'inventory'
+    }, { permission: 'purchase_orders:receive' });
+
+    billable.forEach(({ line, quantity }) => {
+      line.billedQuantity = roundQuantity(line.billedQuantity + quantity);
+    });
+    po.bills.push({
+      billId: bill.Id,
+      billNumber: bill.billNumber,
+      totalAmount: bill.totalAmount,
+      dueDate: bill.dueDate,
+      status: bill.status,
+      createdAt: bill.createdAt
+    });
+    po.updatedAt = bill.createdAt;
+    return { purchaseOrder: this.summarize(po), bill };
+  }
+
+  // Vendor bills live in paymentService, which keeps its own vendor list; register the
+  // purchasing vendor there (matched on email) the first time it is billed
+  async getBillingVendor(vendorId) {
+    const vendor = await financialService.getVendorById(vendorId);
+    const billingVendors = await paymentService.getAllVendors();
+    const existing = billingVendors.find(v => v.email?.toLowerCase() === vendor.email?.toLowerCase());
+    if (existing) return existing;
+
+    return await paymentService.createVendor({
+      name: vendor.name,
+      email: vendor.email,
+      phone: vendor.phone,
+      address: vendor.address,
+      paymentTerms: typeof vendor.paymentTerms === 'number' ? `Net ${vendor.paymentTerms}` : vendor.paymentTerms
+    });
+  }
+
+  async normalizeLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('Add at least one product to the purchase order');
+    }
+
+    const normalized = [];
+    for (const [index, line] of lines.entries()) {
+      const product = await productService.getById(line.productId);
+      if (product.variants?.length && !line.variantId) {
+        throw new Error(`Select a variant for ${product.name}`);
+      }
+      const variant = line.variantId ? productService.resolveVariant(product, line.variantId) : product;
+
+      const quantity = roundQuantity(line.quantity);
+      if (quantity <= 0) {
+        throw new Error(`Quantity for ${product.name} must be greater than zero`);
+      }
+      const purchasePrice = parseFloat(line.purchasePrice);
+      if (isNaN(purchasePrice) || purchasePrice < 0) {
+        throw new Error(`Enter a purchase price for ${product.name}`);
+      }
+
+      const variantId = line.variantId ? String(line.variantId) : null;
+      if (normalized.some(l => l.productId === product.id && l.variantId === variantId)) {
+        throw new Error(`${product.name} is on the purchase order twice`);
+      }
+
+      normalized.push({
+        id: index + 1,
+        productId: product.id,
+        variantId,
+        productName: product.name,
+        variantName: variant.variantName || null,
+        unit: variant.unit,
+        quantity,
+        purchasePrice,
+        receivedQuantity: 0,
+        billedQuantity: 0
+      });
+    }
+    return normalized;
+  }
+
+  summarize(po) {
+    const lines = po.lines.map(line => ({
+      ...line,
+      outstandingQuantity: roundQuantity(line.quantity - line.receivedQuantity),
+      lineTotal: roundAmount(line.quantity * line.purchasePrice)
+    }));
+    return {
+      ...po,
+      lines,
+      receipts: po.receipts.map(receipt => ({ ...receipt, lines: receipt.lines.map(l => ({ ...l })) })),
+      bills: po.bills.map(bill => ({ ...bill })),
+      statusLabel: STATUS_LABELS[po.status],
+      orderTotal: roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+      receivedTotal: roundAmount(po.lines.reduce((sum, line) => sum + line.receivedQuantity * line.purchasePrice, 0)),
+      billedTotal: roundAmount(po.lines.reduce((sum, line) => sum + line.billedQuantity * line.purchasePrice, 0)),
+      unbilledTotal: roundAmount(po.lines.reduce((sum, line) => sum + (line.receivedQuantity - line.billedQuantity) * line.purchasePrice, 0))
+    };
+  }
+
+  lineLabel(line) {
+    return line.variantName ? `${line.productName} (${line.variantName})` : line.productName;
+  }
+
+  find(id) {
+    const po = this.purchaseOrders.find(p => p.id === parseInt(id) || p.poNumber === id);
+    if (!po) {
+      throw new Error('Purchase order not found');
+    }
+    return po;
+  }
+
+  getNextId() {
+    return this.purchaseOrders.reduce((max, po) => Math.max(max, po.id), 0) + 1;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+export const purchaseOrderService = new PurchaseOrderService();
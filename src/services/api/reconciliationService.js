@@ -0,0 +1,413 @@
+import { paymentService } from '@/services/api/paymentService';
+import { orderService } from '@/services/api/orderService';
+import { permissionService } from '@/services/api/permissionService';
+import { parseCsv, escapeCsv } from '@/services/api/productImportService';
+
+// Gateways that send settlement files, with the payment method names our records use for them
+const SETTLEMENT_GATEWAYS = {
+  jazzcash: { name: 'JazzCash', methods: ['jazzcash'], walletFees: true },
+  easypaisa: { name: 'EasyPaisa', methods: ['easypaisa'], walletFees: true },
+  bank: { name: 'Bank Transfer', methods: ['bank', 'bank_transfer'], walletFees: false }
+};
+
+// Settlement columns; aliases cover the gateways' own export headers
+const SETTLEMENT_FIELDS = [
+  { key: 'transactionId', label: 'Transaction ID', required: true, aliases: ['transaction id', 'txn id', 'txn ref no', 'pp txnrefno', 'reference', 'reference no', 'transaction ref'] },
+  { key: 'orderId', label: 'Order ID', aliases: ['order id', 'order ref', 'order ref num', 'bill reference', 'pp billreference'] },
+  { key: 'amount', label: 'Amount', required: true, aliases: ['amount', 'gross amount', 'transaction amount', 'txn amount'] },
+  { key: 'fee', label: 'Fee', aliases: ['fee', 'fees', 'commission', 'charges', 'mdr'] },
+  { key: 'netAmount', label: 'Net Amount', aliases: ['net amount', 'net', 'settled amount', 'settlement amount'] },
+  { key: 'date', label: 'Date', required: true, aliases: ['date', 'transaction date', 'txn date', 'settlement date', 'date time', 'datetime'] }
+];
+
+const MATCH_STATUSES = {
+  matched: 'Matched',
+  amount_mismatch: 'Amount mismatch',
+  status_mismatch: 'Not paid in our records',
+  duplicate: 'Duplicate',
+  unknown: 'Not in our records',
+  invalid: 'Unreadable row'
+};
+
+// Settlement dates may lag the payment by a day or two before it counts as a discrepancy
+const DATE_TOLERANCE_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const parseAmount = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/[^0-9.\-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Reconciles what the gateways say they settled against our transactions and order payment
+// statuses. Each run imports one gateway's settlement CSV, matches rows by transaction ID (or
+// order ID and amount when the ID is missing on our side) and keeps the report: duplicates,
+// amount mismatches, settlements we have no record of and payments the gateway never settled.
+class ReconciliationService {
+  constructor() {
+    this.reports = [];
+    this.reportIdCounter = 1;
+  }
+
+  getGateways() {
+    return Object.entries(SETTLEMENT_GATEWAYS).map(([id, gateway]) => ({ id, name: gateway.name }));
+  }
+
+  getFields() {
+    return SETTLEMENT_FIELDS.map(({ key, label, required = false }) => ({ key, label, required }));
+  }
+
+  getMatchStatuses() {
+    return { ...MATCH_STATUSES };
+  }
+
+  getTemplate() {
+    return SETTLEMENT_FIELDS.map(field => field.label).join(',');
+  }
+
+  async parseFile(file) {
+    if (file.name.split('.').pop().toLowerCase() !== 'csv') {
+      throw new Error('Upload the settlement file as .csv');
+    }
+    const rows = parseCsv(await file.text()).filter(row => row.some(cell => String(cell).trim() !== ''));
+    if (rows.length < 2) {
+      throw new Error('The file needs a header row and at least one settlement row');
+    }
+    const [headers, ...body] = rows;
+    const table = {
+      fileName: file.name,
+      headers: headers.map(header => String(header).trim()),
+      rows: body.map(row => Array.from({ length: headers.length }, (_, i) => String(row[i] ?? '').trim()))
+    };
+    return { ...table, mapping: this.guessMapping(table.headers) };
+  }
+
+  // Field key -> column index, for every field whose label or alias matches a header
+  guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    SETTLEMENT_FIELDS.forEach(field => {
+      const names = [field.label, ...field.aliases].map(normalizeHeader);
+      const index = normalized.findIndex((header, i) => names.includes(header) && !Object.values(mapping).includes(i));
+      if (index !== -1) {
+        mapping[field.key] = index;
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Match a settlement file against our records and keep the report
+   * @param {string} gatewayId - Key of SETTLEMENT_GATEWAYS
+   * @param {{fileName: string, rows: string[][]}} table - From parseFile
+   * @param {Object<string, number>} mapping - Field key -> column index
+   * @returns {Promise<Object>} The stored report
+   */
+  async reconcile(gatewayId, table, mapping) {
+    await this.delay();
+    const user = permissionService.require('payments', 'verify', 'Only finance staff who verify payments can run reconciliations');
+    const gateway = SETTLEMENT_GATEWAYS[gatewayId];
+    if (!gateway) {
+      throw new Error('Unknown settlement gateway');
+    }
+    const unmapped = SETTLEMENT_FIELDS.filter(field => field.required && mapping[field.key] === undefined);
+    if (unmapped.length > 0) {
+      throw new Error(`Map the ${unmapped.map(field => field.label).join(', ')} column${unmapped.length > 1 ? 's' : ''}`);
+    }
+
+    const settlements = table.rows.map((cells, index) => this.parseRow(cells, mapping, index + 2));
+    const validDates = settlements.filter(row => row.date).map(row => row.date.getTime());
+    if (validDates.length === 0) {
+      throw new Error('No row in the file has a readable date');
+    }
+    const period = {
+      from: dayKey(new Date(Math.min(...validDates))),
+      to: dayKey(new Date(Math.max(...validDates)))
+    };
+
+    const expected = await this.getExpectedPayments(gatewayId);
+    const previouslySettled = this.getPreviouslySettled(gatewayId);
+    const seenInFile = new Map();
+    const matchedKeys = new Set();
+
+    const rows = settlements.map(row => {
+      if (row.errors.length > 0) {
+        return { ...row, status: 'invalid', issues: row.errors };
+      }
+
+      const issues = [];
+      const fileDuplicate = seenInFile.get(row.transactionId);
+      if (fileDuplicate) {
+        return { ...row, status: 'duplicate', issues: [`Same transaction as row ${fileDuplicate}`] };
+      }
+      seenInFile.set(row.transactionId, row.rowNumber);
+      const earlier = previouslySettled.byTransactionId.get(row.transactionId);
+      if (earlier) {
+        return { ...row, status: 'duplicate', issues: [`Already settled in ${earlier.fileName} (report #${earlier.reportId})`] };
+      }
+
+      // Prefer the gateway's transaction ID; fall back to order ID + amount for payments
+      // confirmed from a screenshot, where we never learned the gateway's ID
+      let record = expected.find(e => !matchedKeys.has(e.key) && e.transactionId && e.transactionId === row.transactionId);
+      if (!record && row.orderId) {
+        record = expected.find(e => !matchedKeys.has(e.key) && !e.transactionId && String(e.orderId) === String(row.orderId) && Math.abs(e.amount - row.amount) <= 0.01);
+        if (record) {
+          issues.push('Matched on order and amount; our record has no gateway transaction ID');
+        }
+      }
+      if (!record) {
+        return { ...row, status: 'unknown', expectedFee: this.getExpectedFee(gateway, row.amount), issues: ['No payment with this transaction ID in our records'] };
+      }
+      matchedKeys.add(record.key);
+
+      const expectedFee = this.getExpectedFee(gateway, record.amount);
+      const daysApart = Math.abs(row.date - new Date(record.date)) / DAY_MS;
+      if (daysApart > DATE_TOLERANCE_DAYS) {
+        issues.push(`Settled ${Math.round(daysApart)} days after the payment`);
+      }
+      if (row.fee !== null && Math.abs(row.fee - expectedFee) > 0.01) {
+        issues.push(`Fee Rs. ${row.fee.toLocaleString()} differs from expected Rs. ${expectedFee.toLocaleString()}`);
+      }
+
+      let status = 'matched';
+      if (Math.abs(record.amount - row.amount) > 0.01) {
+        status = 'amount_mismatch';
+        issues.unshift(`Our record says Rs. ${record.amount.toLocaleString()}`);
+      } else if (!record.isPaid) {
+        status = 'status_mismatch';
+        issues.unshift(`Payment is ${record.status} in our records`);
+      }
+
+      return { ...row, status, expectedFee, matchKey: record.key, match: this.describeRecord(record), issues };
+    });
+
+    // Paid on our side within the period but absent from the settlement file
+    const from = new Date(`${period.from}T00:00:00`).getTime() - DATE_TOLERANCE_DAYS * DAY_MS;
+    const to = new Date(`${period.to}T23:59:59`).getTime();
+    const missing = expected
+      .filter(e => e.isPaid && !matchedKeys.has(e.key) && !previouslySettled.recordKeys.has(e.key))
+      .filter(e => {
+        const time = new Date(e.date).getTime();
+        return time >= from && time <= to;
+      })
+      .map(e => ({ ...this.describeRecord(e), expectedFee: this.getExpectedFee(gateway, e.amount) }));
+
+    const report = {
+      Id: this.reportIdCounter++,
+      gatewayId,
+      gatewayName: gateway.name,
+      fileName: table.fileName,
+      period,
+      runBy: user.name,
+      runAt: new Date().toISOString(),
+      rows,
+      missing,
+      summary: this.summarize(rows, missing)
+    };
+
+    this.reports.push(report);
+    return { ...report };
+  }
+
+  async getReports({ gatewayId = null } = {}) {
+    await this.delay(200);
+    permissionService.require('payments', 'view');
+    return this.reports
+      .filter(report => !gatewayId || report.gatewayId === gatewayId)
+      .map(({ rows, missing, ...report }) => ({ ...report }))
+      .sort((a, b) => b.Id - a.Id);
+  }
+
+  async getReport(reportId) {
+    await this.delay(200);
+    permissionService.require('payments', 'view');
+    const report = this.reports.find(r => r.Id === reportId);
+    if (!report) {
+      throw new Error('Reconciliation report not found');
+    }
+    return { ...report };
+  }
+
+  // One CSV line per settlement row and per missing payment, followed by the totals
+  buildReportCsv(report) {
+    const header = ['Row', 'Result', 'Transaction ID', 'Order ID', 'Date', 'Settled Amount', 'Our Amount', 'Settled Fee', 'Expected Fee', 'Net Amount', 'Notes'];
+    const lines = report.rows.map(row => [
+      row.rowNumber,
+      MATCH_STATUSES[row.status],
+      row.transactionId,
+      row.orderId || row.match?.orderId || '',
+      row.date ? dayKey(row.date instanceof Date ? row.date : new Date(row.date)) : '',
+      row.amount ?? '',
+      row.match?.amount ?? '',
+      row.fee ?? '',
+      row.expectedFee ?? '',
+      row.netAmount ?? '',
+      row.issues.join('; ')
+    ]);
+    report.missing.forEach(record => lines.push([
+      '',
+      'Missing from settlement',
+      record.transactionId || '',
+      record.orderId || '',
+      dayKey(new Date(record.date)),
+      '',
+      record.amount,
+      '',
+      record.expectedFee,
+      '',
+      `Paid via ${record.source} but not settled`
+    ]));
+    const { summary } = report;
+    lines.push([]);
+    lines.push(['', 'Settled gross', '', '', '', summary.settledGross]);
+    lines.push(['', 'Settled fees', '', '', '', '', '', summary.settledFees, summary.expectedFees]);
+    lines.push(['', 'Net settled', '', '', '', '', '', '', '', summary.netSettled]);
+    lines.push(['', 'Missing from settlement', '', '', '', '', summary.missingAmount]);
+    return [header, ...lines].map(line => line.map(escapeCsv).join(',')).join('\n');
+  }
+
+  // Internals
+
+  parseRow(cells, mapping, rowNumber) {
+    const value = (key) => (mapping[key] === undefined ? '' : cells[mapping[key]] ?? '').trim();
+    const errors = [];
+
+    const transactionId = value('transactionId');
+    if (!transactionId) {
+      errors.push('Transaction ID is empty');
+    }
+    const amount = parseAmount(value('amount'));
+    if (amount === null) {
+      errors.push(`Amount "${value('amount')}" is not a number`);
+    }
+    const rawDate = value('date');
+    const date = rawDate ? new Date(rawDate) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      errors.push(`Date "${rawDate}" is not a date`);
+    }
+    const fee = value('fee') ? parseAmount(value('fee')) : null;
+    const netAmount = value('netAmount') ? parseAmount(value('netAmount')) : (amount !== null && fee !== null ? roundMoney(amount - fee) : null);
+
+    return {
+      rowNumber,
+      transactionId,
+      orderId: value('orderId') || null,
+      amount,
+      fee,
+      netAmount,
+      date: errors.some(error => error.startsWith('Date')) ? null : date,
+      errors
+    };
+  }
+
+  // Every payment we expect this gateway to settle: charges and refunds from paymentService, plus
+  // order payments (e.g. verified screenshots) that never went through a transaction
+  async getExpectedPayments(gatewayId) {
+    const { methods } = SETTLEMENT_GATEWAYS[gatewayId];
+    const [transactions, orders] = await Promise.all([
+      paymentService.getAllTransactions(),
+      orderService.getAll()
+    ]);
+    const ordersById = new Map(orders.map(order => [order.id, order]));
+
+    const fromTransactions = transactions
+      .filter(t => methods.includes(t.paymentMethod))
+      .map(t => {
+        const order = ordersById.get(t.orderId);
+        // A charge counts as paid when it completed and the order hasn't since been marked otherwise
+        const orderPaid = !order || !order.paymentStatus || order.paymentStatus === 'completed';
+        return {
+          key: `txn:${t.Id}`,
+          source: t.type === 'refund' ? 'refund' : 'transaction',
+          transactionId: t.transactionId,
+          orderId: t.orderId ?? null,
+          amount: t.amount,
+          date: t.timestamp,
+          status: t.status !== 'completed' ? t.status : orderPaid ? 'completed' : order.paymentStatus,
+          isPaid: t.status === 'completed' && (t.type === 'refund' || orderPaid)
+        };
+      });
+
+    const coveredOrders = new Set(fromTransactions.filter(e => e.source === 'transaction').map(e => e.orderId));
+    const fromOrders = orders
+      .filter(order => methods.includes(order.paymentMethod) && !coveredOrders.has(order.id))
+      .map(order => {
+        // Orders predating payment tracking carry no status and count as paid, as they do for refunds
+        const status = order.paymentStatus
+          || (order.verificationStatus && order.verificationStatus !== 'verified' ? order.verificationStatus : 'completed');
+        return {
+          key: `order:${order.id}`,
+          source: 'order',
+          transactionId: order.transactionId || order.paymentResult?.transactionId || null,
+          orderId: order.id,
+          amount: order.total || order.totalAmount || 0,
+          date: order.paidAt || order.paymentResult?.timestamp || order.createdAt,
+          status,
+          isPaid: status === 'completed'
+        };
+      });
+
+    return [...fromTransactions, ...fromOrders];
+  }
+
+  // Transaction IDs and our records already settled by earlier runs for the gateway. Only matched
+  // rows count: a row that was unknown or disagreed with our records is checked again when a
+  // later file settles the same transaction.
+  getPreviouslySettled(gatewayId) {
+    const byTransactionId = new Map();
+    const recordKeys = new Set();
+    this.reports
+      .filter(report => report.gatewayId === gatewayId)
+      .forEach(report => report.rows
+        .filter(row => row.status === 'matched')
+        .forEach(row => {
+          byTransactionId.set(row.transactionId, { reportId: report.Id, fileName: report.fileName });
+          if (row.matchKey) recordKeys.add(row.matchKey);
+        }));
+    return { byTransactionId, recordKeys };
+  }
+
+  getExpectedFee(gateway, amount) {
+    if (!gateway.walletFees || amount <= 0) return 0;
+    return roundMoney(paymentService.calculateDigitalWalletFee(amount));
+  }
+
+  describeRecord(record) {
+    return {
+      source: record.source,
+      transactionId: record.transactionId,
+      orderId: record.orderId,
+      amount: record.amount,
+      date: record.date,
+      status: record.status
+    };
+  }
+
+  summarize(rows, missing) {
+    const counted = rows.filter(row => row.status !== 'invalid' && row.status !== 'duplicate');
+    const sum = (items, pick) => roundMoney(items.reduce((total, item) => total + (pick(item) || 0), 0));
+    const counts = Object.fromEntries(Object.keys(MATCH_STATUSES).map(status => [status, rows.filter(row => row.status === status).length]));
+    const settledFees = sum(counted, row => row.fee);
+    const settledGross = sum(counted, row => row.amount);
+    return {
+      ...counts,
+      missing: missing.length,
+      missingAmount: sum(missing, record => record.amount),
+      rowCount: rows.length,
+      settledGross,
+      settledFees,
+      expectedFees: sum(counted, row => row.expectedFee),
+      feeVariance: roundMoney(settledFees - sum(counted.filter(row => row.fee !== null), row => row.expectedFee)),
+      netSettled: sum(counted, row => row.netAmount ?? row.amount),
+      discrepancies: rows.length - counts.matched + missing.length
+    };
+  }
+
+  delay(ms = 300) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const reconciliationService = new ReconciliationService();
@@ -0,0 +1,185 @@
+import { orderService } from '@/services/api/orderService';
+import { posService } from '@/services/api/posService';
+import { financialService } from '@/services/api/financialService';
+import { purchaseOrderService } from '@/services/api/purchaseOrderService';
+import productService from '@/services/api/productService';
+import { authService } from '@/services/api/authService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LEAD_TIME_DAYS = 3;
+const EXCLUDED_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+const roundQuantity = (quantity) => Math.round((parseFloat(quantity) || 0) * 1000) / 1000;
+
+class ReorderService {
+  constructor() {
+    // lookbackDays: sales history used for velocity
+    // safetyDays: extra days of sales held back as safety stock
+    // coverDays: how many days of sales a reorder should cover beyond the reorder point
+    this.settings = {
+      lookbackDays: 30,
+      safetyDays: 3,
+      coverDays: 14
+    };
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async updateSettings(settings) {
+    await this.delay();
+    const next = { ...this.settings };
+    for (const key of Object.keys(next)) {
+      if (settings[key] === undefined) continue;
+      const value = parseInt(settings[key]);
+      if (isNaN(value) || value < 0 || (key === 'lookbackDays' && value < 1)) {
+        throw new Error(`Invalid value for ${key}`);
+      }
+      next[key] = value;
+    }
+    this.settings = next;
+    return this.getSettings();
+  }
+
+  // Units sold per product/variant in the lookback window, from online orders and POS sales.
+  // Lines without a variant are counted against the product's default variant, as POS does.
+  async getSalesVelocity({ lookbackDays = this.settings.lookbackDays, asOf = new Date() } = {}) {
+    const since = new Date(asOf.getTime() - lookbackDays * DAY_MS);
+    const [orders, transactions, { data: products }] = await Promise.all([
+      orderService.getAll(),
+      posService.getAll(),
+      productService.getAll()
+    ]);
+
+    const sales = [
+      ...orders
+        .filter(order => !EXCLUDED_ORDER_STATUSES.includes(order.status))
+        .map(order => ({ date: order.createdAt, items: order.items })),
+      ...transactions.map(transaction => ({ date: transaction.timestamp, items: transaction.items }))
+    ].filter(sale => {
+      const date = new Date(sale.date);
+      return date >= since && date <= asOf;
+    });
+
+    const unitsSold = {};
+    sales.forEach(sale => {
+      (sale.items || []).forEach(item => {
+        const product = products.find(p => p.id === parseInt(item.productId ?? item.id));
+        if (!product) return;
+        const variantId = item.variantId || productService.getDefaultVariant(product)?.id || null;
+        const key = this.key(product.id, variantId);
+        unitsSold[key] = roundQuantity((unitsSold[key] || 0) + (parseFloat(item.quantity) || 0));
+      });
+    });
+
+    return { unitsSold, lookbackDays, since: since.toISOString(), asOf: asOf.toISOString() };
+  }
+
+  // Reorder point = daily velocity x vendor lead time + safety stock. Anything at or below its
+  // reorder point (counting stock already on order) is suggested up to reorder point + cover days.
+  async getReorderPlan({ includeAll = false } = {}) {
+    await this.delay();
+    const { safetyDays, coverDays } = this.settings;
+    const [velocity, vendors, { data: products }] = await Promise.all([
+      this.getSalesVelocity(),
+      financialService.getVendors(),
+      productService.getAll()
+    ]);
+
+    const rows = products.flatMap(product => {
+      const vendor = vendors.find(v => v.Id === product.vendorId) || null;
+      const leadTimeDays = vendor?.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+      const targets = product.variants?.length
+        ? product.variants.map(variant => productService.resolveVariant(product, variant.id))
+        : [product];
+
+      return targets.map(item => {
+        const variantId = item.variantId || null;
+        const sold = velocity.unitsSold[this.key(product.id, variantId)] || 0;
+        const dailyVelocity = sold / velocity.lookbackDays;
+        const safetyStock = Math.ceil(dailyVelocity * safetyDays);
+        const reorderPoint = Math.ceil(dailyVelocity * leadTimeDays) + safetyStock;
+        const onOrder = purchaseOrderService.getOnOrderQuantity(product.id, variantId);
+        const position = roundQuantity(item.stock + onOrder);
+        const suggestedQuantity = dailyVelocity > 0 && position <= reorderPoint
+          ? Math.max(0, Math.ceil(reorderPoint + dailyVelocity * coverDays - position))
+          : 0;
+
+        return {
+          productId: product.id,
+          variantId,
+          name: product.name,
+          variantName: item.variantName || null,
+          category: product.category,
+          unit: item.unit,
+          stock: item.stock,
+          onOrder,
+          unitsSold: sold,
+          dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+          daysOfCover: dailyVelocity > 0 ? Math.floor(item.stock / dailyVelocity) : null,
+          leadTimeDays,
+          safetyStock,
+          reorderPoint,
+          suggestedQuantity,
+          purchasePrice: item.purchasePrice ?? 0,
+          vendorId: vendor?.Id ?? null,
+          vendorName: vendor?.name ?? null
+        };
+      });
+    });
+
+    return {
+      settings: this.getSettings(),
+      window: { since: velocity.since, asOf: velocity.asOf },
+      suggestions: rows
+        .filter(row => includeAll || row.suggestedQuantity > 0)
+        .sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity))
+    };
+  }
+
+  // Groups the chosen suggestions by vendor and raises one draft PO per vendor
+  async createDraftPurchaseOrders(lines, { createdBy = authService.getActorName() } = {}) {
+    const selected = lines.filter(line => roundQuantity(line.quantity ?? line.suggestedQuantity) > 0);
+    if (selected.length === 0) {
+      throw new Error('Select at least one product to reorder');
+    }
+    const missingVendor = selected.find(line => !line.vendorId);
+    if (missingVendor) {
+      throw new Error(`Choose a vendor for ${missingVendor.name}`);
+    }
+
+    const byVendor = {};
+    selected.forEach(line => {
+      const vendorId = parseInt(line.vendorId);
+      byVendor[vendorId] = [...(byVendor[vendorId] || []), line];
+    });
+
+    const created = [];
+    for (const [vendorId, vendorLines] of Object.entries(byVendor)) {
+      created.push(await purchaseOrderService.create({
+        vendorId,
+        status: 'draft',
+        notes: 'Raised from reorder suggestions',
+        createdBy,
+        lines: vendorLines.map(line => ({
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: line.quantity ?? line.suggestedQuantity,
+          purchasePrice: line.purchasePrice
+        }))
+      }));
+    }
+    return created;
+  }
+
+  key(productId, variantId) {
+    return `${productId}:${variantId || ''}`;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const reorderService = new ReorderService();
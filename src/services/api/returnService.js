@@ -0,0 +1,401 @@
+import { orderService } from '@/services/api/orderService';
+import { paymentService } from '@/services/api/paymentService';
+import { authService } from '@/services/api/authService';
+import { permissionService } from '@/services/api/permissionService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+
+export const RETURN_REASONS = {
+  damaged: 'Damaged or spoiled',
+  wrong_item: 'Wrong item delivered',
+  missing_parts: 'Incomplete or missing parts',
+  quality: 'Poor quality',
+  other: 'Other'
+};
+
+export const RETURN_STATUSES = {
+  requested: 'Awaiting review',
+  awaiting_pickup: 'Awaiting pickup',
+  completed: 'Completed',
+  rejected: 'Rejected'
+};
+
+export const MAX_RETURN_PHOTOS = 4;
+
+const OPEN_STATUSES = ['requested', 'awaiting_pickup'];
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'out_for_delivery', 'in_transit'];
+
+// Customer return requests (RMAs) for delivered orders. The customer reports items with photos,
+// staff approve or reject them, and approval settles the return with a refund through
+// orderService.processRefund or a free replacement order. Goods that need collecting get a rider
+// pickup assigned through dispatchService; the return completes, and the goods go back on the
+// stock ledger, once the rider has them.
+class ReturnService {
+  constructor() {
+    this.returns = [];
+    this.returnIdCounter = 1;
+  }
+
+  /**
+   * Open a return request for a delivered order
+   * @param {number} orderId
+   * @param {Object} request
+   * @param {Array<{index: number, quantity: number}>} request.items - Order lines by index
+   * @param {string} request.reason - Key of RETURN_REASONS
+   * @param {string} request.description
+   * @param {string} request.preferredResolution - 'refund' or 'replacement'
+   * @param {Array<{file: File, url: string}>} request.photos - Files are validated and scanned like payment proofs
+   */
+  async createRequest(orderId, { items = [], reason, description = '', preferredResolution = 'refund', photos = [] }) {
+    await this.delay();
+    const user = authService.getCurrentUser();
+    if (!user) {
+      const error = new Error('Please sign in to continue');
+      error.code = 'UNAUTHENTICATED';
+      throw error;
+    }
+
+    const order = await orderService.getById(orderId);
+    if (order.customerId !== user.id && !permissionService.can('orders', 'view', user)) {
+      throw new Error('Order not found');
+    }
+    if (order.deliveryStatus !== 'delivered' && order.status !== 'delivered') {
+      throw new Error('Items can be returned once the order has been delivered');
+    }
+    if (!RETURN_REASONS[reason]) {
+      throw new Error('Choose a reason for the return');
+    }
+    if (reason === 'other' && !description.trim()) {
+      throw new Error('Please describe the problem');
+    }
+    if (!['refund', 'replacement'].includes(preferredResolution)) {
+      throw new Error('Choose a refund or a replacement');
+    }
+    if (photos.length === 0) {
+      throw new Error('Add at least one photo of the items');
+    }
+    if (photos.length > MAX_RETURN_PHOTOS) {
+      throw new Error(`Up to ${MAX_RETURN_PHOTOS} photos can be attached`);
+    }
+
+    const lines = this.buildLines(order, items);
+    const uploadedPhotos = await Promise.all(photos.map(photo => this.uploadPhoto(photo, order.id, user.id)));
+
+    const returnRequest = {
+      Id: this.returnIdCounter++,
+      rmaNumber: `RMA-${order.id}-${String(this.returns.filter(r => r.orderId === order.id).length + 1).padStart(2, '0')}`,
+      orderId: order.id,
+      customerId: order.customerId,
+      customerName: order.deliveryAddress?.name || user.name,
+      pickupAddress: order.deliveryAddress || null,
+      items: lines,
+      reason,
+      description: description.trim(),
+      preferredResolution,
+      photos: uploadedPhotos,
+      status: 'requested',
+      requestedBy: user.name,
+      requestedAt: new Date().toISOString(),
+      resolution: null,
+      pickup: null,
+      history: [{ status: 'requested', at: new Date().toISOString(), by: user.name }]
+    };
+
+    this.returns.push(returnRequest);
+    return { ...returnRequest };
+  }
+
+  async getAll({ status = null } = {}) {
+    await this.delay(200);
+    permissionService.require('returns', 'view');
+    return this.returns
+      .filter(r => !status || r.status === status)
+      .map(r => ({ ...r }))
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+  }
+
+  // Staff with returns:view, the customer who raised the return or the rider collecting it
+  async getById(returnId) {
+    await this.delay(200);
+    const user = authService.getCurrentUser();
+    if (!user) {
+      const error = new Error('Please sign in to continue');
+      error.code = 'UNAUTHENTICATED';
+      throw error;
+    }
+    const returnRequest = this.returns.find(r => r.Id === returnId);
+    const allowed = returnRequest && (
+      returnRequest.customerId === user.id ||
+      permissionService.can('returns', 'view', user) ||
+      (returnRequest.pickup?.riderId && this.canSeePickups(user, returnRequest.pickup.riderId))
+    );
+    if (!allowed) {
+      throw new Error('Return request not found');
+    }
+    return { ...returnRequest };
+  }
+
+  // Returns the signed-in customer can see for one order; staff with returns:view see all of them
+  async getByOrder(orderId) {
+    await this.delay(200);
+    const user = authService.getCurrentUser();
+    return this.returns
+      .filter(r => r.orderId === orderId && (r.customerId === user?.id || permissionService.can('returns', 'view', user)))
+      .map(r => ({ ...r }));
+  }
+
+  async getPickupsForRider(riderId) {
+    await this.delay(200);
+    const user = authService.getCurrentUser();
+    if (!permissionService.can('returns', 'view', user) && !this.canSeePickups(user, riderId)) {
+      const error = new Error('You can only see your own pickups');
+      error.code = user ? 'FORBIDDEN' : 'UNAUTHENTICATED';
+      throw error;
+    }
+    return this.returns
+      .filter(r => r.status === 'awaiting_pickup' && r.pickup?.riderId === riderId)
+      .map(r => ({ ...r }));
+  }
+
+  async getPendingCount() {
+    return this.returns.filter(r => r.status === 'requested').length;
+  }
+
+  /**
+   * Accept a return and settle it
+   * @param {number} returnId
+   * @param {Object} decision
+   * @param {string} decision.resolution - 'refund' or 'replacement'
+   * @param {Object<number, boolean>} decision.restock - Per line index; false writes the goods off
+   * @param {string} decision.refundDestination - 'original' or 'wallet', for refunds
+   * @param {boolean} decision.requirePickup - Collect the goods with a rider before completing
+   * @param {string} decision.note
+   */
+  async approve(returnId, { resolution, restock = {}, refundDestination = 'original', requirePickup = true, note = '' }) {
+    await this.delay();
+    const reviewer = permissionService.require('returns', 'process');
+    const returnRequest = this.findOpen(returnId, ['requested']);
+    const order = await orderService.getById(returnRequest.orderId);
+    const lines = returnRequest.items.map(line => ({ ...line, restock: restock[line.index] ?? line.restock }));
+    const reason = `${returnRequest.rmaNumber}: ${RETURN_REASONS[returnRequest.reason]}${returnRequest.description ? ` - ${returnRequest.description}` : ''}`;
+
+    // Goods a rider still has to collect go back on the ledger in markCollected
+    let outcome;
+    if (resolution === 'refund') {
+      // Keyed on the RMA so approving twice can't pay out twice
+      const refunded = await orderService.processRefund(
+        order.id,
+        {
+          items: lines.map(line => ({ index: line.index, quantity: line.quantity, restock: line.restock })),
+          destination: refundDestination,
+          reason,
+          postStock: false
+        },
+        `return-${returnRequest.Id}`
+      );
+      const refund = refunded.refunds[refunded.refunds.length - 1];
+      outcome = { type: 'refund', refundId: refund.id, amount: refund.amount, destination: refund.destination };
+    } else if (resolution === 'replacement') {
+      const replacement = await this.createReplacementOrder(order, returnRequest, lines);
+      outcome = { type: 'replacement', replacementOrderId: replacement.id };
+    } else {
+      throw new Error('Choose a refund or a replacement');
+    }
+    if (!requirePickup) {
+      await this.postReturnedStock(returnRequest, order, lines);
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(returnRequest, {
+      items: lines,
+      status: requirePickup ? 'awaiting_pickup' : 'completed',
+      resolution: { ...outcome, note: note.trim(), decidedBy: reviewer.name, decidedAt: now },
+      pickup: requirePickup ? { status: 'unscheduled' } : null
+    });
+    returnRequest.history.push({ status: returnRequest.status, at: now, by: reviewer.name, note: note.trim() || null });
+    return { ...returnRequest };
+  }
+
+  async reject(returnId, reason) {
+    await this.delay();
+    const reviewer = permissionService.require('returns', 'process');
+    if (!reason?.trim()) {
+      throw new Error('Please give the customer a reason');
+    }
+    const returnRequest = this.findOpen(returnId, ['requested']);
+    const now = new Date().toISOString();
+    Object.assign(returnRequest, {
+      status: 'rejected',
+      resolution: { type: 'rejected', note: reason.trim(), decidedBy: reviewer.name, decidedAt: now }
+    });
+    returnRequest.history.push({ status: 'rejected', at: now, by: reviewer.name, note: reason.trim() });
+    return { ...returnRequest };
+  }
+
+  // Called by dispatchService.assignPickup once a rider has been chosen
+  async schedulePickup(returnId, riderId, assignment = null) {
+    await this.delay();
+    permissionService.require('returns', 'process');
+    const returnRequest = this.findOpen(returnId, ['awaiting_pickup']);
+    if (returnRequest.pickup?.status === 'collected') {
+      throw new Error('These items have already been collected');
+    }
+    returnRequest.pickup = {
+      status: 'scheduled',
+      riderId,
+      scheduledAt: new Date().toISOString(),
+      ...(assignment && { assignment })
+    };
+    returnRequest.history.push({ status: 'pickup_scheduled', at: returnRequest.pickup.scheduledAt, by: authService.getActorName() });
+    return { ...returnRequest };
+  }
+
+  // Rider confirms they have the goods; this completes the return, restocks the goods and frees
+  // the rider once they have nothing else to do. Without a riderId staff record the collection
+  // on the rider's behalf.
+  async markCollected(returnId, riderId = null) {
+    await this.delay();
+    const user = permissionService.require(riderId === null ? 'returns' : 'rider_app', riderId === null ? 'process' : 'use');
+    const returnRequest = this.findOpen(returnId, ['awaiting_pickup']);
+    if (returnRequest.pickup?.status !== 'scheduled') {
+      throw new Error('No pickup is scheduled for this return');
+    }
+    if (riderId !== null && (returnRequest.pickup.riderId !== riderId || !this.canSeePickups(user, riderId))) {
+      throw new Error('This pickup is not assigned to you');
+    }
+    const order = await orderService.getById(returnRequest.orderId);
+    await this.postReturnedStock(returnRequest, order, returnRequest.items);
+
+    const now = new Date().toISOString();
+    returnRequest.pickup = { ...returnRequest.pickup, status: 'collected', collectedAt: now };
+    returnRequest.status = 'completed';
+    returnRequest.history.push({ status: 'completed', at: now, by: authService.getActorName() });
+    await this.releaseRiderIfIdle(returnRequest.pickup.riderId);
+    return { ...returnRequest };
+  }
+
+  // Internals
+
+  // Rider accounts see only their own pickups; other users of the rider app act for any rider
+  canSeePickups(user, riderId) {
+    if (!permissionService.can('rider_app', 'use', user)) return false;
+    return user.role !== 'rider' || user.riderId === riderId;
+  }
+
+  async postReturnedStock(returnRequest, order, lines) {
+    if (!order.stockPosted) return;
+    await orderService.recordReturnedStock(lines, {
+      reference: { type: 'return', id: returnRequest.rmaNumber },
+      saleReference: { type: 'order', id: order.id },
+      reason: `Return ${returnRequest.rmaNumber} for order #${order.id}`,
+      writeOffReason: `Not resaleable - ${RETURN_REASONS[returnRequest.reason]}`
+    });
+  }
+
+  // Back to available once the rider has no deliveries or pickups left
+  async releaseRiderIfIdle(riderId) {
+    const orders = await orderService.getOrdersByDeliveryPerson(riderId);
+    const busy = orders.some(order => ACTIVE_DELIVERY_STATUSES.includes(order.deliveryStatus)) ||
+      this.returns.some(r => r.status === 'awaiting_pickup' && r.pickup?.status === 'scheduled' && r.pickup.riderId === riderId);
+    if (!busy) {
+      await deliveryPersonnelService.updateStatus(riderId, 'available');
+    }
+  }
+
+  buildLines(order, items) {
+    const refunded = orderService.getRefundedQuantities(order);
+    // Quantities already tied up in other open returns can't be claimed again
+    const claimed = this.returns
+      .filter(r => r.orderId === order.id && OPEN_STATUSES.includes(r.status))
+      .reduce((totals, r) => {
+        r.items.forEach(line => {
+          totals[line.index] = (totals[line.index] || 0) + line.quantity;
+        });
+        return totals;
+      }, {});
+
+    const lines = items
+      .filter(line => parseFloat(line.quantity) > 0)
+      .map(line => {
+        const item = order.items?.[line.index];
+        if (!item) {
+          throw new Error('Return line does not match an order item');
+        }
+        const quantity = parseFloat(line.quantity);
+        const available = item.quantity - (refunded[line.index] || 0) - (claimed[line.index] || 0);
+        if (quantity > available + 0.0001) {
+          throw new Error(`Only ${Math.max(0, available)} of ${item.name} can still be returned`);
+        }
+        return {
+          index: line.index,
+          productId: item.productId ?? item.id,
+          variantId: item.variantId || null,
+          name: item.name,
+          quantity,
+          unitPrice: item.price,
+          restock: false
+        };
+      });
+
+    if (lines.length === 0) {
+      throw new Error('Select the items you want to return');
+    }
+    return lines;
+  }
+
+  async uploadPhoto({ file, url }, orderId, userId) {
+    const validation = await paymentService.validateImageUpload(file);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+    const scanResult = await paymentService.performMalwareScan(file);
+    if (!scanResult.isClean) {
+      const quarantineInfo = scanResult.quarantineId ? ` It has been quarantined for review (ID: ${scanResult.quarantineId}).` : '';
+      throw new Error(`${file.name} failed the security scan.${quarantineInfo} Please attach a different photo.`);
+    }
+    const extension = file.name.split('.').pop().toLowerCase();
+    return {
+      fileName: `return_${orderId}_${userId}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}.${extension}`,
+      originalName: file.name,
+      fileType: file.type,
+      fileSize: file.size,
+      url,
+      scannedAt: scanResult.scannedAt,
+      uploadedAt: new Date().toISOString()
+    };
+  }
+
+  // The replacement ships free at no charge; the returned goods go back on the ledger separately
+  async createReplacementOrder(order, returnRequest, lines) {
+    const replacement = await orderService.create({
+      customerId: order.customerId,
+      channel: 'replacement',
+      items: lines.map(line => ({ ...order.items[line.index], quantity: line.quantity, price: 0 })),
+      total: 0,
+      paymentMethod: 'replacement',
+      paymentResult: { type: 'replacement', returnId: returnRequest.Id },
+      paymentStatus: 'completed',
+      deliveryAddress: order.deliveryAddress,
+      status: 'confirmed',
+      deliveryStatus: 'pending_assignment',
+      replacementFor: { orderId: order.id, returnId: returnRequest.Id, rmaNumber: returnRequest.rmaNumber }
+    }, `return-${returnRequest.Id}-replacement`);
+    return replacement;
+  }
+
+  findOpen(returnId, statuses) {
+    const returnRequest = this.returns.find(r => r.Id === returnId);
+    if (!returnRequest) {
+      throw new Error('Return request not found');
+    }
+    if (!statuses.includes(returnRequest.status)) {
+      throw new Error(`This return is ${RETURN_STATUSES[returnRequest.status].toLowerCase()}`);
+    }
+    return returnRequest;
+  }
+
+  delay(ms = 300) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export const returnService = new ReturnService();
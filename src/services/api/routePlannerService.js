@@ -0,0 +1,254 @@
+import { orderService } from '@/services/api/orderService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import { deliveryPricingService } from '@/services/api/deliveryPricingService';
+import { permissionService } from '@/services/api/permissionService';
+
+// Straight-line distance understates city driving; scale it to approximate road distance
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = {
+  bicycle: 12,
+  motorcycle: 25,
+  car: 20,
+  van: 18
+};
+const STOP_SERVICE_MINUTES = 5;
+const ROUTABLE_STATUSES = ['assigned', 'picked_up', 'out_for_delivery', 'in_transit'];
+const MOVING_STATUSES = ['out_for_delivery', 'in_transit'];
+
+class RoutePlannerService {
+  constructor() {
+    this.routes = {};
+  }
+
+  // Plans the rider's active orders as an open path from their current location:
+  // nearest-neighbour for the initial sequence, then 2-opt to remove crossings.
+  async planRoute(riderId, { startTime = new Date(), save = true } = {}) {
+    if (save) {
+      permissionService.require('deliveries', 'manage');
+    }
+    const rider = await deliveryPersonnelService.getById(riderId);
+    const orders = (await orderService.getOrdersByDeliveryPerson(rider.Id))
+      .filter(order => ROUTABLE_STATUSES.includes(order.deliveryStatus));
+
+    const start = rider.currentLocation;
+    if (!start) {
+      throw new Error(`${rider.name} has no current location`);
+    }
+
+    const stops = [];
+    const unroutable = [];
+    orders.forEach(order => {
+      const location = this.getStopLocation(order);
+      if (location) {
+        stops.push({ order, location });
+      } else {
+        unroutable.push(order.id);
+      }
+    });
+
+    const sequence = this.improveWithTwoOpt(start, this.nearestNeighbour(start, stops));
+    const route = this.buildSchedule(rider, start, sequence, new Date(startTime));
+    route.unroutableOrderIds = unroutable;
+
+    if (save) {
+      for (const stop of route.stops) {
+        await orderService.update(stop.orderId, {
+          estimatedDelivery: stop.eta,
+          routeSequence: stop.sequence,
+          updatedAt: new Date().toISOString()
+        });
+      }
+      this.routes[rider.Id] = route;
+    }
+
+    return route;
+  }
+
+  async getRoute(riderId) {
+    const route = this.routes[parseInt(riderId)];
+    return route ? { ...route, stops: route.stops.map(stop => ({ ...stop })) } : null;
+  }
+
+  async getAllRoutes() {
+    return Object.values(this.routes).map(route => ({ ...route, stops: route.stops.map(stop => ({ ...stop })) }));
+  }
+
+  // Customer-facing ETA from the rider's latest position, through any stops still ahead of this one
+  async getDeliveryEta(orderId) {
+    const order = await orderService.getById(orderId);
+    if (!order.deliveryPersonId) return null;
+
+    const rider = await deliveryPersonnelService.getById(order.deliveryPersonId);
+    const destination = this.getStopLocation(order);
+    if (!destination || !rider.currentLocation) return null;
+
+    const delivered = order.deliveryStatus === 'delivered';
+    const stopsBefore = delivered || !order.routeSequence
+      ? []
+      : (await orderService.getOrdersByDeliveryPerson(rider.Id))
+        .filter(o => o.id !== order.id && ROUTABLE_STATUSES.includes(o.deliveryStatus))
+        .filter(o => o.routeSequence && o.routeSequence < order.routeSequence)
+        .sort((a, b) => a.routeSequence - b.routeSequence)
+        .map(o => this.getStopLocation(o))
+        .filter(Boolean);
+
+    let remainingKm = 0;
+    let previous = rider.currentLocation;
+    [...stopsBefore, destination].forEach(location => {
+      remainingKm += this.getDistance(previous, location) * ROAD_DISTANCE_FACTOR;
+      previous = location;
+    });
+    if (delivered) remainingKm = 0;
+
+    const speedKmh = AVERAGE_SPEED_KMH[rider.vehicleType] || AVERAGE_SPEED_KMH.motorcycle;
+    const etaMinutes = Math.round((remainingKm / speedKmh) * 60 + stopsBefore.length * STOP_SERVICE_MINUTES);
+
+    // Progress is measured from where the rider started this order (first breadcrumb, else the store)
+    const trail = await deliveryPersonnelService.getLocationHistory(rider.Id, { orderId: order.id });
+    const origin = trail[0] ||
+      deliveryPricingService.getNearestStore(destination, order.deliveryAddress?.city)?.coordinates ||
+      rider.currentLocation;
+    const totalKm = this.getDistance(origin, destination);
+    let progress = 0;
+    if (delivered) {
+      progress = 1;
+    } else if (MOVING_STATUSES.includes(order.deliveryStatus) && totalKm > 0) {
+      progress = Math.min(1, Math.max(0, 1 - this.getDistance(rider.currentLocation, destination) / totalKm));
+    }
+
+    return {
+      orderId: order.id,
+      riderId: rider.Id,
+      riderName: rider.name,
+      vehicleType: rider.vehicleType,
+      riderLocation: rider.currentLocation,
+      destination,
+      stopsBefore: stopsBefore.length,
+      remainingKm: Math.round(remainingKm * 10) / 10,
+      etaMinutes: delivered ? 0 : etaMinutes,
+      eta: delivered ? order.actualDelivery : new Date(Date.now() + etaMinutes * 60 * 1000).toISOString(),
+      progress: Math.round(progress * 100) / 100,
+      trail,
+      lastUpdatedAt: rider.locationUpdatedAt || null
+    };
+  }
+
+  getStopLocation(order) {
+    return order.deliveryAddress?.coordinates ||
+      deliveryPricingService.resolveZone(order.deliveryAddress)?.center ||
+      null;
+  }
+
+  nearestNeighbour(start, stops) {
+    const remaining = [...stops];
+    const ordered = [];
+    let current = start;
+
+    while (remaining.length > 0) {
+      let nearestIndex = 0;
+      let nearestDistance = Infinity;
+      remaining.forEach((stop, index) => {
+        const distance = this.getDistance(current, stop.location);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearestIndex = index;
+        }
+      });
+      const [next] = remaining.splice(nearestIndex, 1);
+      ordered.push(next);
+      current = next.location;
+    }
+
+    return ordered;
+  }
+
+  improveWithTwoOpt(start, stops) {
+    if (stops.length < 3) return stops;
+
+    let best = [...stops];
+    let bestLength = this.getPathLength(start, best);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < best.length - 1; i++) {
+        for (let j = i + 1; j < best.length; j++) {
+          const candidate = [
+            ...best.slice(0, i),
+            ...best.slice(i, j + 1).reverse(),
+            ...best.slice(j + 1)
+          ];
+          const candidateLength = this.getPathLength(start, candidate);
+          if (candidateLength + 1e-9 < bestLength) {
+            best = candidate;
+            bestLength = candidateLength;
+            improved = true;
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+
+  buildSchedule(rider, start, sequence, startTime) {
+    const speedKmh = AVERAGE_SPEED_KMH[rider.vehicleType] || AVERAGE_SPEED_KMH.motorcycle;
+    let clock = startTime.getTime();
+    let previous = start;
+    let totalDistanceKm = 0;
+
+    const stops = sequence.map((stop, index) => {
+      const legKm = this.getDistance(previous, stop.location) * ROAD_DISTANCE_FACTOR;
+      clock += (legKm / speedKmh) * 60 * 60 * 1000;
+
+      // Don't arrive before the customer's booked slot opens
+      const slotStart = stop.order.deliverySlot?.startsAt ? new Date(stop.order.deliverySlot.startsAt).getTime() : null;
+      if (slotStart && clock < slotStart) {
+        clock = slotStart;
+      }
+
+      const eta = new Date(clock).toISOString();
+      clock += STOP_SERVICE_MINUTES * 60 * 1000;
+      totalDistanceKm += legKm;
+      previous = stop.location;
+
+      return {
+        sequence: index + 1,
+        orderId: stop.order.id,
+        customerName: stop.order.deliveryAddress?.name || null,
+        address: stop.order.deliveryAddress?.address || null,
+        city: stop.order.deliveryAddress?.city || null,
+        location: stop.location,
+        legDistanceKm: Math.round(legKm * 10) / 10,
+        eta
+      };
+    });
+
+    return {
+      riderId: rider.Id,
+      riderName: rider.name,
+      vehicleType: rider.vehicleType,
+      start,
+      stops,
+      totalDistanceKm: Math.round(totalDistanceKm * 10) / 10,
+      totalDurationMinutes: Math.round((clock - startTime.getTime()) / 60000),
+      plannedAt: new Date().toISOString()
+    };
+  }
+
+  getPathLength(start, stops) {
+    let length = 0;
+    let previous = start;
+    stops.forEach(stop => {
+      length += this.getDistance(previous, stop.location);
+      previous = stop.location;
+    });
+    return length;
+  }
+
+  getDistance(from, to) {
+    return deliveryPricingService.getDistanceKm(from, to);
+  }
+}
+
+export const routePlannerService = new RoutePlannerService();
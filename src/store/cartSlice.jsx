@@ -1,12 +1,28 @@
 import { createAsyncThunk, createSlice } from '@reduxjs/toolkit'
 import { toast } from 'react-toastify'
-import productService, { getProductById } from '@/services/api/productService'
+import productService, {
+  getProductById,
+  getDefaultVariant,
+  resolveVariant,
+  getQuantityRules,
+  roundQuantity,
+  validateQuantity
+} from '@/services/api/productService'
+
+// Cart line items are keyed by product + variant so pack sizes sit on separate lines
+export const getCartLineKey = (productId, variantId = null) =>
+  variantId ? `${productId}:${variantId}` : String(productId);
+
+const getItemLineKey = (item) => item.lineKey || getCartLineKey(item.id, item.variantId);
+
+const findLine = (items, lineKey) => items.find(item => getItemLineKey(item) === String(lineKey));
 
 // Initial state
 const initialState = {
   items: [],
   total: 0,
   itemCount: 0,
+  couponCode: null,
   isLoading: false,
   error: null,
   lastValidated: null
@@ -22,11 +38,12 @@ export const validateCartPrices = createAsyncThunk(
       
 for (const item of cart.items) {
         try {
-          const productResponse = await productService.getProductById(item.id);
+          const productResponse = await productService.getProductById(item.id, item.variantId || null);
           const product = productResponse.data || productResponse;
           if (!product || !product.isActive) {
             validationResults.push({
               id: item.id,
+              lineKey: getItemLineKey(item),
               name: item.name,
               error: 'Product no longer available',
               unavailable: true
@@ -38,6 +55,7 @@ for (const item of cart.items) {
             if (priceChanged || stockChanged) {
               validationResults.push({
                 id: item.id,
+                lineKey: getItemLineKey(item),
                 name: item.name,
                 oldPrice: item.price,
                 newPrice: product.price,
@@ -52,6 +70,7 @@ for (const item of cart.items) {
           console.error('Cart validation error for item:', item.id, error);
           validationResults.push({
             id: item.id,
+            lineKey: getItemLineKey(item),
             name: item.name || 'Unknown product',
             error: error.message || 'Product no longer available',
             unavailable: true
@@ -67,28 +86,41 @@ for (const item of cart.items) {
 );
 
 // Async thunk for adding to cart with validation
+// Accepts a product ID or { productId, variantId, quantity }; variant products fall back to their default variant.
+// Without a quantity, a new line starts at the product's minimum and an existing line grows by one step.
 export const addToCartWithValidation = createAsyncThunk(
   'cart/addToCartWithValidation',
-  async (productId, { getState, rejectWithValue }) => {
+  async (arg, { getState, rejectWithValue }) => {
 try {
+      const { productId, variantId = null, quantity = null } = typeof arg === 'object' && arg !== null ? arg : { productId: arg };
       const productResponse = await productService.getProductById(productId);
-      const product = productResponse.data || productResponse;
+      const baseProduct = productResponse.data || productResponse;
       
-      if (!product || !product.isActive) {
+      if (!baseProduct || !baseProduct.isActive) {
         throw new Error('Product is no longer available');
       }
+
+      const product = resolveVariant(baseProduct, variantId || getDefaultVariant(baseProduct)?.id || null);
       if (product.stock <= 0) {
         throw new Error('Product is out of stock');
       }
       
       const { cart } = getState();
-      const existingItem = cart.items.find(item => item.id === productId);
+      const existingItem = findLine(cart.items, getCartLineKey(product.id, product.variantId));
       
       if (existingItem && existingItem.quantity >= product.stock) {
-        throw new Error(`Only ${product.stock} ${product.unit || 'pieces'} available in stock`);
+        throw new Error(`Only ${roundQuantity(product.stock)} ${product.unit || 'pieces'} available in stock`);
+      }
+
+      const { step, min } = getQuantityRules(product);
+      const addedQuantity = quantity ?? (existingItem ? step : min);
+      const newQuantity = roundQuantity((existingItem?.quantity || 0) + addedQuantity);
+      const quantityError = validateQuantity(product, newQuantity);
+      if (quantityError) {
+        throw new Error(quantityError);
       }
       
-return product;
+return { product, quantity: newQuantity };
     } catch (error) {
       console.error('Product validation error:', error);
       return rejectWithValue(error.message || 'Failed to add product to cart');
@@ -99,28 +131,31 @@ return product;
 // Async thunk for updating quantity with validation
 export const updateQuantityWithValidation = createAsyncThunk(
   'cart/updateQuantityWithValidation',
-  async ({ productId, quantity }, { rejectWithValue }) => {
+  async ({ productId, variantId = null, quantity }, { rejectWithValue }) => {
     try {
+      const lineKey = getCartLineKey(productId, variantId);
+
       if (quantity < 0) {
         return rejectWithValue('Quantity cannot be negative');
       }
       
       if (quantity === 0) {
-        return { productId, quantity: 0, remove: true };
+        return { productId, lineKey, quantity: 0, remove: true };
       }
       
-      const productResponse = await productService.getProductById(productId);
+      const productResponse = await productService.getProductById(productId, variantId);
       const product = productResponse.data || productResponse;
       
       if (!product || !product.isActive) {
         throw new Error('Product is no longer available');
       }
       
-      if (quantity > product.stock) {
-        throw new Error(`Only ${product.stock} ${product.unit || 'pieces'} available in stock`);
+      const quantityError = validateQuantity(product, quantity);
+      if (quantityError) {
+        throw new Error(quantityError);
       }
       
-return { productId, quantity, currentProduct: product };
+return { productId, lineKey, quantity: roundQuantity(quantity), currentProduct: product };
     } catch (error) {
       console.error('Quantity validation error:', error);
       return rejectWithValue(error.message || 'Failed to update quantity');
@@ -139,11 +174,14 @@ const cartSlice = createSlice({
     
     addToCart: (state, action) => {
       const product = action.payload;
-      const existingItem = state.items.find(item => item.id === product.id);
+      const lineKey = getCartLineKey(product.id, product.variantId);
+      const existingItem = findLine(state.items, lineKey);
+      
+      const { step, min } = getQuantityRules(product);
       
       if (existingItem) {
         // Respect stock limits
-        const newQuantity = Math.min(existingItem.quantity + 1, product.stock);
+        const newQuantity = roundQuantity(Math.min(existingItem.quantity + step, product.stock));
         if (newQuantity > existingItem.quantity) {
           existingItem.quantity = newQuantity;
           existingItem.updatedAt = Date.now();
@@ -152,7 +190,8 @@ const cartSlice = createSlice({
         // Add new item with proper field mapping
         const cartItem = {
           ...product,
-          quantity: 1,
+          lineKey,
+          quantity: min,
           addedAt: Date.now(),
           updatedAt: Date.now(),
           image: product.image || product.imageUrl || '/placeholder-image.jpg',
@@ -168,21 +207,23 @@ const cartSlice = createSlice({
       cartSlice.caseReducers.calculateTotals(state);
     },
     
+    // Payload is a line key (plain product ID for products without variants)
     removeFromCart: (state, action) => {
-      const productId = action.payload;
-      state.items = state.items.filter(item => item.id !== productId);
+      const lineKey = String(action.payload);
+      state.items = state.items.filter(item => getItemLineKey(item) !== lineKey);
       cartSlice.caseReducers.calculateTotals(state);
     },
     
     updateQuantity: (state, action) => {
-      const { productId, quantity } = action.payload;
+      const { productId, variantId = null, quantity } = action.payload;
+      const lineKey = getCartLineKey(productId, variantId);
       if (quantity <= 0) {
-        state.items = state.items.filter(item => item.id !== productId);
+        state.items = state.items.filter(item => getItemLineKey(item) !== lineKey);
       } else {
-        const item = state.items.find(item => item.id === productId);
+        const item = findLine(state.items, lineKey);
         if (item) {
           // Validate against stock
-          const validQuantity = Math.min(quantity, item.stock);
+          const validQuantity = roundQuantity(Math.min(quantity, item.stock));
           item.quantity = validQuantity;
           item.updatedAt = Date.now();
         }
@@ -195,11 +236,22 @@ const cartSlice = createSlice({
       state.items = [];
       state.total = 0;
       state.itemCount = 0;
+      state.couponCode = null;
+    },
+    
+    // Coupon is evaluated by promotionService wherever totals are shown (Cart, Checkout)
+    applyCoupon: (state, action) => {
+      state.couponCode = action.payload ? action.payload.trim().toUpperCase() : null;
+    },
+    
+    removeCoupon: (state) => {
+      state.couponCode = null;
     },
     
     calculateTotals: (state) => {
-      state.total = state.items.reduce((total, item) => total + (item.price * item.quantity), 0);
-      state.itemCount = state.items.reduce((total, item) => total + item.quantity, 0);
+      state.total = Math.round(state.items.reduce((total, item) => total + (item.price * item.quantity), 0) * 100) / 100;
+      // Weighed lines count as one item each rather than adding up kilograms
+      state.itemCount = state.items.reduce((total, item) => total + (item.soldByWeight ? 1 : item.quantity), 0);
     },
     
     updatePricesFromValidation: (state, action) => {
@@ -209,11 +261,11 @@ const cartSlice = createSlice({
       validationResults.forEach(result => {
         if (result.unavailable) {
           // Remove unavailable products
-          state.items = state.items.filter(item => item.id !== result.id);
+          state.items = state.items.filter(item => getItemLineKey(item) !== result.lineKey);
           hasChanges = true;
           toast.error(`${result.name} is no longer available and was removed from cart`);
         } else if (result.priceChanged || result.stockChanged) {
-          const item = state.items.find(item => item.id === result.id);
+          const item = findLine(state.items, result.lineKey);
           if (item) {
             // Update price and stock information
             const oldPrice = item.price;
@@ -222,7 +274,7 @@ const cartSlice = createSlice({
             
             // Adjust quantity if stock is insufficient
             if (item.quantity > result.newStock) {
-              item.quantity = Math.max(1, result.newStock);
+              item.quantity = Math.max(getQuantityRules(item).min, roundQuantity(result.newStock));
               toast.warning(`${result.name} quantity adjusted to ${item.quantity} due to stock availability`);
             }
             
@@ -266,11 +318,12 @@ const cartSlice = createSlice({
         toast.error('Failed to validate cart prices');
       })
       .addCase(addToCartWithValidation.fulfilled, (state, action) => {
-        const product = action.payload;
-        const existingItem = state.items.find(item => item.id === product.id);
+        const { product, quantity } = action.payload;
+        const lineKey = getCartLineKey(product.id, product.variantId);
+        const existingItem = findLine(state.items, lineKey);
         
         if (existingItem) {
-          existingItem.quantity = Math.min(existingItem.quantity + 1, product.stock);
+          existingItem.quantity = quantity;
           existingItem.updatedAt = Date.now();
           // Update with current product data
           existingItem.price = product.price;
@@ -278,7 +331,8 @@ const cartSlice = createSlice({
         } else {
           const cartItem = {
             ...product,
-            quantity: 1,
+            lineKey,
+            quantity,
             addedAt: Date.now(),
             updatedAt: Date.now(),
             image: product.image || product.imageUrl || '/placeholder-image.jpg',
@@ -288,18 +342,18 @@ const cartSlice = createSlice({
         }
         
         cartSlice.caseReducers.calculateTotals(state);
-        toast.success(`${product.name} added to cart`);
+        toast.success(`${product.name}${product.variantName ? ` (${product.variantName})` : ''} added to cart`);
       })
       .addCase(addToCartWithValidation.rejected, (state, action) => {
         toast.error(action.payload);
       })
       .addCase(updateQuantityWithValidation.fulfilled, (state, action) => {
-        const { productId, quantity, currentProduct } = action.payload;
+        const { lineKey, quantity, currentProduct } = action.payload;
         
         if (quantity <= 0) {
-          state.items = state.items.filter(item => item.id !== productId);
+          state.items = state.items.filter(item => getItemLineKey(item) !== lineKey);
         } else {
-          const item = state.items.find(item => item.id === productId);
+          const item = findLine(state.items, lineKey);
           if (item) {
             item.quantity = quantity;
             item.updatedAt = Date.now();
@@ -325,6 +379,8 @@ export const {
   removeFromCart,
   updateQuantity,
   clearCart,
+  applyCoupon,
+  removeCoupon,
   calculateTotals,
   setError,
   clearError,
@@ -337,11 +393,13 @@ export const selectCartTotal = (state) => state.cart.total;
 export const selectCartItemCount = (state) => state.cart.itemCount;
 export const selectCartLoading = (state) => state.cart.isLoading;
 export const selectCartError = (state) => state.cart.error;
-export const selectIsProductInCart = (productId) => (state) => 
-  state.cart.items.some(item => item.id === productId);
-export const selectProductQuantityInCart = (productId) => (state) => {
-  const item = state.cart.items.find(item => item.id === productId);
-  return item ? item.quantity : 0;
-};
+export const selectCouponCode = (state) => state.cart.couponCode;
+// Without a variantId these match any line of the product
+export const selectIsProductInCart = (productId, variantId = null) => (state) => 
+  state.cart.items.some(item => item.id === productId && (!variantId || item.variantId === variantId));
+export const selectProductQuantityInCart = (productId, variantId = null) => (state) =>
+  state.cart.items
+    .filter(item => item.id === productId && (!variantId || item.variantId === variantId))
+    .reduce((sum, item) => roundQuantity(sum + item.quantity), 0);
 
 export default cartSlice.reducer;
\ No newline at end of file
@@ -5,7 +5,7 @@ import cartReducer from "@/store/cartSlice";
 const persistConfig = {
   key: 'freshmart_cart',
   storage,
-  whitelist: ['items', 'total', 'itemCount'] // Only persist cart data
+  whitelist: ['items', 'total', 'itemCount', 'couponCode'] // Only persist cart data
 };
 
 const persistedCartReducer = persistReducer(persistConfig, cartReducer);